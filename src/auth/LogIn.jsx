@@ -1,9 +1,12 @@
-import React, { useState } from "react";
-import { useNavigate } from "react-router-dom";
-import { Check } from "lucide-react";
+import React, { useRef, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { Check, UserCircle } from "lucide-react";
+import { listAccounts } from "../services/accountService";
+import { logIn } from "../services/authService";
 
 const LogIn = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const [loading, setLoading] = useState(false);
   const [showSuccess, setShowSuccess] = useState(false);
 
@@ -13,30 +16,37 @@ const LogIn = () => {
   const [emailError, setEmailError] = useState("");
   const [passwordError, setPasswordError] = useState("");
 
-  const handleLogin = (e) => {
-    e.preventDefault();
-
-    const storedUser = JSON.parse(localStorage.getItem("user"));
-    let hasError = false;
+  // Accounts that have signed up on this device
+  const [accounts] = useState(() => listAccounts());
+  const passwordRef = useRef(null);
 
+  const handleSwitchAccount = (account) => {
+    if (loading) return;
+    setEmail(account.email);
+    setPassword("");
     setEmailError("");
     setPasswordError("");
+    passwordRef.current?.focus();
+  };
 
-    if (!storedUser || storedUser.email !== email) {
-      setEmailError("This Gmail is not registered.");
-      hasError = true;
-    } else if (storedUser.password !== password) {
-      setPasswordError("Incorrect password.");
-      hasError = true;
-    }
-
-    if (hasError) return;
+  const handleLogin = async (e) => {
+    e.preventDefault();
 
+    setEmailError("");
+    setPasswordError("");
     setLoading(true);
 
+    try {
+      await logIn(email, password);
+    } catch (error) {
+      setLoading(false);
+      if (error.field === "password") setPasswordError(error.message);
+      else setEmailError(error.message);
+      return;
+    }
+
     setTimeout(() => {
       setLoading(false);
-      localStorage.setItem("isLoggedIn", true);
 
       // Show login success modal
       setShowSuccess(true);
@@ -44,7 +54,11 @@ const LogIn = () => {
       // Redirect after 2s
       setTimeout(() => {
         setShowSuccess(false);
-        navigate("/home");
+        // back to the page that sent us here, if any
+        const from = location.state?.from;
+        navigate(from ? `${from.pathname}${from.search || ""}` : "/home", {
+          replace: true,
+        });
       }, 2000);
     }, 2000);
   };
@@ -70,6 +84,54 @@ const LogIn = () => {
           Welcome Back
         </h2>
 
+        {/* Account Switcher */}
+        {accounts.length > 0 && (
+          <div className="mb-6">
+            <p className="text-xs font-medium text-gray-500 mb-2">
+              Accounts on this device
+            </p>
+            <div className="flex gap-3 overflow-x-auto pb-1">
+              {accounts.map((account) => {
+                const isSelected =
+                  account.email.toLowerCase() === email.trim().toLowerCase();
+                return (
+                  <button
+                    key={account.id}
+                    type="button"
+                    onClick={() => handleSwitchAccount(account)}
+                    disabled={loading}
+                    className={`flex items-center gap-2 px-3 py-2 rounded-xl border transition shrink-0 ${
+                      isSelected
+                        ? "border-primary bg-primary/10"
+                        : "border-base-300 hover:bg-base-200"
+                    }`}
+                  >
+                    <div className="flex items-center justify-center w-8 h-8 rounded-full bg-primary/10 overflow-hidden">
+                      {account.avatar ? (
+                        <img
+                          src={account.avatar}
+                          alt={account.username}
+                          className="w-full h-full object-cover"
+                        />
+                      ) : (
+                        <UserCircle className="w-5 h-5 text-primary" />
+                      )}
+                    </div>
+                    <div className="flex flex-col items-start">
+                      <span className="text-sm font-semibold">
+                        {account.username || account.email}
+                      </span>
+                      <span className="text-xs text-gray-500">
+                        {account.email}
+                      </span>
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
         <form onSubmit={handleLogin} className="space-y-5">
           <div className="form-control">
             <label className="label">
@@ -96,6 +158,7 @@ const LogIn = () => {
               <span className="label-text font-medium">Password</span>
             </label>
             <input
+              ref={passwordRef}
               type="password"
               placeholder="••••••••"
               className={`input input-bordered w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/60 focus:border-primary ${
@@ -1,6 +1,7 @@
 import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { Check } from "lucide-react";
+import { signUp } from "../services/authService";
 
 const SignUp = () => {
   const navigate = useNavigate();
@@ -11,13 +12,23 @@ const SignUp = () => {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
 
-  const handleSignUp = (e) => {
+  const [emailError, setEmailError] = useState("");
+
+  const handleSignUp = async (e) => {
     e.preventDefault();
+
+    setEmailError("");
     setLoading(true);
 
+    try {
+      await signUp({ username, email, password });
+    } catch (error) {
+      setLoading(false);
+      setEmailError(error.message);
+      return;
+    }
+
     setTimeout(() => {
-      const newUser = { username, email, password };
-      localStorage.setItem("user", JSON.stringify(newUser));
       setLoading(false);
 
       // Show success modal
@@ -77,10 +88,15 @@ const SignUp = () => {
               placeholder="name@gmail.com"
               value={email}
               onChange={(e) => setEmail(e.target.value)}
-              className="input input-bordered w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/60 focus:border-primary"
+              className={`input input-bordered w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/60 focus:border-primary ${
+                emailError ? "input-error" : ""
+              }`}
               required
               disabled={loading}
             />
+            {emailError && (
+              <p className="text-red-500 text-xs mt-1">{emailError}</p>
+            )}
           </div>
 
           <div className="form-control">
@@ -0,0 +1,56 @@
+import React from "react";
+
+const ROW_HEIGHT = 26;
+const LABEL_WIDTH = 130;
+const BAR_WIDTH = 200;
+
+// Horizontal bar per module (SVG, no chart library needed)
+const ModuleProgressChart = ({ modules }) => {
+  const height = modules.length * ROW_HEIGHT;
+
+  return (
+    <svg
+      viewBox={`0 0 ${LABEL_WIDTH + BAR_WIDTH + 40} ${height}`}
+      className="w-full"
+      role="img"
+      aria-label="Progress per module"
+    >
+      {modules.map((m, i) => {
+        const y = i * ROW_HEIGHT;
+        return (
+          <g key={m.id}>
+            <text x={0} y={y + 17} fontSize="11" className="fill-current">
+              {m.title.length > 20 ? `${m.title.slice(0, 19)}…` : m.title}
+            </text>
+            <rect
+              x={LABEL_WIDTH}
+              y={y + 6}
+              width={BAR_WIDTH}
+              height={14}
+              rx={7}
+              className="fill-base-300"
+            />
+            <rect
+              x={LABEL_WIDTH}
+              y={y + 6}
+              width={(BAR_WIDTH * m.percent) / 100}
+              height={14}
+              rx={7}
+              className={m.complete ? "fill-success" : "fill-primary"}
+            />
+            <text
+              x={LABEL_WIDTH + BAR_WIDTH + 6}
+              y={y + 17}
+              fontSize="11"
+              className="fill-current"
+            >
+              {m.percent}%
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default ModuleProgressChart;
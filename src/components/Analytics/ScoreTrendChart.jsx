@@ -0,0 +1,140 @@
+import React from "react";
+
+const WIDTH = 320;
+const HEIGHT = 160;
+const PAD = { top: 10, right: 10, bottom: 20, left: 30 };
+const COLORS = [
+  "#3b82f6",
+  "#f97316",
+  "#22c55e",
+  "#a855f7",
+  "#ef4444",
+  "#14b8a6",
+];
+
+// Score (%) of every attempt over time, one line per assessment
+const ScoreTrendChart = ({ series }) => {
+  if (series.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 text-center py-6">
+        Take an assessment to see your scores here.
+      </p>
+    );
+  }
+
+  const times = series.flatMap((s) => s.history.map((h) => h.at));
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const innerWidth = WIDTH - PAD.left - PAD.right;
+  const innerHeight = HEIGHT - PAD.top - PAD.bottom;
+
+  const x = (at) =>
+    PAD.left +
+    (maxTime === minTime
+      ? innerWidth / 2
+      : ((at - minTime) / (maxTime - minTime)) * innerWidth);
+  const y = (score) => PAD.top + innerHeight - (score / 100) * innerHeight;
+
+  const formatDay = (at) =>
+    new Date(at).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+    });
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full"
+        role="img"
+        aria-label="Assessment scores over time"
+      >
+        {/* Grid */}
+        {[0, 50, 100].map((tick) => (
+          <g key={tick}>
+            <line
+              x1={PAD.left}
+              x2={WIDTH - PAD.right}
+              y1={y(tick)}
+              y2={y(tick)}
+              stroke="currentColor"
+              strokeOpacity="0.15"
+            />
+            <text
+              x={PAD.left - 4}
+              y={y(tick) + 3}
+              fontSize="9"
+              textAnchor="end"
+              className="fill-current"
+            >
+              {tick}
+            </text>
+          </g>
+        ))}
+
+        {/* Passing line (first series; modules share the default) */}
+        <line
+          x1={PAD.left}
+          x2={WIDTH - PAD.right}
+          y1={y(series[0].passingScore)}
+          y2={y(series[0].passingScore)}
+          stroke="#22c55e"
+          strokeDasharray="4 3"
+        />
+
+        {series.map((s, i) => {
+          const color = COLORS[i % COLORS.length];
+          const points = s.history.map((h) => `${x(h.at)},${y(h.score)}`);
+          return (
+            <g key={s.id}>
+              <polyline
+                points={points.join(" ")}
+                fill="none"
+                stroke={color}
+                strokeWidth="2"
+              />
+              {s.history.map((h, j) => (
+                <circle
+                  key={j}
+                  cx={x(h.at)}
+                  cy={y(h.score)}
+                  r="3"
+                  fill={color}
+                >
+                  <title>{`${s.title}: ${h.score}% (${formatDay(h.at)})`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+
+        <text x={PAD.left} y={HEIGHT - 4} fontSize="9" className="fill-current">
+          {formatDay(minTime)}
+        </text>
+        <text
+          x={WIDTH - PAD.right}
+          y={HEIGHT - 4}
+          fontSize="9"
+          textAnchor="end"
+          className="fill-current"
+        >
+          {formatDay(maxTime)}
+        </text>
+      </svg>
+
+      <div className="flex flex-wrap gap-3 mt-2 text-xs">
+        {series.map((s, i) => (
+          <span key={s.id} className="inline-flex items-center gap-1">
+            <span
+              className="w-3 h-3 rounded-full inline-block"
+              style={{ backgroundColor: COLORS[i % COLORS.length] }}
+            />
+            {s.title}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ScoreTrendChart;
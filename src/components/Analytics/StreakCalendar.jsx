@@ -0,0 +1,54 @@
+import React from "react";
+
+const CELL = 12;
+const GAP = 3;
+
+const level = (count) => {
+  if (count === 0) return 0.08;
+  if (count < 5) return 0.35;
+  if (count < 20) return 0.65;
+  return 1;
+};
+
+// GitHub-style grid: one column per week, one row per weekday
+const StreakCalendar = ({ days, currentStreak, longestStreak }) => {
+  const weeks = Math.ceil(days.length / 7);
+
+  return (
+    <div>
+      <div className="flex gap-6 mb-3 text-sm">
+        <div>
+          <span className="text-2xl font-bold text-primary">
+            {currentStreak}
+          </span>{" "}
+          day streak
+        </div>
+        <div className="text-gray-500">Longest: {longestStreak} days</div>
+      </div>
+
+      <svg
+        viewBox={`0 0 ${weeks * (CELL + GAP)} ${7 * (CELL + GAP)}`}
+        className="w-full max-w-md"
+        role="img"
+        aria-label="Daily activity calendar"
+      >
+        {days.map((day, i) => (
+          <rect
+            key={day.date}
+            x={Math.floor(i / 7) * (CELL + GAP)}
+            y={(i % 7) * (CELL + GAP)}
+            width={CELL}
+            height={CELL}
+            rx={2}
+            className="fill-primary"
+            fillOpacity={level(day.count)}
+          >
+            <title>{`${day.date}: ${day.count} events`}</title>
+          </rect>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+export default StreakCalendar;
@@ -0,0 +1,41 @@
+import React from "react";
+import { formatDuration } from "../../services/activityService";
+
+const StudyTime = ({ totalMs, todayMs, weekMs, byModule }) => {
+  const maxMs = byModule[0]?.ms || 1;
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-3 text-center mb-4">
+        {[
+          ["Today", todayMs],
+          ["Last 7 days", weekMs],
+          ["Total", totalMs],
+        ].map(([label, ms]) => (
+          <div key={label} className="bg-base-100 rounded-xl p-2">
+            <div className="text-lg font-bold">{formatDuration(ms)}</div>
+            <div className="text-xs text-gray-500">{label}</div>
+          </div>
+        ))}
+      </div>
+
+      <ul className="space-y-2">
+        {byModule.map((m) => (
+          <li key={m.id} className="text-xs">
+            <div className="flex justify-between mb-1">
+              <span>{m.title}</span>
+              <span className="text-gray-500">{formatDuration(m.ms)}</span>
+            </div>
+            <progress
+              className="progress progress-primary w-full"
+              value={m.ms}
+              max={maxMs}
+            />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default StudyTime;
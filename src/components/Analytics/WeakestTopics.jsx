@@ -0,0 +1,36 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import { TrendingDown } from "lucide-react";
+
+const WeakestTopics = ({ topics }) => {
+  const navigate = useNavigate();
+
+  if (topics.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 text-center py-4">
+        Answer some assessment questions to find your weak spots.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="space-y-2">
+      {topics.map((topic) => (
+        <li key={topic.id}>
+          <button
+            onClick={() => navigate(`/modules/${topic.moduleId}`)}
+            className="w-full flex items-center gap-3 p-2 rounded-lg hover:bg-base-300 transition text-left"
+          >
+            <TrendingDown className="w-5 h-5 text-red-500" />
+            <span className="flex-1 text-sm font-medium">{topic.title}</span>
+            <span className="text-xs text-gray-500">
+              {topic.accuracy}% correct · {topic.answered} answers
+            </span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default WeakestTopics;
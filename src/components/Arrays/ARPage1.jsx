@@ -2,8 +2,11 @@ import React, { useMemo, useState, useRef, useEffect, forwardRef } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
 
 const VisualPageAR = ({ data: initialData = [10, 20, 30, 40], spacing = 2.0 }) => {
+  const logARSession = useARSessionLog();
+
   const [data, setData] = useState(initialData);
   const [showPanel, setShowPanel] = useState(false);
   const [page, setPage] = useState(0);
@@ -139,7 +142,7 @@ const VisualPageAR = ({ data: initialData = [10, 20, 30, 40], spacing = 2.0 }) =
               requiredFeatures: ["hit-test", "local-floor"],
             })
             .then((session) => {
-              gl.xr.setSession(session);
+              gl.xr.setSession(logARSession(session));
             })
             .catch((err) => console.error("AR session failed:", err));
         } else {
@@ -2,8 +2,11 @@ import React, { useMemo, useState, useRef, useEffect, forwardRef } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
 
 const ARPage2 = ({ data = [10, 20, 30, 40, 50], spacing = 2.0 }) => {
+  const logARSession = useARSessionLog();
+
   const [selectedBox, setSelectedBox] = useState(null);
   
   // Structure position (whole array moves together)
@@ -63,7 +66,7 @@ const ARPage2 = ({ data = [10, 20, 30, 40, 50], spacing = 2.0 }) => {
               requiredFeatures: ["hit-test", "local-floor"],
             })
             .then((session) => {
-              gl.xr.setSession(session);
+              gl.xr.setSession(logARSession(session));
             })
             .catch((err) => console.error("AR session failed:", err));
         } else {
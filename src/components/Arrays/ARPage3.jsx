@@ -5,17 +5,36 @@ import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
 import useSound from "use-sound";
 import dingSfx from "/sounds/ding.mp3";
+import { useARSessionLog } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { linearSearchTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer3D from "../common/TracePlayer3D";
 
-const ARPage3 = ({ data = [5, 10, 15, 20, 25], spacing = 2.0 }) => {
-  // Search state
-  const [searching, setSearching] = useState(false);
-  const [highlightIndex, setHighlightIndex] = useState(null);
-  const [foundIndex, setFoundIndex] = useState(null);
-  const [statusText, setStatusText] = useState("");
-  const [infoText, setInfoText] = useState("");
-  const [showCode, setShowCode] = useState(false);
-  const [pseudoCode, setPseudoCode] = useState([]);
+// Default input; a constant so the recorded trace is kept between renders
+const DEFAULT_DATA = [5, 10, 15, 20, 25];
+
+const ARPage3 = ({ data = DEFAULT_DATA, spacing = 2.0 }) => {
+  const logARSession = useARSessionLog();
+
+  // Search state: the value being searched for and its recorded trace
+  const [target, setTarget] = useState(null);
   const [play] = useSound(dingSfx, { volume: 0.5 });
+  const trace = useMemo(
+    () => linearSearchTrace(data, target ?? data[0]),
+    [data, target]
+  );
+  const player = useTracePlayer(trace, { stepMs: 900 });
+  const { step } = player;
+  const searched = target !== null;
+  const searching = player.playing;
+  const highlightIndex = searched ? step.current : null;
+  const foundIndex = searched ? step.found : null;
+
+  // ding when the search reaches the value
+  useEffect(() => {
+    if (foundIndex !== null) play();
+  }, [foundIndex, play]);
 
   // Structure position (whole structure moves together)
   const [structurePos, setStructurePos] = useState([0, 0, -10]);
@@ -27,6 +46,9 @@ const ARPage3 = ({ data = [5, 10, 15, 20, 25], spacing = 2.0 }) => {
     return data.map((_, i) => [(i - mid) * spacing, 0, 0]);
   }, [data, spacing]);
 
+  // the code sits right of the last box, however many there are
+  const codeX = Math.max(5.5, ((data.length - 1) / 2) * spacing + 1.5);
+
   // refs for AR raycasting (groups)
   const boxRefs = useRef([]);
   const structureRef = useRef();
@@ -48,66 +70,19 @@ const ARPage3 = ({ data = [5, 10, 15, 20, 25], spacing = 2.0 }) => {
     setIsDragging(false);
   };
 
-  // === Linear search animation ===
+  // === Linear search for the tapped box's value ===
   const startSearch = (targetIndex) => {
-    if (searching || isDragging) return;
-    setSearching(true);
-    setHighlightIndex(null);
-    setFoundIndex(null);
-    setStatusText("");
-    setInfoText("");
-    setShowCode(false);
-
-    let i = 0;
-    setStatusText("🔍 Starting linear search...");
-
-    const interval = setInterval(() => {
-      setHighlightIndex(i);
-      setStatusText(`Checking index ${i} → value ${data[i]}`);
-
-      if (i === targetIndex) {
-        clearInterval(interval);
-        setTimeout(() => {
-          setFoundIndex(i);
-          play();
-          setStatusText(`✅ Found value ${data[i]} at index ${i}`);
-          setInfoText(`Value ${data[i]} located after ${i + 1} comparisons`);
-          setPseudoCode([
-            "📘 Pseudo Code Example:",
-            "",
-            "for i = 0 to n-1:",
-            "   if array[i] == key:",
-            "       return i",
-            "",
-            `// Found at index ${i}`,
-          ]);
-          setShowCode(true);
-          setSearching(false);
-        }, 900);
-      } else {
-        i++;
-        if (i >= data.length) {
-          clearInterval(interval);
-          setTimeout(() => {
-            setStatusText("❌ Value not found in array");
-            setInfoText("Search completed — no match found.");
-            setPseudoCode([
-              "📘 Pseudo Code Example:",
-              "",
-              "for i = 0 to n-1:",
-              "   if array[i] == key:",
-              "       return i",
-              "",
-              "return -1  // not found",
-            ]);
-            setShowCode(true);
-            setSearching(false);
-          }, 800);
-        }
-      }
-    }, 900);
+    if (isDragging) return;
+    setTarget(data[targetIndex]);
+    player.restart();
   };
 
+  const showResult = searched && step.done;
+  const infoText =
+    foundIndex !== null
+      ? `Value ${data[foundIndex]} located after ${foundIndex + 1} comparisons`
+      : "Search completed — no match found.";
+
   // Auto-start WebXR AR session when possible
   const startAR = (gl) => {
     if (navigator.xr) {
@@ -118,7 +93,7 @@ const ARPage3 = ({ data = [5, 10, 15, 20, 25], spacing = 2.0 }) => {
               requiredFeatures: ["hit-test", "local-floor"],
             })
             .then((session) => {
-              gl.xr.setSession(session);
+              gl.xr.setSession(logARSession(session));
             })
             .catch((err) => console.error("AR session failed:", err));
         } else {
@@ -155,7 +130,7 @@ const ARPage3 = ({ data = [5, 10, 15, 20, 25], spacing = 2.0 }) => {
             text={
               isDragging 
                 ? "✋ Moving Structure..." 
-                : !searching && !foundIndex && !infoText 
+                : !searched
                   ? "Tap any box to start searching..." 
                   : ""
             }
@@ -166,8 +141,8 @@ const ARPage3 = ({ data = [5, 10, 15, 20, 25], spacing = 2.0 }) => {
 
           {/* Transition label */}
           <FadeText 
-            showText={!!statusText && !isDragging} 
-            text={statusText} 
+            showText={searched && !isDragging}
+            text={searched ? step.note : ""}
             position={[0, 2, 2]} 
             fontSize={0.32} 
             color="#ffd166" 
@@ -188,20 +163,20 @@ const ARPage3 = ({ data = [5, 10, 15, 20, 25], spacing = 2.0 }) => {
             />
           ))}
 
-          {/* Info / pseudo code to the right when search finishes */}
-          {showCode && !isDragging && (
-            <group position={[8, 1.2, 0]}>
-              <FadeText text={infoText} position={[0, 0.8, 0]} fontSize={0.35} color="#9be7a2" />
-              {pseudoCode.map((line, idx) => (
-                <FadeText 
-                  key={idx} 
-                  text={line} 
-                  position={[0, 0.4 - idx * 0.35, 0]} 
-                  fontSize={0.28} 
-                  color={line.startsWith("//") ? "#9be7a2" : "#ffeb99"} 
-                />
-              ))}
-            </group>
+          {/* Result to the right when search finishes */}
+          {showResult && !isDragging && (
+            <FadeText text={infoText} position={[codeX + 2.5, 2, 0]} fontSize={0.35} color="#9be7a2" />
+          )}
+
+          {searched && !isDragging && (
+            <>
+              <CodeTracePanel
+                algorithm="linear-search"
+                step={step}
+                position={[codeX, 1.4, 0]}
+              />
+              <TracePlayer3D player={player} position={[0, -1.8, 2]} />
+            </>
           )}
         </group>
 
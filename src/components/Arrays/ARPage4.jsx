@@ -6,10 +6,13 @@ import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
 import useSound from "use-sound";
 import dingSfx from "/sounds/ding.mp3";
+import { useARSessionLog } from "../../services/useModulePage";
 
 const MAX_INDEX = 6;
 
 const ARPage4 = ({ spacing = 2.2 }) => {
+  const logARSession = useARSessionLog();
+
   const [data, setData] = useState([23, 46, 13]);
   const [pseudoCode, setPseudoCode] = useState([]);
   const [highlightIndex, setHighlightIndex] = useState(null);
@@ -79,7 +82,7 @@ const ARPage4 = ({ spacing = 2.2 }) => {
       if (supported) {
         navigator.xr
           .requestSession("immersive-ar", { requiredFeatures: ["hit-test", "local-floor"] })
-          .then((session) => gl.xr.setSession(session))
+          .then((session) => gl.xr.setSession(logARSession(session)))
           .catch((err) => console.error("AR session failed:", err));
       }
     });
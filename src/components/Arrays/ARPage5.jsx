@@ -4,11 +4,14 @@ import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
 import useSound from "use-sound";
 import dingSfx from "/sounds/ding.mp3";
+import { useARSessionLog } from "../../services/useModulePage";
 
 /**
  * ARPage5.jsx (With Drag and Drop)
  */
 const ARPage5 = ({ spacing = 2.2 }) => {
+  const logARSession = useARSessionLog();
+
   const [array] = useState([5, 10, 15, 20, 25]);
   const [removedIndexes, setRemovedIndexes] = useState(new Set());
   const [infoText, setInfoText] = useState("Tap a box to remove it");
@@ -107,7 +110,7 @@ const ARPage5 = ({ spacing = 2.2 }) => {
             .requestSession("immersive-ar", {
               requiredFeatures: ["hit-test", "local-floor"],
             })
-            .then((session) => gl.xr.setSession(session))
+            .then((session) => gl.xr.setSession(logARSession(session)))
             .catch((err) => console.error("AR session failed:", err));
         }
       });
@@ -2,8 +2,11 @@ import React, { useState, useRef } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useVisualizationRun } from "../../services/useModulePage";
 
 const VisualPage1 = ({ data: initialData = [10, 20, 30, 40], spacing = 2.0 }) => {
+  const markRun = useVisualizationRun();
+
   const [data, setData] = useState(initialData);
   const [showPanel, setShowPanel] = useState(false);
   const [page, setPage] = useState(0);
@@ -28,6 +31,7 @@ const VisualPage1 = ({ data: initialData = [10, 20, 30, 40], spacing = 2.0 }) =>
   };
 
   const handleBoxClick = (i) => {
+    markRun("box-click");
     setSelectedBox((prev) => (prev === i ? null : i));
   };
 
@@ -59,6 +63,7 @@ const VisualPage1 = ({ data: initialData = [10, 20, 30, 40], spacing = 2.0 }) =>
   };
 
   const handleSwap = (draggedIndex, targetIndex) => {
+    markRun("swap");
     if (draggedIndex !== targetIndex) {
       const newData = [...data];
       [newData[draggedIndex], newData[targetIndex]] = [newData[targetIndex], newData[draggedIndex]];
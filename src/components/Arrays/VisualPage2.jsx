@@ -2,8 +2,11 @@ import React, { useMemo, useState } from "react";
 import { Canvas } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useVisualizationRun } from "../../services/useModulePage";
 
 const VisualPage2 = ({ data = [10, 20, 30, 40, 50], spacing = 2.0 }) => {
+  const markRun = useVisualizationRun();
+
   const [selectedBox, setSelectedBox] = useState(null);
 
   // X positions of boxes
@@ -14,6 +17,7 @@ const VisualPage2 = ({ data = [10, 20, 30, 40, 50], spacing = 2.0 }) => {
 
   // Toggle selection
   const handleBoxClick = (i) => {
+    markRun("box-click");
     setSelectedBox((prev) => (prev === i ? null : i));
   };
 
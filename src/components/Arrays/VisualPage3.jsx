@@ -1,87 +1,62 @@
-import React, { useState, useMemo, useRef } from "react";
+import React, { useEffect, useState, useMemo, useRef } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
 import useSound from "use-sound";
 import dingSfx from "/sounds/ding.mp3"; // place this in /public/sounds/
+import { useVisualizationRun } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { linearSearchTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer from "../common/TracePlayer";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
 
-const VisualPage3 = ({ data = [5, 10, 15, 20, 25], spacing = 2.0 }) => {
-  const [searching, setSearching] = useState(false);
-  const [highlightIndex, setHighlightIndex] = useState(null);
-  const [foundIndex, setFoundIndex] = useState(null);
-  const [statusText, setStatusText] = useState(""); // 🔹 NEW: transition label
-  const [infoText, setInfoText] = useState("");
-  const [showCode, setShowCode] = useState(false);
-  const [pseudoCode, setPseudoCode] = useState([]);
+const DEFAULT_DATA = EXAMPLE_INPUTS.arrays.search;
+
+const VisualPage3 = ({ data = DEFAULT_DATA, spacing = 2.0 }) => {
+  const markRun = useVisualizationRun();
+
+  const [target, setTarget] = useState(null); // value being searched for
   const [play] = useSound(dingSfx, { volume: 0.5 });
 
+  const trace = useMemo(
+    () => linearSearchTrace(data, target ?? data[0]),
+    [data, target]
+  );
+  const player = useTracePlayer(trace, { stepMs: 900 });
+  const { step } = player;
+  const searched = target !== null;
+  const highlightIndex = searched ? step.current : null;
+  const foundIndex = searched ? step.found : null;
+
+  // ding when the search reaches the value
+  useEffect(() => {
+    if (foundIndex !== null) play();
+  }, [foundIndex, play]);
+
   const positions = useMemo(() => {
     const mid = (data.length - 1) / 2;
     return data.map((_, i) => [(i - mid) * spacing, 0, 0]);
   }, [data, spacing]);
 
-  // 🔹 Search animation
-  const handleClick = (index) => {
-    if (searching) return;
-    setSearching(true);
-    setHighlightIndex(null);
-    setFoundIndex(null);
-    setStatusText("");
-    setInfoText("");
-    setShowCode(false);
-
-    let i = 0;
-    setStatusText("🔍 Starting linear search...");
-
-    const interval = setInterval(() => {
-      setHighlightIndex(i);
-      setStatusText(`Checking index ${i} → value ${data[i]}`);
+  // the result and code sit right of the last box, however many there are
+  const codeX = Math.max(5.2, ((data.length - 1) / 2) * spacing + 1.2);
 
-      if (i === index) {
-        clearInterval(interval);
-        setTimeout(() => {
-          setFoundIndex(i);
-          play();
-          setStatusText(`✅ Found value ${data[i]} at index ${i}`);
-          setInfoText(`Value ${data[i]} located after ${i + 1} comparisons`);
-          setPseudoCode([
-            "📘 Pseudo Code Example:",
-            "",
-            "for i = 0 to n-1:",
-            "   if array[i] == key:",
-            "       return i",
-            "",
-            `// Found at index ${i}`,
-          ]);
-          setShowCode(true);
-          setSearching(false);
-        }, 900);
-      } else {
-        i++;
-        if (i >= data.length) {
-          clearInterval(interval);
-          setTimeout(() => {
-            setStatusText("❌ Value not found in array");
-            setInfoText("Search completed — no match found.");
-            setPseudoCode([
-              "📘 Pseudo Code Example:",
-              "",
-              "for i = 0 to n-1:",
-              "   if array[i] == key:",
-              "       return i",
-              "",
-              "return -1  // not found",
-            ]);
-            setShowCode(true);
-            setSearching(false);
-          }, 800);
-        }
-      }
-    }, 900);
+  // 🔹 Search for the clicked box's value
+  const handleClick = (index) => {
+    markRun("search");
+    setTarget(data[index]);
+    player.restart();
   };
 
+  const showResult = searched && step.done;
+  const infoText =
+    foundIndex !== null
+      ? `Value ${data[foundIndex]} located after ${foundIndex + 1} comparisons`
+      : "Search completed — no match found.";
+
   return (
-    <div className="w-full h-[300px]">
+    <div className="w-full h-[300px] relative">
       <Canvas camera={{ position: [0, 4, 10], fov: 50 }}>
         <ambientLight intensity={0.4} />
         <directionalLight position={[5, 8, 5]} intensity={0.8} />
@@ -97,7 +72,7 @@ const VisualPage3 = ({ data = [5, 10, 15, 20, 25], spacing = 2.0 }) => {
 
         {/* Instruction */}
         <FadeInText
-          show={!searching && !foundIndex && !infoText}
+          show={!searched}
           text="Click any box to start searching..."
           position={[0, 2.4, 0]}
           fontSize={0.3}
@@ -106,8 +81,8 @@ const VisualPage3 = ({ data = [5, 10, 15, 20, 25], spacing = 2.0 }) => {
 
         {/* 🔹 Transition label above boxes */}
         <FadeInText
-          show={!!statusText}
-          text={statusText}
+          show={searched}
+          text={searched ? step.note : ""}
           position={[0, 2, 0]}
           fontSize={0.32}
           color="#ffd166"
@@ -122,39 +97,36 @@ const VisualPage3 = ({ data = [5, 10, 15, 20, 25], spacing = 2.0 }) => {
             position={positions[i]}
             highlight={highlightIndex === i}
             found={foundIndex === i}
-            disabled={searching}
+            disabled={player.playing}
             onClick={() => handleClick(i)}
           />
         ))}
 
-        {/* Info text & pseudo code beside boxes */}
-        {showCode && (
-          <>
-            <FadeInText
-              show={true}
-              text={infoText}
-              position={[5.2, 1.9, 0]}
-              fontSize={0.35}
-              color="#9be7a2"
-              anchorX="left"
-            />
-
-            {pseudoCode.map((line, i) => (
-              <FadeInText
-                key={i}
-                show={true}
-                text={line}
-                position={[5.4, 1.1 - i * 0.35, 0]}
-                fontSize={0.28}
-                color={line.startsWith("//") ? "#9be7a2" : "#ffeb99"}
-                anchorX="left"
-              />
-            ))}
-          </>
+        {/* Result and the code beside boxes */}
+        {showResult && (
+          <FadeInText
+            show={true}
+            text={infoText}
+            position={[codeX, 1.9, 0]}
+            fontSize={0.35}
+            color="#9be7a2"
+            anchorX="left"
+          />
+        )}
+        {searched && (
+          <CodeTracePanel
+            algorithm="linear-search"
+            step={step}
+            position={[codeX, 1.3, 0]}
+          />
         )}
 
         <OrbitControls makeDefault />
       </Canvas>
+
+      {searched && (
+        <TracePlayer player={player} onPlay={() => markRun("search")} />
+      )}
     </div>
   );
 };
@@ -4,10 +4,13 @@ import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
 import useSound from "use-sound";
 import dingSfx from "/sounds/ding.mp3"; // Make sure this is in /public/sounds/
+import { useVisualizationRun } from "../../services/useModulePage";
 
 const MAX_INDEX = 6; // ✅ Limit: up to 6 indexes only
 
 const VisualPage4 = ({ spacing = 2.2 }) => {
+  const markRun = useVisualizationRun();
+
   const [array, setArray] = useState([5, 10, 15, "Append"]);
   const [inserting, setInserting] = useState(false);
   const [highlightIndex, setHighlightIndex] = useState(null);
@@ -21,6 +24,7 @@ const VisualPage4 = ({ spacing = 2.2 }) => {
   }, [array, spacing]);
 
   const handleInsert = () => {
+    markRun("insert");
     if (inserting) return;
     if (array.length - 1 >= MAX_INDEX) return; // ✅ Stop when reaching 6 indexes
 
@@ -6,8 +6,11 @@ import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
 import useSound from "use-sound";
 import dingSfx from "/sounds/ding.mp3";
+import { useVisualizationRun } from "../../services/useModulePage";
 
 const VirtualPage5 = ({ spacing = 2.2 }) => {
+  const markRun = useVisualizationRun();
+
   const [array] = useState([5, 10, 15, 20, 25]); // ✅ fixed original array
   const [removedIndexes, setRemovedIndexes] = useState(new Set()); // ✅ permanent index removal
   const [infoText, setInfoText] = useState("Click a box to delete it");
@@ -22,6 +25,7 @@ const VirtualPage5 = ({ spacing = 2.2 }) => {
 
   // ✅ handle delete
   const handleDelete = (index) => {
+    markRun("delete");
     if (removedRef.current.has(index)) return;
 
     const newRemoved = new Set(removedRef.current);
@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from "react";
+import { Award, Download, Lock } from "lucide-react";
+import { getCurrentAccount } from "../services/accountService";
+import {
+  certificateCode,
+  certificateFileName,
+  getCertificate,
+  getCertificateProgress,
+} from "../services/certificateService";
+import {
+  certificatePdf,
+  certificatePng,
+  drawCertificate,
+} from "../utils/certificateImage";
+
+const saveFile = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Completion certificate of the logged-in student once every module is
+// complete (see certificateService), as a preview with PNG and PDF
+// downloads; until then, how many modules are left
+const CertificateCard = () => {
+  const [account] = useState(() => getCurrentAccount());
+  const [certificate] = useState(() => getCertificate());
+  const [progress] = useState(() => getCertificateProgress());
+  const [code, setCode] = useState("");
+  const [canvas, setCanvas] = useState(null);
+  const [preview, setPreview] = useState("");
+
+  useEffect(() => {
+    if (!certificate) return;
+    let cancelled = false;
+    (async () => {
+      const issuedCode = await certificateCode(certificate, account.email);
+      const drawn = await drawCertificate(certificate, {
+        code: issuedCode,
+        avatar: account.avatar,
+      });
+      if (cancelled) return;
+      setCode(issuedCode);
+      setCanvas(drawn);
+      setPreview(drawn.toDataURL("image/png"));
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [certificate, account]);
+
+  if (!account || !progress.total) return null;
+
+  if (!certificate) {
+    return (
+      <div className="bg-base-200 p-5 rounded-2xl shadow-lg text-sm">
+        <h2 className="flex items-center gap-2 text-lg font-bold">
+          <Lock className="w-5 h-5 text-gray-400" /> Certificate of Completion
+        </h2>
+        <p className="text-gray-500 mt-1">
+          Complete every module, including its assessment, to earn your
+          certificate. {progress.complete} / {progress.total} done.
+        </p>
+        <progress
+          className="progress progress-primary w-full mt-3"
+          value={progress.complete}
+          max={progress.total}
+        />
+      </div>
+    );
+  }
+
+  const download = async (extension) => {
+    const blob =
+      extension === "pdf"
+        ? await certificatePdf(canvas)
+        : await certificatePng(canvas);
+    saveFile(blob, certificateFileName(certificate, account.email, extension));
+  };
+
+  return (
+    <div className="bg-base-200 p-5 rounded-2xl shadow-lg text-sm space-y-3">
+      <h2 className="flex items-center gap-2 text-lg font-bold">
+        <Award className="w-5 h-5 text-warning" /> Certificate of Completion
+      </h2>
+      {preview ? (
+        <img
+          src={preview}
+          alt="Your certificate of completion"
+          className="w-full rounded-lg shadow"
+        />
+      ) : (
+        <div className="skeleton w-full aspect-[1.414]" />
+      )}
+      <p className="text-xs text-gray-500">
+        Verification code{" "}
+        <span className="font-mono font-semibold">{code || "…"}</span>
+      </p>
+      <div className="flex gap-2">
+        <button
+          className="btn btn-primary btn-sm flex-1 gap-2"
+          onClick={() => download("pdf")}
+          disabled={!canvas}
+        >
+          <Download className="w-4 h-4" /> PDF
+        </button>
+        <button
+          className="btn btn-outline btn-sm flex-1 gap-2"
+          onClick={() => download("png")}
+          disabled={!canvas}
+        >
+          <Download className="w-4 h-4" /> PNG
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CertificateCard;
@@ -2,8 +2,11 @@ import React, { useRef, useState, useMemo } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
 
 const ARPage1 = ({ data = [10, 20, 30, 40], capacity = 6, spacing = 2.0 }) => {
+  const logARSession = useARSessionLog();
+
   const originalRef = useRef(data.slice());
 
   const boxes = useMemo(() => {
@@ -33,7 +36,7 @@ const ARPage1 = ({ data = [10, 20, 30, 40], capacity = 6, spacing = 2.0 }) => {
                 requiredFeatures: ["hit-test", "local-floor"],
               })
               .then((session) => {
-                gl.xr.setSession(session);
+                gl.xr.setSession(logARSession(session));
               })
               .catch((err) => console.error("❌ AR Session failed:", err));
           }
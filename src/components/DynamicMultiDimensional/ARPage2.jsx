@@ -1,66 +1,37 @@
-import React, { useRef, useState, useMemo, useEffect } from "react";
+import React, { useRef, useState, useMemo } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { dynamicAppendTrace } from "../../utils/traces";
+import TracePlayer3D from "../common/TracePlayer3D";
+
+const DEFAULT_DATA = [10, 20, 30, 40];
+const DEFAULT_ADDED = [50, 60];
 
 const ARPage2 = ({
-  data = [10, 20, 30, 40],
+  data = DEFAULT_DATA,
+  added = DEFAULT_ADDED,
   spacing = 2.0,
   stepDuration = 1200, // ms per step
   extraSpace = 2,
 }) => {
-  const initialData = useRef(data.slice());
-  const [boxes, setBoxes] = useState([]);
-  const [status, setStatus] = useState("");
-  const [loopTrigger, setLoopTrigger] = useState(0); // para ma-reset loop
-
-  // Create boxes helper
-  const createBoxes = (arr, capacityVal, spacingVal) => {
-    const n = capacityVal;
-    const mid = (n - 1) / 2;
-    return Array.from({ length: n }).map((_, i) => ({
-      id: `b${i}`,
-      value: i < arr.length ? arr[i] : null,
-      x: (i - mid) * spacingVal,
-      opacity: i < arr.length ? 1 : 0.2,
-    }));
-  };
-
-  // Animation loop (runs after placement)
-  useEffect(() => {
-    let cancelled = false;
-    let currentArr = initialData.current.slice();
-    const runAnimation = async () => {
-      setBoxes(
-        createBoxes(currentArr, currentArr.length + extraSpace, spacing)
-      );
-      setStatus("Appending values...");
-
-      const valuesToAdd = [50, 60];
-      for (let v = 0; v < valuesToAdd.length; v++) {
-        if (cancelled) return;
-        currentArr.push(valuesToAdd[v]);
-        setBoxes(
-          createBoxes(currentArr, currentArr.length + extraSpace, spacing)
-        );
-        setStatus(`Added ${valuesToAdd[v]} at index ${currentArr.length - 1}`);
-        await new Promise((res) => setTimeout(res, stepDuration));
-      }
-
-      setStatus("Done!");
-      await new Promise((res) => setTimeout(res, 2000));
+  const logARSession = useARSessionLog();
 
-      if (!cancelled) {
-        setStatus("");
-        setLoopTrigger((t) => t + 1); // restart loop
-      }
-    };
+  const trace = useMemo(
+    () => dynamicAppendTrace(data, added, data.length + extraSpace),
+    [data, added, extraSpace]
+  );
+  const player = useTracePlayer(trace, { stepMs: stepDuration });
+  const { step } = player;
 
-    runAnimation();
-    return () => {
-      cancelled = true;
-    };
-  }, [loopTrigger]);
+  // every slot of the capacity, the free ones faded
+  const mid = (step.capacity - 1) / 2;
+  const slots = Array.from({ length: step.capacity }, (_, i) => ({
+    value: i < step.array.length ? step.array[i] : null,
+    x: (i - mid) * spacing,
+  }));
 
   return (
     <div className="w-full h-screen">
@@ -76,7 +47,7 @@ const ARPage2 = ({
                 requiredFeatures: ["hit-test", "local-floor"],
               })
               .then((session) => {
-                gl.xr.setSession(session);
+                gl.xr.setSession(logARSession(session));
               })
               .catch((err) => console.error("❌ AR Session failed:", err));
           }
@@ -86,27 +57,18 @@ const ARPage2 = ({
         <directionalLight position={[5, 10, 5]} intensity={1} castShadow />
 
         <Reticle>
-          {/* Status text above array */}
-          <Text
-            position={[0, 2.5, 0]}
-            fontSize={0.4}
-            anchorX="center"
-            anchorY="middle"
-            color="yellow"
-          >
-            {status}
-          </Text>
-
           {/* Boxes */}
-          {boxes.map((b, i) => (
+          {slots.map((slot, i) => (
             <Box
-              key={b.id}
-              value={b.value}
+              key={i}
+              value={slot.value}
               index={i}
-              position={[b.x, 0, 0]}
-              opacity={b.opacity}
+              position={[slot.x, 0, 0]}
+              opacity={slot.value === null ? 0.2 : step.added === i ? 0.7 : 1}
             />
           ))}
+
+          <TracePlayer3D player={player} position={[0, -2, 0]} />
         </Reticle>
       </Canvas>
     </div>
@@ -1,7 +1,11 @@
-import React, { useRef, useState, useEffect } from "react";
+import React, { useRef, useState, useMemo } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { matrixTraversalTrace } from "../../utils/traces";
+import TracePlayer3D from "../common/TracePlayer3D";
 
 const ARVisualPage3 = ({
   rows = 3,
@@ -9,16 +13,18 @@ const ARVisualPage3 = ({
   spacing = 2.0,
   stepDuration = 1000,
 }) => {
+  const logARSession = useARSessionLog();
+
   const initialMatrix = useRef(
     Array.from({ length: rows }, (_, r) =>
       Array.from({ length: cols }, (_, c) => r * cols + c + 1)
     )
   );
-  const [boxes, setBoxes] = useState(
-    createGridBoxes(initialMatrix.current, spacing)
-  );
-  const [status, setStatus] = useState("");
-  const [loopTrigger, setLoopTrigger] = useState(0);
+  const boxes = createGridBoxes(initialMatrix.current, spacing);
+
+  const trace = useMemo(() => matrixTraversalTrace(initialMatrix.current), []);
+  const player = useTracePlayer(trace, { stepMs: stepDuration });
+  const { step } = player;
 
   function createGridBoxes(matrix, spacingVal) {
     const nRows = matrix.length;
@@ -33,50 +39,10 @@ const ARVisualPage3 = ({
         row: r,
         col: c,
         position: [(c - midX) * spacingVal, (midY - r) * spacingVal, 0],
-        highlight: false,
       }))
     );
   }
 
-  useEffect(() => {
-    let cancelled = false;
-
-    const runSequence = async () => {
-      const matrix = initialMatrix.current;
-      for (let r = 0; r < rows; r++) {
-        for (let c = 0; c < cols; c++) {
-          if (cancelled) return;
-
-          setBoxes((prev) =>
-            prev.map((b) => ({
-              ...b,
-              highlight: b.row === r && b.col === c,
-            }))
-          );
-          setStatus(`Highlighting element at [${r}][${c}] → ${matrix[r][c]}`);
-
-          await wait(stepDuration);
-        }
-      }
-
-      setStatus("Resetting...");
-      await wait(2000);
-
-      if (!cancelled) {
-        setBoxes(createGridBoxes(initialMatrix.current, spacing));
-        setLoopTrigger((t) => t + 1); // restart loop
-      }
-    };
-
-    runSequence();
-
-    return () => {
-      cancelled = true;
-    };
-  }, [loopTrigger, rows, cols, spacing, stepDuration]);
-
-  const wait = (ms) => new Promise((res) => setTimeout(res, ms));
-
   return (
     <div className="w-full h-screen">
       <Canvas
@@ -91,7 +57,7 @@ const ARVisualPage3 = ({
                 requiredFeatures: ["hit-test", "local-floor"],
               })
               .then((session) => {
-                gl.xr.setSession(session);
+                gl.xr.setSession(logARSession(session));
               })
               .catch((err) => console.error("❌ AR Session failed:", err));
           }
@@ -101,24 +67,13 @@ const ARVisualPage3 = ({
         <directionalLight position={[5, 10, 5]} intensity={0.8} />
 
         <Reticle>
-          {/* Status text above grid */}
-          <Text
-            position={[0, rows * spacing * 0.6, 0]}
-            fontSize={0.35}
-            anchorX="center"
-            anchorY="middle"
-            color="yellow"
-          >
-            {status}
-          </Text>
-
           {/* Boxes */}
           {boxes.map((b) => (
             <Box
               key={b.id}
               value={b.value}
               position={b.position}
-              highlight={b.highlight}
+              highlight={b.row === step.row && b.col === step.col}
             />
           ))}
 
@@ -157,6 +112,11 @@ const ARVisualPage3 = ({
               Col {c}
             </Text>
           ))}
+
+          <TracePlayer3D
+            player={player}
+            position={[0, -rows * spacing * 0.6 - 1, 0]}
+          />
         </Reticle>
       </Canvas>
     </div>
@@ -1,6 +1,7 @@
 import React, { useRef, useState } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { Text } from "@react-three/drei";
+import { useARSessionLog } from "../../services/useModulePage";
 
 // ---------- Reticle for AR placement ----------
 function Reticle({ children }) {
@@ -101,6 +102,8 @@ function Reticle({ children }) {
 
 // ---------- Main Component ----------
 const ARPage4 = ({ rows = 3, cols = 3, depth = 3, spacing = 2.0 }) => {
+  const logARSession = useARSessionLog();
+
   const initialCube = useRef(
     Array.from({ length: rows }, (_, r) =>
       Array.from({ length: cols }, (_, c) =>
@@ -146,7 +149,7 @@ const ARPage4 = ({ rows = 3, cols = 3, depth = 3, spacing = 2.0 }) => {
                 requiredFeatures: ["hit-test", "local-floor"],
               })
               .then((session) => {
-                gl.xr.setSession(session);
+                gl.xr.setSession(logARSession(session));
               });
           }
         }}
@@ -2,8 +2,11 @@ import React, { useMemo, useState, useRef, useEffect, forwardRef } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
 
 const ARPage1 = ({ spacing = 4.0 }) => {
+  const logARSession = useARSessionLog();
+
   const [selectedNode, setSelectedNode] = useState(null);
   const nodeRefs = useRef([]);
 
@@ -49,7 +52,7 @@ const ARPage1 = ({ spacing = 4.0 }) => {
             .requestSession("immersive-ar", {
               requiredFeatures: ["hit-test", "local-floor"],
             })
-            .then((session) => gl.xr.setSession(session))
+            .then((session) => gl.xr.setSession(logARSession(session)))
             .catch((err) => console.error("AR session failed:", err));
         } else {
           console.warn("AR not supported on this device.");
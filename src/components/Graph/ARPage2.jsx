@@ -2,8 +2,11 @@ import React, { useMemo, useRef, useState, useEffect } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
 
 const ARPage2 = () => {
+  const logARSession = useARSessionLog();
+
   const [selected, setSelected] = useState(null);
   const matrixRef = useRef();
   const listRef = useRef();
@@ -58,7 +61,7 @@ const ARPage2 = () => {
               requiredFeatures: ["hit-test", "local-floor"],
             })
             .then((session) => {
-              gl.xr.setSession(session);
+              gl.xr.setSession(logARSession(session));
             })
             .catch((err) => console.error("AR session failed:", err));
         } else {
@@ -2,13 +2,21 @@ import React, { useMemo, useState, useRef, useEffect, forwardRef } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls, Text, Line } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { layoutCircle } from "../../utils/layout";
+import { graphTraversalTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer3D from "../common/TracePlayer3D";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_GRAPH = EXAMPLE_INPUTS.graph.traversal;
+
+const ARPage3 = ({ graph = DEFAULT_GRAPH }) => {
+  const logARSession = useARSessionLog();
 
-const ARPage3 = () => {
   const [showPanel, setShowPanel] = useState(false);
   const [page, setPage] = useState(0);
-  const [highlightedNode, setHighlightedNode] = useState(null);
-  const [visitedNodes, setVisitedNodes] = useState([]);
-  const [visitedEdges, setVisitedEdges] = useState([]);
   const [mode, setMode] = useState(null);
 
   const clickableRefs = useRef([]);
@@ -27,64 +35,38 @@ const ARPage3 = () => {
     else setShowPanel(false);
   };
 
-  const nodes = useMemo(
-    () => [
-      { id: "A", position: [0, 2.5, 0] },
-      { id: "B", position: [-2, 0, 0] },
-      { id: "C", position: [2, 0, 0] },
-      { id: "D", position: [0, -2.5, 0] },
-    ],
-    []
-  );
+  // Graph nodes
+  const nodes = useMemo(() => {
+    const positions = graph.positions ?? layoutCircle(graph.nodes, 3);
+    return graph.nodes.map((id) => ({ id, position: positions[id] }));
+  }, [graph]);
 
+  // Graph edges
   const edges = useMemo(
-    () => [
-      ["A", "B"],
-      ["A", "C"],
-      ["B", "C"],
-      ["B", "D"],
-      ["C", "D"],
-    ],
-    []
+    () => graph.edges.map(({ from, to }) => [from, to]),
+    [graph]
   );
 
   const getNodePosition = (id) => nodes.find((n) => n.id === id).position;
 
-  // --- DFS/BFS traversal animation ---
-  useEffect(() => {
-    if (!mode) return;
-    const dfsOrder = ["A", "B", "D", "C"];
-    const bfsOrder = ["A", "B", "C", "D"];
-    const order = mode === "DFS" ? dfsOrder : bfsOrder;
-
-    setVisitedNodes([]);
-    setVisitedEdges([]);
-    setHighlightedNode(null);
-
-    let i = 0;
-    let step = 0;
-
-    const interval = setInterval(() => {
-      if (step === 0) {
-        setHighlightedNode(order[i]);
-        setVisitedNodes((prev) => [...prev, order[i]]);
-        step = 1;
-      } else if (step === 1) {
-        if (i < order.length - 1) {
-          const edge = [order[i], order[i + 1]];
-          setVisitedEdges((prev) => [...prev, edge]);
-        }
-        step = 0;
-        i++;
-        if (i >= order.length) {
-          clearInterval(interval);
-          setTimeout(() => setHighlightedNode(null), 1000);
-        }
-      }
-    }, 800);
+  const trace = useMemo(
+    () =>
+      graphTraversalTrace(
+        nodes.map((n) => n.id),
+        edges,
+        nodes[0].id,
+        mode || "DFS"
+      ),
+    [nodes, edges, mode]
+  );
+  const player = useTracePlayer(trace, { stepMs: 1000 });
+  const { step } = player;
+  const visitedEdges = mode ? step.edges : [];
 
-    return () => clearInterval(interval);
-  }, [mode]);
+  const runMode = (type) => {
+    setMode(type);
+    player.restart();
+  };
 
   const isEdgeVisited = (a, b) =>
     visitedEdges.some(
@@ -101,7 +83,7 @@ const ARPage3 = () => {
               requiredFeatures: ["hit-test", "local-floor"],
             })
             .then((session) => {
-              gl.xr.setSession(session);
+              gl.xr.setSession(logARSession(session));
             })
             .catch((err) => console.error("AR session failed:", err));
         } else {
@@ -158,13 +140,13 @@ const ARPage3 = () => {
               key={i}
               id={node.id}
               position={node.position}
-              highlighted={highlightedNode === node.id}
-              visited={visitedNodes.includes(node.id)}
+              highlighted={mode !== null && step.current === node.id}
+              visited={mode !== null && step.visited.includes(node.id)}
               ref={(r) => addClickableRef(r)}
             />
           ))}
 
-          {/* Info Panel */}
+          {/* Info Panel, or the code of the running traversal */}
           {showPanel && (
             <DefinitionPanel
               page={page}
@@ -172,20 +154,27 @@ const ARPage3 = () => {
               onNextClick={handleNextClick}
             />
           )}
+          {mode && !showPanel && (
+            <CodeTracePanel
+              algorithm={mode.toLowerCase()}
+              step={step}
+              position={[3.5, 3, 0]}
+            />
+          )}
 
           {/* Buttons */}
           <Button3D
             label="Run DFS"
             position={[-2.5, -4.5, 0]}
             color={mode === "DFS" ? "#facc15" : "#60a5fa"}
-            onClick={() => setMode("DFS")}
+            onClick={() => runMode("DFS")}
             ref={addClickableRef}
           />
           <Button3D
             label="Run BFS"
             position={[2.5, -4.5, 0]}
             color={mode === "BFS" ? "#facc15" : "#60a5fa"}
-            onClick={() => setMode("BFS")}
+            onClick={() => runMode("BFS")}
             ref={addClickableRef}
           />
 
@@ -201,11 +190,13 @@ const ARPage3 = () => {
             📘 Learn DFS/BFS ▶
           </Text>
 
+          {mode && <TracePlayer3D player={player} position={[0, -7.2, 0]} />}
+
           <ARInteractionManager
             clickableRefs={clickableRefs}
             onClickLabel={(label) => {
-              if (label === "Run DFS") setMode("DFS");
-              else if (label === "Run BFS") setMode("BFS");
+              if (label === "Run DFS") runMode("DFS");
+              else if (label === "Run BFS") runMode("BFS");
               else if (label === "Learn DFS/BFS ▶") handleIndexClick();
             }}
           />
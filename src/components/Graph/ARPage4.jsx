@@ -1,6 +1,7 @@
 import React, { useMemo, useState, useEffect } from "react";
 import { Canvas } from "@react-three/fiber";
 import { Text } from "@react-three/drei";
+import { useARSessionLog } from "../../services/useModulePage";
 
 const ARPage4 = ({
   data = [10, 20, 30, 40],
@@ -8,6 +9,8 @@ const ARPage4 = ({
   insertValue = 90,
   insertIndex = 2,
 }) => {
+  const logARSession = useARSessionLog();
+
   const [boxes, setBoxes] = useState(data);
   const [activeIndex, setActiveIndex] = useState(null);
   const [operationText, setOperationText] = useState("Starting AR...");
@@ -91,7 +94,7 @@ const ARPage4 = ({
               .requestSession("immersive-ar", {
                 requiredFeatures: ["local-floor"], // ✅ no hit-test
               })
-              .then((session) => gl.xr.setSession(session))
+              .then((session) => gl.xr.setSession(logARSession(session)))
               .catch((err) => console.error("❌ AR session failed:", err));
           }
         }}
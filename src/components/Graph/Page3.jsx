@@ -1,17 +1,30 @@
-import React from "react";
+import React, { useState } from "react";
 import GraphPage03 from "./Contents/GraphPage03";
 import ARButton3 from "./ARButton3";
 import VisualPage3 from "./VisualPage3";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_GRAPH = EXAMPLE_INPUTS.graph.traversal;
 
 const Page3 = () => {
+  const [graph, setGraph] = useState(DEFAULT_GRAPH);
+
   return (
     <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
-      <ARButton3 />
+      <ARButton3 graph={graph} />
 
       <GraphPage03 />
 
+      <InputDataPanel
+        kind="graph"
+        value={graph}
+        onChange={setGraph}
+        defaultValue={DEFAULT_GRAPH}
+      />
+
       <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
-        <VisualPage3 />
+        <VisualPage3 graph={graph} />
       </div>
     </div>
   );
@@ -1,17 +1,30 @@
-import React from "react";
+import React, { useState } from "react";
 import GraphPage04 from "./Contents/GraphPage04";
 import VisualPage4 from "./VisualPage4";
 import ARButton4 from "./ARButton4";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_GRAPH = EXAMPLE_INPUTS.graph.shortestPath;
 
 const Page4 = () => {
+  const [graph, setGraph] = useState(DEFAULT_GRAPH);
+
   return (
     <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
       <ARButton4 />
 
       <GraphPage04 />
 
+      <InputDataPanel
+        kind="weighted-graph"
+        value={graph}
+        onChange={setGraph}
+        defaultValue={DEFAULT_GRAPH}
+      />
+
       <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
-        <VisualPage4 />
+        <VisualPage4 graph={graph} />
       </div>
     </div>
   );
@@ -2,8 +2,11 @@ import React, { useMemo, useState, useRef } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useVisualizationRun } from "../../services/useModulePage";
 
 const VisualPage1 = ({ spacing = 4.0 }) => {
+  const markRun = useVisualizationRun();
+
   const [selectedNode, setSelectedNode] = useState(null);
 
   const data = [
@@ -31,6 +34,7 @@ const VisualPage1 = ({ spacing = 4.0 }) => {
   }, [data.length]);
 
   const handleNodeClick = (i) => {
+    markRun("node-click");
     setSelectedNode((prev) => (prev === i ? null : i));
   };
 
@@ -2,8 +2,11 @@ import React, { useMemo, useRef, useState } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useVisualizationRun } from "../../services/useModulePage";
 
 const VisualPage2 = () => {
+  const markRun = useVisualizationRun();
+
   const [selected, setSelected] = useState(null);
 
   // Definitions for both visualizations
@@ -45,6 +48,7 @@ const VisualPage2 = () => {
   };
 
   const handleSelect = (type) => {
+    markRun(type);
     setSelected((prev) => (prev === type ? null : type));
   };
 
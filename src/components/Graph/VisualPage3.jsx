@@ -1,13 +1,26 @@
-import React, { useMemo, useState, useRef, useEffect } from "react";
+import React, { useMemo, useState, useRef } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text, Line } from "@react-three/drei";
+import {
+  usePracticeMode,
+  useVisualizationRun,
+} from "../../services/useModulePage";
+import { graphTraversalSteps } from "../../services/practiceExercises";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { layoutCircle } from "../../utils/layout";
+import { graphTraversalTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer from "../common/TracePlayer";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_GRAPH = EXAMPLE_INPUTS.graph.traversal;
+
+const VisualPage3 = ({ graph = DEFAULT_GRAPH }) => {
+  const markRun = useVisualizationRun();
 
-const VisualPage3 = () => {
   const [showPanel, setShowPanel] = useState(false);
   const [page, setPage] = useState(0);
-  const [highlightedNode, setHighlightedNode] = useState(null);
-  const [visitedNodes, setVisitedNodes] = useState([]);
-  const [visitedEdges, setVisitedEdges] = useState([]);
   const [mode, setMode] = useState(null); // DFS or BFS
 
   const handleIndexClick = () => {
@@ -21,69 +34,69 @@ const VisualPage3 = () => {
   };
 
   // Graph nodes
-  const nodes = useMemo(
-    () => [
-      { id: "A", position: [0, 3, 0] },
-      { id: "B", position: [-2, 0, 0] },
-      { id: "C", position: [2, 0, 0] },
-      { id: "D", position: [0, -3, 0] },
-    ],
-    []
-  );
+  const nodes = useMemo(() => {
+    const positions = graph.positions ?? layoutCircle(graph.nodes, 3);
+    return graph.nodes.map((id) => ({ id, position: positions[id] }));
+  }, [graph]);
 
   // Graph edges
   const edges = useMemo(
-    () => [
-      ["A", "B"],
-      ["A", "C"],
-      ["B", "C"],
-      ["B", "D"],
-      ["C", "D"],
-    ],
-    []
+    () => graph.edges.map(({ from, to }) => [from, to]),
+    [graph]
   );
 
   const getNodePosition = (id) => nodes.find((n) => n.id === id).position;
+  const practice = usePracticeMode("graph-traversal", (type) =>
+    graphTraversalSteps(
+      nodes.map((n) => n.id),
+      edges,
+      nodes[0].id,
+      type
+    )
+  );
+
+  const trace = useMemo(
+    () =>
+      graphTraversalTrace(
+        nodes.map((n) => n.id),
+        edges,
+        nodes[0].id,
+        mode || "DFS"
+      ),
+    [nodes, edges, mode]
+  );
+  const player = useTracePlayer(trace, { stepMs: 1000 });
+  const { step } = player;
+
+  const handleRun = (type) => {
+    setMode(type);
+
+    // in practice mode the learner picks the nodes instead
+    if (practice.active) {
+      practice.start(type);
+      return;
+    }
+    markRun(type);
+    player.restart();
+  };
+
+  const togglePractice = () => {
+    player.reset();
+    if (practice.active) {
+      practice.stop();
+      return;
+    }
+    const type = mode || "DFS";
+    markRun("practice");
+    setMode(type);
+    practice.start(type);
+  };
 
-  // === Traversal Animation ===
-  useEffect(() => {
-    if (!mode) return;
-
-    const dfsOrder = ["A", "B", "D", "C"];
-    const bfsOrder = ["A", "B", "C", "D"];
-    const order = mode === "DFS" ? dfsOrder : bfsOrder;
-
-    // Reset
-    setVisitedNodes([]);
-    setVisitedEdges([]);
-    setHighlightedNode(null);
-
-    let i = 0;
-    let step = 0;
-
-    const interval = setInterval(() => {
-      if (step === 0) {
-        // Highlight vertex
-        setHighlightedNode(order[i]);
-        setVisitedNodes((prev) => [...prev, order[i]]);
-        step = 1;
-      } else if (step === 1) {
-        // Highlight edge to next node (if exists)
-        if (i < order.length - 1) {
-          const edge = [order[i], order[i + 1]];
-          setVisitedEdges((prev) => [...prev, edge]);
-        }
-        step = 0;
-        i++;
-        if (i >= order.length) {
-          clearInterval(interval);
-          setTimeout(() => setHighlightedNode(null), 1000);
-        }
-      }
-    }, 800);
-
-    return () => clearInterval(interval);
-  }, [mode]);
+  // while practising, the trace shows as far as the learner has got
+  const shown = practice.active ? trace[practice.index] : step;
+  const visitedEdges = mode ? shown.edges : [];
+  const revealedNode = practice.revealed ? practice.step.answer : null;
+  const currentNode = practice.active ? revealedNode : step.current;
 
   const isEdgeVisited = (a, b) =>
     visitedEdges.some(
@@ -91,7 +104,14 @@ const VisualPage3 = () => {
     );
 
   return (
-    <div className="w-full h-[300px]">
+    <div className="w-full h-[300px] relative">
+      <button
+        className="btn btn-sm btn-primary absolute top-2 left-2 z-10"
+        onClick={togglePractice}
+      >
+        {practice.active ? "⏹ Stop" : "🎯 Practice"}
+      </button>
+
       <Canvas camera={{ position: [0, 4, 12], fov: 50 }}>
         <ambientLight intensity={0.6} />
         <directionalLight position={[5, 10, 5]} intensity={1} />
@@ -105,14 +125,23 @@ const VisualPage3 = () => {
           color="white"
         />
 
-        {/* Subtitle */}
-        <FadeInText
-          show={true}
-          text={"DFS and BFS Visualization"}
-          position={[0, 4.3, 0]}
-          fontSize={0.45}
-          color="#93c5fd"
-        />
+        {/* Subtitle, or what the learner should do next */}
+        {practice.active ? (
+          <PracticeStatus
+            practice={practice}
+            prompt={`Click the node ${mode} visits next`}
+            position={[0, 4.3, 0]}
+            fontSize={0.35}
+          />
+        ) : (
+          <FadeInText
+            show={true}
+            text={"DFS and BFS Visualization"}
+            position={[0, 4.3, 0]}
+            fontSize={0.45}
+            color="#93c5fd"
+          />
+        )}
 
         {/* Edges */}
         {edges.map(([a, b], i) => {
@@ -134,12 +163,15 @@ const VisualPage3 = () => {
             key={i}
             id={node.id}
             position={node.position}
-            highlighted={highlightedNode === node.id}
-            visited={visitedNodes.includes(node.id)}
+            highlighted={mode !== null && currentNode === node.id}
+            visited={mode !== null && shown.visited.includes(node.id)}
+            onClick={
+              practice.active ? () => practice.guess(node.id) : undefined
+            }
           />
         ))}
 
-        {/* Definition Panel */}
+        {/* Definition Panel, or the code of the running traversal */}
         {showPanel && (
           <DefinitionPanel
             page={page}
@@ -147,24 +179,31 @@ const VisualPage3 = () => {
             onNextClick={handleNextClick}
           />
         )}
+        {mode && !showPanel && !practice.active && (
+          <CodeTracePanel
+            algorithm={mode.toLowerCase()}
+            step={step}
+            position={[3.5, 3.5, 0]}
+          />
+        )}
 
-        {/* Buttons */}
+        {/* Buttons (left of the graph; the player bar covers the bottom) */}
         <Button3D
           label="Run DFS"
-          position={[-2.5, -5, 0]}
+          position={[-5.5, 1, 0]}
           color={mode === "DFS" ? "#facc15" : "#60a5fa"}
-          onClick={() => setMode("DFS")}
+          onClick={() => handleRun("DFS")}
         />
         <Button3D
           label="Run BFS"
-          position={[2.5, -5, 0]}
+          position={[-5.5, 0, 0]}
           color={mode === "BFS" ? "#facc15" : "#60a5fa"}
-          onClick={() => setMode("BFS")}
+          onClick={() => handleRun("BFS")}
         />
 
         {/* Info */}
         <Text
-          position={[0, -6, 0]}
+          position={[-5.5, -1, 0]}
           fontSize={0.4}
           color="#38bdf8"
           anchorX="center"
@@ -176,16 +215,20 @@ const VisualPage3 = () => {
 
         <OrbitControls makeDefault />
       </Canvas>
+
+      {mode && !practice.active && (
+        <TracePlayer player={player} onPlay={() => markRun(mode)} />
+      )}
     </div>
   );
 };
 
 // === NodeSphere ===
-const NodeSphere = ({ id, position, highlighted, visited }) => {
+const NodeSphere = ({ id, position, highlighted, visited, onClick }) => {
   const color = highlighted ? "#facc15" : visited ? "#fde68a" : "#60a5fa";
   return (
     <group position={position}>
-      <mesh>
+      <mesh onClick={onClick}>
         <sphereGeometry args={[0.4, 32, 32]} />
         <meshStandardMaterial
           color={color}
@@ -2,68 +2,41 @@ import React, { useMemo, useState, useRef } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useVisualizationRun } from "../../services/useModulePage";
+import {
+  bellmanFord,
+  dijkstra,
+  floydWarshall,
+  shortestPath,
+} from "../../utils/algorithms";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
 
-// Graph data
-const nodes = [
-  { id: 0, label: "A" },
-  { id: 1, label: "B" },
-  { id: 2, label: "C" },
-  { id: 3, label: "D" },
-];
+const DEFAULT_GRAPH = EXAMPLE_INPUTS.graph.shortestPath;
 
-const edges = [
-  { from: 0, to: 1, weight: 2 },
-  { from: 0, to: 2, weight: 5 },
-  { from: 1, to: 3, weight: 3 },
-  { from: 2, to: 3, weight: 1 },
-];
-
-// === Dijkstra Algorithm ===
-const dijkstra = (edges, start) => {
-  const dist = {};
-  const prev = {};
-  const visited = new Set();
-  const q = nodes.map((n) => n.id);
-
-  nodes.forEach((n) => (dist[n.id] = Infinity));
-  dist[start] = 0;
-
-  while (q.length) {
-    q.sort((a, b) => dist[a] - dist[b]);
-    const u = q.shift();
-    visited.add(u);
-
-    edges
-      .filter((e) => e.from === u || e.to === u)
-      .forEach((e) => {
-        const v = e.from === u ? e.to : e.from;
-        if (!visited.has(v)) {
-          const alt = dist[u] + e.weight;
-          if (alt < dist[v]) {
-            dist[v] = alt;
-            prev[v] = u;
-          }
-        }
-      });
+// Shortest path from the first node to the last with the given algorithm
+const findRoute = (algorithm, { nodes, edges }) => {
+  const start = nodes[0];
+  const end = nodes[nodes.length - 1];
+  let result;
+  if (algorithm === "Dijkstra") {
+    result = dijkstra(nodes, edges, start);
+  } else if (algorithm === "Bellman-Ford") {
+    result = bellmanFord(nodes, edges, start);
+  } else {
+    // all pairs; only the paths from start are drawn
+    const all = floydWarshall(nodes, edges);
+    result = { dist: all.dist[start], prev: all.prev[start] };
   }
-  return { dist, prev };
+  const path = shortestPath(result.prev, start, end);
+  return { start, end, path, cost: result.dist[end] };
 };
 
-const getPath = (prev, start, end) => {
-  const path = [];
-  let u = end;
-  while (u !== start && u !== undefined) {
-    path.unshift(u);
-    u = prev[u];
-  }
-  if (u === start) path.unshift(start);
-  return path;
-};
+const VisualPage4 = ({ graph = DEFAULT_GRAPH }) => {
+  const markRun = useVisualizationRun();
 
-const VisualPage4 = () => {
   const [algorithm, setAlgorithm] = useState(null);
-  const [highlightedEdges, setHighlightedEdges] = useState([]);
   const [selectedNode, setSelectedNode] = useState(null);
+  const { nodes, edges } = graph;
 
   const positions = useMemo(() => {
     const angleStep = (2 * Math.PI) / nodes.length;
@@ -73,30 +46,20 @@ const VisualPage4 = () => {
       Math.sin(i * angleStep) * radius,
       0,
     ]);
-  }, []);
+  }, [nodes]);
+  const positionOf = (id) => positions[nodes.indexOf(id)];
+
+  const route = useMemo(
+    () => (algorithm ? findRoute(algorithm, graph) : null),
+    [algorithm, graph]
+  );
+  const highlightedEdges = (route?.path ?? [])
+    .slice(1)
+    .map((to, i) => ({ from: route.path[i], to }));
 
   const handleAlgorithmClick = (algo) => {
+    markRun(algo);
     setAlgorithm(algo);
-
-    if (algo === "Dijkstra") {
-      const { prev } = dijkstra(edges, 0);
-      const path = getPath(prev, 0, 3);
-      const pathEdges = [];
-      for (let i = 0; i < path.length - 1; i++) {
-        pathEdges.push({ from: path[i], to: path[i + 1] });
-      }
-      setHighlightedEdges(pathEdges);
-    } else if (algo === "Bellman-Ford") {
-      setHighlightedEdges([
-        { from: 0, to: 1 },
-        { from: 1, to: 3 },
-      ]);
-    } else if (algo === "Floyd-Warshall") {
-      setHighlightedEdges([
-        { from: 0, to: 2 },
-        { from: 2, to: 3 },
-      ]);
-    }
   };
 
   return (
@@ -119,13 +82,26 @@ const VisualPage4 = () => {
           fontSize={0.7}
           color="white"
         />
+        {route && (
+          <FadeInText
+            show={true}
+            text={
+              route.path.length
+                ? `${algorithm}: ${route.path.join(" → ")} (cost ${route.cost})`
+                : `${algorithm}: no path from ${route.start} to ${route.end}`
+            }
+            position={[0, 4.2, 0]}
+            fontSize={0.35}
+            color="#facc15"
+          />
+        )}
 
         {/* Edges */}
         {edges.map((edge, i) => (
           <EnhancedEdge
             key={i}
-            start={positions[edge.from]}
-            end={positions[edge.to]}
+            start={positionOf(edge.from)}
+            end={positionOf(edge.to)}
             weight={edge.weight}
             highlight={highlightedEdges.some(
               (e) =>
@@ -136,10 +112,10 @@ const VisualPage4 = () => {
         ))}
 
         {/* Nodes */}
-        {nodes.map((node, i) => (
+        {nodes.map((id, i) => (
           <EnhancedNode
-            key={i}
-            node={node}
+            key={id}
+            label={id}
             position={positions[i]}
             selected={selectedNode === i}
             onClick={() => setSelectedNode((prev) => (prev === i ? null : i))}
@@ -170,7 +146,7 @@ const VisualPage4 = () => {
 };
 
 // === Enhanced Node ===
-const EnhancedNode = ({ node, position, selected, onClick }) => {
+const EnhancedNode = ({ label, position, selected, onClick }) => {
   const meshRef = useRef();
   useFrame(({ clock }) => {
     if (selected) {
@@ -196,7 +172,7 @@ const EnhancedNode = ({ node, position, selected, onClick }) => {
         anchorX="center"
         anchorY="middle"
       >
-        {node.label}
+        {label}
       </Text>
     </group>
   );
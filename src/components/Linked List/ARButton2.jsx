@@ -2,7 +2,7 @@ import React, { useState, useEffect } from "react";
 import { Lock, Unlock } from "lucide-react";
 import ARPage2 from "./ARPage2";
 
-const ARButton2 = () => {
+const ARButton2 = ({ nodes }) => {
   const [isSupported, setIsSupported] = useState(null);
   const [startAR, setStartAR] = useState(false);
 
@@ -26,7 +26,7 @@ const ARButton2 = () => {
 
   // kung nag-start na si AR → render ARPage1
   if (startAR) {
-    return <ARPage2 />;
+    return <ARPage2 nodes={nodes} />;
   }
 
   if (isSupported === null) {
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from "react";
 import { Lock, Unlock } from "lucide-react";
 import ARPage3 from "./ARPage3";
 
-const ARButton3 = () => {
+const ARButton3 = ({ nodes }) => {
   const [isSupported, setIsSupported] = useState(null);
   const [startAR, setStartAR] = useState(false);
 
@@ -26,7 +26,7 @@ const ARButton3 = () => {
 
   // kung nag-start na si AR → render ARPage1
   if (startAR) {
-    return <ARPage3 />;
+    return <ARPage3 nodes={nodes} />;
   }
 
   if (isSupported === null) {
@@ -2,8 +2,11 @@ import React, { useMemo, useState, useRef, useEffect, forwardRef } from "react";
 import { Canvas, useThree, useFrame } from "@react-three/fiber";
 import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
 
 const ARPage1 = ({ nodes = ["A", "B", "C"], spacing = 6.3 }) => {
+  const logARSession = useARSessionLog();
+
   const [selectedNode, setSelectedNode] = useState(null);
 
   // Structure position (whole structure moves together)
@@ -63,7 +66,7 @@ const ARPage1 = ({ nodes = ["A", "B", "C"], spacing = 6.3 }) => {
               requiredFeatures: ["hit-test", "local-floor"],
             })
             .then((session) => {
-              gl.xr.setSession(session);
+              gl.xr.setSession(logARSession(session));
             })
             .catch((err) => console.error("AR session failed:", err));
         } else {
@@ -4,20 +4,36 @@ import React, {
   useRef,
   useEffect,
   forwardRef,
-  useCallback,
 } from "react";
 import { Canvas, useThree, useFrame } from "@react-three/fiber";
 import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { listWalkTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer3D from "../common/TracePlayer3D";
+
+// Default list; a constant so the recorded trace is kept between renders
+const DEFAULT_NODES = ["10", "20", "30", "40"];
 
 /**
  * ARPage2
  * - AR-enabled version of VisualPage2 (singly linked list traversal)
  * - With drag and drop for whole structure
  */
-const ARPage2 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
+const ARPage2 = ({ nodes = DEFAULT_NODES, spacing = 6 }) => {
+  const logARSession = useARSessionLog();
+
   const [selectedNode, setSelectedNode] = useState(null);
-  const [highlightedIndex, setHighlightedIndex] = useState(-1);
+  const trace = useMemo(
+    () => listWalkTrace(nodes, selectedNode ?? 0),
+    [nodes, selectedNode]
+  );
+  const player = useTracePlayer(trace, { stepMs: 500 });
+  // index of the node the walk has reached (-1 before it starts)
+  const highlightedIndex =
+    selectedNode === null ? -1 : player.step.current ?? -1;
 
   // Structure position (whole structure moves together)
   const [structurePos, setStructurePos] = useState([0, 0, -8]);
@@ -37,25 +53,11 @@ const ARPage2 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
     if (r && !nodeRefs.current.includes(r)) nodeRefs.current.push(r);
   };
 
-  // store timers for traversal animation so we can clear them
-  const traversalTimers = useRef([]);
-
-  useEffect(() => {
-    return () => {
-      // cleanup traversal timers on unmount
-      traversalTimers.current.forEach((t) => clearTimeout(t));
-      traversalTimers.current = [];
-    };
-  }, []);
-
   // Drag whole structure
   const onDragStart = () => {
     setIsDragging(true);
     setSelectedNode(null);
-    setHighlightedIndex(-1);
-    // Clear any ongoing traversal
-    traversalTimers.current.forEach((t) => clearTimeout(t));
-    traversalTimers.current = [];
+    player.reset();
   };
 
   const onDragMove = (newPos) => {
@@ -66,50 +68,12 @@ const ARPage2 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
     setIsDragging(false);
   };
 
-  // traversal animation: highlight nodes from 0 to targetIndex
-  const animateTraversal = useCallback(
-    (targetIndex, stepMs = 500, onComplete) => {
-      traversalTimers.current.forEach((t) => clearTimeout(t));
-      traversalTimers.current = [];
-
-      // start from 0
-      setHighlightedIndex(-1);
-      let idx = 0;
-
-      const schedule = () => {
-        const t = setTimeout(() => {
-          setHighlightedIndex(idx);
-          idx++;
-          if (idx <= targetIndex) {
-            schedule();
-          } else {
-            if (typeof onComplete === "function") onComplete();
-          }
-        }, stepMs);
-        traversalTimers.current.push(t);
-      };
-
-      // start immediately for index 0 (so first highlight shows quickly)
-      schedule();
-    },
-    []
-  );
-
-  // generate pseudo code (same style as VisualPage2)
-  const generateCode = (index, value) =>
-    [
-      "📘 Pseudo Code Example:",
-      "",
-      "Head -> Node1 -> Node2 -> ... -> null",
-      `index = ${index}`,
-      "",
-      "currentNode = Head",
-      `for i in range(0, index):`,
-      "    currentNode = currentNode.next",
-      "print('Accessed Node:', currentNode.value)",
-      "",
-      `// Result: ${value}`,
-    ].join("\n");
+  // Walk from the head to a tapped node; tapping the selected node again
+  // deselects it
+  const walkTo = (i) => {
+    setSelectedNode((prev) => (prev === i ? null : i));
+    player.restart();
+  };
 
   // Auto-start AR session if available
   const startAR = (gl) => {
@@ -127,7 +91,7 @@ const ARPage2 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
         })
         .then((session) => {
           if (session) {
-            gl.xr.setSession(session);
+            gl.xr.setSession(logARSession(session));
           }
         })
         .catch((err) => {
@@ -174,10 +138,8 @@ const ARPage2 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
               highlighted={i <= highlightedIndex}
               onClick={() => {
                 if (!isDragging) {
-                  // on normal click (non-AR), animate traversal and set selectedNode after traversal
-                  animateTraversal(i, 500, () =>
-                    setSelectedNode((prev) => (prev === i ? null : i))
-                  );
+                  // on normal click (non-AR), walk from the head to the node
+                  walkTo(i);
                 }
               }}
               ref={(r) => addNodeRef(r)}
@@ -185,13 +147,15 @@ const ARPage2 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
           ))}
 
           {selectedNode !== null && !isDragging && (
-            <group position={[positions[positions.length - 1][0] + 8, 1, 0]}>
-              <FadeText
-                text={generateCode(selectedNode, nodes[selectedNode])}
-                fontSize={0.3}
-                color="#c7d2fe"
-              />
-            </group>
+            <CodeTracePanel
+              algorithm="list-walk"
+              step={player.step}
+              position={[positions[positions.length - 1][0] + 3, 3, 0]}
+            />
+          )}
+
+          {selectedNode !== null && !isDragging && (
+            <TracePlayer3D player={player} position={[0, -2.5, 0]} />
           )}
         </group>
 
@@ -201,11 +165,8 @@ const ARPage2 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
           structureRef={structureRef}
           setSelectedNode={(idx) => {
             if (idx === null || idx === undefined) return;
-            animateTraversal(idx, 500, () =>
-              setSelectedNode((prev) => (prev === idx ? null : idx))
-            );
+            walkTo(idx);
           }}
-          setHighlightedIndex={setHighlightedIndex}
           isDragging={isDragging}
           onDragStart={onDragStart}
           onDragMove={onDragMove}
@@ -222,7 +183,6 @@ const ARInteractionManager = ({
   nodeRefs, 
   structureRef,
   setSelectedNode, 
-  setHighlightedIndex,
   isDragging,
   onDragStart,
   onDragMove,
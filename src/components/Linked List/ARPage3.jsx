@@ -3,21 +3,37 @@ import React, {
   useState,
   useRef,
   useEffect,
-  useCallback,
   forwardRef,
 } from "react";
 import { Canvas, useThree, useFrame } from "@react-three/fiber";
 import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { listWalkTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer3D from "../common/TracePlayer3D";
+
+// Default list; a constant so the recorded trace is kept between renders
+const DEFAULT_NODES = ["10", "20", "30", "40"];
 
 /**
  * ARPage3
  * - Doubly Linked List visualization in AR
  * - With drag and drop for whole structure
  */
-const ARPage3 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
+const ARPage3 = ({ nodes = DEFAULT_NODES, spacing = 6 }) => {
+  const logARSession = useARSessionLog();
+
   const [selectedNode, setSelectedNode] = useState(null);
-  const [highlightedIndex, setHighlightedIndex] = useState(-1);
+  const trace = useMemo(
+    () => listWalkTrace(nodes, selectedNode ?? 0),
+    [nodes, selectedNode]
+  );
+  const player = useTracePlayer(trace, { stepMs: 500 });
+  // index of the node the walk has reached (-1 before it starts)
+  const highlightedIndex =
+    selectedNode === null ? -1 : player.step.current ?? -1;
 
   // Structure position (whole structure moves together)
   const [structurePos, setStructurePos] = useState([0, 0, -8]);
@@ -35,23 +51,11 @@ const ARPage3 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
     if (r && !nodeRefs.current.includes(r)) nodeRefs.current.push(r);
   };
 
-  const traversalTimers = useRef([]);
-
-  useEffect(() => {
-    return () => {
-      traversalTimers.current.forEach((t) => clearTimeout(t));
-      traversalTimers.current = [];
-    };
-  }, []);
-
   // Drag whole structure
   const onDragStart = () => {
     setIsDragging(true);
     setSelectedNode(null);
-    setHighlightedIndex(-1);
-    // Clear any ongoing traversal
-    traversalTimers.current.forEach((t) => clearTimeout(t));
-    traversalTimers.current = [];
+    player.reset();
   };
 
   const onDragMove = (newPos) => {
@@ -62,40 +66,12 @@ const ARPage3 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
     setIsDragging(false);
   };
 
-  const animateTraversal = useCallback(
-    (targetIndex, stepMs = 500, onComplete) => {
-      traversalTimers.current.forEach((t) => clearTimeout(t));
-      traversalTimers.current = [];
-      setHighlightedIndex(-1);
-      let idx = 0;
-      const schedule = () => {
-        const t = setTimeout(() => {
-          setHighlightedIndex(idx);
-          idx++;
-          if (idx <= targetIndex) schedule();
-          else if (onComplete) onComplete();
-        }, stepMs);
-        traversalTimers.current.push(t);
-      };
-      schedule();
-    },
-    []
-  );
-
-  const generateCode = (index, value) =>
-    [
-      "📘 Pseudo Code Example:",
-      "",
-      "Head <-> Node1 <-> Node2 <-> ... <-> Tail",
-      `index = ${index}`,
-      "",
-      "currentNode = Head",
-      `for i in range(0, index):`,
-      "    currentNode = currentNode.next",
-      "print('Accessed Node:', currentNode.value)",
-      "",
-      `// Result: ${value}`,
-    ].join("\n");
+  // Walk from the head to a tapped node; tapping the selected node again
+  // deselects it
+  const walkTo = (i) => {
+    setSelectedNode((prev) => (prev === i ? null : i));
+    player.restart();
+  };
 
   const startAR = (gl) => {
     if (navigator.xr && navigator.xr.isSessionSupported) {
@@ -110,7 +86,7 @@ const ARPage3 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
           return null;
         })
         .then((session) => {
-          if (session) gl.xr.setSession(session);
+          if (session) gl.xr.setSession(logARSession(session));
         })
         .catch((err) => console.warn("AR session start failed:", err));
     }
@@ -155,9 +131,7 @@ const ARPage3 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
               highlighted={i <= highlightedIndex}
               onClick={() => {
                 if (!isDragging) {
-                  animateTraversal(i, 500, () =>
-                    setSelectedNode((prev) => (prev === i ? null : i))
-                  );
+                  walkTo(i);
                 }
               }}
               ref={(r) => addNodeRef(r)}
@@ -165,13 +139,15 @@ const ARPage3 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
           ))}
 
           {selectedNode !== null && !isDragging && (
-            <group position={[positions[positions.length - 1][0] + 8, 1, 0]}>
-              <FadeText
-                text={generateCode(selectedNode, nodes[selectedNode])}
-                fontSize={0.3}
-                color="#c7d2fe"
-              />
-            </group>
+            <CodeTracePanel
+              algorithm="list-walk"
+              step={player.step}
+              position={[positions[positions.length - 1][0] + 3, 3, 0]}
+            />
+          )}
+
+          {selectedNode !== null && !isDragging && (
+            <TracePlayer3D player={player} position={[0, -2.5, 0]} />
           )}
         </group>
 
@@ -179,9 +155,7 @@ const ARPage3 = ({ nodes = ["10", "20", "30", "40"], spacing = 6 }) => {
           nodeRefs={nodeRefs}
           structureRef={structureRef}
           onNodeSelect={(idx) => {
-            animateTraversal(idx, 500, () =>
-              setSelectedNode((prev) => (prev === idx ? null : idx))
-            );
+            walkTo(idx);
           }}
           isDragging={isDragging}
           onDragStart={onDragStart}
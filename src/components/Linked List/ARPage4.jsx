@@ -3,16 +3,32 @@ import React, {
   useMemo,
   useState,
   useEffect,
-  useCallback,
   forwardRef,
 } from "react";
 import { Canvas, useThree, useFrame } from "@react-three/fiber";
 import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { listWalkTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer3D from "../common/TracePlayer3D";
+
+// Default list; a constant so the recorded trace is kept between renders
+const DEFAULT_NODES = ["A", "B", "C", "D", "E", "F"];
+
+const ARPage4 = ({ nodes = DEFAULT_NODES, radius = 8 }) => {
+  const logARSession = useARSessionLog();
 
-const ARPage4 = ({ nodes = ["A", "B", "C", "D", "E", "F"], radius = 8 }) => {
   const [selectedNode, setSelectedNode] = useState(null);
-  const [traversalProgress, setTraversalProgress] = useState(-1);
+  const trace = useMemo(
+    () => listWalkTrace(nodes, selectedNode ?? 0),
+    [nodes, selectedNode]
+  );
+  const player = useTracePlayer(trace, { stepMs: 600 });
+  // index of the node the walk has reached (-1 before it starts)
+  const traversalProgress =
+    selectedNode === null ? -1 : player.step.current ?? -1;
 
   // Structure position (whole structure moves together)
   const [structurePos, setStructurePos] = useState([0, -3, -20]);
@@ -34,22 +50,11 @@ const ARPage4 = ({ nodes = ["A", "B", "C", "D", "E", "F"], radius = 8 }) => {
     if (!nodeRefs.current.includes(r)) nodeRefs.current.push(r);
   };
 
-  const traversalTimers = useRef([]);
-  useEffect(() => {
-    return () => {
-      traversalTimers.current.forEach((t) => clearTimeout(t));
-      traversalTimers.current = [];
-    };
-  }, []);
-
   // Drag whole structure
   const onDragStart = () => {
     setIsDragging(true);
     setSelectedNode(null);
-    setTraversalProgress(-1);
-    // Clear any ongoing traversal
-    traversalTimers.current.forEach((t) => clearTimeout(t));
-    traversalTimers.current = [];
+    player.reset();
   };
 
   const onDragMove = (newPos) => {
@@ -60,57 +65,19 @@ const ARPage4 = ({ nodes = ["A", "B", "C", "D", "E", "F"], radius = 8 }) => {
     setIsDragging(false);
   };
 
-  const animateTraversal = useCallback(
-    (targetIndex, stepMs = 600, onComplete) => {
-      traversalTimers.current.forEach((t) => clearTimeout(t));
-      traversalTimers.current = [];
-      setTraversalProgress(-1);
-      let idx = 0;
-      const schedule = () => {
-        const t = setTimeout(() => {
-          setTraversalProgress(idx);
-          idx++;
-          if (idx <= targetIndex) schedule();
-          else {
-            if (onComplete) onComplete();
-          }
-        }, stepMs);
-        traversalTimers.current.push(t);
-      };
-      schedule();
-    },
-    []
-  );
+  // Walk from the head to a tapped node; tapping the selected node again
+  // deselects it
+  const walkTo = (i) => {
+    setSelectedNode((prev) => (prev === i ? null : i));
+    player.restart();
+  };
 
   const handleNodeClick = (i) => {
     if (!isDragging) {
-      animateTraversal(i, 600, () =>
-        setSelectedNode((prev) => (prev === i ? null : i))
-      );
+      walkTo(i);
     }
   };
 
-  const generateCode = (index, value) =>
-    [
-      "📘 Pseudo Code Example (Circular Linked List):",
-      "",
-      "// Initialize circular linked list",
-      "Head -> Node1 -> Node2 -> ... -> NodeN -> Head",
-      "",
-      `targetIndex = ${index}`,
-      "currentNode = Head",
-      "i = 0",
-      "",
-      "// Traverse until target node",
-      "while i < targetIndex:",
-      "    currentNode = currentNode.next",
-      "    i += 1",
-      "",
-      "print('Accessed Node:', currentNode.value)",
-      "",
-      `// Result: ${value}`,
-    ].join("\n");
-
   const startAR = (gl) => {
     if (navigator.xr && navigator.xr.isSessionSupported) {
       navigator.xr
@@ -123,7 +90,7 @@ const ARPage4 = ({ nodes = ["A", "B", "C", "D", "E", "F"], radius = 8 }) => {
           return null;
         })
         .then((session) => {
-          if (session) gl.xr.setSession(session);
+          if (session) gl.xr.setSession(logARSession(session));
         })
         .catch((err) => console.warn("AR session start failed:", err));
     }
@@ -167,13 +134,15 @@ const ARPage4 = ({ nodes = ["A", "B", "C", "D", "E", "F"], radius = 8 }) => {
           />
 
           {selectedNode !== null && !isDragging && (
-            <group position={[radius + 6, 1, 0]}>
-              <FadeText
-                text={generateCode(selectedNode, nodes[selectedNode])}
-                fontSize={0.3}
-                color="#c7d2fe"
-              />
-            </group>
+            <CodeTracePanel
+              algorithm="list-walk"
+              step={player.step}
+              position={[radius + 2, 3, 0]}
+            />
+          )}
+
+          {selectedNode !== null && !isDragging && (
+            <TracePlayer3D player={player} position={[0, -2, radius]} />
           )}
         </group>
 
@@ -181,9 +150,7 @@ const ARPage4 = ({ nodes = ["A", "B", "C", "D", "E", "F"], radius = 8 }) => {
           nodeRefs={nodeRefs}
           structureRef={structureRef}
           onNodeSelect={(idx) =>
-            animateTraversal(idx, 600, () =>
-              setSelectedNode((prev) => (prev === idx ? null : idx))
-            )
+            walkTo(idx)
           }
           isDragging={isDragging}
           onDragStart={onDragStart}
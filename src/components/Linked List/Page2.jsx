@@ -1,17 +1,31 @@
-import React from "react";
+import React, { useState } from "react";
 import VisualPage2 from "./VisualPage2";
 import ARButton2 from "./ARButton2";
 import LinkedListPage02 from "./Contents/LinkedListPage02";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_NODES = EXAMPLE_INPUTS.linkedList.singly;
 
 const Page1 = () => {
+  const [nodes, setNodes] = useState(DEFAULT_NODES);
+
   return (
     <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
-      <ARButton2 />
+      <ARButton2 nodes={nodes} />
 
       <LinkedListPage02 />
 
+      <InputDataPanel
+        kind="values"
+        value={nodes}
+        onChange={setNodes}
+        defaultValue={DEFAULT_NODES}
+      />
+
       <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
-        <VisualPage2 />
+        {/* new input clears the picked node */}
+        <VisualPage2 key={nodes.join()} nodes={nodes} />
       </div>
     </div>
   );
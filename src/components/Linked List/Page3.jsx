@@ -1,17 +1,31 @@
-import React from "react";
+import React, { useState } from "react";
 import ARButton3 from "./ARButton3";
 import LinkedListPage03 from "./Contents/LinkedListPage03";
 import VisualPage3 from "./VisualPage3";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_NODES = EXAMPLE_INPUTS.linkedList.doubly;
 
 const Page3 = () => {
+  const [nodes, setNodes] = useState(DEFAULT_NODES);
+
   return (
     <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
-      <ARButton3 />
+      <ARButton3 nodes={nodes} />
 
       <LinkedListPage03 />
 
+      <InputDataPanel
+        kind="values"
+        value={nodes}
+        onChange={setNodes}
+        defaultValue={DEFAULT_NODES}
+      />
+
       <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
-        <VisualPage3 />
+        {/* new input clears the picked node */}
+        <VisualPage3 key={nodes.join()} nodes={nodes} />
       </div>
     </div>
   );
@@ -1,17 +1,31 @@
-import React from "react";
+import React, { useState } from "react";
 import VisualPage4 from "./VisualPage4";
 import ARButton4 from "./ARButton4";
 import LinkedListPage04 from "./Contents/LinkedListPage04";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_NODES = EXAMPLE_INPUTS.linkedList.circular;
 
 const Page4 = () => {
+  const [nodes, setNodes] = useState(DEFAULT_NODES);
+
   return (
     <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
-      <ARButton4 />
+      <ARButton4 nodes={nodes} />
 
       <LinkedListPage04 />
 
+      <InputDataPanel
+        kind="values"
+        value={nodes}
+        onChange={setNodes}
+        defaultValue={DEFAULT_NODES}
+      />
+
       <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
-        <VisualPage4 />
+        {/* new input clears the picked node */}
+        <VisualPage4 key={nodes.join()} nodes={nodes} />
       </div>
     </div>
   );
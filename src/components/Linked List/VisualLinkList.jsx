@@ -1,6 +1,9 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useMemo } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { linearSearchTrace } from "../../utils/traces";
+import TracePlayer from "../common/TracePlayer";
 
 // ----- Node and Linked List Classes -----
 class Node {
@@ -34,16 +37,6 @@ class SinglyLinkedList {
     }
     return result;
   }
-  async search(value, callback) {
-    let current = this.head;
-    while (current) {
-      callback(current.value);
-      await new Promise((res) => setTimeout(res, 500));
-      if (current.value === value) return current;
-      current = current.next;
-    }
-    return null;
-  }
 }
 
 class DoublyLinkedList extends SinglyLinkedList {
@@ -135,9 +128,15 @@ const Link3D = ({ start, end }) => {
 const VisualLinkList = () => {
   const [listType, setListType] = useState("Singly");
   const [values, setValues] = useState([]);
-  const [list, setList] = useState(new SinglyLinkedList());
   const [searchValue, setSearchValue] = useState(null);
-  const [highlightValue, setHighlightValue] = useState(null);
+  // value searched for; the search walks the nodes from the head
+  const [target, setTarget] = useState(null);
+  const trace = useMemo(
+    () => linearSearchTrace(values, target),
+    [values, target]
+  );
+  const player = useTracePlayer(trace, { stepMs: 500 });
+  const highlightIndex = target === null ? null : player.step.current;
   const [isPortrait, setIsPortrait] = useState(
     window.innerHeight > window.innerWidth
   );
@@ -172,9 +171,8 @@ const VisualLinkList = () => {
       const randomValue = Math.floor(Math.random() * 100) + 1;
       newList.append(randomValue);
     }
-    setList(newList);
     setValues(newList.toArray());
-    setHighlightValue(null);
+    setTarget(null);
   };
 
   const handleListTypeChange = (type) => {
@@ -182,9 +180,10 @@ const VisualLinkList = () => {
     generateRandomList(type);
   };
 
-  const handleSearch = async () => {
+  const handleSearch = () => {
     if (!searchValue) return;
-    await list.search(parseInt(searchValue), setHighlightValue);
+    setTarget(parseInt(searchValue));
+    player.restart();
   };
 
   // === Portrait mode check ===
@@ -234,7 +233,7 @@ const VisualLinkList = () => {
       </div>
 
       {/* Three.js Canvas */}
-      <div className="flex-grow">
+      <div className="flex-grow relative">
         <Canvas camera={{ position: [0, 10, 20], fov: 50 }}>
           <ambientLight intensity={0.5} />
           <directionalLight position={[5, 10, 5]} intensity={1} />
@@ -245,7 +244,7 @@ const VisualLinkList = () => {
             <Node3D
               key={idx}
               value={val}
-              highlight={highlightValue === val}
+              highlight={highlightIndex === idx}
               label={
                 idx === 0
                   ? `head/${idx}`
@@ -266,6 +265,8 @@ const VisualLinkList = () => {
             ) : null
           )}
         </Canvas>
+
+        {target !== null && <TracePlayer player={player} />}
       </div>
     </div>
   );
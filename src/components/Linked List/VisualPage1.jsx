@@ -2,8 +2,11 @@ import React, { useRef, useState, useMemo } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useVisualizationRun } from "../../services/useModulePage";
 
 const VisualPage1 = ({ nodes = ["A", "B", "C"] }) => {
+  const markRun = useVisualizationRun();
+
   const spacing = 6.3;
   const [selectedNode, setSelectedNode] = useState(null);
 
@@ -12,8 +15,10 @@ const VisualPage1 = ({ nodes = ["A", "B", "C"] }) => {
     return nodes.map((_, i) => [(i - mid) * spacing, 0, 0]);
   }, [nodes, spacing]);
 
-  const handleNodeClick = (i) =>
+  const handleNodeClick = (i) => {
+    markRun("node-click");
     setSelectedNode((prev) => (prev === i ? null : i));
+  };
 
   // Detailed but short pseudo code
   const generateCode = (index, value) => {
@@ -2,47 +2,43 @@ import React, { useRef, useState, useMemo, useEffect } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useVisualizationRun } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { listWalkTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer from "../common/TracePlayer";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_NODES = EXAMPLE_INPUTS.linkedList.singly;
+
+const VisualPage2 = ({ nodes = DEFAULT_NODES }) => {
+  const markRun = useVisualizationRun();
 
-const VisualPage2 = ({ nodes = ["10", "20", "30", "40"] }) => {
   const spacing = 6;
   const [selectedNode, setSelectedNode] = useState(null);
-  const [highlightedIndex, setHighlightedIndex] = useState(-1);
+  const trace = useMemo(
+    () => listWalkTrace(nodes, selectedNode ?? 0),
+    [nodes, selectedNode]
+  );
+  const player = useTracePlayer(trace, { stepMs: 500 });
+  // index of the node the walk has reached (-1 before it starts)
+  const highlightedIndex =
+    selectedNode === null ? -1 : player.step.current ?? -1;
 
   const positions = useMemo(() => {
     const mid = (nodes.length - 1) / 2;
     return nodes.map((_, i) => [(i - mid) * spacing, 0, 0]);
   }, [nodes, spacing]);
 
+  // Walk from the head to the clicked node
   const handleNodeClick = (i) => {
+    markRun("node-click");
     setSelectedNode(i);
-    setHighlightedIndex(-1);
-
-    // Animate traversal from head to clicked node
-    let index = 0;
-    const interval = setInterval(() => {
-      setHighlightedIndex(index);
-      index++;
-      if (index > i) clearInterval(interval);
-    }, 500);
+    player.restart();
   };
 
-  const generateCode = (index, value) =>
-    [
-      "📘 Pseudo Code Example:",
-      "",
-      "Head -> Node1 -> Node2 -> ... -> null",
-      `index = ${index}`,
-      "",
-      "currentNode = Head",
-      `for i in range(0, index):`,
-      "    currentNode = currentNode.next",
-      "print('Accessed Node:', currentNode.value)",
-      "",
-      `// Result: ${value}`,
-    ].join("\n");
-
   return (
-    <div className="w-full h-[300px] flex items-center justify-center">
+    <div className="w-full h-[300px] flex items-center justify-center relative">
       <Canvas camera={{ position: [0, 5, 18], fov: 50 }}>
         <ambientLight intensity={0.4} />
         <directionalLight position={[5, 10, 5]} intensity={0.8} />
@@ -70,17 +66,19 @@ const VisualPage2 = ({ nodes = ["10", "20", "30", "40"] }) => {
         />
 
         {selectedNode !== null && (
-          <group position={[positions[positions.length - 1][0] + 8, 1, 0]}>
-            <FadeText
-              text={generateCode(selectedNode, nodes[selectedNode])}
-              fontSize={0.3}
-              color="#c7d2fe"
-            />
-          </group>
+          <CodeTracePanel
+            algorithm="list-walk"
+            step={player.step}
+            position={[positions[positions.length - 1][0] + 3, 3, 0]}
+          />
         )}
 
         <OrbitControls makeDefault />
       </Canvas>
+
+      {selectedNode !== null && (
+        <TracePlayer player={player} onPlay={() => markRun("node-click")} />
+      )}
     </div>
   );
 };
@@ -2,11 +2,28 @@ import React, { useRef, useState, useMemo, useEffect } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useVisualizationRun } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { listWalkTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer from "../common/TracePlayer";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_NODES = EXAMPLE_INPUTS.linkedList.circular;
+
+const VisualPage4 = ({ nodes = DEFAULT_NODES }) => {
+  const markRun = useVisualizationRun();
 
-const VisualPage4 = ({ nodes = ["A", "B", "C", "D", "E", "F"] }) => {
   const radius = 8;
   const [selectedNode, setSelectedNode] = useState(null);
-  const [traversalProgress, setTraversalProgress] = useState(-1);
+  const trace = useMemo(
+    () => listWalkTrace(nodes, selectedNode ?? 0),
+    [nodes, selectedNode]
+  );
+  const player = useTracePlayer(trace, { stepMs: 800 });
+  // index of the node the walk has reached (-1 before it starts)
+  const traversalProgress =
+    selectedNode === null ? -1 : player.step.current ?? -1;
 
   // Compute circular positions (horizontal spread)
   const positions = useMemo(() => {
@@ -18,42 +35,15 @@ const VisualPage4 = ({ nodes = ["A", "B", "C", "D", "E", "F"] }) => {
   }, [nodes, radius]);
 
 
+  // Walk from the head to the clicked node
   const handleNodeClick = (i) => {
+    markRun("node-click");
     setSelectedNode(i);
-    setTraversalProgress(-1);
-
-    // Animate traversal along nodes in circular order
-    let index = 0;
-    const interval = setInterval(() => {
-      setTraversalProgress(index);
-      index++;
-      if (index > i) clearInterval(interval);
-    }, 800);
+    player.restart();
   };
 
-  const generateCode = (index, value) =>
-    [
-      "📘 Pseudo Code Example (Circular Linked List):",
-      "",
-      "// Initialize circular linked list",
-      "Head -> Node1 -> Node2 -> ... -> NodeN -> Head",
-      "",
-      `targetIndex = ${index}`,
-      "currentNode = Head",
-      "i = 0",
-      "",
-      "// Traverse until target node",
-      "while i < targetIndex:",
-      "    currentNode = currentNode.next",
-      "    i += 1",
-      "",
-      "print('Accessed Node:', currentNode.value)",
-      "",
-      `// Result: ${value}`,
-    ].join("\n");
-
   return (
-    <div className="w-full h-[300px] flex items-center justify-center">
+    <div className="w-full h-[300px] flex items-center justify-center relative">
       <Canvas camera={{ position: [0, 12, 18], fov: 50 }}>
         <ambientLight intensity={0.4} />
         <directionalLight position={[5, 10, 5]} intensity={0.8} />
@@ -80,17 +70,19 @@ const VisualPage4 = ({ nodes = ["A", "B", "C", "D", "E", "F"] }) => {
         />
 
         {selectedNode !== null && (
-          <group position={[radius + 5, 1, 0]}>
-            <FadeText
-              text={generateCode(selectedNode, nodes[selectedNode])}
-              fontSize={0.3}
-              color="#c7d2fe"
-            />
-          </group>
+          <CodeTracePanel
+            algorithm="list-walk"
+            step={player.step}
+            position={[radius + 2, 3, 0]}
+          />
         )}
 
         <OrbitControls makeDefault />
       </Canvas>
+
+      {selectedNode !== null && (
+        <TracePlayer player={player} onPlay={() => markRun("node-click")} />
+      )}
     </div>
   );
 };
@@ -1,7 +1,7 @@
 import React from "react";
 import { ArrowLeft } from "lucide-react";
 import { useNavigate, useLocation } from "react-router-dom";
-import moduleConfig from "../config/modules";
+import { getManifest } from "../config/modules";
 
 const ModuleHeader = () => {
   const navigate = useNavigate();
@@ -11,7 +11,8 @@ const ModuleHeader = () => {
   const pathParts = location.pathname.split("/");
   const moduleId = pathParts[2]; // index 2 = module name
 
-  const title = moduleConfig[moduleId] || "Module";
+  const manifest = getManifest(moduleId);
+  const title = manifest?.shortTitle || manifest?.title || "Module";
 
   return (
     <div className="sticky top-0 z-10">
@@ -3,14 +3,14 @@ import { useNavigate, useLocation } from "react-router-dom";
 import { X, Lock, CheckCircle, Clock } from "lucide-react";
 import {
   loadProgress,
-  finishModule,
   isUnlocked,
+  lockedMessage,
+  missingPrerequisites,
 } from "../services/moduleService";
-
-function normalizeRouteKey(route) {
-  if (!route) return "";
-  return route.replace(/^\/modules\//, "").replace(/^\//, "");
-}
+import { normalizeRouteKey } from "../services/progressStore";
+import TeacherOverride from "./TeacherOverride";
+import TeacherExamMode from "./TeacherExamMode";
+import VerifyCertificate from "./VerifyCertificate";
 
 const ModulesContent = () => {
   const navigate = useNavigate();
@@ -24,36 +24,42 @@ const ModulesContent = () => {
     setModulesData(loadProgress());
   }, []);
 
-  // Update finished module based on route
+  // Redirected here after opening a locked module by URL
   useEffect(() => {
-    if (location.state?.route && modulesData.length > 0) {
-      const key = normalizeRouteKey(location.state.route);
-      const moduleIndex = modulesData.findIndex(
-        (m) => normalizeRouteKey(m.route) === key
-      );
+    const locked = location.state?.lockedModule;
+    if (!locked || modulesData.length === 0) return;
 
-      if (moduleIndex !== -1 && modulesData[moduleIndex].progress < 100) {
-        const updated = finishModule(modulesData, moduleIndex);
-        setModulesData(updated);
-      }
+    const index = modulesData.findIndex(
+      (m) => normalizeRouteKey(m.route) === locked
+    );
+    if (index !== -1 && !isUnlocked(modulesData, index)) {
+      setErrorMessage(lockedMessage(modulesData, index));
+      setShowError(true);
+      const timer = setTimeout(() => setShowError(false), 3000);
+      return () => clearTimeout(timer);
     }
   }, [location.state, modulesData]);
 
   const handleClick = (module, index) => {
     if (isUnlocked(modulesData, index)) {
-      navigate(module.route, { state: { route: module.route } });
+      navigate(module.route);
     } else {
-      setErrorMessage(
-        `⚠️ You need to finish "${modulesData[index - 1].title}" first.`
-      );
+      setErrorMessage(lockedMessage(modulesData, index));
       setShowError(true);
       setTimeout(() => setShowError(false), 3000);
     }
   };
 
   const getStatus = (module, index) => {
-    if (!isUnlocked(modulesData, index)) return null;
-    if (module.progress === 100) {
+    if (!isUnlocked(modulesData, index)) {
+      const missing = missingPrerequisites(modulesData, index);
+      return (
+        <span className="text-left text-xs text-gray-500">
+          Needs: {missing.map((m) => m.shortTitle || m.title).join(", ")}
+        </span>
+      );
+    }
+    if (module.complete) {
       return (
         <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-green-100 text-green-600 text-xs font-semibold">
           <CheckCircle className="w-3 h-3" /> Done
@@ -62,7 +68,7 @@ const ModulesContent = () => {
     }
     return (
       <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-600 text-xs font-medium">
-        <Clock className="w-3 h-3" /> In Progress
+        <Clock className="w-3 h-3" /> In Progress · {module.progress}%
       </span>
     );
   };
@@ -81,6 +87,10 @@ const ModulesContent = () => {
       )}
 
       <div className="bg-base-200 rounded-2xl shadow-md h-[calc(100vh-6.5rem)] overflow-y-auto p-5">
+        {/* re-read progress so cards pick up the new lock state */}
+        <TeacherOverride onChange={() => setModulesData(loadProgress())} />
+        <TeacherExamMode />
+        <VerifyCertificate />
         <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-5">
           {modulesData.map((module, index) => (
             <button
@@ -1,11 +1,15 @@
 import React, { useState } from "react";
 import { Save } from "lucide-react";
 import { useNavigate } from "react-router-dom";
+import {
+  getCurrentAccount,
+  updateAccount,
+} from "../services/accountService";
 
 const PersonalContent = () => {
   const navigate = useNavigate();
 
-  const storedUser = JSON.parse(localStorage.getItem("user")) || {
+  const storedUser = getCurrentAccount() || {
     username: "User's Name",
     email: "user123@gmail.com",
     avatar: null,
@@ -35,14 +39,11 @@ const PersonalContent = () => {
   const handleConfirmSave = () => {
     setShowSaveModal(false);
 
-    const updatedUser = {
-      ...storedUser,
+    const updatedUser = updateAccount(storedUser.id, {
       username: name,
-      email: email,
       avatar: avatar,
-    };
+    });
 
-    localStorage.setItem("user", JSON.stringify(updatedUser));
     console.log("Information saved:", updatedUser);
     navigate("/settings");
   };
@@ -1,25 +1,32 @@
 // ProgressCard.jsx
 import React, { useEffect, useState } from "react";
 import { CircleCheck, PlaySquare } from "lucide-react";
-import modulesConfig from "../config/modulesConfig";
+import modulesConfig from "../config/modules";
+import { loadProgress } from "../services/moduleService";
+import { getAssessmentSummary } from "../services/analyticsService";
+import ReviewTopics from "./common/ReviewTopics";
 
 const ProgressCard = () => {
   const [progress, setProgress] = useState(0);
   const [completedModules, setCompletedModules] = useState(0);
+  const [assessments, setAssessments] = useState({
+    passed: 0,
+    total: 0,
+    attempts: 0,
+    averageScore: null,
+  });
 
   const totalModules = modulesConfig.length;
 
   useEffect(() => {
-    const storedProgress =
-      JSON.parse(localStorage.getItem("moduleProgress")) || {};
-
-    const values = modulesConfig.map((m) => storedProgress[m.route] ?? 0);
-    const totalProgress = values.reduce((sum, val) => sum + val, 0);
+    const modules = loadProgress();
+    const totalProgress = modules.reduce((sum, m) => sum + m.progress, 0);
     const averageProgress = totalProgress / totalModules;
-    const finishedCount = values.filter((val) => val === 100).length;
+    const finishedCount = modules.filter((m) => m.complete).length;
 
     setProgress(Math.round(averageProgress));
     setCompletedModules(finishedCount);
+    setAssessments(getAssessmentSummary());
   }, []);
 
   return (
@@ -62,9 +69,20 @@ const ProgressCard = () => {
         <div className="flex flex-col items-center hover:scale-105 transition-transform">
           <CircleCheck className="w-7 h-7 text-primary mb-1" />
           <span>Assessment</span>
-          <span className="text-xs text-gray-500">- / -</span>
+          <span className="text-xs text-gray-500">
+            {assessments.passed} / {assessments.total} passed
+          </span>
+          <span className="text-xs text-gray-500">
+            {assessments.attempts
+              ? `${assessments.attempts} attempt${
+                  assessments.attempts === 1 ? "" : "s"
+                } · avg ${assessments.averageScore}%`
+              : "No attempts yet"}
+          </span>
         </div>
       </div>
+
+      <ReviewTopics className="mt-5" />
     </div>
   );
 };
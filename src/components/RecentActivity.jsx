@@ -1,11 +1,55 @@
 import React, { useEffect, useState } from "react";
-import { BookOpen } from "lucide-react";
-import modulesConfig from "../config/modulesConfig";
+import {
+  BookOpen,
+  CircleCheck,
+  CircleX,
+  FileText,
+  MousePointerClick,
+  Scan,
+  Target,
+  Timer,
+} from "lucide-react";
+import {
+  getTimeline,
+  formatDuration,
+  toDateKey,
+} from "../services/activityService";
+import { EVENT_TYPES } from "../services/eventLogService";
+
+const KindIcon = ({ item }) => {
+  const className = "w-4 h-4";
+  switch (item.kind) {
+    case EVENT_TYPES.PAGE_EXIT:
+      return <FileText className={`${className} text-primary`} />;
+    case EVENT_TYPES.VISUALIZATION:
+      return <MousePointerClick className={`${className} text-primary`} />;
+    case EVENT_TYPES.AR_SESSION_END:
+      return <Scan className={`${className} text-primary`} />;
+    case EVENT_TYPES.ASSESSMENT_ANSWER:
+      return item.correct ? (
+        <CircleCheck className={`${className} text-green-500`} />
+      ) : (
+        <CircleX className={`${className} text-red-500`} />
+      );
+    case EVENT_TYPES.PRACTICE_COMPLETE:
+      return (
+        <Target
+          className={`${className} ${
+            item.correct ? "text-green-500" : "text-primary"
+          }`}
+        />
+      );
+    case EVENT_TYPES.EXAM_SUBMIT:
+      return <Timer className={`${className} text-primary`} />;
+    default:
+      return <BookOpen className={`${className} text-primary`} />;
+  }
+};
 
 const RecentActivity = () => {
-  const [activities, setActivities] = useState([]);
+  const [timeline, setTimeline] = useState([]);
 
-  const todayKey = new Date().toISOString().split("T")[0];
+  const todayKey = toDateKey();
   const currentDate = new Date().toLocaleDateString("en-US", {
     month: "long",
     day: "numeric",
@@ -13,16 +57,9 @@ const RecentActivity = () => {
   });
 
   useEffect(() => {
-    const stored = JSON.parse(localStorage.getItem("recentActivities")) || [];
-    const todayActivities = stored.filter((a) => a.date === todayKey);
-    setActivities(todayActivities);
+    setTimeline(getTimeline(todayKey));
   }, [todayKey]);
 
-  const getModuleImage = (title) => {
-    const module = modulesConfig.find((m) => m.title === title);
-    return module ? module.image : null;
-  };
-
   return (
     <div className="bg-base-200 p-5 rounded-2xl shadow-lg mt-6">
       <div className="flex justify-between items-center mb-4">
@@ -31,34 +68,47 @@ const RecentActivity = () => {
       </div>
       <div className="h-px bg-gradient-to-r from-primary/40 to-transparent mb-3"></div>
 
-      {activities.length > 0 ? (
-        <ul className="space-y-2">
-          {activities.map((act, idx) => {
-            const moduleImage = getModuleImage(act.moduleTitle);
-            return (
-              <li
-                key={idx}
-                className="flex items-center gap-3 p-3 rounded-lg hover:bg-base-300 transition"
-              >
-                {moduleImage ? (
-                  <img
-                    src={moduleImage}
-                    alt={act.moduleTitle}
-                    className="w-10 h-10 object-cover rounded-lg"
-                  />
-                ) : (
-                  <BookOpen className="w-8 h-8 text-primary" />
-                )}
+      {timeline.length > 0 ? (
+        <ul className="space-y-1">
+          {timeline.map((item, idx) => (
+            <li
+              key={`${item.at}-${idx}`}
+              className="flex items-center gap-3 p-2 rounded-lg hover:bg-base-300 transition"
+            >
+              {item.image ? (
+                <img
+                  src={item.image}
+                  alt={item.moduleTitle}
+                  className="w-10 h-10 object-cover rounded-lg"
+                />
+              ) : (
+                <BookOpen className="w-8 h-8 text-primary" />
+              )}
 
-                <div className="flex flex-col flex-1">
-                  <span className="text-sm font-medium">{act.moduleTitle}</span>
-                  {act.time && (
-                    <span className="text-xs text-gray-500">{act.time}</span>
+              <div className="flex flex-col flex-1 min-w-0">
+                <span className="text-sm font-medium flex items-center gap-1">
+                  <KindIcon item={item} />
+                  <span className="truncate">{item.label}</span>
+                  {item.action && (
+                    <span className="badge badge-ghost badge-sm">
+                      {item.action}
+                      {item.count > 1 && ` ×${item.count}`}
+                    </span>
                   )}
-                </div>
-              </li>
-            );
-          })}
+                </span>
+                <span className="text-xs text-gray-500 truncate">
+                  {item.moduleTitle}
+                </span>
+              </div>
+
+              <div className="flex flex-col items-end text-xs text-gray-500">
+                <span>{item.time}</span>
+                {item.durationMs !== null && (
+                  <span>{formatDuration(item.durationMs)}</span>
+                )}
+              </div>
+            </li>
+          ))}
         </ul>
       ) : (
         <div className="flex flex-col items-center justify-center py-10 text-gray-400">
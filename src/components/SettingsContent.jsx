@@ -1,24 +1,209 @@
-import React, { useState } from "react";
+import React, { useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import SettingsPersonalNav from "./SettingsPersonalNav";
-import { Palette, Shield, HelpCircle, LogOut, Trash2 } from "lucide-react";
+import {
+  changePassword,
+  deleteAccount,
+  logOut,
+} from "../services/authService";
+import {
+  exportLearningRecord,
+  findConflicts,
+  importLearningRecord,
+  learningRecordFileName,
+  readLearningRecord,
+} from "../services/learningRecordService";
+import { hasTeacherPin, setTeacherPin } from "../services/teacherService";
+import {
+  Palette,
+  Shield,
+  HelpCircle,
+  LogOut,
+  Trash2,
+  KeyRound,
+  ArrowDownUp,
+  Download,
+  Upload,
+  GraduationCap,
+} from "lucide-react";
 
 const SettingsContent = () => {
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [isLogoutModalOpen, setIsLogoutModalOpen] = useState(false);
+  const [isPasswordModalOpen, setIsPasswordModalOpen] = useState(false);
   const navigate = useNavigate();
 
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [deletePassword, setDeletePassword] = useState("");
+  const [formError, setFormError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [passwordChanged, setPasswordChanged] = useState(false);
+
+  // Learning record export / import
+  const [isExportModalOpen, setIsExportModalOpen] = useState(false);
+  const [recordPassword, setRecordPassword] = useState("");
+  const [importBundle, setImportBundle] = useState(null);
+  const [importConflicts, setImportConflicts] = useState([]);
+  const [recordMessage, setRecordMessage] = useState("");
+  const fileInputRef = useRef(null);
+
+  // Teacher setup: the only place the device's teacher PIN is set
+  const [isTeacherModalOpen, setIsTeacherModalOpen] = useState(false);
+  const [teacherPinSet, setTeacherPinSet] = useState(() => hasTeacherPin());
+  const [teacherMessage, setTeacherMessage] = useState("");
+
+  const resetForms = () => {
+    setCurrentPassword("");
+    setNewPassword("");
+    setConfirmPassword("");
+    setDeletePassword("");
+    setRecordPassword("");
+    setFormError("");
+    setBusy(false);
+  };
+
   const handleLogout = () => {
-    localStorage.removeItem("isLoggedIn");
+    logOut();
     navigate("/auth/login");
   };
 
-  const handleConfirmDelete = () => {
-    localStorage.clear();
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setFormError("");
+
+    if (newPassword !== confirmPassword) {
+      setFormError("New passwords do not match.");
+      return;
+    }
+
+    setBusy(true);
+    try {
+      await changePassword(currentPassword, newPassword);
+    } catch (error) {
+      setBusy(false);
+      setFormError(error.message);
+      return;
+    }
+
+    resetForms();
+    setIsPasswordModalOpen(false);
+    setPasswordChanged(true);
+    setTimeout(() => setPasswordChanged(false), 3000);
+  };
+
+  const handleConfirmDelete = async () => {
+    setFormError("");
+    setBusy(true);
+    try {
+      await deleteAccount(deletePassword);
+    } catch (error) {
+      setBusy(false);
+      setFormError(error.message);
+      return;
+    }
+
+    resetForms();
     setIsDeleteModalOpen(false);
     navigate("/auth/login");
   };
 
+  const handleTeacherSetup = async (e) => {
+    e.preventDefault();
+    setFormError("");
+
+    if (newPassword !== confirmPassword) {
+      setFormError("Teacher PINs do not match.");
+      return;
+    }
+
+    setBusy(true);
+    try {
+      await setTeacherPin(newPassword, currentPassword);
+    } catch (error) {
+      setBusy(false);
+      setFormError(error.message);
+      return;
+    }
+
+    resetForms();
+    setIsTeacherModalOpen(false);
+    setTeacherMessage(
+      teacherPinSet ? "Teacher PIN changed." : "Teacher PIN set up."
+    );
+    setTeacherPinSet(true);
+    setTimeout(() => setTeacherMessage(""), 3000);
+  };
+
+  const showRecordMessage = (message) => {
+    setRecordMessage(message);
+    setTimeout(() => setRecordMessage(""), 4000);
+  };
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    setFormError("");
+    setBusy(true);
+    let bundle;
+    try {
+      bundle = await exportLearningRecord(recordPassword);
+    } catch (error) {
+      setBusy(false);
+      setFormError(error.message);
+      return;
+    }
+
+    const url = URL.createObjectURL(
+      new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" })
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = learningRecordFileName(bundle);
+    link.click();
+    URL.revokeObjectURL(url);
+
+    resetForms();
+    setIsExportModalOpen(false);
+    showRecordMessage("Learning record exported.");
+  };
+
+  // Validate the chosen file before asking for its password
+  const handleImportFile = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = "";
+    if (!file) return;
+
+    resetForms();
+    try {
+      const bundle = readLearningRecord(await file.text());
+      setImportConflicts(findConflicts(bundle));
+      setImportBundle(bundle);
+    } catch (error) {
+      showRecordMessage(error.message);
+    }
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    setFormError("");
+    setBusy(true);
+    let summary;
+    try {
+      summary = await importLearningRecord(importBundle, recordPassword);
+    } catch (error) {
+      setBusy(false);
+      setFormError(error.message);
+      return;
+    }
+
+    resetForms();
+    setImportBundle(null);
+    showRecordMessage(
+      `Merged ${summary.modules} modules, ${summary.assessments} assessments and ${summary.events} new events.`
+    );
+  };
+
   return (
     <>
       <div className="bg-base-200 rounded-2xl shadow-md overflow-y-auto p-4 space-y-4">
@@ -40,7 +225,84 @@ const SettingsContent = () => {
             <Shield className="w-5 h-5" />
             <h2 className="text-lg font-semibold">Privacy & Security</h2>
           </div>
-          <button className="btn btn-sm w-full">Change Password</button>
+          <button
+            className="btn btn-sm w-full"
+            onClick={() => {
+              resetForms();
+              setIsPasswordModalOpen(true);
+            }}
+          >
+            Change Password
+          </button>
+          {passwordChanged && (
+            <p className="text-success text-xs text-center">
+              Password updated.
+            </p>
+          )}
+        </div>
+
+        {/* Learning Record */}
+        <div className="bg-base-100 rounded-xl p-4 shadow space-y-3">
+          <div className="flex items-center gap-2 text-primary">
+            <ArrowDownUp className="w-5 h-5" />
+            <h2 className="text-lg font-semibold">Learning Record</h2>
+          </div>
+          <p className="text-xs text-gray-500">
+            Move your progress, activity and assessment history to another
+            device.
+          </p>
+          <button
+            className="btn btn-sm w-full flex items-center gap-2"
+            onClick={() => {
+              resetForms();
+              setIsExportModalOpen(true);
+            }}
+          >
+            <Download className="w-4 h-4" /> Export
+          </button>
+          <button
+            className="btn btn-sm w-full flex items-center gap-2"
+            onClick={() => fileInputRef.current?.click()}
+          >
+            <Upload className="w-4 h-4" /> Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={handleImportFile}
+          />
+          {recordMessage && (
+            <p className="text-xs text-center">{recordMessage}</p>
+          )}
+        </div>
+
+        {/* Teacher Setup */}
+        <div className="bg-base-100 rounded-xl p-4 shadow space-y-3">
+          <div className="flex items-center gap-2 text-primary">
+            <GraduationCap className="w-5 h-5" />
+            <h2 className="text-lg font-semibold">Teacher Setup</h2>
+          </div>
+          <p className="text-xs text-gray-500">
+            {teacherPinSet
+              ? "A teacher PIN guards the classroom settings on this device."
+              : "For teachers: set up the PIN that guards classroom settings such as unlocking modules and exam mode on this device."}
+          </p>
+          <button
+            className="btn btn-sm w-full"
+            onClick={() => {
+              resetForms();
+              setIsTeacherModalOpen(true);
+            }}
+          >
+            {teacherPinSet ? "Change Teacher PIN" : "Set Up Teacher PIN"}
+          </button>
+          {teacherMessage && (
+            <p className="text-success text-xs text-center">
+              {teacherMessage}
+            </p>
+          )}
         </div>
 
         {/* Help & Support */}
@@ -63,7 +325,10 @@ const SettingsContent = () => {
             <LogOut className="w-4 h-4" /> Logout
           </button>
           <button
-            onClick={() => setIsDeleteModalOpen(true)}
+            onClick={() => {
+              resetForms();
+              setIsDeleteModalOpen(true);
+            }}
             className="btn btn-outline btn-warning w-full flex items-center gap-2"
           >
             <Trash2 className="w-4 h-4" /> Delete Account
@@ -94,6 +359,231 @@ const SettingsContent = () => {
         </dialog>
       )}
 
+      {/* Change Password Modal */}
+      {isPasswordModalOpen && (
+        <dialog id="password_modal" className="modal modal-open">
+          <form
+            className="modal-box border-t-4 border-primary space-y-3"
+            onSubmit={handleChangePassword}
+          >
+            <h3 className="font-bold text-lg text-primary flex items-center gap-2">
+              <KeyRound className="w-5 h-5" /> Change Password
+            </h3>
+            <input
+              type="password"
+              placeholder="Current password"
+              className="input input-bordered w-full"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              required
+              disabled={busy}
+            />
+            <input
+              type="password"
+              placeholder="New password"
+              className="input input-bordered w-full"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              required
+              disabled={busy}
+            />
+            <input
+              type="password"
+              placeholder="Confirm new password"
+              className="input input-bordered w-full"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+              disabled={busy}
+            />
+            {formError && <p className="text-red-500 text-xs">{formError}</p>}
+            <div className="modal-action">
+              <button
+                type="button"
+                className="btn btn-outline"
+                onClick={() => setIsPasswordModalOpen(false)}
+                disabled={busy}
+              >
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={busy}>
+                {busy ? "Saving..." : "Save"}
+              </button>
+            </div>
+          </form>
+        </dialog>
+      )}
+
+      {/* Teacher Setup Modal */}
+      {isTeacherModalOpen && (
+        <dialog id="teacher_setup_modal" className="modal modal-open">
+          <form
+            className="modal-box border-t-4 border-primary space-y-3"
+            onSubmit={handleTeacherSetup}
+          >
+            <h3 className="font-bold text-lg text-primary flex items-center gap-2">
+              <GraduationCap className="w-5 h-5" />{" "}
+              {teacherPinSet ? "Change Teacher PIN" : "Set Up Teacher PIN"}
+            </h3>
+            <p className="text-sm">
+              Students should not know this PIN: it is asked for before any
+              classroom setting changes on this device.
+            </p>
+            {teacherPinSet && (
+              <input
+                type="password"
+                placeholder="Current teacher PIN"
+                className="input input-bordered w-full"
+                value={currentPassword}
+                onChange={(e) => setCurrentPassword(e.target.value)}
+                required
+                disabled={busy}
+              />
+            )}
+            <input
+              type="password"
+              placeholder="New teacher PIN"
+              className="input input-bordered w-full"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              required
+              disabled={busy}
+            />
+            <input
+              type="password"
+              placeholder="Confirm new teacher PIN"
+              className="input input-bordered w-full"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+              disabled={busy}
+            />
+            {formError && <p className="text-red-500 text-xs">{formError}</p>}
+            <div className="modal-action">
+              <button
+                type="button"
+                className="btn btn-outline"
+                onClick={() => setIsTeacherModalOpen(false)}
+                disabled={busy}
+              >
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={busy}>
+                {busy ? "Saving..." : "Save"}
+              </button>
+            </div>
+          </form>
+        </dialog>
+      )}
+
+      {/* Export Learning Record Modal */}
+      {isExportModalOpen && (
+        <dialog id="export_record_modal" className="modal modal-open">
+          <form
+            className="modal-box border-t-4 border-primary space-y-3"
+            onSubmit={handleExport}
+          >
+            <h3 className="font-bold text-lg text-primary flex items-center gap-2">
+              <Download className="w-5 h-5" /> Export Learning Record
+            </h3>
+            <p className="text-sm">
+              The file is signed with your password. You will need the same
+              password to import it on another device.
+            </p>
+            <input
+              type="password"
+              placeholder="Your password"
+              className="input input-bordered w-full"
+              value={recordPassword}
+              onChange={(e) => setRecordPassword(e.target.value)}
+              required
+              disabled={busy}
+            />
+            {formError && <p className="text-red-500 text-xs">{formError}</p>}
+            <div className="modal-action">
+              <button
+                type="button"
+                className="btn btn-outline"
+                onClick={() => setIsExportModalOpen(false)}
+                disabled={busy}
+              >
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={busy}>
+                {busy ? "Exporting..." : "Export"}
+              </button>
+            </div>
+          </form>
+        </dialog>
+      )}
+
+      {/* Import Learning Record Modal */}
+      {importBundle && (
+        <dialog id="import_record_modal" className="modal modal-open">
+          <form
+            className="modal-box border-t-4 border-primary space-y-3"
+            onSubmit={handleImport}
+          >
+            <h3 className="font-bold text-lg text-primary flex items-center gap-2">
+              <Upload className="w-5 h-5" /> Import Learning Record
+            </h3>
+            <p className="text-sm">
+              Exported by {importBundle.account.email} on{" "}
+              {new Date(importBundle.exportedAt).toLocaleString()}.
+            </p>
+            {importConflicts.length > 0 ? (
+              <div className="space-y-1">
+                <p className="text-sm font-semibold text-warning">
+                  {importConflicts.length} conflict
+                  {importConflicts.length > 1 && "s"} with this device:
+                </p>
+                <ul className="text-xs space-y-1 max-h-40 overflow-y-auto">
+                  {importConflicts.map((c) => (
+                    <li key={`${c.section}/${c.key}`}>
+                      <span className="font-medium">{c.label}</span>
+                      <span className="block text-gray-500">
+                        {c.resolution}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ) : (
+              <p className="text-sm text-success">
+                No conflicts with this device.
+              </p>
+            )}
+            <p className="text-xs text-gray-500">
+              Nothing is removed: pages, visualizations, attempts and activity
+              from both are kept.
+            </p>
+            <input
+              type="password"
+              placeholder="Password used for the export"
+              className="input input-bordered w-full"
+              value={recordPassword}
+              onChange={(e) => setRecordPassword(e.target.value)}
+              required
+              disabled={busy}
+            />
+            {formError && <p className="text-red-500 text-xs">{formError}</p>}
+            <div className="modal-action">
+              <button
+                type="button"
+                className="btn btn-outline"
+                onClick={() => setImportBundle(null)}
+                disabled={busy}
+              >
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={busy}>
+                {busy ? "Merging..." : "Merge"}
+              </button>
+            </div>
+          </form>
+        </dialog>
+      )}
+
       {/* Delete Account Modal */}
       {isDeleteModalOpen && (
         <dialog id="delete_modal" className="modal modal-open">
@@ -103,17 +593,33 @@ const SettingsContent = () => {
             </h3>
             <p className="py-4">
               Are you sure you want to permanently delete your account? <br />
-              This cannot be undone.
+              This cannot be undone. Other accounts on this device are kept.
             </p>
+            <input
+              type="password"
+              placeholder="Enter your password to confirm"
+              className="input input-bordered w-full"
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+              disabled={busy}
+            />
+            {formError && (
+              <p className="text-red-500 text-xs mt-1">{formError}</p>
+            )}
             <div className="modal-action">
               <button
                 className="btn btn-outline"
                 onClick={() => setIsDeleteModalOpen(false)}
+                disabled={busy}
               >
                 Cancel
               </button>
-              <button className="btn btn-warning" onClick={handleConfirmDelete}>
-                Delete Account
+              <button
+                className="btn btn-warning"
+                onClick={handleConfirmDelete}
+                disabled={busy || !deletePassword}
+              >
+                {busy ? "Deleting..." : "Delete Account"}
               </button>
             </div>
           </div>
@@ -2,12 +2,13 @@ import { UserCircle } from "lucide-react";
 import { ChevronRight } from "lucide-react";
 import React from "react";
 import { useNavigate } from "react-router-dom";
+import { getCurrentAccount } from "../services/accountService";
 
 const SettingsPersonalNav = () => {
   const navigate = useNavigate();
 
-  // Fetch user from localStorage
-  const user = JSON.parse(localStorage.getItem("user")) || {};
+  // Fetch the logged-in account
+  const user = getCurrentAccount() || {};
   const username = user?.username || "Guest";
   const email = user?.email || "No email";
   const profileImage = user?.avatar || null; // <- updated to match PersonalContent
@@ -2,8 +2,11 @@ import React, { useState, useMemo, useEffect, useRef } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
 
 const ARPage1 = ({ data = [35, 10, 25, 5, 15], spacing = 2 }) => {
+  const logARSession = useARSessionLog();
+
   const [sorted, setSorted] = useState(false);
   const [boxes, setBoxes] = useState(data);
   const boxRefs = useRef([]);
@@ -62,7 +65,7 @@ const ARPage1 = ({ data = [35, 10, 25, 5, 15], spacing = 2 }) => {
               requiredFeatures: ["hit-test", "local-floor"],
             })
             .then((session) => {
-              gl.xr.setSession(session);
+              gl.xr.setSession(logARSession(session));
             })
             .catch((err) => console.error("AR session failed:", err));
         } else {
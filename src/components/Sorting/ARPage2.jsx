@@ -4,14 +4,39 @@ import React, { useState, useMemo, useEffect, useRef, forwardRef } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
-
-const ARPage2 = ({ data = [35, 10, 25, 5, 15], spacing = 2 }) => {
-  const [array, setArray] = useState(data);
+import {
+  useARSessionLog,
+  usePracticeMode,
+} from "../../services/useModulePage";
+import { bubbleSwapSteps } from "../../services/practiceExercises";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { bubbleSortTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer3D from "../common/TracePlayer3D";
+
+// Default input; a constant so the recorded trace is kept between renders
+const DEFAULT_DATA = [35, 10, 25, 5, 15];
+
+const ARPage2 = ({ data = DEFAULT_DATA, spacing = 2 }) => {
+  const logARSession = useARSessionLog();
+  const practice = usePracticeMode("bubble-sort-swaps", () =>
+    bubbleSwapSteps(data)
+  );
+  const [picked, setPicked] = useState(null);
+  const [practiceArray, setPracticeArray] = useState(data);
   const [swapPair, setSwapPair] = useState([]);
-  const [isSorting, setIsSorting] = useState(false);
-  const [finished, setFinished] = useState(false);
+
+  const trace = useMemo(() => bubbleSortTrace(data), [data]);
+  const player = useTracePlayer(trace);
+  const { step } = player;
+  const finished = !practice.active && step.done;
+
+  // practice mode swaps its own copy; otherwise the trace step is shown
+  const array = practice.active ? practiceArray : step.array;
 
   const boxGroupRefs = useRef([]);
+  const practiceButtonRef = useRef();
 
   const addBoxGroupRef = (r) => {
     if (r && !boxGroupRefs.current.includes(r)) boxGroupRefs.current.push(r);
@@ -27,60 +52,40 @@ const ARPage2 = ({ data = [35, 10, 25, 5, 15], spacing = 2 }) => {
     return array.map((_, i) => [(i - mid) * spacing, 0, 0]);
   }, [array, spacing]);
 
-  const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
+  // the code sits right of the last box, however many there are
+  const codeX = Math.max(6, ((data.length - 1) / 2) * spacing + 1.5);
 
-  const handleReset = () => {
-    setArray([...data]);
+  const togglePractice = () => {
+    if (player.playing) return;
+    player.reset();
+    setPracticeArray([...data]);
     setSwapPair([]);
-    setIsSorting(false);
-    setFinished(false);
+    setPicked(null);
+    if (practice.active) practice.stop();
+    else practice.start();
   };
 
-  const handleSortStart = async () => {
-    if (isSorting) return;
-    if (finished) {
-      handleReset();
-      return;
-    }
-
-    setIsSorting(true);
-
-    let tempArray = [...array];
-    const n = tempArray.length;
-
-    for (let i = 0; i < n - 1; i++) {
-      for (let j = 0; j < n - i - 1; j++) {
-        setSwapPair([j, j + 1]);
-        await sleep(700);
-
-        if (tempArray[j] > tempArray[j + 1]) {
-          [tempArray[j], tempArray[j + 1]] = [tempArray[j + 1], tempArray[j]];
-          setArray([...tempArray]);
-          await sleep(700);
-        }
-      }
+  // In practice mode bars are tapped two at a time: the pair to swap;
+  // otherwise a tap plays or pauses the sort
+  const handleBoxSelect = (i) => {
+    if (!practice.active) return player.toggle();
+    if (practice.done) return;
+    if (picked === null) return setPicked(i);
+
+    setPicked(null);
+    if (picked === i) return;
+    const pair = [Math.min(picked, i), Math.max(picked, i)];
+    if (practice.guess(pair)) {
+      const next = [...practiceArray];
+      [next[pair[0]], next[pair[1]]] = [next[pair[1]], next[pair[0]]];
+      setPracticeArray(next);
+      setSwapPair(pair);
     }
-
-    setSwapPair([]);
-    setFinished(true);
-    setIsSorting(false);
   };
 
-  const generateCode = () => {
-    return [
-      "📘 Bubble Sort Pseudo Code:",
-      "",
-      "array = [35, 10, 25, 5, 15]",
-      "n = length(array)",
-      "",
-      "for i = 0 to n-1:",
-      "    for j = 0 to n-i-1:",
-      "        if array[j] > array[j+1]:",
-      "            swap(array[j], array[j+1])",
-      "",
-      "// Result: [5, 10, 15, 25, 35]"
-    ].join("\n");
-  };
+  const highlighted = practice.active
+    ? [picked, ...(practice.revealed ? practice.step.answer : swapPair)]
+    : step.active;
 
   // === Auto AR Start ===
   const startAR = (gl) => {
@@ -92,7 +97,7 @@ const ARPage2 = ({ data = [35, 10, 25, 5, 15], spacing = 2 }) => {
               requiredFeatures: ["hit-test", "local-floor"],
             })
             .then((session) => {
-              gl.xr.setSession(session);
+              gl.xr.setSession(logARSession(session));
             })
             .catch((err) => console.error("AR session failed:", err));
         }
@@ -120,18 +125,49 @@ const ARPage2 = ({ data = [35, 10, 25, 5, 15], spacing = 2 }) => {
             color="#facc15"
           />
 
-          <FadeText
-            text={
-              finished
-                ? "Sorting completed! Tap any bar to reset."
-                : isSorting
-                ? "Sorting in progress..."
-                : "Tap a bar to start Bubble Sort"
-            }
-            position={[0, 3.7, 0]}
-            fontSize={0.35}
-            color="white"
-          />
+          {practice.active ? (
+            <PracticeStatus
+              practice={practice}
+              prompt="Tap the next pair Bubble Sort swaps"
+              position={[0, 3.7, 0]}
+            />
+          ) : (
+            <FadeText
+              text={
+                finished
+                  ? "Sorting completed! Tap any bar to replay."
+                  : player.playing
+                  ? "Sorting in progress... tap a bar to pause"
+                  : "Tap a bar to play Bubble Sort"
+              }
+              position={[0, 3.7, 0]}
+              fontSize={0.35}
+              color="white"
+            />
+          )}
+
+          {/* Practice toggle */}
+          <group
+            position={[-7, 3.7, 0]}
+            ref={practiceButtonRef}
+            onClick={togglePractice}
+          >
+            <mesh>
+              <boxGeometry args={[3, 0.7, 0.1]} />
+              <meshStandardMaterial
+                color={practice.active ? "#f97316" : "#38bdf8"}
+              />
+            </mesh>
+            <Text
+              fontSize={0.3}
+              color="white"
+              anchorX="center"
+              anchorY="middle"
+              position={[0, 0, 0.06]}
+            >
+              {practice.active ? "Stop Practice" : "Practice"}
+            </Text>
+          </group>
 
           {/* Bars */}
           {array.map((value, i) => (
@@ -139,21 +175,39 @@ const ARPage2 = ({ data = [35, 10, 25, 5, 15], spacing = 2 }) => {
               key={i}
               index={i}
               value={value}
-              highlighted={swapPair.includes(i)}
-              sorted={finished}
+              highlighted={highlighted.includes(i)}
+              sorted={
+                practice.active ? practice.done : step.sorted.includes(i)
+              }
               height={heights[i]}
               position={positions[i]}
-              onClick={handleSortStart}
+              onClick={(e) => {
+                // the bar and its wider tap area would both report the click
+                e.stopPropagation();
+                handleBoxSelect(i);
+              }}
               ref={(r) => addBoxGroupRef(r)}
             />
           ))}
 
-          {finished && <CodePanel code={generateCode()} position={[8.8, 1, 0]} />}
+          {!practice.active && (
+            <CodeTracePanel
+              algorithm="bubble-sort"
+              step={step}
+              position={[codeX, 3.4, 0]}
+            />
+          )}
+
+          {!practice.active && (
+            <TracePlayer3D player={player} position={[0, -1.6, 0]} />
+          )}
         </group>
 
         <ARInteractionManager
           boxGroupRefs={boxGroupRefs}
-          onToggleSort={handleSortStart}
+          practiceButtonRef={practiceButtonRef}
+          onBoxSelect={handleBoxSelect}
+          onTogglePractice={togglePractice}
         />
 
         <OrbitControls makeDefault />
@@ -225,8 +279,17 @@ const AnimatedBoxAR = forwardRef(
 );
 
 // === AR Interaction Manager ===
-const ARInteractionManager = ({ boxGroupRefs, onToggleSort }) => {
+const ARInteractionManager = ({
+  boxGroupRefs,
+  practiceButtonRef,
+  onBoxSelect,
+  onTogglePractice,
+}) => {
   const { gl } = useThree();
+  // the select listener lives for the whole session; it calls the latest
+  // handlers so taps see the current practice step
+  const handlers = useRef();
+  handlers.current = { onBoxSelect, onTogglePractice };
 
   useEffect(() => {
     const onSessionStart = () => {
@@ -249,16 +312,32 @@ const ARInteractionManager = ({ boxGroupRefs, onToggleSort }) => {
           .map((group) => (group ? group.children : []))
           .flat();
 
+        if (practiceButtonRef.current) {
+          candidates.push(practiceButtonRef.current);
+        }
+
         const hit = raycaster.intersectObjects(candidates, true)[0];
-        if (hit) onToggleSort();
+        if (!hit) return;
+        let obj = hit.object;
+        while (obj && obj.userData?.boxIndex === undefined && obj.parent) {
+          if (obj === practiceButtonRef.current) {
+            handlers.current.onTogglePractice();
+            return;
+          }
+          obj = obj.parent;
+        }
+        const index = obj?.userData?.boxIndex;
+        if (index !== undefined) handlers.current.onBoxSelect(index);
       };
 
       session.addEventListener("select", onSelect);
+      const onEnd = () => session.removeEventListener("select", onSelect);
+      session.addEventListener("end", onEnd);
     };
 
     gl.xr.addEventListener("sessionstart", onSessionStart);
     return () => gl.xr.removeEventListener("sessionstart", onSessionStart);
-  }, [gl, boxGroupRefs, onToggleSort]);
+  }, [gl, boxGroupRefs, practiceButtonRef]);
 
   return null;
 };
@@ -285,8 +364,4 @@ const FadeText = ({ text, position, fontSize, color }) => {
   );
 };
 
-const CodePanel = ({ code, position }) => (
-  <FadeText text={code} position={position} fontSize={0.3} color="#c7d2fe" />
-);
-
 export default ARPage2;
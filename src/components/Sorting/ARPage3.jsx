@@ -4,12 +4,22 @@ import React, { useState, useEffect, useMemo, useRef, forwardRef } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { insertionSortTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer3D from "../common/TracePlayer3D";
 
-const ARPage3 = ({ data = [30, 10, 20, 5, 15], spacing = 2 }) => {
-  const [array, setArray] = useState(data);
-  const [isSorting, setIsSorting] = useState(false);
-  const [finished, setFinished] = useState(false);
-  const [highlight, setHighlight] = useState([]);
+// Default input; a constant so the recorded trace is kept between renders
+const DEFAULT_DATA = [30, 10, 20, 5, 15];
+
+const ARPage3 = ({ data = DEFAULT_DATA, spacing = 2 }) => {
+  const logARSession = useARSessionLog();
+
+  const trace = useMemo(() => insertionSortTrace(data), [data]);
+  const player = useTracePlayer(trace);
+  const { step } = player;
+  const { array, done: finished } = step;
 
   const boxGroupRefs = useRef([]);
   const addBoxGroupRef = (r) => {
@@ -26,61 +36,8 @@ const ARPage3 = ({ data = [30, 10, 20, 5, 15], spacing = 2 }) => {
     return array.map((_, i) => [(i - mid) * spacing, 0, 0]);
   }, [array, spacing]);
 
-  const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
-
-  const resetSort = () => {
-    setArray([...data]);
-    setHighlight([]);
-    setFinished(false);
-    setIsSorting(false);
-  };
-
-  const startSort = async () => {
-    if (isSorting) return;
-    if (finished) return resetSort();
-
-    setIsSorting(true);
-    let tempArray = [...array];
-
-    for (let i = 1; i < tempArray.length; i++) {
-      let key = tempArray[i];
-      let j = i - 1;
-      setHighlight([i]);
-      await sleep(700);
-
-      while (j >= 0 && tempArray[j] > key) {
-        setHighlight([j, j + 1]);
-        tempArray[j + 1] = tempArray[j];
-        setArray([...tempArray]);
-        j--;
-        await sleep(700);
-      }
-
-      tempArray[j + 1] = key;
-      setArray([...tempArray]);
-      await sleep(700);
-    }
-
-    setHighlight([]);
-    setFinished(true);
-    setIsSorting(false);
-  };
-
-  const generateCode = () => {
-    return [
-      "📘 Insertion Sort Pseudo Code:",
-      "",
-      "for i = 1 to n-1:",
-      "    key = array[i]",
-      "    j = i - 1",
-      "    while j >= 0 and array[j] > key:",
-      "        array[j+1] = array[j]",
-      "        j = j - 1",
-      "    array[j+1] = key",
-      "",
-      `Result: [${[...array].sort((a, b) => a - b).join(", ")}]`,
-    ].join("\n");
-  };
+  // the code sits right of the last box, however many there are
+  const codeX = Math.max(6, ((data.length - 1) / 2) * spacing + 1.5);
 
   const startAR = (gl) => {
     if (navigator.xr) {
@@ -91,7 +48,7 @@ const ARPage3 = ({ data = [30, 10, 20, 5, 15], spacing = 2 }) => {
               requiredFeatures: ["hit-test", "local-floor"],
             })
             .then((session) => {
-              gl.xr.setSession(session);
+              gl.xr.setSession(logARSession(session));
             })
             .catch((err) => console.error("AR session failed:", err));
         }
@@ -122,10 +79,10 @@ const ARPage3 = ({ data = [30, 10, 20, 5, 15], spacing = 2 }) => {
           <FadeText
             text={
               finished
-                ? "Sorting completed! Tap any bar to reset."
-                : isSorting
-                ? "Sorting in progress..."
-                : "Tap a bar to start Insertion Sort"
+                ? "Sorting completed! Tap any bar to replay."
+                : player.playing
+                ? "Sorting in progress... tap a bar to pause"
+                : "Tap a bar to play Insertion Sort"
             }
             position={[0, 3.7, 0]}
             fontSize={0.35}
@@ -138,20 +95,26 @@ const ARPage3 = ({ data = [30, 10, 20, 5, 15], spacing = 2 }) => {
               index={i}
               value={value}
               height={heights[i]}
-              highlighted={highlight.includes(i)}
-              sorted={finished}
+              highlighted={step.active.includes(i)}
+              sorted={step.sorted.includes(i)}
               position={positions[i]}
-              onClick={startSort}
+              onClick={player.toggle}
               ref={(r) => addBoxGroupRef(r)}
             />
           ))}
 
-          {finished && <CodePanel code={generateCode()} position={[8.8, 1, 0]} />}
+          <CodeTracePanel
+            algorithm="insertion-sort"
+            step={step}
+            position={[codeX, 3.4, 0]}
+          />
+
+          <TracePlayer3D player={player} position={[0, -1.6, 0]} />
         </group>
 
         <ARInteractionManager
           boxGroupRefs={boxGroupRefs}
-          onToggleSort={startSort}
+          onToggleSort={player.toggle}
         />
 
         <OrbitControls makeDefault />
@@ -224,6 +187,10 @@ const AnimatedBoxAR = forwardRef(
 // === Handles AR raycast tap detection ===
 const ARInteractionManager = ({ boxGroupRefs, onToggleSort }) => {
   const { gl } = useThree();
+  // the select listener lives for the whole session; it calls the latest
+  // handler so a tap sees whether the sort is playing
+  const toggle = useRef();
+  toggle.current = onToggleSort;
 
   useEffect(() => {
     const onStart = () => {
@@ -244,7 +211,7 @@ const ARInteractionManager = ({ boxGroupRefs, onToggleSort }) => {
         const meshes = boxGroupRefs.current.flatMap(r => r.children);
         const hit = ray.intersectObjects(meshes, true)[0];
 
-        if (hit) onToggleSort();
+        if (hit) toggle.current();
       };
 
       session.addEventListener("select", onSelect);
@@ -252,7 +219,7 @@ const ARInteractionManager = ({ boxGroupRefs, onToggleSort }) => {
 
     gl.xr.addEventListener("sessionstart", onStart);
     return () => gl.xr.removeEventListener("sessionstart", onStart);
-  }, [gl, boxGroupRefs, onToggleSort]);
+  }, [gl, boxGroupRefs]);
 
   return null;
 };
@@ -277,8 +244,4 @@ const FadeText = ({ text, position, fontSize, color }) => {
   );
 };
 
-const CodePanel = ({ code, position }) => (
-  <FadeText text={code} position={position} fontSize={0.3} color="#c7d2fe" />
-);
-
 export default ARPage3;
@@ -4,12 +4,22 @@ import React, { useState, useEffect, useMemo, useRef, forwardRef } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { selectionSortTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer3D from "../common/TracePlayer3D";
 
-const ARPage4 = ({ data = [40, 15, 10, 25, 5], spacing = 2 }) => {
-  const [array, setArray] = useState(data);
-  const [isSorting, setIsSorting] = useState(false);
-  const [finished, setFinished] = useState(false);
-  const [highlight, setHighlight] = useState([]); // [i, j, min]
+// Default input; a constant so the recorded trace is kept between renders
+const DEFAULT_DATA = [40, 15, 10, 25, 5];
+
+const ARPage4 = ({ data = DEFAULT_DATA, spacing = 2 }) => {
+  const logARSession = useARSessionLog();
+
+  const trace = useMemo(() => selectionSortTrace(data), [data]);
+  const player = useTracePlayer(trace);
+  const { step } = player;
+  const { array, done: finished } = step;
 
   const boxGroupRefs = useRef([]);
   const addBoxGroupRef = (r) => {
@@ -26,64 +36,8 @@ const ARPage4 = ({ data = [40, 15, 10, 25, 5], spacing = 2 }) => {
     return array.map((_, i) => [(i - mid) * spacing, 0, 0]);
   }, [array, spacing]);
 
-  const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
-
-  const resetSort = () => {
-    setArray([...data]);
-    setIsSorting(false);
-    setFinished(false);
-    setHighlight([]);
-  };
-
-  const startSort = async () => {
-    if (isSorting) return;
-    if (finished) return resetSort();
-
-    setIsSorting(true);
-    let temp = [...array];
-
-    for (let i = 0; i < temp.length - 1; i++) {
-      let minIndex = i;
-      setHighlight([i, null, minIndex]);
-      await sleep(700);
-
-      for (let j = i + 1; j < temp.length; j++) {
-        setHighlight([i, j, minIndex]);
-        await sleep(700);
-
-        if (temp[j] < temp[minIndex]) {
-          minIndex = j;
-          setHighlight([i, j, minIndex]);
-          await sleep(700);
-        }
-      }
-
-      if (minIndex !== i) {
-        [temp[i], temp[minIndex]] = [temp[minIndex], temp[i]];
-        setArray([...temp]);
-        await sleep(700);
-      }
-    }
-
-    setHighlight([]);
-    setFinished(true);
-    setIsSorting(false);
-  };
-
-  const generateCode = () => {
-    return [
-      "📘 Selection Sort Pseudo Code:",
-      "",
-      "for i = 0 to n-2:",
-      "    min = i",
-      "    for j = i+1 to n-1:",
-      "        if array[j] < array[min]:",
-      "            min = j",
-      "    swap(array[i], array[min])",
-      "",
-      `Result: [${[...array].sort((a, b) => a - b).join(", ")}]`,
-    ].join("\n");
-  };
+  // the code sits right of the last box, however many there are
+  const codeX = Math.max(6, ((data.length - 1) / 2) * spacing + 1.5);
 
   const startAR = (gl) => {
     if (navigator.xr) {
@@ -94,7 +48,7 @@ const ARPage4 = ({ data = [40, 15, 10, 25, 5], spacing = 2 }) => {
               requiredFeatures: ["hit-test", "local-floor"],
             })
             .then((session) => {
-              gl.xr.setSession(session);
+              gl.xr.setSession(logARSession(session));
             })
             .catch((err) => console.error("AR Session failed:", err));
         }
@@ -124,10 +78,10 @@ const ARPage4 = ({ data = [40, 15, 10, 25, 5], spacing = 2 }) => {
           <FadeText
             text={
               finished
-                ? "Sorting completed! Tap any bar to reset."
-                : isSorting
-                ? "Sorting in progress..."
-                : "Tap a bar to start Selection Sort"
+                ? "Sorting completed! Tap any bar to replay."
+                : player.playing
+                ? "Sorting in progress... tap a bar to pause"
+                : "Tap a bar to play Selection Sort"
             }
             position={[0, 3.7, 0]}
             fontSize={0.35}
@@ -140,18 +94,27 @@ const ARPage4 = ({ data = [40, 15, 10, 25, 5], spacing = 2 }) => {
               index={i}
               value={value}
               height={heights[i]}
-              highlighted={highlight.includes(i)}
-              sorted={finished}
+              highlighted={step.active.includes(i)}
+              sorted={step.sorted.includes(i)}
               position={positions[i]}
-              onClick={startSort}
+              onClick={player.toggle}
               ref={(r) => addBoxGroupRef(r)}
             />
           ))}
 
-          {finished && <CodePanel code={generateCode()} position={[8.8, 1, 0]} />}
+          <CodeTracePanel
+            algorithm="selection-sort"
+            step={step}
+            position={[codeX, 3.4, 0]}
+          />
+
+          <TracePlayer3D player={player} position={[0, -1.6, 0]} />
         </group>
 
-        <ARInteractionManager boxGroupRefs={boxGroupRefs} onToggleSort={startSort} />
+        <ARInteractionManager
+          boxGroupRefs={boxGroupRefs}
+          onToggleSort={player.toggle}
+        />
         <OrbitControls makeDefault />
       </Canvas>
     </div>
@@ -217,22 +180,36 @@ const AnimatedBoxAR = forwardRef(
   }
 );
 
-// ✅ XR Tap Detection
+// ✅ XR Tap Detection (only taps on a bar; the player has its own buttons)
 const ARInteractionManager = ({ boxGroupRefs, onToggleSort }) => {
   const { gl } = useThree();
+  // the select listener lives for the whole session; it calls the latest
+  // handler so a tap sees whether the sort is playing
+  const toggle = useRef();
+  toggle.current = onToggleSort;
 
   useEffect(() => {
     const onStart = () => {
       const session = gl.xr.getSession();
       if (!session) return;
 
-      const onSelect = () => onToggleSort();
+      const onSelect = () => {
+        const cam = gl.xr.getCamera().cameras?.[0] || gl.xr.getCamera();
+        const ray = new THREE.Raycaster();
+        ray.set(
+          cam.getWorldPosition(new THREE.Vector3()),
+          new THREE.Vector3(0, 0, -1).applyQuaternion(cam.quaternion).normalize()
+        );
+
+        const meshes = boxGroupRefs.current.flatMap((r) => r.children);
+        if (ray.intersectObjects(meshes, true)[0]) toggle.current();
+      };
       session.addEventListener("select", onSelect);
     };
 
     gl.xr.addEventListener("sessionstart", onStart);
     return () => gl.xr.removeEventListener("sessionstart", onStart);
-  }, [gl, onToggleSort]);
+  }, [gl, boxGroupRefs]);
 
   return null;
 };
@@ -257,8 +234,4 @@ const FadeText = ({ text, position, fontSize, color }) => {
   );
 };
 
-const CodePanel = ({ code, position }) => (
-  <FadeText text={code} position={position} fontSize={0.3} color="#c7d2fe" />
-);
-
 export default ARPage4;
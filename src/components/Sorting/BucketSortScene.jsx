@@ -0,0 +1,102 @@
+import React from "react";
+import { Text } from "@react-three/drei";
+import SortBar from "./SortBar";
+
+const CUBE = 0.42;
+
+/**
+ * Counting and Radix Sort: the array on top and the buckets its values are
+ * dealt into below, each bucket a stack of cubes (two to a layer) under
+ * its label. Slots of the array not written back yet are empty.
+ * - step: a snapshot of countingSortTrace or radixSortTrace ({ buckets,
+ *   exp for radix })
+ */
+const BucketSortScene = ({
+  step,
+  spacing = 1.3,
+  arrayY = 0.8,
+  bucketY = -3.6,
+  onSelect,
+}) => {
+  const { array } = step;
+  const buckets = step.buckets || [];
+  const values = [...array, ...buckets.flatMap((b) => b.items)];
+  const max = Math.max(1, ...values.filter((v) => v !== null));
+  const mid = (array.length - 1) / 2;
+  const bucketMid = (buckets.length - 1) / 2;
+  const digit = step.exp === 1 ? "ones" : step.exp === 10 ? "tens" : null;
+
+  const roleOf = (i) =>
+    step.active.includes(i)
+      ? "active"
+      : step.sorted.includes(i)
+      ? "sorted"
+      : "normal";
+
+  return (
+    <group>
+      {array.map((value, i) => (
+        <SortBar
+          key={i}
+          value={value}
+          height={value === null ? 0 : (value / max) * 1.4 + 0.3}
+          position={[(i - mid) * spacing, arrayY, 0]}
+          role={roleOf(i)}
+          width={0.9}
+          fontSize={0.28}
+          onClick={onSelect}
+        />
+      ))}
+
+      <Text
+        position={[-(bucketMid + 1) * spacing, bucketY + 0.2, 0]}
+        fontSize={0.28}
+        color="#94a3b8"
+        anchorX="right"
+      >
+        {step.exp ? `${digit || step.exp} digit` : "count"}
+      </Text>
+
+      {buckets.map(({ label, items }, b) => {
+        const x = (b - bucketMid) * spacing;
+        return (
+          <group key={label} position={[x, bucketY, 0]}>
+            {/* the bucket */}
+            <mesh position={[0, 1.2, 0]}>
+              <boxGeometry args={[CUBE * 2 + 0.2, 2.4, CUBE + 0.2]} />
+              <meshBasicMaterial color="#94a3b8" transparent opacity={0.12} />
+            </mesh>
+            <Text position={[0, -0.3, 0]} fontSize={0.3} color="#fde68a">
+              {String(label)}
+            </Text>
+
+            {items.map((value, k) => (
+              <group
+                key={k}
+                position={[
+                  (k % 2 === 0 ? -1 : 1) * (CUBE / 2 + 0.02),
+                  CUBE / 2 + Math.floor(k / 2) * (CUBE + 0.04),
+                  0,
+                ]}
+              >
+                <mesh>
+                  <boxGeometry args={[CUBE, CUBE, CUBE]} />
+                  <meshStandardMaterial color="#60a5fa" />
+                </mesh>
+                <Text
+                  position={[0, 0, CUBE / 2 + 0.01]}
+                  fontSize={0.16}
+                  color="white"
+                >
+                  {String(value)}
+                </Text>
+              </group>
+            ))}
+          </group>
+        );
+      })}
+    </group>
+  );
+};
+
+export default BucketSortScene;
@@ -21,7 +21,7 @@ const SortingPage01 = () => {
           </ul>
         </li>
         <li>
-          Two major categories:
+          Three major categories:
           <ol className="list-decimal list-inside ml-6 space-y-1">
             <li>
               <strong>Simple/Quadratic Sorts</strong> (Bubble, Insertion,
@@ -30,6 +30,9 @@ const SortingPage01 = () => {
             <li>
               <strong>Efficient Sorts</strong> (Merge, Quick, Heap).
             </li>
+            <li>
+              <strong>Non-comparison Sorts</strong> (Counting, Radix).
+            </li>
           </ol>
         </li>
       </ul>
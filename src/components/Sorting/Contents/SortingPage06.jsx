@@ -0,0 +1,32 @@
+import React from "react";
+
+const SortingPage06 = () => {
+  return (
+    <div className="bg-base-200 rounded-xl shadow-md p-6 space-y-4 text-left">
+      <h1 className="text-2xl font-bold">Merge Sort (O(n log n))</h1>
+
+      <ul className="list-disc list-inside space-y-2">
+        <li>
+          <strong>Idea:</strong> Divide and conquer. Split the array in half
+          until each part has one element, then merge the sorted halves back
+          together by repeatedly taking the smaller front element.
+        </li>
+        <li>
+          <strong>Time Complexity:</strong> Always O(n log n); the merges need
+          O(n) extra space.
+        </li>
+        <li>
+          <strong>Example:</strong>
+          <pre className="bg-gray-900 text-white p-3 rounded-lg mt-2">
+            {`[6, 2, 5, 1]
+ → [6, 2] [5, 1]
+ → [2, 6] [1, 5]
+ → [1, 2, 5, 6]`}
+          </pre>
+        </li>
+      </ul>
+    </div>
+  );
+};
+
+export default SortingPage06;
@@ -0,0 +1,37 @@
+import React from "react";
+
+const SortingPage07 = () => {
+  return (
+    <div className="bg-base-200 rounded-xl shadow-md p-6 space-y-4 text-left">
+      <h1 className="text-2xl font-bold">Quick Sort (O(n log n) average)</h1>
+
+      <ul className="list-disc list-inside space-y-2">
+        <li>
+          <strong>Idea:</strong> Pick a pivot (here the last element) and
+          partition the array: smaller elements go to its left, the rest to its
+          right. The pivot is then in its final place; sort both sides the same
+          way.
+        </li>
+        <li>
+          <strong>Time Complexity:</strong>
+          <ul className="list-disc list-inside ml-6 space-y-1">
+            <li>Average: O(n log n).</li>
+            <li>
+              Worst: O(n²) (already sorted, with the last element as pivot).
+            </li>
+          </ul>
+        </li>
+        <li>
+          <strong>Example:</strong>
+          <pre className="bg-gray-900 text-white p-3 rounded-lg mt-2">
+            {`[7, 2, 9, 4]   pivot 4
+ → [2, 4, 9, 7]   pivot 7
+ → [2, 4, 7, 9]`}
+          </pre>
+        </li>
+      </ul>
+    </div>
+  );
+};
+
+export default SortingPage07;
@@ -0,0 +1,32 @@
+import React from "react";
+
+const SortingPage08 = () => {
+  return (
+    <div className="bg-base-200 rounded-xl shadow-md p-6 space-y-4 text-left">
+      <h1 className="text-2xl font-bold">Heap Sort (O(n log n))</h1>
+
+      <ul className="list-disc list-inside space-y-2">
+        <li>
+          <strong>Idea:</strong> Read the array as a binary tree (the children
+          of index i are 2i + 1 and 2i + 2) and turn it into a max-heap. Then
+          swap the root, the largest element, to the end and sift the new root
+          down; repeat on the smaller heap.
+        </li>
+        <li>
+          <strong>Time Complexity:</strong> Always O(n log n), sorting in place.
+        </li>
+        <li>
+          <strong>Example:</strong>
+          <pre className="bg-gray-900 text-white p-3 rounded-lg mt-2">
+            {`[3, 5, 1, 4]
+ → heap [5, 4, 1, 3]
+ → [4, 3, 1 | 5]
+ → [1, 3, 4, 5]`}
+          </pre>
+        </li>
+      </ul>
+    </div>
+  );
+};
+
+export default SortingPage08;
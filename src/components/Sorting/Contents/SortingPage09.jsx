@@ -0,0 +1,43 @@
+import React from "react";
+
+const SortingPage09 = () => {
+  return (
+    <div className="bg-base-200 rounded-xl shadow-md p-6 space-y-4 text-left">
+      <h1 className="text-2xl font-bold">Counting and Radix Sort</h1>
+
+      <ul className="list-disc list-inside space-y-2">
+        <li>
+          <strong>Idea:</strong> Sort without comparing elements, by putting
+          them into buckets.
+          <ul className="list-disc list-inside ml-6 space-y-1">
+            <li>
+              Counting Sort counts how often each value appears, then writes the
+              values back in order.
+            </li>
+            <li>
+              Radix Sort deals the values into ten buckets by their last digit,
+              collects them, and repeats with the next digit.
+            </li>
+          </ul>
+        </li>
+        <li>
+          <strong>Time Complexity:</strong>
+          <ul className="list-disc list-inside ml-6 space-y-1">
+            <li>Counting: O(n + k), k being the largest value.</li>
+            <li>Radix: O(d · n), d being the number of digits.</li>
+          </ul>
+        </li>
+        <li>
+          <strong>Example (Radix):</strong>
+          <pre className="bg-gray-900 text-white p-3 rounded-lg mt-2">
+            {`[42, 17, 35, 21]
+ → ones: [21, 42, 35, 17]
+ → tens: [17, 21, 35, 42]`}
+          </pre>
+        </li>
+      </ul>
+    </div>
+  );
+};
+
+export default SortingPage09;
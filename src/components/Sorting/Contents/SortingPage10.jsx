@@ -0,0 +1,30 @@
+import React from "react";
+
+const SortingPage10 = () => {
+  return (
+    <div className="bg-base-200 rounded-xl shadow-md p-6 space-y-4 text-left">
+      <h1 className="text-2xl font-bold">Sorting Race</h1>
+
+      <ul className="list-disc list-inside space-y-2">
+        <li>
+          <strong>Race:</strong> Pick two to four sorts. They all sort the same
+          input, and every tick each one makes one more operation: a comparison
+          or an array write (a swap is two writes, and counting or radix sort
+          adding a value to a count or bucket is one). The sort needing the
+          fewest operations finishes first.
+        </li>
+        <li>
+          <strong>Counters:</strong> Each lane shows its comparisons, swaps and
+          array writes as it goes.
+        </li>
+        <li>
+          <strong>Growth:</strong> After the race, the chart shows the counts
+          for inputs of 5 to 80 values. O(n²) sorts pull away from O(n log n)
+          ones as n grows, even when they win on a few values.
+        </li>
+      </ul>
+    </div>
+  );
+};
+
+export default SortingPage10;
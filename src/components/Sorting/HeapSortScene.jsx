@@ -0,0 +1,119 @@
+import React from "react";
+import { Line, Text } from "@react-three/drei";
+import SortBar from "./SortBar";
+
+const TREE_WIDTH = 8;
+const LEVEL_GAP = 1.1;
+
+// Node i of the heap (children 2i + 1 and 2i + 2) spread over its level
+const nodePosition = (i, top) => {
+  const level = Math.floor(Math.log2(i + 1));
+  const slot = i + 1 - 2 ** level;
+  const x = ((slot + 0.5) / 2 ** level - 0.5) * TREE_WIDTH;
+  return [x, top - level * LEVEL_GAP, 0];
+};
+
+/**
+ * Heap Sort with the heap drawn as the tree it stands for, above the array
+ * that stores it. Index i of the array is node i of the tree: the elements
+ * a step works on light up in both, joined by a line, and elements leave
+ * the tree once they are moved to the sorted end of the array.
+ * - step: a snapshot of heapSortTrace ({ heapSize, phase })
+ */
+const HeapSortScene = ({
+  step,
+  spacing = 1.3,
+  treeTop = 2.6,
+  arrayY = -2.6,
+  onSelect,
+}) => {
+  const { array } = step;
+  const heapSize = step.heapSize ?? array.length;
+  const max = Math.max(...array);
+  const mid = (array.length - 1) / 2;
+  const barX = (i) => (i - mid) * spacing;
+  const heights = array.map((v) => (v / max) * 1.2 + 0.3);
+  const inHeap = array.map((_, i) => i).filter((i) => i < heapSize);
+
+  const roleOf = (i) =>
+    step.active.includes(i)
+      ? "active"
+      : step.sorted.includes(i)
+      ? "sorted"
+      : "normal";
+
+  return (
+    <group>
+      {/* the heap as a tree */}
+      {inHeap.map(
+        (i) =>
+          i > 0 && (
+            <Line
+              key={`edge-${i}`}
+              points={[
+                nodePosition(Math.floor((i - 1) / 2), treeTop),
+                nodePosition(i, treeTop),
+              ]}
+              color="#94a3b8"
+              lineWidth={1.5}
+            />
+          )
+      )}
+      {inHeap.map((i) => (
+        <group key={i} position={nodePosition(i, treeTop)}>
+          <mesh onClick={onSelect}>
+            <sphereGeometry args={[0.38, 24, 24]} />
+            <meshStandardMaterial
+              color={step.active.includes(i) ? "#f87171" : "#60a5fa"}
+            />
+          </mesh>
+          <Text position={[0, 0, 0.4]} fontSize={0.28} color="white">
+            {String(array[i])}
+          </Text>
+        </group>
+      ))}
+
+      {/* the array that stores it, with its indices */}
+      {array.map((value, i) => (
+        <group key={i}>
+          <SortBar
+            value={value}
+            height={heights[i]}
+            position={[barX(i), arrayY, 0]}
+            role={roleOf(i)}
+            width={0.9}
+            fontSize={0.28}
+            onClick={onSelect}
+          />
+          <Text
+            position={[barX(i), arrayY - 0.3, 0]}
+            fontSize={0.22}
+            color="#94a3b8"
+          >
+            {String(i)}
+          </Text>
+        </group>
+      ))}
+
+      {/* links between the active nodes and their array slots */}
+      {step.active
+        .filter((i) => i < heapSize)
+        .map((i) => (
+          <Line
+            key={`link-${i}`}
+            points={[
+              nodePosition(i, treeTop),
+              [barX(i), arrayY + heights[i] + 0.5, 0],
+            ]}
+            color="#f87171"
+            lineWidth={1}
+            dashed
+            dashSize={0.15}
+            gapSize={0.1}
+          />
+        ))}
+    </group>
+  );
+};
+
+export default HeapSortScene;
@@ -0,0 +1,65 @@
+import React from "react";
+import { Text } from "@react-three/drei";
+import SortBar from "./SortBar";
+
+const ROW_GAP = 1.3;
+const ROW_DEPTH = 1.2;
+
+/**
+ * Merge Sort as the recursion goes: row 0 is the array, every split moves
+ * a range one row down (and back), and merging writes the halves up into
+ * the row above. Empty slots show where values left from.
+ * - step: a snapshot of mergeSortTrace ({ rows, depth, range, written })
+ */
+const MergeSortScene = ({ step, spacing = 1.3, top = 1.8, onSelect }) => {
+  const rows = step.rows || [step.array];
+  const max = Math.max(1, ...rows.flat().filter((v) => v !== null));
+  const mid = (step.array.length - 1) / 2;
+
+  const roleOf = (d, i) => {
+    if (step.done) return "sorted";
+    if (!step.range) return "normal";
+    const [lo, hi] = step.range;
+    if (d === step.depth + 1 && step.active.includes(i)) return "active";
+    if (d === step.depth && i === step.written) return "written";
+    if ((d === step.depth || d === step.depth + 1) && i >= lo && i <= hi) {
+      return "normal";
+    }
+    return "outside";
+  };
+
+  return (
+    <group>
+      {rows.map((row, d) => {
+        const y = top - d * ROW_GAP;
+        const z = -d * ROW_DEPTH;
+        return (
+          <group key={d}>
+            <Text
+              position={[-(mid + 1.2) * spacing, y + 0.3, z]}
+              fontSize={0.28}
+              color="#94a3b8"
+              anchorX="right"
+            >
+              {d === 0 ? "array" : `level ${d}`}
+            </Text>
+            {row.map((value, i) => (
+              <SortBar
+                key={i}
+                value={value}
+                height={value === null ? 0 : (value / max) * 0.9 + 0.25}
+                position={[(i - mid) * spacing, y, z]}
+                role={roleOf(d, i)}
+                width={0.9}
+                fontSize={0.26}
+                onClick={onSelect}
+              />
+            ))}
+          </group>
+        );
+      })}
+    </group>
+  );
+};
+
+export default MergeSortScene;
@@ -0,0 +1,77 @@
+import React, { useState } from "react";
+import RaceVisualPage from "./RaceVisualPage";
+import RaceARButton from "./RaceARButton";
+import SortingPage10 from "./Contents/SortingPage10";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+import { RACE_LIMITS, RACE_SORTS } from "../../utils/sortRace";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.sorting.race;
+
+// a quadratic sort against two O(n log n) ones
+const DEFAULT_SORTS = ["bubble-sort", "merge-sort", "quick-sort"];
+
+const Page10 = () => {
+  const [data, setData] = useState(DEFAULT_DATA);
+  const [algorithms, setAlgorithms] = useState(DEFAULT_SORTS);
+  const { minSorts, maxSorts } = RACE_LIMITS;
+
+  // lanes keep the order of RACE_SORTS, whatever order they are picked in
+  const toggle = (algorithm) =>
+    setAlgorithms((picked) =>
+      RACE_SORTS.map((s) => s.algorithm).filter((a) =>
+        a === algorithm ? !picked.includes(a) : picked.includes(a)
+      )
+    );
+
+  return (
+    <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
+      <RaceARButton data={data} algorithms={algorithms} />
+
+      <SortingPage10 />
+
+      <InputDataPanel
+        kind="race"
+        value={data}
+        onChange={setData}
+        defaultValue={DEFAULT_DATA}
+      />
+
+      {/* Sorts in the race */}
+      <div className="bg-base-100 rounded-lg px-3 py-2 text-sm space-y-2">
+        <span className="font-semibold">
+          Racers ({minSorts} to {maxSorts})
+        </span>
+        <div className="flex flex-wrap gap-2">
+          {RACE_SORTS.map(({ algorithm, title }) => {
+            const picked = algorithms.includes(algorithm);
+            const locked = picked
+              ? algorithms.length <= minSorts
+              : algorithms.length >= maxSorts;
+            return (
+              <button
+                key={algorithm}
+                className={`btn btn-xs ${
+                  picked ? "btn-primary" : "btn-outline"
+                }`}
+                disabled={locked}
+                onClick={() => toggle(algorithm)}
+              >
+                {title}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* new racers or input start the race (and its chart) afresh */}
+      <RaceVisualPage
+        key={`${algorithms.join()}|${data.join()}`}
+        data={data}
+        algorithms={algorithms}
+      />
+    </div>
+  );
+};
+
+export default Page10;
@@ -1,17 +1,31 @@
-import React from "react";
+import React, { useState } from "react";
 import VisualPage2 from "./VisualPage2";
 import ARButton2 from "./ARButton2";
 import SortingPage02 from "./Contents/SortingPage02";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.sorting.bubble;
 
 const Page2 = () => {
+  const [data, setData] = useState(DEFAULT_DATA);
+
   return (
     <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
-      <ARButton2 />
+      <ARButton2 data={data} />
 
       <SortingPage02 />
 
+      <InputDataPanel
+        kind="numbers"
+        value={data}
+        onChange={setData}
+        defaultValue={DEFAULT_DATA}
+      />
+
       <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
-        <VisualPage2 />
+        {/* new input starts the sort (and any practice) afresh */}
+        <VisualPage2 key={data.join()} data={data} />
       </div>
     </div>
   );
@@ -1,17 +1,30 @@
-import React from "react";
+import React, { useState } from "react";
 import VisualPage4 from "./VisualPage4";
 import ARButton4 from "./ARButton4";
 import SortingPage04 from "./Contents/SortingPage04";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.sorting.selection;
 
 const Page4 = () => {
+  const [data, setData] = useState(DEFAULT_DATA);
+
   return (
     <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
-      <ARButton4 />
+      <ARButton4 data={data} />
 
       <SortingPage04 />
 
+      <InputDataPanel
+        kind="numbers"
+        value={data}
+        onChange={setData}
+        defaultValue={DEFAULT_DATA}
+      />
+
       <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
-        <VisualPage4 />
+        <VisualPage4 data={data} />
       </div>
     </div>
   );
@@ -0,0 +1,45 @@
+import React, { useState } from "react";
+import SortVisualPage from "./SortVisualPage";
+import SortARButton from "./SortARButton";
+import MergeSortScene from "./MergeSortScene";
+import SortingPage06 from "./Contents/SortingPage06";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+import { mergeSortTrace } from "../../utils/traces";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.sorting.merge;
+
+const SORTS = [
+  {
+    algorithm: "merge-sort",
+    title: "Merge Sort",
+    complexity: "O(n log n)",
+    trace: mergeSortTrace,
+    scene: MergeSortScene,
+  },
+];
+
+const Page6 = () => {
+  const [data, setData] = useState(DEFAULT_DATA);
+
+  return (
+    <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
+      <SortARButton data={data} sorts={SORTS} />
+
+      <SortingPage06 />
+
+      <InputDataPanel
+        kind="numbers"
+        value={data}
+        onChange={setData}
+        defaultValue={DEFAULT_DATA}
+      />
+
+      <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
+        <SortVisualPage data={data} sorts={SORTS} />
+      </div>
+    </div>
+  );
+};
+
+export default Page6;
@@ -0,0 +1,45 @@
+import React, { useState } from "react";
+import SortVisualPage from "./SortVisualPage";
+import SortARButton from "./SortARButton";
+import HeapSortScene from "./HeapSortScene";
+import SortingPage08 from "./Contents/SortingPage08";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+import { heapSortTrace } from "../../utils/traces";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.sorting.heap;
+
+const SORTS = [
+  {
+    algorithm: "heap-sort",
+    title: "Heap Sort",
+    complexity: "O(n log n)",
+    trace: heapSortTrace,
+    scene: HeapSortScene,
+  },
+];
+
+const Page8 = () => {
+  const [data, setData] = useState(DEFAULT_DATA);
+
+  return (
+    <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
+      <SortARButton data={data} sorts={SORTS} />
+
+      <SortingPage08 />
+
+      <InputDataPanel
+        kind="numbers"
+        value={data}
+        onChange={setData}
+        defaultValue={DEFAULT_DATA}
+      />
+
+      <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
+        <SortVisualPage data={data} sorts={SORTS} />
+      </div>
+    </div>
+  );
+};
+
+export default Page8;
@@ -0,0 +1,53 @@
+import React, { useState } from "react";
+import SortVisualPage from "./SortVisualPage";
+import SortARButton from "./SortARButton";
+import BucketSortScene from "./BucketSortScene";
+import SortingPage09 from "./Contents/SortingPage09";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+import { countingSortTrace, radixSortTrace } from "../../utils/traces";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.sorting.bucket;
+
+// Buttons in the scene switch between them
+const SORTS = [
+  {
+    algorithm: "counting-sort",
+    title: "Counting Sort",
+    complexity: "O(n + k)",
+    trace: countingSortTrace,
+    scene: BucketSortScene,
+  },
+  {
+    algorithm: "radix-sort",
+    title: "Radix Sort",
+    complexity: "O(d · n)",
+    trace: radixSortTrace,
+    scene: BucketSortScene,
+  },
+];
+
+const Page9 = () => {
+  const [data, setData] = useState(DEFAULT_DATA);
+
+  return (
+    <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
+      <SortARButton data={data} sorts={SORTS} />
+
+      <SortingPage09 />
+
+      <InputDataPanel
+        kind="numbers"
+        value={data}
+        onChange={setData}
+        defaultValue={DEFAULT_DATA}
+      />
+
+      <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
+        <SortVisualPage data={data} sorts={SORTS} />
+      </div>
+    </div>
+  );
+};
+
+export default Page9;
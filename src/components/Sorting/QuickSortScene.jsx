@@ -0,0 +1,66 @@
+import React from "react";
+import { Text } from "@react-three/drei";
+import SortBar from "./SortBar";
+
+/**
+ * Quick Sort partitioning a range: the pivot in yellow, the i and j
+ * pointers under the bars and the rest of the array dimmed. Pivots already
+ * in their final place are green.
+ * - step: a snapshot of quickSortTrace ({ range, pivot, i, j })
+ */
+const QuickSortScene = ({ step, spacing = 1.6, onSelect }) => {
+  const { array } = step;
+  const max = Math.max(...array);
+  const mid = (array.length - 1) / 2;
+  const x = (i) => (i - mid) * spacing;
+
+  const roleOf = (i) => {
+    if (step.sorted.includes(i)) return "sorted";
+    if (step.active.includes(i)) return "active";
+    if (i === step.pivot) return "pivot";
+    if (step.range && (i < step.range[0] || i > step.range[1])) {
+      return "outside";
+    }
+    return "normal";
+  };
+
+  // pointer names under each index, e.g. "i, j"
+  const pointers = array.map((_, i) =>
+    [i === step.pivot && "pivot", i === step.i && "i", i === step.j && "j"]
+      .filter(Boolean)
+      .join(", ")
+  );
+
+  return (
+    <group>
+      {array.map((value, i) => (
+        <SortBar
+          key={i}
+          value={value}
+          height={(value / max) * 2 + 0.5}
+          position={[x(i), 0, 0]}
+          role={roleOf(i)}
+          width={1.2}
+          fontSize={0.35}
+          onClick={onSelect}
+        />
+      ))}
+
+      {pointers.map(
+        (label, i) =>
+          label && (
+            <Text
+              key={i}
+              position={[x(i), -0.45, 0]}
+              fontSize={0.3}
+              color="#fde68a"
+            >
+              {`↑ ${label}`}
+            </Text>
+          )
+      )}
+    </group>
+  );
+};
+
+export default QuickSortScene;
@@ -0,0 +1,104 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Canvas } from "@react-three/fiber";
+import { OrbitControls, Text } from "@react-three/drei";
+import { useARSessionLog } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { countsBySize, raceTrace } from "../../utils/sortRace";
+import TracePlayer3D from "../common/TracePlayer3D";
+import RaceLanes from "./RaceLanes";
+import RaceChart3D from "./RaceChart3D";
+
+/**
+ * AR counterpart of RaceVisualPage: the lanes in front of the learner,
+ * played with the 3D player's buttons, and the chart of counts by input
+ * size beside them once the race is over.
+ */
+const RaceARPage = ({ data, algorithms }) => {
+  const logARSession = useARSessionLog();
+  const trace = useMemo(() => raceTrace(algorithms, data), [algorithms, data]);
+  const player = useTracePlayer(trace, { stepMs: 120 });
+  const { step } = player;
+
+  const [raceOver, setRaceOver] = useState(false);
+  if (step.done && !raceOver) setRaceOver(true);
+  const chart = useMemo(
+    () => (raceOver ? countsBySize(algorithms) : null),
+    [raceOver, algorithms]
+  );
+
+  const startAR = (gl) => {
+    if (navigator.xr) {
+      navigator.xr.isSessionSupported("immersive-ar").then((supported) => {
+        if (supported) {
+          navigator.xr
+            .requestSession("immersive-ar", {
+              requiredFeatures: ["hit-test", "local-floor"],
+            })
+            .then((session) => {
+              gl.xr.setSession(logARSession(session));
+            })
+            .catch((err) => console.error("AR Session failed:", err));
+        }
+      });
+    }
+  };
+
+  return (
+    <div className="w-full h-[300px]">
+      <Canvas
+        camera={{ position: [0, 0, 17], fov: 50 }}
+        onCreated={({ gl }) => {
+          gl.xr.enabled = true;
+          startAR(gl);
+        }}
+      >
+        <ambientLight intensity={0.5} />
+        <directionalLight position={[8, 12, 6]} intensity={1} />
+
+        <group position={[0, 0, -8]}>
+          <FadeText
+            text="Sorting Race"
+            position={[0, 4.6, 0]}
+            fontSize={0.6}
+            color="#facc15"
+          />
+
+          <RaceLanes race={step} onSelect={player.toggle} />
+
+          {chart && <RaceChart3D chart={chart} position={[8.5, 3.4, 0]} />}
+
+          <TracePlayer3D player={player} position={[0, -7.3, 0]} />
+        </group>
+
+        <OrbitControls makeDefault />
+      </Canvas>
+    </div>
+  );
+};
+
+const FadeText = ({ text, position, fontSize, color }) => {
+  const [opacity, setOpacity] = useState(0);
+  useEffect(() => {
+    let start;
+    const fade = (ts) => {
+      if (!start) start = ts;
+      const p = Math.min((ts - start) / 900, 1);
+      setOpacity(p);
+      if (p < 1) requestAnimationFrame(fade);
+    };
+    requestAnimationFrame(fade);
+  }, []);
+
+  return (
+    <Text
+      position={position}
+      fontSize={fontSize}
+      color={color}
+      fillOpacity={opacity}
+    >
+      {text}
+    </Text>
+  );
+};
+
+export default RaceARPage;
@@ -0,0 +1,100 @@
+import React, { useRef, useState } from "react";
+import { Line, Text } from "@react-three/drei";
+import { useSceneTaps } from "../../services/useSceneTaps";
+import { RACE_METRICS } from "../../utils/sortRace";
+import SceneButton from "../common/SceneButton";
+
+const WIDTH = 6;
+const HEIGHT = 3.6;
+const COLORS = ["#3b82f6", "#f97316", "#22c55e", "#a855f7"];
+
+/**
+ * The 3D counterpart of RaceCountChart for AR: an operation count of the
+ * raced sorts against the input size, with buttons on top to pick the
+ * count. Grows right and down from position.
+ * - chart: from countsBySize in utils/sortRace
+ */
+const RaceChart3D = ({ chart, position = [0, 0, 0] }) => {
+  const groupRef = useRef();
+  const [metric, setMetric] = useState(RACE_METRICS[0].id);
+  const { sizes, series } = chart;
+  const values = series.flatMap((s) => s.counts.map((c) => c[metric]));
+  const maxValue = Math.max(1, ...values);
+  const maxSize = sizes[sizes.length - 1];
+
+  const x = (size) => (size / maxSize) * WIDTH;
+  const y = (value) => -HEIGHT - 0.8 + (value / maxValue) * HEIGHT;
+
+  useSceneTaps(groupRef);
+
+  return (
+    <group ref={groupRef} position={position}>
+      {RACE_METRICS.map(({ id, label }, i) => (
+        <SceneButton
+          key={id}
+          label={label}
+          onPress={() => setMetric(id)}
+          position={[1.1 + i * 2.3, 0, 0]}
+          width={2.2}
+          color={id === metric ? "#facc15" : "#94a3b8"}
+        />
+      ))}
+
+      {/* Axes with the input sizes and the largest count */}
+      <Line
+        points={[
+          [0, y(maxValue), 0],
+          [0, y(0), 0],
+          [WIDTH, y(0), 0],
+        ]}
+        color="#94a3b8"
+        lineWidth={1.5}
+      />
+      <Text
+        position={[-0.15, y(maxValue), 0]}
+        fontSize={0.22}
+        color="white"
+        anchorX="right"
+      >
+        {String(maxValue)}
+      </Text>
+      {sizes.map((size) => (
+        <Text
+          key={size}
+          position={[x(size), y(0) - 0.25, 0]}
+          fontSize={0.2}
+          color="white"
+        >
+          {String(size)}
+        </Text>
+      ))}
+      <Text
+        position={[WIDTH / 2, y(0) - 0.6, 0]}
+        fontSize={0.22}
+        color="#94a3b8"
+      >
+        Input size (n)
+      </Text>
+
+      {series.map((s, i) => (
+        <group key={s.algorithm}>
+          <Line
+            points={s.counts.map((c, j) => [x(sizes[j]), y(c[metric]), 0])}
+            color={COLORS[i % COLORS.length]}
+            lineWidth={3}
+          />
+          <Text
+            position={[WIDTH + 0.3, y(maxValue) - i * 0.4, 0]}
+            fontSize={0.24}
+            color={COLORS[i % COLORS.length]}
+            anchorX="left"
+          >
+            {s.title}
+          </Text>
+        </group>
+      ))}
+    </group>
+  );
+};
+
+export default RaceChart3D;
@@ -0,0 +1,120 @@
+import React from "react";
+
+const WIDTH = 320;
+const HEIGHT = 170;
+const PAD = { top: 10, right: 10, bottom: 24, left: 40 };
+const COLORS = ["#3b82f6", "#f97316", "#22c55e", "#a855f7"];
+
+/**
+ * One operation count of the raced sorts against the input size, one line
+ * per sort (from countsBySize in utils/sortRace).
+ * - metric: comparisons | swaps | writes
+ */
+const RaceCountChart = ({ chart, metric, label }) => {
+  const { sizes, series } = chart;
+  const values = series.flatMap((s) => s.counts.map((c) => c[metric]));
+  const maxValue = Math.max(1, ...values);
+  const maxSize = sizes[sizes.length - 1];
+  const innerWidth = WIDTH - PAD.left - PAD.right;
+  const innerHeight = HEIGHT - PAD.top - PAD.bottom;
+
+  const x = (size) => PAD.left + (size / maxSize) * innerWidth;
+  const y = (value) => PAD.top + innerHeight - (value / maxValue) * innerHeight;
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full"
+        role="img"
+        aria-label={`${label} against input size`}
+      >
+        {/* Grid */}
+        {[0, Math.round(maxValue / 2), maxValue].map((tick) => (
+          <g key={tick}>
+            <line
+              x1={PAD.left}
+              x2={WIDTH - PAD.right}
+              y1={y(tick)}
+              y2={y(tick)}
+              stroke="currentColor"
+              strokeOpacity="0.15"
+            />
+            <text
+              x={PAD.left - 4}
+              y={y(tick) + 3}
+              fontSize="9"
+              textAnchor="end"
+              className="fill-current"
+            >
+              {tick}
+            </text>
+          </g>
+        ))}
+        {sizes.map((size) => (
+          <text
+            key={size}
+            x={x(size)}
+            y={HEIGHT - 12}
+            fontSize="9"
+            textAnchor="middle"
+            className="fill-current"
+          >
+            {size}
+          </text>
+        ))}
+        <text
+          x={PAD.left + innerWidth / 2}
+          y={HEIGHT - 2}
+          fontSize="9"
+          textAnchor="middle"
+          className="fill-current"
+        >
+          Input size (n)
+        </text>
+
+        {series.map((s, i) => {
+          const color = COLORS[i % COLORS.length];
+          const points = s.counts.map(
+            (c, j) => `${x(sizes[j])},${y(c[metric])}`
+          );
+          return (
+            <g key={s.algorithm}>
+              <polyline
+                points={points.join(" ")}
+                fill="none"
+                stroke={color}
+                strokeWidth="2"
+              />
+              {s.counts.map((c, j) => (
+                <circle
+                  key={j}
+                  cx={x(sizes[j])}
+                  cy={y(c[metric])}
+                  r="3"
+                  fill={color}
+                >
+                  <title>{`${s.title}: ${c[metric]} (n = ${sizes[j]})`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+
+      <div className="flex flex-wrap gap-3 mt-2 text-xs">
+        {series.map((s, i) => (
+          <span key={s.algorithm} className="inline-flex items-center gap-1">
+            <span
+              className="w-3 h-3 rounded-full inline-block"
+              style={{ backgroundColor: COLORS[i % COLORS.length] }}
+            />
+            {s.title}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RaceCountChart;
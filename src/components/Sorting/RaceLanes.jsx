@@ -0,0 +1,79 @@
+import React from "react";
+import { Text } from "@react-three/drei";
+import SortBar from "./SortBar";
+import SortCounters from "./SortCounters";
+import { ordinal } from "../../utils/sortRace";
+
+const LANE_GAP = 2.7;
+const LANE_WIDTH = 13;
+
+/**
+ * The lanes of a sorting race, one under the other: each sort's array as
+ * bars (in the colors of its own lesson), its name, its operation counters
+ * and, once it is done, the place it finished in.
+ * - race: a snapshot of raceTrace ({ lanes })
+ * - onSelect: clicking a bar (e.g. to play or pause)
+ */
+const RaceLanes = ({ race, top = 2.6, onSelect }) => {
+  const n = race.lanes[0].step.array.length;
+  const mid = (n - 1) / 2;
+  // long races squeeze their bars into the lane
+  const spacing = Math.min(1.1, LANE_WIDTH / n);
+  const max = Math.max(
+    1,
+    ...race.lanes.flatMap(({ step }) => step.array.filter((v) => v !== null))
+  );
+
+  const roleOf = (step, i) =>
+    step.done || step.sorted.includes(i)
+      ? "sorted"
+      : step.active.includes(i)
+      ? "active"
+      : "normal";
+
+  return (
+    <group>
+      {race.lanes.map(({ algorithm, title, complexity, step, place }, k) => (
+        <group key={algorithm} position={[0, top - k * LANE_GAP, 0]}>
+          <Text
+            position={[-(mid + 1) * spacing, 0.75, 0]}
+            fontSize={0.32}
+            color={place === 1 ? "#facc15" : "white"}
+            anchorX="right"
+          >
+            {title}
+          </Text>
+          <Text
+            position={[-(mid + 1) * spacing, 0.3, 0]}
+            fontSize={0.24}
+            color={place ? "#34d399" : "#94a3b8"}
+            anchorX="right"
+          >
+            {place ? `Finished ${ordinal(place)}` : complexity}
+          </Text>
+
+          {step.array.map((value, i) => (
+            <SortBar
+              key={i}
+              value={value}
+              height={value === null ? 0 : (value / max) * 1.3 + 0.3}
+              position={[(i - mid) * spacing, 0, 0]}
+              role={roleOf(step, i)}
+              width={spacing * 0.8}
+              fontSize={Math.min(0.24, spacing * 0.45)}
+              onClick={onSelect}
+            />
+          ))}
+
+          <SortCounters
+            counts={step.counts}
+            position={[0, -0.35, 0]}
+            fontSize={0.24}
+          />
+        </group>
+      ))}
+    </group>
+  );
+};
+
+export default RaceLanes;
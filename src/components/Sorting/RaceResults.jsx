@@ -0,0 +1,59 @@
+import React, { useMemo, useState } from "react";
+import { BarChart3 } from "lucide-react";
+import { PRESET_LABELS, INPUT_PRESETS } from "../../utils/inputData";
+import { RACE_METRICS, countsBySize } from "../../utils/sortRace";
+import RaceCountChart from "./RaceCountChart";
+
+/**
+ * Shown once a race is over: how the counts of the raced sorts grow with
+ * the input size, for the count and the kind of input the learner picks.
+ * - algorithms: the raced sorts (keys of RACE_SORTS)
+ */
+const RaceResults = ({ algorithms }) => {
+  const [metric, setMetric] = useState(RACE_METRICS[0].id);
+  const [preset, setPreset] = useState("random");
+  const chart = useMemo(
+    () => countsBySize(algorithms, preset),
+    [algorithms, preset]
+  );
+  const { label } = RACE_METRICS.find((m) => m.id === metric);
+
+  return (
+    <div className="bg-base-100 rounded-xl p-4 space-y-3">
+      <h2 className="font-bold flex items-center gap-2">
+        <BarChart3 className="w-5 h-5" /> {label} by input size
+      </h2>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="join">
+          {RACE_METRICS.map((m) => (
+            <button
+              key={m.id}
+              className={`btn btn-xs join-item ${
+                m.id === metric ? "btn-primary" : "btn-outline"
+              }`}
+              onClick={() => setMetric(m.id)}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+        <select
+          className="select select-bordered select-xs"
+          value={preset}
+          onChange={(e) => setPreset(e.target.value)}
+        >
+          {INPUT_PRESETS.race.map((p) => (
+            <option key={p} value={p}>
+              {PRESET_LABELS[p]} input
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <RaceCountChart chart={chart} metric={metric} label={label} />
+    </div>
+  );
+};
+
+export default RaceResults;
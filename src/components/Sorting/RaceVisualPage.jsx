@@ -0,0 +1,85 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Canvas } from "@react-three/fiber";
+import { OrbitControls, Text } from "@react-three/drei";
+import { useVisualizationRun } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { raceTrace } from "../../utils/sortRace";
+import TracePlayer from "../common/TracePlayer";
+import RaceLanes from "./RaceLanes";
+import RaceResults from "./RaceResults";
+
+/**
+ * The sorting race in a 3D canvas, played with the usual trace player, and
+ * the chart of counts by input size once the race is over.
+ * - algorithms: the sorts racing (keys of RACE_SORTS in utils/sortRace)
+ */
+const RaceVisualPage = ({ data, algorithms }) => {
+  const markRun = useVisualizationRun();
+  const trace = useMemo(() => raceTrace(algorithms, data), [algorithms, data]);
+  const player = useTracePlayer(trace, { stepMs: 120 });
+  const { step } = player;
+
+  // the chart stays once the race has been run to the end
+  const [raceOver, setRaceOver] = useState(false);
+  if (step.done && !raceOver) setRaceOver(true);
+
+  // Clicking a bar plays or pauses the race (a finished one starts over)
+  const handlePlay = () => {
+    if (!player.playing) markRun("race");
+    player.toggle();
+  };
+
+  return (
+    <>
+      <div className="w-full h-[300px] bg-gray-900 rounded-xl relative">
+        <Canvas camera={{ position: [0, 0, 17], fov: 50 }}>
+          <ambientLight intensity={0.5} />
+          <directionalLight position={[6, 10, 6]} intensity={1.1} />
+
+          <FadeText
+            text="Sorting Race"
+            position={[0, 4.6, 0]}
+            fontSize={0.6}
+            color="#facc15"
+          />
+
+          <RaceLanes race={step} onSelect={handlePlay} />
+
+          <OrbitControls makeDefault />
+        </Canvas>
+
+        <TracePlayer player={player} onPlay={() => markRun("race")} />
+      </div>
+
+      {raceOver && <RaceResults algorithms={algorithms} />}
+    </>
+  );
+};
+
+// ✅ Display Fade-in Text
+const FadeText = ({ text, position, fontSize, color }) => {
+  const [opacity, setOpacity] = useState(0);
+  useEffect(() => {
+    let start;
+    const animate = (ts) => {
+      if (!start) start = ts;
+      const progress = Math.min((ts - start) / 900, 1);
+      setOpacity(progress);
+      if (progress < 1) requestAnimationFrame(animate);
+    };
+    requestAnimationFrame(animate);
+  }, []);
+
+  return (
+    <Text
+      position={position}
+      fontSize={fontSize}
+      color={color}
+      fillOpacity={opacity}
+    >
+      {text}
+    </Text>
+  );
+};
+
+export default RaceVisualPage;
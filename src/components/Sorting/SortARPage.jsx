@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Canvas } from "@react-three/fiber";
+import { OrbitControls, Text } from "@react-three/drei";
+import { useARSessionLog } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer3D from "../common/TracePlayer3D";
+import SortCounters from "./SortCounters";
+import SortPicker from "./SortPicker";
+
+/**
+ * AR counterpart of SortVisualPage: the same scene, counters and code in
+ * front of the learner, played with the 3D player's buttons.
+ * - sorts: as for SortVisualPage
+ */
+const SortARPage = ({ data, sorts }) => {
+  const logARSession = useARSessionLog();
+  const [picked, setPicked] = useState(0);
+  const sort = sorts[picked];
+  const { scene: Scene } = sort;
+
+  const trace = useMemo(() => sort.trace(data), [sort, data]);
+  const player = useTracePlayer(trace);
+  const { step } = player;
+
+  // the code and the switch buttons sit either side of the widest scene
+  const codeX = Math.max(7, ((data.length - 1) / 2) * 1.6 + 1.5);
+
+  const startAR = (gl) => {
+    if (navigator.xr) {
+      navigator.xr.isSessionSupported("immersive-ar").then((supported) => {
+        if (supported) {
+          navigator.xr
+            .requestSession("immersive-ar", {
+              requiredFeatures: ["hit-test", "local-floor"],
+            })
+            .then((session) => {
+              gl.xr.setSession(logARSession(session));
+            })
+            .catch((err) => console.error("AR Session failed:", err));
+        }
+      });
+    }
+  };
+
+  return (
+    <div className="w-full h-[300px]">
+      <Canvas
+        camera={{ position: [0, 2, 16], fov: 50 }}
+        onCreated={({ gl }) => {
+          gl.xr.enabled = true;
+          startAR(gl);
+        }}
+      >
+        <ambientLight intensity={0.5} />
+        <directionalLight position={[8, 12, 6]} intensity={1} />
+
+        <group position={[0, 0, -8]}>
+          <FadeText
+            text={`${sort.title} (${sort.complexity})`}
+            position={[0, 4.8, 0]}
+            fontSize={0.6}
+            color="#facc15"
+          />
+          <SortCounters counts={step.counts} position={[0, 4, 0]} />
+
+          <Scene step={step} onSelect={player.toggle} />
+
+          {sorts.length > 1 && (
+            <SortPicker
+              sorts={sorts}
+              picked={picked}
+              onPick={setPicked}
+              position={[-codeX - 1, 3.4, 0]}
+            />
+          )}
+
+          <CodeTracePanel
+            algorithm={sort.algorithm}
+            step={step}
+            position={[codeX, 3.4, 0]}
+          />
+
+          <TracePlayer3D player={player} position={[0, -5.4, 0]} />
+        </group>
+
+        <OrbitControls makeDefault />
+      </Canvas>
+    </div>
+  );
+};
+
+const FadeText = ({ text, position, fontSize, color }) => {
+  const [opacity, setOpacity] = useState(0);
+  useEffect(() => {
+    let start;
+    const fade = (ts) => {
+      if (!start) start = ts;
+      const p = Math.min((ts - start) / 900, 1);
+      setOpacity(p);
+      if (p < 1) requestAnimationFrame(fade);
+    };
+    requestAnimationFrame(fade);
+  }, []);
+
+  return (
+    <Text
+      position={position}
+      fontSize={fontSize}
+      color={color}
+      fillOpacity={opacity}
+    >
+      {text}
+    </Text>
+  );
+};
+
+export default SortARPage;
@@ -0,0 +1,65 @@
+import React, { useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { Text } from "@react-three/drei";
+import * as THREE from "three";
+
+// Colors of the roles an element plays in a step
+const COLORS = {
+  normal: "#60a5fa",
+  active: "#f87171",
+  sorted: "#34d399",
+  pivot: "#facc15",
+  written: "#c084fc",
+  outside: "#475569",
+};
+
+/**
+ * One element of an array in the sort scenes: a bar standing on position
+ * whose height and color ease to the new ones between steps, with its
+ * value on top. An empty slot (value null) is drawn as a wireframe box.
+ * - role: normal | active | sorted | pivot | written | outside (a part of
+ *   the array the step does not work on)
+ */
+const SortBar = ({
+  value,
+  height,
+  position,
+  role = "normal",
+  width = 1,
+  fontSize = 0.3,
+  onClick,
+}) => {
+  const meshRef = useRef();
+  const target = new THREE.Color(COLORS[role]);
+
+  useFrame(() => {
+    if (!meshRef.current) return;
+    const mesh = meshRef.current;
+    mesh.position.y += (height / 2 - mesh.position.y) * 0.15;
+    mesh.scale.y += (height - mesh.scale.y) * 0.15;
+    mesh.material.color.lerp(target, 0.2);
+  });
+
+  if (value === null || value === undefined) {
+    return (
+      <mesh position={[position[0], position[1] + 0.15, position[2]]}>
+        <boxGeometry args={[width, 0.3, width]} />
+        <meshBasicMaterial color="#64748b" wireframe />
+      </mesh>
+    );
+  }
+
+  return (
+    <group position={position}>
+      <mesh ref={meshRef} position={[0, height / 2, 0]} onClick={onClick}>
+        <boxGeometry args={[width, 1, width]} />
+        <meshStandardMaterial color={COLORS.normal} />
+      </mesh>
+      <Text position={[0, height + 0.25, 0]} fontSize={fontSize} color="white">
+        {String(value)}
+      </Text>
+    </group>
+  );
+};
+
+export default SortBar;
@@ -0,0 +1,14 @@
+import React from "react";
+import { Text } from "@react-three/drei";
+
+/**
+ * The comparisons, swaps and array writes a sort has made up to the
+ * current step (the counts of its trace snapshots).
+ */
+const SortCounters = ({ counts, position = [0, 0, 0], fontSize = 0.3 }) => (
+  <Text position={position} fontSize={fontSize} color="#a5f3fc">
+    {`Comparisons: ${counts.comparisons}    Swaps: ${counts.swaps}    Writes: ${counts.writes}`}
+  </Text>
+);
+
+export default SortCounters;
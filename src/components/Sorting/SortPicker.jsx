@@ -0,0 +1,30 @@
+import React, { useRef } from "react";
+import { useSceneTaps } from "../../services/useSceneTaps";
+import SceneButton from "../common/SceneButton";
+
+/**
+ * Buttons that switch a sort page between the sorts it shows (e.g.
+ * Counting and Radix Sort), one under the other. Tapped in AR too.
+ * - sorts: the page's sorts ({ title }); picked: index of the shown one
+ */
+const SortPicker = ({ sorts, picked, onPick, position = [0, 0, 0] }) => {
+  const groupRef = useRef();
+  useSceneTaps(groupRef);
+
+  return (
+    <group ref={groupRef} position={position}>
+      {sorts.map(({ title }, i) => (
+        <SceneButton
+          key={title}
+          label={title}
+          onPress={() => onPick(i)}
+          position={[0, -i * 0.8, 0]}
+          width={3}
+          color={i === picked ? "#facc15" : "#94a3b8"}
+        />
+      ))}
+    </group>
+  );
+};
+
+export default SortPicker;
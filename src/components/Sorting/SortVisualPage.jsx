@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Canvas } from "@react-three/fiber";
+import { OrbitControls, Text } from "@react-three/drei";
+import { useVisualizationRun } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer from "../common/TracePlayer";
+import SortCounters from "./SortCounters";
+import SortPicker from "./SortPicker";
+
+/**
+ * Visual page of the sorts drawn by their own scene (Merge, Quick, Heap,
+ * Counting and Radix Sort): the scene, the operation counters, the traced
+ * code and the player. A page showing several sorts gets buttons to switch
+ * between them.
+ * - sorts: [{ algorithm, title, complexity, trace, scene }], algorithm
+ *   being the key of its code (utils/algorithmCode), trace its builder
+ *   (utils/traces) and scene the component drawing a step ({ step,
+ *   onSelect }); a module constant, so traces are kept between renders
+ */
+const SortVisualPage = ({ data, sorts }) => {
+  const markRun = useVisualizationRun();
+  const [picked, setPicked] = useState(0);
+  const sort = sorts[picked];
+  const { scene: Scene } = sort;
+
+  const trace = useMemo(() => sort.trace(data), [sort, data]);
+  const player = useTracePlayer(trace, { stepMs: 600 });
+  const { step } = player;
+
+  // the code and the switch buttons sit either side of the widest scene
+  // (quick sort's bars, the ten radix buckets)
+  const codeX = Math.max(7, ((data.length - 1) / 2) * 1.6 + 1.5);
+
+  // Clicking the scene plays or pauses the sort (a finished one starts over)
+  const handlePlay = () => {
+    if (!player.playing) markRun("sort");
+    player.toggle();
+  };
+
+  return (
+    <div className="w-full h-[300px] relative">
+      <Canvas camera={{ position: [0, 2, 16], fov: 50 }}>
+        <ambientLight intensity={0.5} />
+        <directionalLight position={[6, 10, 6]} intensity={1.1} />
+
+        <FadeText
+          text={`${sort.title} (${sort.complexity})`}
+          position={[0, 4.8, 0]}
+          fontSize={0.6}
+          color="#facc15"
+        />
+        <FadeText
+          text={
+            step.done
+              ? "Sorting Completed! Click the array to replay."
+              : player.playing
+              ? "Sorting in progress... click the array to pause"
+              : `Click the array to play ${sort.title}`
+          }
+          position={[0, 4, 0]}
+          fontSize={0.35}
+          color="white"
+        />
+        <SortCounters counts={step.counts} position={[0, 3.4, 0]} />
+
+        <Scene step={step} onSelect={handlePlay} />
+
+        {sorts.length > 1 && (
+          <SortPicker
+            sorts={sorts}
+            picked={picked}
+            onPick={setPicked}
+            position={[-codeX - 1, 3.4, 0]}
+          />
+        )}
+
+        <CodeTracePanel
+          algorithm={sort.algorithm}
+          step={step}
+          position={[codeX, 3.4, 0]}
+        />
+
+        <OrbitControls makeDefault />
+      </Canvas>
+
+      <TracePlayer player={player} onPlay={() => markRun("sort")} />
+    </div>
+  );
+};
+
+// ✅ Display Fade-in Text
+const FadeText = ({ text, position, fontSize, color }) => {
+  const [opacity, setOpacity] = useState(0);
+  useEffect(() => {
+    let start;
+    const animate = (ts) => {
+      if (!start) start = ts;
+      const progress = Math.min((ts - start) / 900, 1);
+      setOpacity(progress);
+      if (progress < 1) requestAnimationFrame(animate);
+    };
+    requestAnimationFrame(animate);
+  }, []);
+
+  return (
+    <Text
+      position={position}
+      fontSize={fontSize}
+      color={color}
+      fillOpacity={opacity}
+    >
+      {text}
+    </Text>
+  );
+};
+
+export default SortVisualPage;
@@ -1,179 +1,7 @@
 // SortingAssessment.jsx
-import React, { useRef, useState } from "react";
-import { Canvas, useFrame } from "@react-three/fiber";
-import { OrbitControls, Text } from "@react-three/drei";
-import * as THREE from "three";
-import useSound from "use-sound";
-import correctSfx from "/sounds/correct.mp3";
-import wrongSfx from "/sounds/wrong.mp3";
+import React from "react";
+import AssessmentCanvas from "../common/AssessmentCanvas";
 
-const SortingAssessment = () => {
-  const questions = [
-    {
-      question: "If Bubble Sort is used, which pair will be swapped first?",
-      choices: [
-        { label: "(5,2)", type: "cube", isCorrect: true },
-        { label: "(2,8)", type: "cube", isCorrect: false },
-        { label: "(5,8)", type: "cube", isCorrect: false },
-      ],
-    },
-    {
-      question: "If Selection Sort is used, which element moves first?",
-      choices: [
-        { label: "7", type: "cube", isCorrect: true },
-        { label: "4", type: "cube", isCorrect: false },
-        { label: "9", type: "cube", isCorrect: false },
-      ],
-    },
-    {
-      question: "What is the worst-case complexity of Bubble Sort?",
-      choices: [
-        { label: "O(n²)", type: "sphere", isCorrect: true },
-        { label: "O(n log n)", type: "sphere", isCorrect: false },
-        { label: "O(n)", type: "sphere", isCorrect: false },
-      ],
-    },
-    {
-      question: "Time complexity of QuickSort in average case?",
-      choices: [
-        { label: "O(n log n)", type: "sphere", isCorrect: true },
-        { label: "O(n²)", type: "sphere", isCorrect: false },
-        { label: "O(log n)", type: "sphere", isCorrect: false },
-      ],
-    },
-    {
-      question: "Time complexity of Merge Sort (worst case)?",
-      choices: [
-        { label: "O(n log n)", type: "sphere", isCorrect: true },
-        { label: "O(n²)", type: "sphere", isCorrect: false },
-        { label: "O(log n)", type: "sphere", isCorrect: false },
-      ],
-    },
-    {
-      question: "Arrange these from Slowest → Fastest (average case)",
-      choices: [
-        { label: "Bubble Sort", type: "text", isCorrect: 0 }, // index of correct position
-        { label: "Merge Sort", type: "text", isCorrect: 1 },
-        { label: "Quick Sort", type: "text", isCorrect: 2 },
-      ],
-      dragDrop: true,
-    },
-  ];
-
-  const [currentQ, setCurrentQ] = useState(0);
-  const [selectedIndex, setSelectedIndex] = useState(null);
-  const [playCorrect] = useSound(correctSfx, { volume: 0.5 });
-  const [playWrong] = useSound(wrongSfx, { volume: 0.5 });
-
-  const handleSelect = (choice, index) => {
-    setSelectedIndex(index);
-    if (choice.isCorrect === true || choice.isCorrect === index) playCorrect();
-    else playWrong();
-
-    setTimeout(() => {
-      setSelectedIndex(null);
-      setCurrentQ((prev) => (prev + 1) % questions.length);
-    }, 2000);
-  };
-
-  const spacing = 3;
-  const mid = (questions[currentQ].choices.length - 1) / 2;
-
-  return (
-    <div className="w-full h-[300px]">
-      <Canvas camera={{ position: [0, 3, 8], fov: 50 }}>
-        <ambientLight intensity={0.5} />
-        <directionalLight position={[5, 10, 5]} intensity={0.8} />
-
-        {/* Question Indicator */}
-        <Text
-          position={[0, 3.3, 0]}
-          fontSize={0.25}
-          color="yellow"
-          anchorX="center"
-          anchorY="middle"
-        >
-          {`Question ${currentQ + 1} of ${questions.length}`}
-        </Text>
-
-        {/* Question */}
-        <Text
-          position={[0, 2.5, 0]}
-          fontSize={0.4}
-          color="white"
-          anchorX="center"
-          anchorY="middle"
-        >
-          {questions[currentQ].question}
-        </Text>
-
-        {/* Choices */}
-        {!questions[currentQ].dragDrop &&
-          questions[currentQ].choices.map((choice, i) => (
-            <Choice
-              key={i}
-              geometry={choice.type}
-              position={[(i - mid) * spacing, 0, 0]}
-              label={choice.label}
-              isCorrect={choice.isCorrect === true}
-              selected={selectedIndex === i}
-              onSelect={() => handleSelect(choice, i)}
-            />
-          ))}
-
-        {/* Drag & Drop question could use Html/Draggable components */}
-        <OrbitControls makeDefault />
-      </Canvas>
-    </div>
-  );
-};
-
-const Choice = ({
-  geometry,
-  position,
-  label,
-  isCorrect,
-  selected,
-  onSelect,
-}) => {
-  const meshRef = useRef();
-
-  useFrame(() => {
-    if (meshRef.current) {
-      meshRef.current.material.emissive.set(
-        selected ? (isCorrect ? "green" : "red") : "black"
-      );
-      const targetScale = selected ? 1.3 : 1;
-      meshRef.current.scale.lerp(
-        new THREE.Vector3(targetScale, targetScale, targetScale),
-        0.1
-      );
-    }
-  });
-
-  return (
-    <group position={position}>
-      {geometry !== "text" && (
-        <mesh ref={meshRef} onClick={onSelect}>
-          {geometry === "cube" ? (
-            <boxGeometry args={[1, 1, 1]} />
-          ) : (
-            <sphereGeometry args={[0.7, 32, 32]} />
-          )}
-          <meshStandardMaterial color="#60a5fa" />
-        </mesh>
-      )}
-      <Text
-        position={[0, 1, 0]}
-        fontSize={0.25}
-        color="white"
-        anchorX="center"
-        anchorY="middle"
-      >
-        {label}
-      </Text>
-    </group>
-  );
-};
+const SortingAssessment = () => <AssessmentCanvas assessmentId="sorting" />;
 
 export default SortingAssessment;
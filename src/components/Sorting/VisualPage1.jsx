@@ -2,8 +2,11 @@ import React, { useState, useMemo, useEffect } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useVisualizationRun } from "../../services/useModulePage";
 
 const VisualPage1 = ({ data = [35, 10, 25, 5, 15], spacing = 2 }) => {
+  const markRun = useVisualizationRun();
+
   const [sorted, setSorted] = useState(false);
   const [boxes, setBoxes] = useState(data);
 
@@ -21,6 +24,7 @@ const VisualPage1 = ({ data = [35, 10, 25, 5, 15], spacing = 2 }) => {
 
   // Handle sorting click
   const handleSortClick = () => {
+    markRun("sort");
     if (!sorted) {
       const sortedData = [...boxes].sort((a, b) => a - b);
       setBoxes(sortedData);
@@ -2,13 +2,36 @@ import React, { useState, useEffect, useMemo, useRef } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import {
+  usePracticeMode,
+  useVisualizationRun,
+} from "../../services/useModulePage";
+import { bubbleSwapSteps } from "../../services/practiceExercises";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { bubbleSortTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer from "../common/TracePlayer";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
 
-const VisualPage2 = ({ data = [35, 10, 25, 5, 15], spacing = 2 }) => {
-  const [array, setArray] = useState(data);
-  const [currentStep, setCurrentStep] = useState(0);
-  const [isSorting, setIsSorting] = useState(false);
+const DEFAULT_DATA = EXAMPLE_INPUTS.sorting.bubble;
+
+const VisualPage2 = ({ data = DEFAULT_DATA, spacing = 2 }) => {
+  const markRun = useVisualizationRun();
+  const practice = usePracticeMode("bubble-sort-swaps", () =>
+    bubbleSwapSteps(data)
+  );
+  const [picked, setPicked] = useState(null);
+  const [practiceArray, setPracticeArray] = useState(data);
   const [swapPair, setSwapPair] = useState([]);
-  const [finished, setFinished] = useState(false);
+
+  const trace = useMemo(() => bubbleSortTrace(data), [data]);
+  const player = useTracePlayer(trace);
+  const { step } = player;
+  const finished = !practice.active && step.done;
+
+  // practice mode swaps its own copy; otherwise the trace step is shown
+  const array = practice.active ? practiceArray : step.array;
 
   // Compute normalized heights (for bar visualization)
   const heights = useMemo(() => {
@@ -22,73 +45,59 @@ const VisualPage2 = ({ data = [35, 10, 25, 5, 15], spacing = 2 }) => {
     return array.map((_, i) => [(i - mid) * spacing, 0, 0]);
   }, [array, spacing]);
 
-  // Reset function
-  const handleReset = () => {
-    setArray([...data]);
-    setFinished(false);
-    setIsSorting(false);
+  // the code sits right of the last box, however many there are
+  const codeX = Math.max(5.5, ((data.length - 1) / 2) * spacing + 1.5);
+
+  const togglePractice = () => {
+    player.reset();
+    setPracticeArray([...data]);
     setSwapPair([]);
-    setCurrentStep(0);
+    setPicked(null);
+    if (practice.active) {
+      practice.stop();
+    } else {
+      markRun("practice");
+      practice.start();
+    }
   };
 
-  // Perform Bubble Sort animation
-  const handleStartSort = async () => {
-    if (isSorting) return;
+  // Clicking a box plays or pauses the sort (a finished one starts over)
+  const handlePlay = () => {
+    if (!player.playing) markRun("sort");
+    player.toggle();
+  };
 
-    // If finished, clicking resets
-    if (finished) {
-      handleReset();
-      return;
-    }
+  // In practice mode the boxes are picked two at a time: the pair to swap
+  const handleBoxClick = (i) => {
+    if (!practice.active) return handlePlay();
+    if (practice.done) return;
+    if (picked === null) return setPicked(i);
 
-    setIsSorting(true);
-    let tempArray = [...array];
-    const n = tempArray.length;
-
-    for (let i = 0; i < n - 1; i++) {
-      for (let j = 0; j < n - i - 1; j++) {
-        setSwapPair([j, j + 1]);
-        await sleep(700);
-
-        if (tempArray[j] > tempArray[j + 1]) {
-          [tempArray[j], tempArray[j + 1]] = [tempArray[j + 1], tempArray[j]];
-          setArray([...tempArray]);
-          await sleep(700);
-        }
-      }
+    setPicked(null);
+    if (picked === i) return;
+    const pair = [Math.min(picked, i), Math.max(picked, i)];
+    if (practice.guess(pair)) {
+      const next = [...practiceArray];
+      [next[pair[0]], next[pair[1]]] = [next[pair[1]], next[pair[0]]];
+      setPracticeArray(next);
+      setSwapPair(pair);
     }
-
-    setSwapPair([]);
-    setFinished(true);
-    setIsSorting(false);
   };
 
-  // Utility sleep function
-  const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
-
-  // Pseudo code generator
-  const generateCode = () => {
-    return [
-      "📘 Pseudo Code Example:",
-      "",
-      "array = [35, 10, 25, 5, 15]",
-      "n = length(array)",
-      "",
-      "for i = 0 to n-1:",
-      "    for j = 0 to n-i-1:",
-      "        if array[j] > array[j+1]:",
-      "            swap(array[j], array[j+1])",
-      "",
-      `print('Sorted Array:', [${[...array]
-        .sort((a, b) => a - b)
-        .join(", ")}])`,
-      "",
-      "// Result: [5, 10, 15, 25, 35]",
-    ].join("\n");
-  };
+  const highlighted = practice.active
+    ? [picked, ...(practice.revealed ? practice.step.answer : swapPair)]
+    : step.active;
 
   return (
-    <div className="w-full h-[300px]">
+    <div className="w-full h-[300px] relative">
+      <button
+        className="btn btn-sm btn-outline-primary absolute top-2 left-2 z-10"
+        onClick={togglePractice}
+        disabled={player.playing}
+      >
+        {practice.active ? "⏹ Stop Practice" : "🎯 Practice"}
+      </button>
+
       <Canvas camera={{ position: [0, 5, 13], fov: 50 }}>
         {/* Lights */}
         <ambientLight intensity={0.5} />
@@ -103,18 +112,26 @@ const VisualPage2 = ({ data = [35, 10, 25, 5, 15], spacing = 2 }) => {
         />
 
         {/* Instruction */}
-        <FadeText
-          text={
-            finished
-              ? "Sorting completed! Click any box to reset."
-              : isSorting
-              ? "Sorting in progress..."
-              : "Click any box to start Bubble Sort"
-          }
-          position={[0, 3.8, 0]}
-          fontSize={0.35}
-          color="white"
-        />
+        {practice.active ? (
+          <PracticeStatus
+            practice={practice}
+            prompt="Click the next pair Bubble Sort swaps"
+            position={[0, 3.8, 0]}
+          />
+        ) : (
+          <FadeText
+            text={
+              finished
+                ? "Sorting completed! Click any box to replay."
+                : player.playing
+                ? "Sorting in progress... click a box to pause"
+                : "Click any box to play Bubble Sort"
+            }
+            position={[0, 3.8, 0]}
+            fontSize={0.35}
+            color="white"
+          />
+        )}
 
         {/* Boxes */}
         {array.map((value, i) => (
@@ -124,17 +141,29 @@ const VisualPage2 = ({ data = [35, 10, 25, 5, 15], spacing = 2 }) => {
             value={value}
             height={heights[i]}
             position={positions[i]}
-            highlighted={swapPair.includes(i)}
-            sorted={finished}
-            onClick={handleStartSort}
+            highlighted={highlighted.includes(i)}
+            sorted={
+              practice.active ? practice.done : step.sorted.includes(i)
+            }
+            onClick={() => handleBoxClick(i)}
           />
         ))}
 
         {/* Code Panel */}
-        {finished && <CodePanel code={generateCode()} position={[7.8, 1, 0]} />}
+        {!practice.active && (
+          <CodeTracePanel
+            algorithm="bubble-sort"
+            step={step}
+            position={[codeX, 3.4, 0]}
+          />
+        )}
 
         <OrbitControls makeDefault />
       </Canvas>
+
+      {!practice.active && (
+        <TracePlayer player={player} onPlay={() => markRun("sort")} />
+      )}
     </div>
   );
 };
@@ -193,11 +222,6 @@ const AnimatedBox = ({
   );
 };
 
-// === Code Panel ===
-const CodePanel = ({ code, position }) => (
-  <FadeText text={code} position={position} fontSize={0.3} color="#c7d2fe" />
-);
-
 // === Fade Text ===
 const FadeText = ({ text, position, fontSize = 0.5, color = "white" }) => {
   const [opacity, setOpacity] = useState(0);
@@ -2,12 +2,22 @@ import React, { useState, useEffect, useMemo, useRef } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useVisualizationRun } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { insertionSortTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer from "../common/TracePlayer";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
 
-const VisualPage3 = ({ data = [30, 10, 20, 5, 15], spacing = 2 }) => {
-  const [array, setArray] = useState(data);
-  const [isSorting, setIsSorting] = useState(false);
-  const [finished, setFinished] = useState(false);
-  const [highlight, setHighlight] = useState([]);
+const DEFAULT_DATA = EXAMPLE_INPUTS.sorting.insertion;
+
+const VisualPage3 = ({ data = DEFAULT_DATA, spacing = 2 }) => {
+  const markRun = useVisualizationRun();
+
+  const trace = useMemo(() => insertionSortTrace(data), [data]);
+  const player = useTracePlayer(trace);
+  const { step } = player;
+  const { array, done: finished } = step;
 
   // Compute normalized heights (for bar visualization)
   const heights = useMemo(() => {
@@ -21,79 +31,17 @@ const VisualPage3 = ({ data = [30, 10, 20, 5, 15], spacing = 2 }) => {
     return array.map((_, i) => [(i - mid) * spacing, 0, 0]);
   }, [array, spacing]);
 
-  // Sleep helper
-  const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
+  // the code sits right of the last box, however many there are
+  const codeX = Math.max(5.5, ((data.length - 1) / 2) * spacing + 1.5);
 
-  // Reset
-  const handleReset = () => {
-    setArray([...data]);
-    setFinished(false);
-    setIsSorting(false);
-    setHighlight([]);
-  };
-
-  // Perform Insertion Sort animation
-  const handleStartSort = async () => {
-    if (isSorting) return;
-
-    if (finished) {
-      handleReset();
-      return;
-    }
-
-    setIsSorting(true);
-    let tempArray = [...array];
-
-    for (let i = 1; i < tempArray.length; i++) {
-      let key = tempArray[i];
-      let j = i - 1;
-      setHighlight([i]);
-      await sleep(700);
-
-      while (j >= 0 && tempArray[j] > key) {
-        setHighlight([j, j + 1]);
-        tempArray[j + 1] = tempArray[j];
-        setArray([...tempArray]);
-        j--;
-        await sleep(700);
-      }
-
-      tempArray[j + 1] = key;
-      setArray([...tempArray]);
-      await sleep(700);
-    }
-
-    setHighlight([]);
-    setFinished(true);
-    setIsSorting(false);
-  };
-
-  // Pseudo code generator
-  const generateCode = () => {
-    return [
-      "📘 Pseudo Code Example:",
-      "",
-      "array = [35, 10, 25, 5, 15]",
-      "n = length(array)",
-      "",
-      "for i = 1 to n-1:",
-      "    key = array[i]",
-      "    j = i - 1",
-      "    while j >= 0 and array[j] > key:",
-      "        array[j+1] = array[j]",
-      "        j = j - 1",
-      "    array[j+1] = key",
-      "",
-      `print('Sorted Array:', [${[...array]
-        .sort((a, b) => a - b)
-        .join(", ")}])`,
-      "",
-      "// Result: [5, 10, 15, 20, 30]",
-    ].join("\n");
+  // Clicking a bar plays or pauses the sort (a finished one starts over)
+  const handlePlay = () => {
+    if (!player.playing) markRun("sort");
+    player.toggle();
   };
 
   return (
-    <div className="w-full h-[300px]">
+    <div className="w-full h-[300px] relative">
       <Canvas camera={{ position: [0, 5, 13], fov: 50 }}>
         {/* Lights */}
         <ambientLight intensity={0.5} />
@@ -111,10 +59,10 @@ const VisualPage3 = ({ data = [30, 10, 20, 5, 15], spacing = 2 }) => {
         <FadeText
           text={
             finished
-              ? "Sorting completed! Click any box to reset."
-              : isSorting
-              ? "Sorting in progress..."
-              : "Click any box to start Insertion Sort"
+              ? "Sorting completed! Click any box to replay."
+              : player.playing
+              ? "Sorting in progress... click a box to pause"
+              : "Click any box to play Insertion Sort"
           }
           position={[0, 3.8, 0]}
           fontSize={0.35}
@@ -128,17 +76,23 @@ const VisualPage3 = ({ data = [30, 10, 20, 5, 15], spacing = 2 }) => {
             value={value}
             height={heights[i]}
             position={positions[i]}
-            highlighted={highlight.includes(i)}
-            sorted={finished}
-            onClick={handleStartSort}
+            highlighted={step.active.includes(i)}
+            sorted={step.sorted.includes(i)}
+            onClick={handlePlay}
           />
         ))}
 
         {/* Pseudo code */}
-        {finished && <CodePanel code={generateCode()} position={[7.8, 1, 0]} />}
+        <CodeTracePanel
+          algorithm="insertion-sort"
+          step={step}
+          position={[codeX, 3.4, 0]}
+        />
 
         <OrbitControls makeDefault />
       </Canvas>
+
+      <TracePlayer player={player} onPlay={() => markRun("sort")} />
     </div>
   );
 };
@@ -192,11 +146,6 @@ const AnimatedBox = ({
   );
 };
 
-// === Code Panel ===
-const CodePanel = ({ code, position }) => (
-  <FadeText text={code} position={position} fontSize={0.3} color="#c7d2fe" />
-);
-
 // === Fade Text ===
 const FadeText = ({ text, position, fontSize = 0.5, color = "white" }) => {
   const [opacity, setOpacity] = useState(0);
@@ -4,15 +4,22 @@ import React, { useState, useEffect, useMemo, useRef } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useVisualizationRun } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { selectionSortTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer from "../common/TracePlayer";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
 
-const VisualPage4 = ({ data = [30, 10, 50, 20, 40], spacing = 2 }) => {
-  const [array, setArray] = useState(data);
-  const [isSorting, setIsSorting] = useState(false);
-  const [minIndex, setMinIndex] = useState(null);
-  const [activePair, setActivePair] = useState([]);
-  const [finished, setFinished] = useState(false);
+const DEFAULT_DATA = EXAMPLE_INPUTS.sorting.selection;
 
-  const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
+const VisualPage4 = ({ data = DEFAULT_DATA, spacing = 2 }) => {
+  const markRun = useVisualizationRun();
+
+  const trace = useMemo(() => selectionSortTrace(data), [data]);
+  const player = useTracePlayer(trace, { stepMs: 600 });
+  const { step } = player;
+  const { array, done: finished } = step;
 
   // ✅ Heights (normalize max value to scale bar height)
   const heights = useMemo(() => {
@@ -26,73 +33,17 @@ const VisualPage4 = ({ data = [30, 10, 50, 20, 40], spacing = 2 }) => {
     return array.map((_, i) => [(i - mid) * spacing, 0, 0]);
   }, [array, spacing]);
 
-  const reset = () => {
-    setArray([...data]);
-    setIsSorting(false);
-    setFinished(false);
-    setActivePair([]);
-    setMinIndex(null);
-  };
-
-  const startSort = async () => {
-    if (isSorting) return;
-
-    if (finished) {
-      reset();
-      return;
-    }
-
-    setIsSorting(true);
-
-    let tempArray = [...array];
-    const n = tempArray.length;
-
-    for (let i = 0; i < n - 1; i++) {
-      let min = i;
-      setMinIndex(min);
-      await sleep(600);
-
-      for (let j = i + 1; j < n; j++) {
-        setActivePair([min, j]);
-        await sleep(600);
-
-        if (tempArray[j] < tempArray[min]) {
-          min = j;
-          setMinIndex(min);
-          await sleep(600);
-        }
-      }
-
-      if (min !== i) {
-        [tempArray[i], tempArray[min]] = [tempArray[min], tempArray[i]];
-        setArray([...tempArray]);
-        await sleep(600);
-      }
-    }
-
-    setActivePair([]);
-    setMinIndex(null);
-    setFinished(true);
-    setIsSorting(false);
-  };
+  // the code sits right of the last box, however many there are
+  const codeX = Math.max(5.5, ((data.length - 1) / 2) * spacing + 1.5);
 
-  const generateCode = () => {
-    return [
-      "📘 Selection Sort Pseudo Code:",
-      "",
-      "for i = 0 to n - 1:",
-      "    minIndex = i",
-      "    for j = i+1 to n - 1:",
-      "        if array[j] < array[minIndex]:",
-      "            minIndex = j",
-      "    swap(array[i], array[minIndex])",
-      "",
-      `Result: [${[...array].sort((a, b) => a - b).join(", ")}]`,
-    ].join("\n");
+  // Clicking a bar plays or pauses the sort (a finished one starts over)
+  const handlePlay = () => {
+    if (!player.playing) markRun("sort");
+    player.toggle();
   };
 
   return (
-    <div className="w-full h-[300px]">
+    <div className="w-full h-[300px] relative">
       <Canvas camera={{ position: [0, 5, 14], fov: 50 }}>
         <ambientLight intensity={0.5} />
         <directionalLight position={[6, 10, 6]} intensity={1.1} />
@@ -107,10 +58,10 @@ const VisualPage4 = ({ data = [30, 10, 50, 20, 40], spacing = 2 }) => {
         <FadeText
           text={
             finished
-              ? "Sorting Completed! Click any bar to reset."
-              : isSorting
-              ? "Sorting in progress..."
-              : "Click any bar to start Selection Sort"
+              ? "Sorting Completed! Click any bar to replay."
+              : player.playing
+              ? "Sorting in progress... click a bar to pause"
+              : "Click any bar to play Selection Sort"
           }
           position={[0, 3.8, 0]}
           fontSize={0.35}
@@ -124,17 +75,23 @@ const VisualPage4 = ({ data = [30, 10, 50, 20, 40], spacing = 2 }) => {
             value={value}
             height={heights[i]}
             position={positions[i]}
-            highlighted={activePair.includes(i)}
-            isMin={i === minIndex}
-            sorted={finished}
-            onClick={startSort}
+            highlighted={step.active.includes(i)}
+            isMin={!finished && i === step.min}
+            sorted={step.sorted.includes(i)}
+            onClick={handlePlay}
           />
         ))}
 
-        {finished && <CodePanel code={generateCode()} position={[8.2, 1, 0]} />}
+        <CodeTracePanel
+          algorithm="selection-sort"
+          step={step}
+          position={[codeX, 3.4, 0]}
+        />
 
         <OrbitControls makeDefault />
       </Canvas>
+
+      <TracePlayer player={player} onPlay={() => markRun("sort")} />
     </div>
   );
 };
@@ -200,9 +157,4 @@ const FadeText = ({ text, position, fontSize, color }) => {
   );
 };
 
-// ✅ Code Panel Renderer
-const CodePanel = ({ code, position }) => (
-  <FadeText text={code} position={position} fontSize={0.3} color="#c7d2fe" />
-);
-
 export default VisualPage4;
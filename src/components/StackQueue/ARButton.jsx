@@ -2,7 +2,7 @@ import React, { useState, useEffect } from "react";
 import { Lock, Unlock } from "lucide-react";
 import ARPage1 from "./ARPage1";
 
-const ARButton = () => {
+const ARButton = ({ data }) => {
   const [isSupported, setIsSupported] = useState(null);
   const [startAR, setStartAR] = useState(false);
 
@@ -26,7 +26,7 @@ const ARButton = () => {
 
   // kung nag-start na si AR → render ARPage1
   if (startAR) {
-    return <ARPage1 />;
+    return <ARPage1 data={data} />;
   }
 
   if (isSupported === null) {
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from "react";
 import { Lock, Unlock } from "lucide-react";
 import ARPage4 from "./ARPage4";
 
-const ARButton4 = () => {
+const ARButton4 = ({ data }) => {
   const [isSupported, setIsSupported] = useState(null);
   const [startAR, setStartAR] = useState(false);
 
@@ -26,7 +26,7 @@ const ARButton4 = () => {
 
   // kung nag-start na si AR → render ARPage1
   if (startAR) {
-    return <ARPage4 />;
+    return <ARPage4 data={data} />;
   }
 
   if (isSupported === null) {
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from "react";
 import { Lock, Unlock } from "lucide-react";
 import ARPage5 from "./ARPage5";
 
-const ARButton5 = () => {
+const ARButton5 = ({ data }) => {
   const [isSupported, setIsSupported] = useState(null);
   const [startAR, setStartAR] = useState(false);
 
@@ -26,7 +26,7 @@ const ARButton5 = () => {
 
   // kung nag-start na si AR → render ARPage1
   if (startAR) {
-    return <ARPage5 />;
+    return <ARPage5 data={data} />;
   }
 
   if (isSupported === null) {
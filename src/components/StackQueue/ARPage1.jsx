@@ -2,14 +2,36 @@ import React, { useState, useMemo, useRef, useEffect } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog, usePracticeMode } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { popSteps } from "../../services/practiceExercises";
+import { stackOperationTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import TracePlayer3D from "../common/TracePlayer3D";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.stackQueue.stack;
+
+const ARPage1 = ({ data = DEFAULT_DATA }) => {
+  const logARSession = useARSessionLog();
 
-const ARPage1 = () => {
-  const [stack, setStack] = useState([10, 20, 30]);
-  const [highlighted, setHighlighted] = useState(null);
   const [actionType, setActionType] = useState(null);
   const [showPanel, setShowPanel] = useState(false);
   const [page, setPage] = useState(0);
 
+  // The last operation as a trace the player runs (at first just the
+  // stack as given); the next one starts from the stack it leaves
+  const [trace, setTrace] = useState(() => [
+    { items: data, highlight: null, note: "", done: true },
+  ]);
+  const player = useTracePlayer(trace, { stepMs: 600 });
+  const stack = trace[trace.length - 1].items;
+
+  // Practice: pop the stack empty by tapping the element that leaves next
+  const practice = usePracticeMode("stack-pop", popSteps);
+  const [practiceStack, setPracticeStack] = useState([]);
+  const shown = practice.active ? practiceStack : player.step.items;
+
   // Structure position (whole structure moves together)
   const [structurePos, setStructurePos] = useState([-2, 0, -10]);
   const [isDragging, setIsDragging] = useState(false);
@@ -38,28 +60,17 @@ const ARPage1 = () => {
     setIsDragging(false);
   };
 
-  const handlePush = () => {
+  const runOperation = (op, value) => {
     if (isDragging) return;
-    const newVal = Math.floor(Math.random() * 90) + 10;
-    setStack((prev) => [...prev, newVal]);
-    setActionType("push");
+    setTrace(stackOperationTrace(stack, op, value));
+    setActionType(op);
+    player.restart();
   };
 
-  const handlePop = () => {
-    if (isDragging) return;
-    if (stack.length === 0) return;
-    setStack((prev) => prev.slice(0, -1));
-    setActionType("pop");
-  };
-
-  const handlePeek = () => {
-    if (isDragging) return;
-    if (stack.length === 0) return;
-    const topIndex = stack.length - 1;
-    setHighlighted(topIndex);
-    setActionType("peek");
-    setTimeout(() => setHighlighted(null), 1000);
-  };
+  const handlePush = () =>
+    runOperation("push", Math.floor(Math.random() * 90) + 10);
+  const handlePop = () => runOperation("pop");
+  const handlePeek = () => runOperation("peek");
 
   const handleInfoClick = () => {
     if (isDragging) return;
@@ -72,6 +83,35 @@ const ARPage1 = () => {
     else setShowPanel(false);
   };
 
+  const togglePractice = () => {
+    if (isDragging) return;
+    if (practice.active) {
+      practice.stop();
+      return;
+    }
+    setShowPanel(false);
+    setPracticeStack(stack);
+    practice.start(stack);
+  };
+
+  const handleBoxTap = (index) => {
+    if (practice.guess(index)) setPracticeStack((prev) => prev.slice(0, -1));
+  };
+
+  // The AR session keeps the handler it started with, so it calls the
+  // current one through this ref
+  const selectAction = useRef();
+  selectAction.current = (action) => {
+    if (action === "push") handlePush();
+    if (action === "pop") handlePop();
+    if (action === "peek") handlePeek();
+    if (action === "info") handleInfoClick();
+    if (action === "practice") togglePractice();
+    if (action.startsWith("box-") && practice.active) {
+      handleBoxTap(Number(action.slice(4)));
+    }
+  };
+
   const startAR = (gl) => {
     if (navigator.xr) {
       navigator.xr.isSessionSupported("immersive-ar").then((supported) => {
@@ -79,7 +119,7 @@ const ARPage1 = () => {
           navigator.xr
             .requestSession("immersive-ar", { requiredFeatures: ["hit-test", "local-floor"] })
             .then((session) => {
-              gl.xr.setSession(session);
+              gl.xr.setSession(logARSession(session));
             })
             .catch((err) => console.error("AR session failed:", err));
         } else console.warn("AR not supported on this device.");
@@ -120,21 +160,40 @@ const ARPage1 = () => {
             />
           )}
 
-          <StackBackground height={stack.length * spacing + 2} isDragging={isDragging} />
-
-          {stack.map((value, i) => (
-            <StackBox
-              key={i}
-              index={i}
-              value={value}
-              position={[0, i * spacing, 0]}
-              isTop={i === stack.length - 1}
-              highlight={highlighted === i && i === stack.length - 1}
-              actionType={actionType && i === stack.length - 1 ? actionType : null}
-            />
+          <StackBackground height={shown.length * spacing + 2} isDragging={isDragging} />
+
+          {/* tappable boxes (in practice the learner taps what pop removes) */}
+          {shown.map((value, i) => (
+            <group key={i} ref={addButtonRef} userData={{ btnAction: `box-${i}` }}>
+              <StackBox
+                index={i}
+                value={value}
+                position={[0, i * spacing, 0]}
+                isTop={i === shown.length - 1}
+                highlight={
+                  practice.active
+                    ? practice.revealed && practice.step.answer === i
+                    : player.step.highlight === i
+                }
+                actionType={
+                  actionType && !practice.active && i === shown.length - 1
+                    ? actionType
+                    : null
+                }
+                onClick={practice.active ? () => handleBoxTap(i) : undefined}
+              />
+            </group>
           ))}
 
-          {!isDragging && (
+          {practice.active && !isDragging && (
+            <PracticeStatus
+              practice={practice}
+              prompt="Tap the element pop removes next"
+              position={[7, 3, 0]}
+            />
+          )}
+
+          {!isDragging && !practice.active && (
             <OperationsPanelAR
               position={[5, 2, 0]}
               onPush={handlePush}
@@ -145,8 +204,31 @@ const ARPage1 = () => {
             />
           )}
 
-          {/* Info Button */}
+          {/* Practice Button */}
           {!isDragging && (
+            <group
+              ref={addButtonRef}
+              position={[5, -2.6, 0]}
+              userData={{ btnAction: "practice" }}
+            >
+              <mesh onClick={togglePractice}>
+                <boxGeometry args={[3.2, 0.7, 0.2]} />
+                <meshStandardMaterial color="#f97316" transparent opacity={0.2} />
+              </mesh>
+              <Text
+                position={[0, 0, 0.11]}
+                fontSize={0.4}
+                color="#f97316"
+                anchorX="center"
+                anchorY="middle"
+              >
+                {practice.active ? "⏹ Stop Practice" : "🎯 Practice"}
+              </Text>
+            </group>
+          )}
+
+          {/* Info Button */}
+          {!isDragging && !practice.active && (
             <group
               ref={addButtonRef}
               position={[5, -1.6, 0]}
@@ -177,17 +259,16 @@ const ARPage1 = () => {
               stack={stack}
             />
           )}
+
+          {actionType && !isDragging && !practice.active && (
+            <TracePlayer3D player={player} position={[-5, -2.5, 0]} />
+          )}
         </group>
 
         <ARInteractionManager
           buttonRefs={buttonRefs}
           structureRef={structureRef}
-          onSelectAction={(action) => {
-            if (action === "push") handlePush();
-            if (action === "pop") handlePop();
-            if (action === "peek") handlePeek();
-            if (action === "info") handleInfoClick();
-          }}
+          onSelectAction={(action) => selectAction.current(action)}
           isDragging={isDragging}
           onDragStart={onDragStart}
           onDragMove={onDragMove}
@@ -240,7 +321,8 @@ const ARInteractionManager = ({
         const raycaster = new THREE.Raycaster();
         raycaster.set(origin, dir);
 
-        const candidates = (buttonRefs.current || []).map((g) => (g ? g.children : [])).flat();
+        // skip groups that have since been unmounted (e.g. popped boxes)
+        const candidates = (buttonRefs.current || []).map((g) => (g && g.parent ? g.children : [])).flat();
         const intersects = raycaster.intersectObjects(candidates, true);
         
         if (intersects.length > 0) {
@@ -401,7 +483,7 @@ const FadeInText = ({ show, text, position, fontSize, color }) => {
 };
 
 // === Stack Box ===
-const StackBox = ({ index, value, position, isTop, highlight, actionType }) => {
+const StackBox = ({ index, value, position, isTop, highlight, actionType, onClick }) => {
   const baseColor = highlight ? "#facc15" : isTop ? "#60a5fa" : "#34d399";
   const [color, setColor] = useState(baseColor);
   const meshRef = useRef();
@@ -430,7 +512,7 @@ const StackBox = ({ index, value, position, isTop, highlight, actionType }) => {
 
   return (
     <group position={position}>
-      <mesh ref={meshRef} position={[0, 0.5, 0]}>
+      <mesh ref={meshRef} position={[0, 0.5, 0]} onClick={onClick}>
         <boxGeometry args={[2, 1, 1]} />
         <meshStandardMaterial color={color} />
       </mesh>
@@ -2,13 +2,36 @@ import React, { useMemo, useState, useRef, useEffect, forwardRef } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog, usePracticeMode } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { popSteps } from "../../services/practiceExercises";
+import { stackOperationTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import TracePlayer3D from "../common/TracePlayer3D";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.stackQueue.stack;
+
+const ARPage2 = ({ data = DEFAULT_DATA }) => {
+  const logARSession = useARSessionLog();
 
-const ARPage2 = () => {
-  const [stack, setStack] = useState([10, 20, 30]);
-  const [highlighted, setHighlighted] = useState(null);
   const [operationInfo, setOperationInfo] = useState(null);
   const [selectedButton, setSelectedButton] = useState(null);
 
+  // The last operation as a trace the player runs (at first just the
+  // stack as given); the next one starts from the stack it leaves
+  const [operation, setOperation] = useState(null);
+  const [trace, setTrace] = useState(() => [
+    { items: data, highlight: null, note: "", done: true },
+  ]);
+  const player = useTracePlayer(trace, { stepMs: 600 });
+  const stack = trace[trace.length - 1].items;
+
+  // Practice: pop the stack empty by tapping the element that leaves next
+  const practice = usePracticeMode("stack-pop", popSteps);
+  const [practiceStack, setPracticeStack] = useState([]);
+  const shown = practice.active ? practiceStack : player.step.items;
+
   // Structure position (whole structure moves together)
   const [structurePos, setStructurePos] = useState([0, 0, -8]);
   const [isDragging, setIsDragging] = useState(false);
@@ -48,10 +71,15 @@ const ARPage2 = () => {
   };
 
   // === Stack Operations ===
+  const runOperation = (op, value) => {
+    setOperation(op);
+    setTrace(stackOperationTrace(stack, op, value));
+    player.restart();
+  };
+
   const handlePush = () => {
     if (isDragging) return;
-    const newVal = Math.floor(Math.random() * 90) + 10;
-    setStack((prev) => [...prev, newVal]);
+    runOperation("push", Math.floor(Math.random() * 90) + 10);
     showOperationInfo(
       "Push()",
       "O(1)",
@@ -61,8 +89,7 @@ const ARPage2 = () => {
 
   const handlePop = () => {
     if (isDragging) return;
-    if (stack.length === 0) return;
-    setStack((prev) => prev.slice(0, -1));
+    runOperation("pop");
     showOperationInfo(
       "Pop()",
       "O(1)",
@@ -72,10 +99,7 @@ const ARPage2 = () => {
 
   const handlePeek = () => {
     if (isDragging) return;
-    if (stack.length === 0) return;
-    const topIndex = stack.length - 1;
-    setHighlighted(topIndex);
-    setTimeout(() => setHighlighted(null), 1000);
+    runOperation("peek");
     showOperationInfo(
       "Peek()",
       "O(1)",
@@ -83,6 +107,32 @@ const ARPage2 = () => {
     );
   };
 
+  // === Practice ===
+  const togglePractice = () => {
+    if (isDragging) return;
+    if (practice.active) {
+      practice.stop();
+      return;
+    }
+    setOperationInfo(null);
+    setPracticeStack(stack);
+    practice.start(stack);
+  };
+
+  const handleBoxTap = (index) => {
+    if (practice.guess(index)) setPracticeStack((prev) => prev.slice(0, -1));
+  };
+
+  // The AR session keeps the handler it started with, so it calls the
+  // current one through this ref
+  const selectAction = useRef();
+  selectAction.current = (action) => {
+    if (action === "practice") togglePractice();
+    else if (action.startsWith("box-")) {
+      if (practice.active) handleBoxTap(Number(action.slice(4)));
+    } else setSelectedButton(action);
+  };
+
   // === Auto-start AR ===
   const startAR = (gl) => {
     if (navigator.xr) {
@@ -93,7 +143,7 @@ const ARPage2 = () => {
               requiredFeatures: ["hit-test", "local-floor"],
             })
             .then((session) => {
-              gl.xr.setSession(session);
+              gl.xr.setSession(logARSession(session));
             })
             .catch((err) => console.error("AR session failed:", err));
         } else {
@@ -136,24 +186,66 @@ const ARPage2 = () => {
             />
           )}
 
-          <StackBackground height={stack.length * spacing + 2} isDragging={isDragging} />
+          <StackBackground height={shown.length * spacing + 2} isDragging={isDragging} />
 
-          {stack.map((value, i) => (
-            <StackBox
+          {/* tappable boxes (in practice the learner taps what pop removes) */}
+          {shown.map((value, i) => (
+            <group
               key={i}
-              index={i}
-              value={value}
-              position={[0, i * spacing, 0]}
-              isTop={i === stack.length - 1}
-              highlight={highlighted === i}
-            />
+              ref={addButtonRef}
+              userData={{ btnAction: `box-${i}` }}
+            >
+              <StackBox
+                index={i}
+                value={value}
+                position={[0, i * spacing, 0]}
+                isTop={i === shown.length - 1}
+                highlight={
+                  practice.active
+                    ? practice.revealed && practice.step.answer === i
+                    : player.step.highlight === i
+                }
+                onClick={practice.active ? () => handleBoxTap(i) : undefined}
+              />
+            </group>
           ))}
 
           {operationInfo && !isDragging && (
             <OperationInfoPanel info={operationInfo} position={[-6, 2, 0]} />
           )}
 
+          {practice.active && !isDragging && (
+            <PracticeStatus
+              practice={practice}
+              prompt="Tap the element pop removes next"
+              position={[7, 3, 0]}
+            />
+          )}
+
+          {/* Practice Button */}
           {!isDragging && (
+            <group
+              ref={addButtonRef}
+              position={[5, -1.2, 0]}
+              userData={{ btnAction: "practice" }}
+            >
+              <mesh onClick={togglePractice}>
+                <boxGeometry args={[3.2, 0.6, 0.1]} />
+                <meshStandardMaterial color="#f97316" />
+              </mesh>
+              <Text
+                position={[0, 0, 0.06]}
+                fontSize={0.33}
+                color="white"
+                anchorX="center"
+                anchorY="middle"
+              >
+                {practice.active ? "⏹ Stop Practice" : "🎯 Practice"}
+              </Text>
+            </group>
+          )}
+
+          {!isDragging && !practice.active && (
             <OperationsPanelAR
               position={[5, 2, 0]}
               onPush={handlePush}
@@ -163,12 +255,16 @@ const ARPage2 = () => {
               selectedButton={selectedButton}
             />
           )}
+
+          {operation && !isDragging && !practice.active && (
+            <TracePlayer3D player={player} position={[-5, -2.5, 0]} />
+          )}
         </group>
 
         <ARInteractionManager
           buttonRefs={buttonRefs}
           structureRef={structureRef}
-          setSelectedButton={setSelectedButton}
+          setSelectedButton={(action) => selectAction.current(action)}
           isDragging={isDragging}
           onDragStart={onDragStart}
           onDragMove={onDragMove}
@@ -221,8 +317,9 @@ const ARInteractionManager = ({
         const raycaster = new THREE.Raycaster();
         raycaster.set(origin, dir);
 
+        // skip groups that have since been unmounted (e.g. popped boxes)
         const candidates = (buttonRefs.current || [])
-          .map((group) => (group ? group.children : []))
+          .map((group) => (group && group.parent ? group.children : []))
           .flat();
 
         const intersects = raycaster.intersectObjects(candidates, true);
@@ -400,7 +497,7 @@ const FadeInText = ({ show, text, position, fontSize, color }) => {
 };
 
 // === Stack Box ===
-const StackBox = ({ index, value, position, isTop, highlight }) => {
+const StackBox = ({ index, value, position, isTop, highlight, onClick }) => {
   const size = [2, 1, 1];
   const color = highlight ? "#facc15" : isTop ? "#60a5fa" : "#34d399";
   const meshRef = useRef();
@@ -413,7 +510,7 @@ const StackBox = ({ index, value, position, isTop, highlight }) => {
 
   return (
     <group position={position}>
-      <mesh ref={meshRef} position={[0, 0.5, 0]}>
+      <mesh ref={meshRef} position={[0, 0.5, 0]} onClick={onClick}>
         <boxGeometry args={size} />
         <meshStandardMaterial color={color} />
       </mesh>
@@ -3,12 +3,35 @@ import React, { useMemo, useState, useRef, useEffect } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog, usePracticeMode } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { dequeueSteps } from "../../services/practiceExercises";
+import { queueOperationTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import TracePlayer3D from "../common/TracePlayer3D";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.stackQueue.queue;
+
+const ARPage3 = ({ data = DEFAULT_DATA }) => {
+  const logARSession = useARSessionLog();
 
-const ARPage3 = () => {
-  const [queue, setQueue] = useState([10, 20, 30]);
-  const [highlighted, setHighlighted] = useState(null);
   const [operationInfo, setOperationInfo] = useState(null);
   const [selectedButton, setSelectedButton] = useState(null);
+
+  // The last operation as a trace the player runs (at first just the
+  // queue as given); the next one starts from the queue it leaves
+  const [operation, setOperation] = useState(null);
+  const [trace, setTrace] = useState(() => [
+    { items: data, highlight: null, note: "", done: true },
+  ]);
+  const player = useTracePlayer(trace, { stepMs: 600 });
+  const queue = trace[trace.length - 1].items;
+
+  // Practice: empty the queue by tapping the element that leaves next
+  const practice = usePracticeMode("queue-dequeue", dequeueSteps);
+  const [practiceQueue, setPracticeQueue] = useState([]);
+  const shown = practice.active ? practiceQueue : player.step.items;
   const buttonRefs = useRef([]);
   const structureRef = useRef();
 
@@ -17,7 +40,7 @@ const ARPage3 = () => {
   const [isDragging, setIsDragging] = useState(false);
 
   const spacing = 2;
-  const positions = useMemo(() => queue.map((_, i) => [i * spacing, 0, 0]), [queue, spacing]);
+  const positions = useMemo(() => shown.map((_, i) => [i * spacing, 0, 0]), [shown, spacing]);
 
   // Drag whole structure
   const onDragStart = () => {
@@ -40,24 +63,50 @@ const ARPage3 = () => {
   };
 
   // === Queue Operations ===
+  const runOperation = (op, value) => {
+    setOperation(op);
+    setTrace(queueOperationTrace(queue, op, value));
+    player.restart();
+  };
+
   const handleEnqueue = () => {
     if (isDragging) return;
-    const newVal = Math.floor(Math.random() * 90) + 10;
-    setQueue((prev) => [...prev, newVal]);
+    runOperation("enqueue", Math.floor(Math.random() * 90) + 10);
     showOperationInfo("Enqueue()", "O(1)", "Adds an element to the rear of the queue.");
   };
 
   const handleDequeue = () => {
     if (isDragging) return;
-    if (queue.length === 0) return;
-    setHighlighted(0);
-    setTimeout(() => {
-      setQueue((prev) => prev.slice(1));
-      setHighlighted(null);
-    }, 600);
+    runOperation("dequeue");
     showOperationInfo("Dequeue()", "O(1)", "Removes the element from the front of the queue.");
   };
 
+  // === Practice ===
+  const togglePractice = () => {
+    if (isDragging) return;
+    if (practice.active) {
+      practice.stop();
+      return;
+    }
+    setOperationInfo(null);
+    setPracticeQueue(queue);
+    practice.start(queue);
+  };
+
+  const handleBoxTap = (index) => {
+    if (practice.guess(index)) setPracticeQueue((prev) => prev.slice(1));
+  };
+
+  // The AR session keeps the handler it started with, so it calls the
+  // current one through this ref
+  const selectAction = useRef();
+  selectAction.current = (action) => {
+    if (action === "practice") togglePractice();
+    else if (action.startsWith("box-")) {
+      if (practice.active) handleBoxTap(Number(action.slice(4)));
+    } else setSelectedButton(action);
+  };
+
   // === AR Session start ===
   const startAR = (gl) => {
     if (navigator.xr) {
@@ -65,7 +114,7 @@ const ARPage3 = () => {
         if (supported) {
           navigator.xr
             .requestSession("immersive-ar", { requiredFeatures: ["hit-test", "local-floor"] })
-            .then((session) => gl.xr.setSession(session))
+            .then((session) => gl.xr.setSession(logARSession(session)))
             .catch((err) => console.error("AR session failed:", err));
         } else {
           console.warn("immersive-ar not supported");
@@ -118,26 +167,64 @@ const ARPage3 = () => {
           />
 
           {/* Queue Base and Boxes */}
-          <QueueBase width={queue.length * spacing + 2} isDragging={isDragging} />
-
-          {queue.map((value, i) => (
-            <QueueBox
-              key={i}
-              value={value}
-              position={positions[i]}
-              isFront={i === 0}
-              isRear={i === queue.length - 1}
-              highlight={highlighted === i}
-            />
+          <QueueBase width={shown.length * spacing + 2} isDragging={isDragging} />
+
+          {/* tappable boxes (in practice the learner taps what dequeue removes) */}
+          {shown.map((value, i) => (
+            <group key={i} ref={addButtonRef} userData={{ action: `box-${i}` }}>
+              <QueueBox
+                value={value}
+                position={positions[i]}
+                isFront={i === 0}
+                isRear={i === shown.length - 1}
+                highlight={
+                  practice.active
+                    ? practice.revealed && practice.step.answer === i
+                    : player.step.highlight === i
+                }
+                onClick={practice.active ? () => handleBoxTap(i) : undefined}
+              />
+            </group>
           ))}
 
+          {practice.active && !isDragging && (
+            <PracticeStatus
+              practice={practice}
+              prompt="Tap the element dequeue removes next"
+              position={[6, 2.5, 0]}
+            />
+          )}
+
+          {/* Practice Button */}
+          {!isDragging && (
+            <group
+              ref={addButtonRef}
+              position={[6, -1.2, 0]}
+              userData={{ action: "practice" }}
+            >
+              <mesh onClick={togglePractice}>
+                <boxGeometry args={[3.2, 0.6, 0.1]} />
+                <meshStandardMaterial color="#f97316" />
+              </mesh>
+              <Text
+                position={[0, 0, 0.06]}
+                fontSize={0.33}
+                color="white"
+                anchorX="center"
+                anchorY="middle"
+              >
+                {practice.active ? "⏹ Stop Practice" : "🎯 Practice"}
+              </Text>
+            </group>
+          )}
+
           {/* Operation Info Panel (left) */}
           {operationInfo && !isDragging && (
             <OperationInfoPanel info={operationInfo} position={[-6, 1.5, 0]} />
           )}
 
           {/* Operations Panel (right) */}
-          {!isDragging && (
+          {!isDragging && !practice.active && (
             <OperationsPanel
               position={[6, 1.5, 0]}
               onEnqueue={handleEnqueue}
@@ -154,13 +241,17 @@ const ARPage3 = () => {
             fontSize={0.3} 
             color="#a5f3fc" 
           />
+
+          {operation && !isDragging && !practice.active && (
+            <TracePlayer3D player={player} position={[0, -4.2, 0]} />
+          )}
         </group>
 
         {/* AR Interaction Manager */}
         <ARInteractionManager
           buttonRefs={buttonRefs}
           structureRef={structureRef}
-          setSelectedButton={setSelectedButton}
+          setSelectedButton={(action) => selectAction.current(action)}
           handleEnqueue={handleEnqueue}
           handleDequeue={handleDequeue}
           isDragging={isDragging}
@@ -217,9 +308,9 @@ const ARInteractionManager = ({
         const raycaster = new THREE.Raycaster();
         raycaster.set(origin, dir);
 
+        // skip groups that have since been unmounted (e.g. dequeued boxes)
         const candidates = (buttonRefs.current || [])
-          .filter(Boolean)
-          .map((group) => (group ? group.children : []))
+          .map((group) => (group && group.parent ? group.children : []))
           .flat();
 
         const intersects = raycaster.intersectObjects(candidates, true);
@@ -365,7 +456,7 @@ const FadeInText = ({ show = true, text, position, fontSize = 0.35, color = "whi
 };
 
 // === QueueBox ===
-const QueueBox = ({ value, position, isFront, isRear, highlight }) => {
+const QueueBox = ({ value, position, isFront, isRear, highlight, onClick }) => {
   const color = highlight ? "#facc15" : "#34d399";
   const meshRef = useRef();
 
@@ -375,7 +466,7 @@ const QueueBox = ({ value, position, isFront, isRear, highlight }) => {
 
   return (
     <group position={position}>
-      <mesh ref={meshRef} position={[0, 0.5, 0]}>
+      <mesh ref={meshRef} position={[0, 0.5, 0]} onClick={onClick}>
         <boxGeometry args={[1.5, 1, 1]} />
         <meshStandardMaterial color={color} />
       </mesh>
@@ -2,12 +2,35 @@ import React, { useMemo, useState, useRef, useEffect, forwardRef } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog, usePracticeMode } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { dequeueSteps } from "../../services/practiceExercises";
+import { queueOperationTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import TracePlayer3D from "../common/TracePlayer3D";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.stackQueue.queueOperations;
+
+const ARPage4 = ({ data = DEFAULT_DATA }) => {
+  const logARSession = useARSessionLog();
 
-const ARPage4 = () => {
-  const [queue, setQueue] = useState([15, 25, 35]);
-  const [highlighted, setHighlighted] = useState(null);
   const [operationInfo, setOperationInfo] = useState(null);
   const [selectedButton, setSelectedButton] = useState(null);
+
+  // The last operation as a trace the player runs (at first just the
+  // queue as given); the next one starts from the queue it leaves
+  const [operation, setOperation] = useState(null);
+  const [trace, setTrace] = useState(() => [
+    { items: data, highlight: null, note: "", done: true },
+  ]);
+  const player = useTracePlayer(trace, { stepMs: 600 });
+  const queue = trace[trace.length - 1].items;
+
+  // Practice: empty the queue by tapping the element that leaves next
+  const practice = usePracticeMode("queue-dequeue", dequeueSteps);
+  const [practiceQueue, setPracticeQueue] = useState([]);
+  const shown = practice.active ? practiceQueue : player.step.items;
   const buttonRefs = useRef([]);
   const structureRef = useRef();
 
@@ -18,8 +41,8 @@ const ARPage4 = () => {
   const spacing = 2;
 
   const positions = useMemo(
-    () => queue.map((_, i) => [i * spacing, 0, 0]),
-    [queue, spacing]
+    () => shown.map((_, i) => [i * spacing, 0, 0]),
+    [shown, spacing]
   );
 
   // Drag whole structure
@@ -43,10 +66,15 @@ const ARPage4 = () => {
   };
 
   // === Queue Operations ===
+  const runOperation = (op, value) => {
+    setOperation(op);
+    setTrace(queueOperationTrace(queue, op, value));
+    player.restart();
+  };
+
   const handleEnqueue = () => {
     if (isDragging) return;
-    const newVal = Math.floor(Math.random() * 90) + 10;
-    setQueue((prev) => [...prev, newVal]);
+    runOperation("enqueue", Math.floor(Math.random() * 90) + 10);
     showOperationInfo(
       "Enqueue()",
       "O(1)",
@@ -56,12 +84,7 @@ const ARPage4 = () => {
 
   const handleDequeue = () => {
     if (isDragging) return;
-    if (queue.length === 0) return;
-    setHighlighted(0);
-    setTimeout(() => {
-      setQueue((prev) => prev.slice(1));
-      setHighlighted(null);
-    }, 600);
+    runOperation("dequeue");
     showOperationInfo(
       "Dequeue()",
       "O(1)",
@@ -71,14 +94,38 @@ const ARPage4 = () => {
 
   const handlePeek = () => {
     if (isDragging) return;
-    if (queue.length === 0) return;
-    setHighlighted(0);
+    runOperation("peek");
     showOperationInfo(
       "Peek()",
       "O(1)",
       "Views the element at the front without removing it."
     );
-    setTimeout(() => setHighlighted(null), 600);
+  };
+
+  // === Practice ===
+  const togglePractice = () => {
+    if (isDragging) return;
+    if (practice.active) {
+      practice.stop();
+      return;
+    }
+    setOperationInfo(null);
+    setPracticeQueue(queue);
+    practice.start(queue);
+  };
+
+  const handleBoxTap = (index) => {
+    if (practice.guess(index)) setPracticeQueue((prev) => prev.slice(1));
+  };
+
+  // The AR session keeps the handler it started with, so it calls the
+  // current one through this ref
+  const selectAction = useRef();
+  selectAction.current = (action) => {
+    if (action === "practice") togglePractice();
+    else if (action.startsWith("box-")) {
+      if (practice.active) handleBoxTap(Number(action.slice(4)));
+    } else setSelectedButton(action);
   };
 
   // === Start AR session ===
@@ -90,7 +137,7 @@ const ARPage4 = () => {
             .requestSession("immersive-ar", {
               requiredFeatures: ["hit-test", "local-floor"],
             })
-            .then((session) => gl.xr.setSession(session))
+            .then((session) => gl.xr.setSession(logARSession(session)))
             .catch((err) => console.error("AR session failed:", err));
         } else {
           console.warn("AR not supported on this device.");
@@ -133,24 +180,66 @@ const ARPage4 = () => {
             color={isDragging ? "#f97316" : "#fde68a"}
           />
 
-          <QueueBase width={queue.length * spacing + 2} isDragging={isDragging} />
+          <QueueBase width={shown.length * spacing + 2} isDragging={isDragging} />
 
-          {queue.map((value, i) => (
-            <QueueBox
+          {/* tappable boxes (in practice the learner taps what dequeue removes) */}
+          {shown.map((value, i) => (
+            <group
               key={i}
-              value={value}
-              position={positions[i]}
-              isFront={i === 0}
-              isRear={i === queue.length - 1}
-              highlight={highlighted === i}
-            />
+              ref={addButtonRef}
+              userData={{ action: `box-${i}` }}
+            >
+              <QueueBox
+                value={value}
+                position={positions[i]}
+                isFront={i === 0}
+                isRear={i === shown.length - 1}
+                highlight={
+                  practice.active
+                    ? practice.revealed && practice.step.answer === i
+                    : player.step.highlight === i
+                }
+                onClick={practice.active ? () => handleBoxTap(i) : undefined}
+              />
+            </group>
           ))}
 
+          {practice.active && !isDragging && (
+            <PracticeStatus
+              practice={practice}
+              prompt="Tap the element dequeue removes next"
+              position={[6, 2.5, 0]}
+            />
+          )}
+
+          {/* Practice Button */}
+          {!isDragging && (
+            <group
+              ref={addButtonRef}
+              position={[6, -1.6, 0]}
+              userData={{ action: "practice" }}
+            >
+              <mesh onClick={togglePractice}>
+                <boxGeometry args={[3.2, 0.6, 0.1]} />
+                <meshStandardMaterial color="#f97316" />
+              </mesh>
+              <Text
+                position={[0, 0, 0.06]}
+                fontSize={0.33}
+                color="white"
+                anchorX="center"
+                anchorY="middle"
+              >
+                {practice.active ? "⏹ Stop Practice" : "🎯 Practice"}
+              </Text>
+            </group>
+          )}
+
           {operationInfo && !isDragging && (
             <OperationInfoPanel info={operationInfo} position={[-6, 1.5, 0]} />
           )}
 
-          {!isDragging && (
+          {!isDragging && !practice.active && (
             <OperationsPanel
               position={[6, 1.5, 0]}
               onEnqueue={handleEnqueue}
@@ -168,12 +257,16 @@ const ARPage4 = () => {
             fontSize={0.35}
             color="#a5f3fc"
           />
+
+          {operation && !isDragging && !practice.active && (
+            <TracePlayer3D player={player} position={[0, -4.2, 0]} />
+          )}
         </group>
 
         <ARInteractionManager
           buttonRefs={buttonRefs}
           structureRef={structureRef}
-          setSelectedButton={setSelectedButton}
+          setSelectedButton={(action) => selectAction.current(action)}
           handleEnqueue={handleEnqueue}
           handleDequeue={handleDequeue}
           handlePeek={handlePeek}
@@ -232,8 +325,9 @@ const ARInteractionManager = ({
         const raycaster = new THREE.Raycaster();
         raycaster.set(origin, dir);
 
+        // skip groups that have since been unmounted (e.g. dequeued boxes)
         const candidates = (buttonRefs.current || [])
-          .map((group) => (group ? group.children : []))
+          .map((group) => (group && group.parent ? group.children : []))
           .flat();
 
         const intersects = raycaster.intersectObjects(candidates, true);
@@ -414,7 +508,7 @@ const FadeInText = ({ show, text, position, fontSize, color }) => {
 };
 
 // === Queue Box ===
-const QueueBox = ({ value, position, isFront, isRear, highlight }) => {
+const QueueBox = ({ value, position, isFront, isRear, highlight, onClick }) => {
   const color = highlight ? "#facc15" : "#34d399";
   const meshRef = useRef();
 
@@ -426,7 +520,7 @@ const QueueBox = ({ value, position, isFront, isRear, highlight }) => {
 
   return (
     <group position={position}>
-      <mesh ref={meshRef} position={[0, 0.5, 0]}>
+      <mesh ref={meshRef} position={[0, 0.5, 0]} onClick={onClick}>
         <boxGeometry args={[1.5, 1, 1]} />
         <meshStandardMaterial color={color} />
       </mesh>
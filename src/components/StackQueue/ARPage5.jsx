@@ -3,18 +3,31 @@ import React, { useState, useEffect, useMemo, useRef } from "react";
 import { Canvas, useThree } from "@react-three/fiber";
 import { Text, OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog, usePracticeMode } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { shiftSteps } from "../../services/practiceExercises";
+import { deleteShiftTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import TracePlayer3D from "../common/TracePlayer3D";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.stackQueue.arrayDelete;
 
 const ARPage5 = ({
-  data = [10, 20, 30, 40, 50],
+  data = DEFAULT_DATA,
   spacing = 2.0,
-  deleteIndex = 2,
-  loopDelay = 3000,
+  // the middle element, whatever the length of the data
+  deleteIndex = Math.floor((data.length - 1) / 2),
+  stepDuration = 1000,
 }) => {
-  const [boxes, setBoxes] = useState(data);
-  const [status, setStatus] = useState("Idle");
-  const [highlightIndex, setHighlightIndex] = useState(null);
-  const [phase, setPhase] = useState(0);
-  const [isAnimating, setIsAnimating] = useState(false);
+  const logARSession = useARSessionLog();
+
+  const trace = useMemo(
+    () => deleteShiftTrace(data, deleteIndex),
+    [data, deleteIndex]
+  );
+  const player = useTracePlayer(trace, { stepMs: stepDuration });
+  const { step } = player;
 
   // Structure position (whole structure moves together)
   const [structurePos, setStructurePos] = useState([0, 1, -2]);
@@ -22,11 +35,37 @@ const ARPage5 = ({
 
   const structureRef = useRef();
 
-  // positions update based on count
-  const positions = useMemo(() => {
-    const mid = (boxes.length - 1) / 2;
-    return boxes.map((_, i) => [(i - mid) * spacing, 0, 0]);
-  }, [boxes, spacing]);
+  // slots stay where the full array put them, so the shifts show
+  const slotX = (i) => (i - (data.length - 1) / 2) * spacing;
+
+  // Practice: after the deletion, tap the elements in the order they shift;
+  // the learner's copy is drawn instead of the played trace
+  const practice = usePracticeMode("array-delete-shift", shiftSteps);
+  const shiftedUpTo = deleteIndex + practice.index;
+  const practiceBoxes = data
+    .map((value, i) => ({
+      value,
+      index: i,
+      x: slotX(i > deleteIndex && i <= shiftedUpTo ? i - 1 : i),
+    }))
+    .filter((box) => box.index !== deleteIndex);
+
+  const togglePractice = () => {
+    if (isDragging) return;
+    player.reset();
+    if (practice.active) practice.stop();
+    else practice.start(data, deleteIndex);
+  };
+
+  // The AR session keeps the handler it started with, so it calls the
+  // current one through this ref
+  const selectAction = useRef();
+  selectAction.current = (action) => {
+    if (action === "practice") togglePractice();
+    if (action.startsWith("box-") && practice.active) {
+      practice.guess(Number(action.slice(4)));
+    }
+  };
 
   // Drag whole structure
   const onDragStart = () => {
@@ -41,48 +80,6 @@ const ARPage5 = ({
     setIsDragging(false);
   };
 
-  useEffect(() => {
-    // Don't run animation while dragging
-    if (isDragging) return;
-
-    const runSequence = async () => {
-      setIsAnimating(true);
-      setBoxes(data);
-      setStatus(
-        `Deleting value ${data[deleteIndex]} at index ${deleteIndex}...`
-      );
-      setHighlightIndex(deleteIndex);
-
-      await delay(2000);
-
-      if (isDragging) return; // Check if dragging started
-
-      setHighlightIndex(null);
-      setStatus(`Removing value ${data[deleteIndex]}...`);
-      await delay(1000);
-
-      if (isDragging) return;
-
-      const newArr = data.filter((_, i) => i !== deleteIndex);
-      setBoxes(newArr);
-
-      setStatus("Shifting elements...");
-      await delay(2000);
-
-      if (isDragging) return;
-
-      setStatus("✅ Deletion complete!");
-      setIsAnimating(false);
-      await delay(loopDelay);
-
-      if (!isDragging) {
-        setPhase((p) => p + 1); // restart loop
-      }
-    };
-
-    runSequence();
-  }, [phase, data, deleteIndex, loopDelay, isDragging]);
-
   return (
     <div className="w-full h-screen">
       <Canvas
@@ -96,7 +93,7 @@ const ARPage5 = ({
               .requestSession("immersive-ar", {
                 requiredFeatures: ["local-floor"],
               })
-              .then((session) => gl.xr.setSession(session))
+              .then((session) => gl.xr.setSession(logARSession(session)))
               .catch((err) => console.error("❌ AR session failed:", err));
           }
         }}
@@ -106,28 +103,81 @@ const ARPage5 = ({
 
         {/* Whole structure group - moves together when dragging */}
         <group position={structurePos} scale={[0.1, 0.1, 0.1]} ref={structureRef}>
-          {/* Status text floating above */}
-          <Text
-            position={[0, 3, 0]}
-            fontSize={0.5}
-            anchorX="center"
-            anchorY="middle"
-            color={isDragging ? "#f97316" : "white"}
-          >
-            {isDragging ? "✋ Moving Structure..." : status}
-          </Text>
+          {/* Practice prompt, or the drag hint, floating above */}
+          {practice.active && !isDragging && (
+            <PracticeStatus
+              practice={practice}
+              prompt={`Index ${deleteIndex} was deleted: tap the element that shifts left next`}
+              position={[0, 3.2, 0]}
+              fontSize={0.4}
+            />
+          )}
+          {isDragging && (
+            <Text
+              position={[0, 3, 0]}
+              fontSize={0.5}
+              anchorX="center"
+              anchorY="middle"
+              color="#f97316"
+            >
+              ✋ Moving Structure...
+            </Text>
+          )}
 
           {/* Boxes */}
-          {boxes.map((value, i) => (
-            <Box
-              key={i}
-              index={i}
-              value={value}
-              position={positions[i]}
-              highlight={highlightIndex === i && !isDragging}
-              isDragging={isDragging}
-            />
-          ))}
+          {practice.active
+            ? practiceBoxes.map((box) => (
+                <group key={box.index} userData={{ action: `box-${box.index}` }}>
+                  <Box
+                    index={box.index}
+                    value={box.value}
+                    position={[box.x, 0, 0]}
+                    highlight={
+                      practice.revealed && practice.step.answer === box.index
+                    }
+                    isDragging={isDragging}
+                    onClick={() => practice.guess(box.index)}
+                  />
+                </group>
+              ))
+            : step.array.map(
+                (value, i) =>
+                  value !== null && (
+                    <Box
+                      key={i}
+                      index={i}
+                      value={value}
+                      position={[slotX(i), 0, 0]}
+                      highlight={
+                        (step.removing === i || step.moved === i) && !isDragging
+                      }
+                      isDragging={isDragging}
+                    />
+                  )
+              )}
+
+          {/* Practice Button */}
+          {!isDragging && (
+            <group position={[0, -1.2, 0]} userData={{ action: "practice" }}>
+              <mesh onClick={togglePractice}>
+                <boxGeometry args={[4, 0.8, 0.2]} />
+                <meshStandardMaterial color="#f97316" />
+              </mesh>
+              <Text
+                position={[0, 0, 0.11]}
+                fontSize={0.4}
+                color="white"
+                anchorX="center"
+                anchorY="middle"
+              >
+                {practice.active ? "⏹ Stop Practice" : "🎯 Practice"}
+              </Text>
+            </group>
+          )}
+
+          {!isDragging && !practice.active && (
+            <TracePlayer3D player={player} position={[0, -3, 0]} />
+          )}
 
           {/* Ground plane */}
           <mesh rotation-x={-Math.PI / 2} receiveShadow>
@@ -138,6 +188,7 @@ const ARPage5 = ({
 
         <ARInteractionManager
           structureRef={structureRef}
+          onSelectAction={(action) => selectAction.current(action)}
           isDragging={isDragging}
           onDragStart={onDragStart}
           onDragMove={onDragMove}
@@ -153,6 +204,7 @@ const ARPage5 = ({
 // === AR Interaction Manager with Drag and Drop ===
 const ARInteractionManager = ({
   structureRef,
+  onSelectAction,
   isDragging,
   onDragStart,
   onDragMove,
@@ -161,6 +213,7 @@ const ARInteractionManager = ({
   const { gl } = useThree();
   const longPressTimer = useRef(null);
   const touchedStructure = useRef(false);
+  const touchedAction = useRef(null);
   const isDraggingRef = useRef(false);
 
   useEffect(() => {
@@ -181,8 +234,9 @@ const ARInteractionManager = ({
         return { origin, dir };
       };
 
-      // Check if pointing at structure
-      const isPointingAtStructure = () => {
+      // What the phone points at: null for nothing, otherwise the action
+      // of the part pointed at ("" for the structure itself)
+      const getPointedAction = () => {
         const { origin, dir } = getCameraRay();
         const raycaster = new THREE.Raycaster();
         raycaster.set(origin, dir);
@@ -195,9 +249,14 @@ const ARInteractionManager = ({
             }
           });
           const intersects = raycaster.intersectObjects(allMeshes, true);
-          return intersects.length > 0;
+          if (intersects.length === 0) return null;
+          let hit = intersects[0].object;
+          while (hit && hit.userData?.action === undefined && hit.parent) {
+            hit = hit.parent;
+          }
+          return hit?.userData?.action ?? "";
         }
-        return false;
+        return null;
       };
 
       // Calculate 3D position where phone is pointing
@@ -219,8 +278,10 @@ const ARInteractionManager = ({
           clearTimeout(longPressTimer.current);
         }
 
-        const hitStructure = isPointingAtStructure();
+        const pointed = getPointedAction();
+        const hitStructure = pointed !== null;
         touchedStructure.current = hitStructure;
+        touchedAction.current = pointed || null;
 
         // If touching structure, start long press for drag
         if (hitStructure) {
@@ -241,9 +302,13 @@ const ARInteractionManager = ({
         if (isDraggingRef.current) {
           // Drop structure at current position
           onDragEnd();
+        } else if (touchedAction.current) {
+          // Short tap on a button or box
+          onSelectAction(touchedAction.current);
         }
 
         touchedStructure.current = false;
+        touchedAction.current = null;
       };
 
       session.addEventListener("selectstart", onSelectStart);
@@ -276,16 +341,16 @@ const ARInteractionManager = ({
         clearTimeout(longPressTimer.current);
       }
     };
-  }, [gl, structureRef, onDragStart, onDragMove, onDragEnd]);
+  }, [gl, structureRef, onSelectAction, onDragStart, onDragMove, onDragEnd]);
 
   return null;
 };
 
-const Box = ({ index, value, position, highlight, isDragging }) => {
+const Box = ({ index, value, position, highlight, isDragging, onClick }) => {
   const size = [1.6, 1.2, 1];
   return (
     <group position={position}>
-      <mesh castShadow receiveShadow position={[0, size[1] / 2, 0]}>
+      <mesh castShadow receiveShadow position={[0, size[1] / 2, 0]} onClick={onClick}>
         <boxGeometry args={size} />
         <meshStandardMaterial
           color={isDragging ? "#94a3b8" : highlight ? "#f87171" : "#60a5fa"}
@@ -317,7 +382,4 @@ const Box = ({ index, value, position, highlight, isDragging }) => {
   );
 };
 
-// small delay utility
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
 export default ARPage5;
@@ -1,17 +1,31 @@
-import React from "react";
+import React, { useState } from "react";
 import VisualPage3 from "./VisualPage3";
 import ARButton3 from "./ARButton3";
 import StackQueuePage03 from "./Contents/StackQueuePage03";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.stackQueue.queue;
 
 const Page3 = () => {
+  const [data, setData] = useState(DEFAULT_DATA);
+
   return (
     <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
-      <ARButton3 />
+      <ARButton3 data={data} />
 
       <StackQueuePage03 />
 
+      <InputDataPanel
+        kind="items"
+        value={data}
+        onChange={setData}
+        defaultValue={DEFAULT_DATA}
+      />
+
       <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
-        <VisualPage3 />
+        {/* new input starts the queue (and any practice) afresh */}
+        <VisualPage3 key={data.join()} data={data} />
       </div>
     </div>
   );
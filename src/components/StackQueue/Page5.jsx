@@ -1,17 +1,31 @@
-import React from "react";
-import VisualPage5 from "./VisualPage1";
+import React, { useState } from "react";
+import VisualPage5 from "./VisualPage5";
 import ARButton5 from "./ARButton5";
 import StackQueuePage05 from "./Contents/StackQueuePage05";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.stackQueue.arrayDelete;
 
 const Page5 = () => {
+  const [data, setData] = useState(DEFAULT_DATA);
+
   return (
     <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
-      <ARButton5 />
+      <ARButton5 data={data} />
 
       <StackQueuePage05 />
 
+      <InputDataPanel
+        kind="items"
+        value={data}
+        onChange={setData}
+        defaultValue={DEFAULT_DATA}
+      />
+
       <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
-        <VisualPage5 />
+        {/* new input starts the deletion (and any practice) afresh */}
+        <VisualPage5 key={data.join()} data={data} />
       </div>
     </div>
   );
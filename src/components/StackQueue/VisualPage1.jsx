@@ -2,12 +2,38 @@ import React, { useMemo, useState, useRef } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import {
+  usePracticeMode,
+  useVisualizationRun,
+} from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { popSteps } from "../../services/practiceExercises";
+import { stackOperationTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import TracePlayer from "../common/TracePlayer";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.stackQueue.stack;
+
+const VisualPage1 = ({ data = DEFAULT_DATA }) => {
+  const markRun = useVisualizationRun();
 
-const VisualPage1 = () => {
-  const [stack, setStack] = useState([10, 20, 30]);
   const [showPanel, setShowPanel] = useState(false);
   const [page, setPage] = useState(0);
-  const [highlighted, setHighlighted] = useState(null);
+
+  // The last operation as a trace the player runs (at first just the
+  // stack as given); the next one starts from the stack it leaves
+  const [operation, setOperation] = useState(null);
+  const [trace, setTrace] = useState(() => [
+    { items: data, highlight: null, note: "", done: true },
+  ]);
+  const player = useTracePlayer(trace, { stepMs: 600 });
+  const stack = trace[trace.length - 1].items;
+
+  // Practice: pop the stack empty by clicking the element that leaves next
+  const practice = usePracticeMode("stack-pop", popSteps);
+  const [practiceStack, setPracticeStack] = useState([]);
+  const shown = practice.active ? practiceStack : player.step.items;
 
   const spacing = 1.6;
 
@@ -15,22 +41,17 @@ const VisualPage1 = () => {
     return stack.map((_, i) => [0, i * spacing, 0]);
   }, [stack]);
 
-  const handlePush = () => {
-    const newVal = Math.floor(Math.random() * 90) + 10;
-    setStack((prev) => [...prev, newVal]);
+  const runOperation = (op, value) => {
+    markRun(op);
+    setOperation(op);
+    setTrace(stackOperationTrace(stack, op, value));
+    player.restart();
   };
 
-  const handlePop = () => {
-    if (stack.length === 0) return;
-    setStack((prev) => prev.slice(0, -1));
-  };
-
-  const handlePeek = () => {
-    if (stack.length === 0) return;
-    const topIndex = stack.length - 1;
-    setHighlighted(topIndex);
-    setTimeout(() => setHighlighted(null), 1000);
-  };
+  const handlePush = () =>
+    runOperation("push", Math.floor(Math.random() * 90) + 10);
+  const handlePop = () => runOperation("pop");
+  const handlePeek = () => runOperation("peek");
 
   const handleInfoClick = () => {
     setShowPanel((prev) => !prev);
@@ -42,8 +63,29 @@ const VisualPage1 = () => {
     else setShowPanel(false);
   };
 
+  const togglePractice = () => {
+    if (practice.active) {
+      practice.stop();
+      return;
+    }
+    markRun("practice");
+    setPracticeStack(stack);
+    practice.start(stack);
+  };
+
+  const handleBoxClick = (index) => {
+    if (practice.guess(index)) setPracticeStack((prev) => prev.slice(0, -1));
+  };
+
   return (
-    <div className="w-full h-[300px]">
+    <div className="w-full h-[300px] relative">
+      <button
+        className="btn btn-sm btn-primary absolute top-2 left-2 z-10"
+        onClick={togglePractice}
+      >
+        {practice.active ? "⏹ Stop Practice" : "🎯 Practice"}
+      </button>
+
       <Canvas camera={{ position: [0, 4, 10], fov: 50 }}>
         <ambientLight intensity={0.5} />
         <directionalLight position={[5, 10, 5]} intensity={0.8} />
@@ -58,27 +100,40 @@ const VisualPage1 = () => {
         />
 
         {/* Stack Base */}
-        <StackBackground height={stack.length * spacing + 2} />
+        <StackBackground height={shown.length * spacing + 2} />
 
         {/* Boxes */}
-        {stack.map((value, i) => (
+        {shown.map((value, i) => (
           <StackBox
             key={i}
             index={i}
             value={value}
             position={[0, i * spacing, 0]}
-            isTop={i === stack.length - 1}
-            highlight={highlighted === i}
+            isTop={i === shown.length - 1}
+            highlight={
+              practice.active
+                ? practice.revealed && practice.step.answer === i
+                : player.step.highlight === i
+            }
+            onClick={practice.active ? () => handleBoxClick(i) : undefined}
           />
         ))}
 
-        {/* Operations Panel */}
-        <OperationsPanel
-          position={[5, 2, 0]}
-          onPush={handlePush}
-          onPop={handlePop}
-          onPeek={handlePeek}
-        />
+        {/* Operations Panel (the practice prompt while practicing) */}
+        {practice.active ? (
+          <PracticeStatus
+            practice={practice}
+            prompt="Click the element pop removes next"
+            position={[7, 3, 0]}
+          />
+        ) : (
+          <OperationsPanel
+            position={[5, 2, 0]}
+            onPush={handlePush}
+            onPop={handlePop}
+            onPeek={handlePeek}
+          />
+        )}
 
         {/* Info Button */}
         <Text
@@ -104,6 +159,10 @@ const VisualPage1 = () => {
 
         <OrbitControls makeDefault />
       </Canvas>
+
+      {operation && !practice.active && (
+        <TracePlayer player={player} onPlay={() => markRun(operation)} />
+      )}
     </div>
   );
 };
@@ -166,7 +225,7 @@ const FadeInText = ({ show, text, position, fontSize, color }) => {
 };
 
 // === Stack Box ===
-const StackBox = ({ index, value, position, isTop, highlight }) => {
+const StackBox = ({ index, value, position, isTop, highlight, onClick }) => {
   const size = [2, 1, 1];
   const color = highlight ? "#facc15" : isTop ? "#60a5fa" : "#34d399";
 
@@ -181,7 +240,7 @@ const StackBox = ({ index, value, position, isTop, highlight }) => {
 
   return (
     <group position={position}>
-      <mesh ref={meshRef} position={[0, 0.5, 0]}>
+      <mesh ref={meshRef} position={[0, 0.5, 0]} onClick={onClick}>
         <boxGeometry args={size} />
         <meshStandardMaterial color={color} />
       </mesh>
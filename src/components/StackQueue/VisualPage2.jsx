@@ -2,12 +2,38 @@ import React, { useMemo, useState, useRef } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import {
+  usePracticeMode,
+  useVisualizationRun,
+} from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { popSteps } from "../../services/practiceExercises";
+import { stackOperationTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import TracePlayer from "../common/TracePlayer";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.stackQueue.stack;
+
+const VisualPage2 = ({ data = DEFAULT_DATA }) => {
+  const markRun = useVisualizationRun();
 
-const VisualPage2 = () => {
-  const [stack, setStack] = useState([10, 20, 30]);
-  const [highlighted, setHighlighted] = useState(null);
   const [operationInfo, setOperationInfo] = useState(null);
 
+  // The last operation as a trace the player runs (at first just the
+  // stack as given); the next one starts from the stack it leaves
+  const [operation, setOperation] = useState(null);
+  const [trace, setTrace] = useState(() => [
+    { items: data, highlight: null, note: "", done: true },
+  ]);
+  const player = useTracePlayer(trace, { stepMs: 600 });
+  const stack = trace[trace.length - 1].items;
+
+  // Practice: pop the stack empty by clicking the element that leaves next
+  const practice = usePracticeMode("stack-pop", popSteps);
+  const [practiceStack, setPracticeStack] = useState([]);
+  const shown = practice.active ? practiceStack : player.step.items;
+
   const spacing = 1.6;
 
   const positions = useMemo(() => {
@@ -20,9 +46,15 @@ const VisualPage2 = () => {
   };
 
   // === Operations ===
+  const runOperation = (op, value) => {
+    markRun(op);
+    setOperation(op);
+    setTrace(stackOperationTrace(stack, op, value));
+    player.restart();
+  };
+
   const handlePush = () => {
-    const newVal = Math.floor(Math.random() * 90) + 10;
-    setStack((prev) => [...prev, newVal]);
+    runOperation("push", Math.floor(Math.random() * 90) + 10);
     showOperationInfo(
       "Push()",
       "O(1)",
@@ -31,8 +63,7 @@ const VisualPage2 = () => {
   };
 
   const handlePop = () => {
-    if (stack.length === 0) return;
-    setStack((prev) => prev.slice(0, -1));
+    runOperation("pop");
     showOperationInfo(
       "Pop()",
       "O(1)",
@@ -41,10 +72,7 @@ const VisualPage2 = () => {
   };
 
   const handlePeek = () => {
-    if (stack.length === 0) return;
-    const topIndex = stack.length - 1;
-    setHighlighted(topIndex);
-    setTimeout(() => setHighlighted(null), 1000);
+    runOperation("peek");
     showOperationInfo(
       "Peek()",
       "O(1)",
@@ -52,8 +80,29 @@ const VisualPage2 = () => {
     );
   };
 
+  const togglePractice = () => {
+    if (practice.active) {
+      practice.stop();
+      return;
+    }
+    markRun("practice");
+    setPracticeStack(stack);
+    practice.start(stack);
+  };
+
+  const handleBoxClick = (index) => {
+    if (practice.guess(index)) setPracticeStack((prev) => prev.slice(0, -1));
+  };
+
   return (
-    <div className="w-full h-[300px]">
+    <div className="w-full h-[300px] relative">
+      <button
+        className="btn btn-sm btn-primary absolute top-2 left-2 z-10"
+        onClick={togglePractice}
+      >
+        {practice.active ? "⏹ Stop Practice" : "🎯 Practice"}
+      </button>
+
       <Canvas camera={{ position: [0, 4, 10], fov: 50 }}>
         <ambientLight intensity={0.5} />
         <directionalLight position={[5, 10, 5]} intensity={0.8} />
@@ -68,35 +117,52 @@ const VisualPage2 = () => {
         />
 
         {/* Stack Base */}
-        <StackBackground height={stack.length * spacing + 2} />
+        <StackBackground height={shown.length * spacing + 2} />
 
         {/* Boxes */}
-        {stack.map((value, i) => (
+        {shown.map((value, i) => (
           <StackBox
             key={i}
             index={i}
             value={value}
             position={[0, i * spacing, 0]}
-            isTop={i === stack.length - 1}
-            highlight={highlighted === i}
+            isTop={i === shown.length - 1}
+            highlight={
+              practice.active
+                ? practice.revealed && practice.step.answer === i
+                : player.step.highlight === i
+            }
+            onClick={practice.active ? () => handleBoxClick(i) : undefined}
           />
         ))}
 
         {/* Operation Info Panel (Left side) */}
-        {operationInfo && (
+        {operationInfo && !practice.active && (
           <OperationInfoPanel info={operationInfo} position={[-6, 2, 0]} />
         )}
 
-        {/* Operations Panel (Right side) */}
-        <OperationsPanel
-          position={[5, 2, 0]}
-          onPush={handlePush}
-          onPop={handlePop}
-          onPeek={handlePeek}
-        />
+        {/* Operations Panel (Right side; the practice prompt while practicing) */}
+        {practice.active ? (
+          <PracticeStatus
+            practice={practice}
+            prompt="Click the element pop removes next"
+            position={[7, 3, 0]}
+          />
+        ) : (
+          <OperationsPanel
+            position={[5, 2, 0]}
+            onPush={handlePush}
+            onPop={handlePop}
+            onPeek={handlePeek}
+          />
+        )}
 
         <OrbitControls makeDefault />
       </Canvas>
+
+      {operation && !practice.active && (
+        <TracePlayer player={player} onPlay={() => markRun(operation)} />
+      )}
     </div>
   );
 };
@@ -159,7 +225,7 @@ const FadeInText = ({ show, text, position, fontSize, color }) => {
 };
 
 // === Stack Box ===
-const StackBox = ({ index, value, position, isTop, highlight }) => {
+const StackBox = ({ index, value, position, isTop, highlight, onClick }) => {
   const size = [2, 1, 1];
   const color = highlight ? "#facc15" : isTop ? "#60a5fa" : "#34d399";
   const meshRef = useRef();
@@ -173,7 +239,7 @@ const StackBox = ({ index, value, position, isTop, highlight }) => {
 
   return (
     <group position={position}>
-      <mesh ref={meshRef} position={[0, 0.5, 0]}>
+      <mesh ref={meshRef} position={[0, 0.5, 0]} onClick={onClick}>
         <boxGeometry args={size} />
         <meshStandardMaterial color={color} />
       </mesh>
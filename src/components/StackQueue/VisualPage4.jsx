@@ -2,26 +2,58 @@ import React, { useMemo, useState, useRef } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import {
+  usePracticeMode,
+  useVisualizationRun,
+} from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { dequeueSteps } from "../../services/practiceExercises";
+import { queueOperationTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import TracePlayer from "../common/TracePlayer";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.stackQueue.queueOperations;
+
+const VisualPage4 = ({ data = DEFAULT_DATA }) => {
+  const markRun = useVisualizationRun();
 
-const VisualPage4 = () => {
-  const [queue, setQueue] = useState([15, 25, 35]);
-  const [highlighted, setHighlighted] = useState(null);
   const [operationInfo, setOperationInfo] = useState(null);
 
+  // The last operation as a trace the player runs (at first just the
+  // queue as given); the next one starts from the queue it leaves
+  const [operation, setOperation] = useState(null);
+  const [trace, setTrace] = useState(() => [
+    { items: data, highlight: null, note: "", done: true },
+  ]);
+  const player = useTracePlayer(trace, { stepMs: 600 });
+  const queue = trace[trace.length - 1].items;
+
+  // Practice: empty the queue by clicking the element that leaves next
+  const practice = usePracticeMode("queue-dequeue", dequeueSteps);
+  const [practiceQueue, setPracticeQueue] = useState([]);
+  const shown = practice.active ? practiceQueue : player.step.items;
+
   const spacing = 2;
 
   const positions = useMemo(() => {
-    return queue.map((_, i) => [i * spacing, 0, 0]);
-  }, [queue]);
+    return shown.map((_, i) => [i * spacing, 0, 0]);
+  }, [shown]);
 
   const showOperationInfo = (title, complexity, description) => {
     setOperationInfo({ title, complexity, description });
   };
 
   // === Queue Operations ===
+  const runOperation = (op, value) => {
+    markRun(op);
+    setOperation(op);
+    setTrace(queueOperationTrace(queue, op, value));
+    player.restart();
+  };
+
   const handleEnqueue = () => {
-    const newVal = Math.floor(Math.random() * 90) + 10;
-    setQueue((prev) => [...prev, newVal]);
+    runOperation("enqueue", Math.floor(Math.random() * 90) + 10);
     showOperationInfo(
       "Enqueue()",
       "O(1)",
@@ -30,12 +62,7 @@ const VisualPage4 = () => {
   };
 
   const handleDequeue = () => {
-    if (queue.length === 0) return;
-    setHighlighted(0);
-    setTimeout(() => {
-      setQueue((prev) => prev.slice(1));
-      setHighlighted(null);
-    }, 600);
+    runOperation("dequeue");
     showOperationInfo(
       "Dequeue()",
       "O(1)",
@@ -44,18 +71,37 @@ const VisualPage4 = () => {
   };
 
   const handlePeek = () => {
-    if (queue.length === 0) return;
-    setHighlighted(0);
+    runOperation("peek");
     showOperationInfo(
       "Peek()",
       "O(1)",
       "Views the element at the front without removing it."
     );
-    setTimeout(() => setHighlighted(null), 600);
+  };
+
+  const togglePractice = () => {
+    if (practice.active) {
+      practice.stop();
+      return;
+    }
+    markRun("practice");
+    setPracticeQueue(queue);
+    practice.start(queue);
+  };
+
+  const handleBoxClick = (index) => {
+    if (practice.guess(index)) setPracticeQueue((prev) => prev.slice(1));
   };
 
   return (
-    <div className="w-full h-[300px]">
+    <div className="w-full h-[300px] relative">
+      <button
+        className="btn btn-sm btn-primary absolute top-2 left-2 z-10"
+        onClick={togglePractice}
+      >
+        {practice.active ? "⏹ Stop Practice" : "🎯 Practice"}
+      </button>
+
       <Canvas camera={{ position: [0, 4, 10], fov: 50 }}>
         <ambientLight intensity={0.5} />
         <directionalLight position={[5, 10, 5]} intensity={0.8} />
@@ -78,32 +124,45 @@ const VisualPage4 = () => {
         />
 
         {/* Queue Base */}
-        <QueueBase width={queue.length * spacing + 2} />
+        <QueueBase width={shown.length * spacing + 2} />
 
         {/* Boxes */}
-        {queue.map((value, i) => (
+        {shown.map((value, i) => (
           <QueueBox
             key={i}
             value={value}
             position={positions[i]}
             isFront={i === 0}
-            isRear={i === queue.length - 1}
-            highlight={highlighted === i}
+            isRear={i === shown.length - 1}
+            highlight={
+              practice.active
+                ? practice.revealed && practice.step.answer === i
+                : player.step.highlight === i
+            }
+            onClick={practice.active ? () => handleBoxClick(i) : undefined}
           />
         ))}
 
         {/* Operation Info Panel */}
-        {operationInfo && (
+        {operationInfo && !practice.active && (
           <OperationInfoPanel info={operationInfo} position={[-6, 1.5, 0]} />
         )}
 
         {/* Operations Panel */}
-        <OperationsPanel
-          position={[6, 1.5, 0]}
-          onEnqueue={handleEnqueue}
-          onDequeue={handleDequeue}
-          onPeek={handlePeek}
-        />
+        {practice.active ? (
+          <PracticeStatus
+            practice={practice}
+            prompt="Click the element dequeue removes next"
+            position={[6, 2.5, 0]}
+          />
+        ) : (
+          <OperationsPanel
+            position={[6, 1.5, 0]}
+            onEnqueue={handleEnqueue}
+            onDequeue={handleDequeue}
+            onPeek={handlePeek}
+          />
+        )}
 
         {/* Footer */}
         <FadeInText
@@ -116,6 +175,10 @@ const VisualPage4 = () => {
 
         <OrbitControls makeDefault />
       </Canvas>
+
+      {operation && !practice.active && (
+        <TracePlayer player={player} onPlay={() => markRun(operation)} />
+      )}
     </div>
   );
 };
@@ -170,7 +233,7 @@ const FadeInText = ({ show, text, position, fontSize, color }) => {
 };
 
 // === Queue Box ===
-const QueueBox = ({ value, position, isFront, isRear, highlight }) => {
+const QueueBox = ({ value, position, isFront, isRear, highlight, onClick }) => {
   const color = highlight ? "#facc15" : "#34d399";
   const meshRef = useRef();
 
@@ -182,7 +245,7 @@ const QueueBox = ({ value, position, isFront, isRear, highlight }) => {
 
   return (
     <group position={position}>
-      <mesh ref={meshRef} position={[0, 0.5, 0]}>
+      <mesh ref={meshRef} position={[0, 0.5, 0]} onClick={onClick}>
         <boxGeometry args={[1.5, 1, 1]} />
         <meshStandardMaterial color={color} />
       </mesh>
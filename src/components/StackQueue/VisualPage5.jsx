@@ -1,188 +1,135 @@
-import React, { useState, useRef } from "react";
+import React, { useMemo } from "react";
 import { Canvas } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
-import { Play, Square, RotateCcw } from "lucide-react";
+import {
+  usePracticeMode,
+  useVisualizationRun,
+} from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { shiftSteps } from "../../services/practiceExercises";
+import { deleteShiftTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import TracePlayer from "../common/TracePlayer";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_DATA = EXAMPLE_INPUTS.stackQueue.arrayDelete;
 
 const VisualPage5 = ({
-  data = [10, 20, 30, 40, 50],
+  data = DEFAULT_DATA,
   spacing = 2.0,
-  deleteIndex = 2,
+  // the middle element, whatever the length of the data
+  deleteIndex = Math.floor((data.length - 1) / 2),
   stepDuration = 700,
 }) => {
-  const originalRef = useRef(data.slice());
-  const [boxes, setBoxes] = useState(() =>
-    createBoxes(originalRef.current, spacing)
-  );
-  const animRef = useRef({ cancelled: false });
-  const [status, setStatus] = useState("Idle");
-  const [progress, setProgress] = useState(0);
-  const [isPlaying, setIsPlaying] = useState(false);
-
-  function createBoxes(arr, spacingVal) {
-    const n = arr.length;
-    const mid = (n - 1) / 2;
-    return arr.map((v, i) => ({
-      id: `b${i}`,
-      value: v,
-      x: (i - mid) * spacingVal,
-      targetX: (i - mid) * spacingVal,
-      opacity: 1,
-    }));
-  }
-
-  const reset = () => {
-    animRef.current.cancelled = true;
-    setBoxes(createBoxes(originalRef.current, spacing));
-    setStatus("Idle");
-    setProgress(0);
-    setIsPlaying(false);
-  };
-
-  const animateMove = (boxId, toX) => {
-    return new Promise((resolve) => {
-      const startX = boxes.find((b) => b.id === boxId).x;
-      const duration = stepDuration;
-      const startTime = performance.now();
-
-      function frame(now) {
-        if (animRef.current.cancelled) return resolve();
-        const t = Math.min((now - startTime) / duration, 1);
-        setBoxes((prev) =>
-          prev.map((b) =>
-            b.id === boxId ? { ...b, x: startX + (toX - startX) * t } : b
-          )
-        );
-        if (t < 1) requestAnimationFrame(frame);
-        else resolve();
-      }
-
-      requestAnimationFrame(frame);
-    });
-  };
-
-  const animateFadeOut = (boxId) => {
-    return new Promise((resolve) => {
-      const duration = stepDuration / 2;
-      const startTime = performance.now();
-
-      function frame(now) {
-        if (animRef.current.cancelled) return resolve();
-        const t = Math.min((now - startTime) / duration, 1);
-        setBoxes((prev) =>
-          prev.map((b) => (b.id === boxId ? { ...b, opacity: 1 - t } : b))
-        );
-        if (t < 1) requestAnimationFrame(frame);
-        else resolve();
-      }
-
-      requestAnimationFrame(frame);
-    });
-  };
+  const markRun = useVisualizationRun();
+  // Practice: after the deletion, click the elements in the order they shift
+  const practice = usePracticeMode("array-delete-shift", shiftSteps);
 
-  const handlePlay = async () => {
-    if (isPlaying) return;
-    animRef.current.cancelled = false;
-    setBoxes(createBoxes(originalRef.current, spacing));
-    setProgress(0);
-    setStatus(`Deleting element at index ${deleteIndex}...`);
-    setIsPlaying(true);
-
-    const n = boxes.length;
-
-    // Fade out the deleted box
-    await animateFadeOut(boxes[deleteIndex].id);
-
-    // Shift left the boxes on the right
-    for (let i = deleteIndex + 1; i < n; i++) {
-      if (animRef.current.cancelled) break;
-      const targetX = boxes[i].x - spacing;
-      setStatus(`Shifting element at index ${i} left`);
-      await animateMove(boxes[i].id, targetX);
-      setProgress(Math.round(((i - deleteIndex) / (n - deleteIndex)) * 100));
+  const trace = useMemo(
+    () => deleteShiftTrace(data, deleteIndex),
+    [data, deleteIndex]
+  );
+  const player = useTracePlayer(trace, { stepMs: stepDuration });
+  const { step } = player;
+
+  // slots stay where the full array put them, so the shifts show
+  const slotX = (i) => (i - (data.length - 1) / 2) * spacing;
+
+  // the learner's copy: the deleted element is gone and each correct
+  // click moves one more element left
+  const shiftedUpTo = deleteIndex + practice.index;
+  const practiceBoxes = data
+    .map((value, i) => ({
+      value,
+      index: i,
+      x: slotX(i > deleteIndex && i <= shiftedUpTo ? i - 1 : i),
+    }))
+    .filter((box) => box.index !== deleteIndex);
+
+  const togglePractice = () => {
+    player.reset();
+    if (practice.active) {
+      practice.stop();
+      return;
     }
-
-    // Remove the deleted element and finalize array
-    const newArr = originalRef.current.slice();
-    newArr.splice(deleteIndex, 1);
-    setBoxes(createBoxes(newArr, spacing));
-    setStatus(`✅ Deletion complete`);
-    setProgress(100);
-    setIsPlaying(false);
-  };
-
-  const handleStop = () => {
-    animRef.current.cancelled = true;
-    setIsPlaying(false);
-    setStatus("Stopped");
+    markRun("practice");
+    practice.start(data, deleteIndex);
   };
 
-  const handleReset = () => reset();
-
   return (
-    <div className="w-full h-[300px] flex flex-col items-center justify-center">
-      {/* Video Player Controls */}
-      <div className="w-2/3 mb-4">
-        <div className="flex items-center gap-3 mb-2">
-          <button
-            onClick={handlePlay}
-            disabled={isPlaying}
-            className="p-2 bg-blue-500 text-white rounded-full hover:bg-blue-600"
-          >
-            <Play size={20} />
-          </button>
-          <button
-            onClick={handleStop}
-            disabled={!isPlaying}
-            className="p-2 bg-red-500 text-white rounded-full hover:bg-red-600"
-          >
-            <Square size={20} />
-          </button>
-          <button
-            onClick={handleReset}
-            className="p-2 bg-gray-500 text-white rounded-full hover:bg-gray-600"
-          >
-            <RotateCcw size={20} />
-          </button>
-        </div>
-        <div className="w-full h-2 bg-gray-300 rounded">
-          <div
-            className="h-2 bg-green-500 rounded"
-            style={{ width: `${progress}%` }}
-          ></div>
-        </div>
-        <div className="mt-2 text-gray-700 font-mono text-sm text-center">
-          {status}
-        </div>
-      </div>
-
-      {/* 3D Canvas */}
-      <div className="w-full h-[300]">
-        <Canvas camera={{ position: [0, 4, 8], fov: 50 }}>
-          <ambientLight intensity={0.4} />
-          <directionalLight position={[5, 10, 5]} intensity={0.8} />
-          {boxes.map((b, i) => (
-            <Box
-              key={b.id}
-              value={b.value}
-              index={i}
-              position={[b.x, 0, 0]}
-              opacity={b.opacity}
+    <div className="w-full h-[300px] relative">
+      <button
+        className="btn btn-sm btn-primary absolute top-2 left-2 z-10"
+        onClick={togglePractice}
+      >
+        {practice.active ? "⏹ Stop Practice" : "🎯 Practice"}
+      </button>
+
+      <Canvas camera={{ position: [0, 4, 8], fov: 50 }}>
+        <ambientLight intensity={0.4} />
+        <directionalLight position={[5, 10, 5]} intensity={0.8} />
+        {practice.active ? (
+          <>
+            <PracticeStatus
+              practice={practice}
+              prompt="Click the element that shifts left next"
+              position={[0, 2.6, 0]}
+              fontSize={0.3}
             />
-          ))}
-          <OrbitControls makeDefault />
-        </Canvas>
-      </div>
+            {practiceBoxes.map((box) => (
+              <Box
+                key={box.index}
+                value={box.value}
+                index={box.index}
+                position={[box.x, 0, 0]}
+                highlight={
+                  practice.revealed && practice.step.answer === box.index
+                }
+                onClick={() => practice.guess(box.index)}
+              />
+            ))}
+          </>
+        ) : (
+          step.array.map(
+            (value, i) =>
+              value !== null && (
+                <Box
+                  key={i}
+                  value={value}
+                  index={i}
+                  position={[slotX(i), 0, 0]}
+                  opacity={step.removing === i ? 0.5 : 1}
+                  highlight={step.moved === i}
+                />
+              )
+          )
+        )}
+        <OrbitControls makeDefault />
+      </Canvas>
+
+      {!practice.active && (
+        <TracePlayer player={player} onPlay={() => markRun("play")} />
+      )}
     </div>
   );
 };
 
-const Box = ({ value, index, position, opacity = 1 }) => {
+const Box = ({ value, index, position, opacity = 1, highlight, onClick }) => {
   const size = [1.6, 1.2, 1];
   return (
     <group position={position}>
-      <mesh castShadow receiveShadow position={[0, size[1] / 2, 0]}>
+      <mesh
+        castShadow
+        receiveShadow
+        position={[0, size[1] / 2, 0]}
+        onClick={onClick}
+      >
         <boxGeometry args={size} />
-        <meshStandardMaterial color="#60a5fa" transparent opacity={opacity} />
+        <meshStandardMaterial
+          color={highlight ? "#facc15" : "#60a5fa"}
+          transparent
+          opacity={opacity}
+        />
       </mesh>
       <Text
         position={[0, size[1] / 2 + 0.15, size[2] / 2 + 0.01]}
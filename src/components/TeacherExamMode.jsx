@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { Timer } from "lucide-react";
+import {
+  closeExamWindow,
+  DEFAULT_EXAM_MINUTES,
+  DEFAULT_WINDOW_HOURS,
+  getExamWindow,
+  isExamWindowOpen,
+  openExamWindow,
+} from "../services/examService";
+import TeacherPinDialog from "./TeacherPinDialog";
+
+const formatTime = (at) =>
+  new Date(at).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "numeric",
+    hour12: true,
+  });
+
+// Teacher-only switch for exam mode: while the window is open, each AR
+// assessment can be sat once as a timed exam (see examService).
+const TeacherExamMode = () => {
+  const [examWindow, setExamWindow] = useState(() => getExamWindow());
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [minutes, setMinutes] = useState(DEFAULT_EXAM_MINUTES);
+  const [hours, setHours] = useState(DEFAULT_WINDOW_HOURS);
+
+  const open = isExamWindowOpen();
+
+  const handleConfirm = () => {
+    if (open) closeExamWindow();
+    else openExamWindow({ minutes, hours });
+    setExamWindow(getExamWindow());
+    setIsModalOpen(false);
+  };
+
+  return (
+    <>
+      <div className="flex items-center justify-between mb-4">
+        {open ? (
+          <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-amber-100 text-amber-700 text-xs font-semibold">
+            <Timer className="w-3 h-3" /> AR exams open until{" "}
+            {formatTime(examWindow.closesAt)} · {examWindow.minutes} min each
+          </span>
+        ) : (
+          <span />
+        )}
+        <button
+          className="btn btn-ghost btn-xs gap-1"
+          onClick={() => setIsModalOpen(true)}
+        >
+          <Timer className="w-3 h-3" />
+          {open ? "Close exams" : "Open exams"}
+        </button>
+      </div>
+
+      {isModalOpen && (
+        <TeacherPinDialog
+          id="teacher_exam_modal"
+          title="AR Exam Mode"
+          description={
+            open
+              ? "Close the exam window. Exams already running still finish."
+              : "Let this student sit each AR assessment once as a timed exam. The rest of the app is locked during the exam."
+          }
+          confirmLabel={open ? "Close Exams" : "Open Exams"}
+          onConfirm={handleConfirm}
+          onCancel={() => setIsModalOpen(false)}
+        >
+          {!open && (
+            <div className="grid grid-cols-2 gap-3">
+              <label className="form-control">
+                <span className="label-text text-xs">Minutes per exam</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={120}
+                  className="input input-bordered input-sm"
+                  value={minutes}
+                  onChange={(e) => setMinutes(Number(e.target.value))}
+                  required
+                />
+              </label>
+              <label className="form-control">
+                <span className="label-text text-xs">Window open (hours)</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={24}
+                  className="input input-bordered input-sm"
+                  value={hours}
+                  onChange={(e) => setHours(Number(e.target.value))}
+                  required
+                />
+              </label>
+            </div>
+          )}
+        </TeacherPinDialog>
+      )}
+    </>
+  );
+};
+
+export default TeacherExamMode;
@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+import { KeyRound, Unlock } from "lucide-react";
+import {
+  isUnlockOverrideEnabled,
+  setUnlockOverride,
+} from "../services/moduleService";
+import TeacherPinDialog from "./TeacherPinDialog";
+
+// Teacher-only toggle that unlocks every module for the current account.
+// The teacher PIN is set up beforehand in Settings.
+const TeacherOverride = ({ onChange }) => {
+  const [enabled, setEnabled] = useState(() => isUnlockOverrideEnabled());
+  const [isModalOpen, setIsModalOpen] = useState(false);
+
+  const handleConfirm = () => {
+    const next = !enabled;
+    setUnlockOverride(next);
+    setEnabled(next);
+    setIsModalOpen(false);
+    onChange?.(next);
+  };
+
+  return (
+    <>
+      <div className="flex items-center justify-between mb-4">
+        {enabled ? (
+          <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-blue-100 text-blue-600 text-xs font-semibold">
+            <Unlock className="w-3 h-3" /> Teacher override: all modules
+            unlocked
+          </span>
+        ) : (
+          <span />
+        )}
+        <button
+          className="btn btn-ghost btn-xs gap-1"
+          onClick={() => setIsModalOpen(true)}
+        >
+          <KeyRound className="w-3 h-3" />
+          {enabled ? "Turn off override" : "Teacher override"}
+        </button>
+      </div>
+
+      {isModalOpen && (
+        <TeacherPinDialog
+          id="teacher_override_modal"
+          title="Teacher Override"
+          description={
+            enabled
+              ? "Lock modules again according to their prerequisites."
+              : "Unlock every module for this student, skipping prerequisites."
+          }
+          confirmLabel={enabled ? "Turn Off" : "Unlock All"}
+          onConfirm={handleConfirm}
+          onCancel={() => setIsModalOpen(false)}
+        />
+      )}
+    </>
+  );
+};
+
+export default TeacherOverride;
@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { KeyRound } from "lucide-react";
+import { hasTeacherPin, verifyTeacherPin } from "../services/teacherService";
+
+// Asks for the teacher PIN before a classroom setting changes. It never sets
+// the PIN: without one (see Teacher Setup in Settings) nothing can be
+// confirmed. onConfirm runs once the PIN is accepted.
+const TeacherPinDialog = ({
+  id,
+  title,
+  description,
+  confirmLabel,
+  onConfirm,
+  onCancel,
+  children,
+}) => {
+  const [pin, setPin] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const pinSet = hasTeacherPin();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (!pinSet) return;
+
+    setBusy(true);
+    if (!(await verifyTeacherPin(pin))) {
+      setBusy(false);
+      setError("Incorrect teacher PIN.");
+      return;
+    }
+    onConfirm();
+  };
+
+  return (
+    <dialog id={id} className="modal modal-open">
+      <form className="modal-box space-y-3" onSubmit={handleSubmit}>
+        <h3 className="font-bold text-lg flex items-center gap-2">
+          <KeyRound className="w-5 h-5" /> {title}
+        </h3>
+        <p className="text-sm">{description}</p>
+        {children}
+        {pinSet ? (
+          <input
+            type="password"
+            placeholder="Teacher PIN"
+            className="input input-bordered w-full"
+            value={pin}
+            onChange={(e) => setPin(e.target.value)}
+            required
+            disabled={busy}
+          />
+        ) : (
+          <p className="text-warning text-sm">
+            No teacher PIN is set up on this device. A teacher sets one up
+            under Teacher Setup in Settings.
+          </p>
+        )}
+        {error && <p className="text-red-500 text-xs">{error}</p>}
+        <div className="modal-action">
+          <button
+            type="button"
+            className="btn btn-outline"
+            onClick={onCancel}
+            disabled={busy}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={busy || !pinSet}
+          >
+            {confirmLabel}
+          </button>
+        </div>
+      </form>
+    </dialog>
+  );
+};
+
+export default TeacherPinDialog;
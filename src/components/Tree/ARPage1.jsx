@@ -2,8 +2,11 @@ import React, { useRef, useState, useMemo, useEffect, forwardRef } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
 
 const ARTreePage = () => {
+  const logARSession = useARSessionLog();
+
   const [selectedNode, setSelectedNode] = useState(null);
   const nodeRefs = useRef([]);
 
@@ -43,7 +46,7 @@ const ARTreePage = () => {
             .requestSession("immersive-ar", {
               requiredFeatures: ["hit-test", "local-floor"],
             })
-            .then((session) => gl.xr.setSession(session))
+            .then((session) => gl.xr.setSession(logARSession(session)))
             .catch((err) => console.error("AR session failed:", err));
         } else {
           console.warn("AR not supported on this device.");
@@ -2,10 +2,34 @@ import React, { useState, useRef, useEffect, useMemo } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useARSessionLog } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { buildBST } from "../../utils/algorithms";
+import { bstOperationKeys } from "../../utils/inputData";
+import { layoutTree } from "../../utils/layout";
+import { bstOperationTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer3D from "../common/TracePlayer3D";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_KEYS = EXAMPLE_INPUTS.tree.bst;
+
+const ARPage4 = ({ keys = DEFAULT_KEYS }) => {
+  const logARSession = useARSessionLog();
 
-const ARPage4 = () => {
   const [selectedOp, setSelectedOp] = useState(null);
-  const [highlightNode, setHighlightNode] = useState(null);
+  // Key each operation button works on, picked to suit the tree
+  const operationKeys = useMemo(() => bstOperationKeys(keys), [keys]);
+  const trace = useMemo(
+    () =>
+      bstOperationTrace(
+        keys,
+        selectedOp || "Search",
+        operationKeys[selectedOp || "Search"]
+      ),
+    [keys, operationKeys, selectedOp]
+  );
+  const player = useTracePlayer(trace, { stepMs: 1000 });
   const buttonRefs = useRef([]);
 
   // collect button refs
@@ -13,40 +37,15 @@ const ARPage4 = () => {
     if (r && !buttonRefs.current.includes(r)) buttonRefs.current.push(r);
   };
 
-  const nodes = [
-    { id: 50, pos: [0, 3, -8] },
-    { id: 30, pos: [-2, 1.5, -8] },
-    { id: 70, pos: [2, 1.5, -8] },
-    { id: 20, pos: [-3, 0, -8] },
-    { id: 40, pos: [-1, 0, -8] },
-    { id: 60, pos: [1, 0, -8] },
-    { id: 80, pos: [3, 0, -8] },
-  ];
-
-  const edges = [
-    [50, 30],
-    [50, 70],
-    [30, 20],
-    [30, 40],
-    [70, 60],
-    [70, 80],
-  ];
+  // the tree the keys build, laid out by inorder rank and depth
+  const { nodes, edges } = useMemo(
+    () => layoutTree(buildBST(keys), { z: -8 }),
+    [keys]
+  );
 
   const handleOperation = (op) => {
     setSelectedOp(op);
-    setHighlightNode(null);
-
-    let sequence = [];
-    if (op === "Search") sequence = [50, 30, 40];
-    else if (op === "Insert") sequence = [50, 70, 60, 65];
-    else if (op === "Delete") sequence = [50, 30, 40];
-
-    let i = 0;
-    const interval = setInterval(() => {
-      setHighlightNode(sequence[i]);
-      i++;
-      if (i >= sequence.length) clearInterval(interval);
-    }, 1000);
+    player.restart();
   };
 
   // start AR automatically
@@ -59,7 +58,7 @@ const ARPage4 = () => {
               requiredFeatures: ["hit-test", "local-floor"],
             })
             .then((session) => {
-              gl.xr.setSession(session);
+              gl.xr.setSession(logARSession(session));
             })
             .catch((err) => console.error("AR session failed:", err));
         } else {
@@ -103,7 +102,7 @@ const ARPage4 = () => {
         <BSTVisualization
           nodes={nodes}
           edges={edges}
-          highlightNode={highlightNode}
+          step={selectedOp ? player.step : null}
         />
 
         {/* 3D Buttons Panel */}
@@ -117,6 +116,16 @@ const ARPage4 = () => {
         {selectedOp && (
           <OperationInfo operation={selectedOp} position={[8, 2, -8]} />
         )}
+        {selectedOp && (
+          <CodeTracePanel
+            algorithm={`bst-${selectedOp.toLowerCase()}`}
+            step={player.step}
+            position={[6.8, 0.6, -8]}
+          />
+        )}
+        {selectedOp && (
+          <TracePlayer3D player={player} position={[0, -3, -8]} />
+        )}
 
         <ARInteractionManager
           buttonRefs={buttonRefs}
@@ -217,7 +226,7 @@ const OperationsPanel = ({ position, onOperation, addButtonRef }) => {
         fontSize={0.35}
         color="#fde68a"
       />
-      {renderButton("🔍 Search", "Search (40)", 1.2)}
+      {renderButton("🔍 Search", "Search", 1.2)}
       {renderButton("➕ Insert", "Insert", 0.4)}
       {renderButton("❌ Delete", "Delete", -0.4)}
     </group>
@@ -225,31 +234,59 @@ const OperationsPanel = ({ position, onOperation, addButtonRef }) => {
 };
 
 // === TREE VISUALIZATION ===
-const BSTVisualization = ({ nodes, edges, highlightNode }) => (
-  <group>
-    {edges.map(([a, b], i) => {
-      const start = nodes.find((n) => n.id === a).pos;
-      const end = nodes.find((n) => n.id === b).pos;
-      return <Connection key={i} start={start} end={end} />;
-    })}
-    {nodes.map((node) => (
-      <TreeNode
-        key={node.id}
-        position={node.pos}
-        label={node.id}
-        isHighlighted={highlightNode === node.id}
-      />
-    ))}
-  </group>
-);
+// step: snapshot of bstOperationTrace, null before an operation is picked
+const BSTVisualization = ({ nodes, edges, step }) => {
+  const positionOf = (id) => nodes.find((n) => n.id === id).pos;
+  // a node being inserted hangs below its parent
+  let added = null;
+  if (step?.added) {
+    const [x, y, z] = positionOf(step.added.parent);
+    const offset = step.added.side === "left" ? -0.6 : 0.6;
+    added = { id: step.added.key, pos: [x + offset, y - 1.5, z] };
+  }
+
+  const stateOf = (id) => {
+    if (!step) return "idle";
+    if (id === step.removed) return "removed";
+    if (id === step.successor) return "successor";
+    if (id === step.current) return "current";
+    return step.path.includes(id) ? "path" : "idle";
+  };
+
+  return (
+    <group>
+      {edges.map(([a, b], i) => (
+        <Connection key={i} start={positionOf(a)} end={positionOf(b)} />
+      ))}
+      {added && (
+        <Connection start={positionOf(step.added.parent)} end={added.pos} />
+      )}
+      {[...nodes, ...(added ? [added] : [])].map((node) => (
+        <TreeNode
+          key={node.id}
+          position={node.pos}
+          label={node.id}
+          state={stateOf(node.id)}
+        />
+      ))}
+    </group>
+  );
+};
+
+const NODE_COLORS = {
+  idle: "#60a5fa",
+  path: "#fbbf24",
+  current: "#f87171",
+  successor: "#34d399",
+  removed: "#475569",
+};
 
-const TreeNode = ({ position, label, isHighlighted }) => {
-  const color = isHighlighted ? "#f87171" : "#60a5fa";
+const TreeNode = ({ position, label, state }) => {
   return (
     <group position={position}>
       <mesh>
         <sphereGeometry args={[0.35, 32, 32]} />
-        <meshStandardMaterial color={color} />
+        <meshStandardMaterial color={NODE_COLORS[state]} />
       </mesh>
       <Text
         position={[0, 0.8, 0]}
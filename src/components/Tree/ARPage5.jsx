@@ -1,145 +1,402 @@
-// ARPage5.jsx
-import React, { useState, useEffect, useMemo } from "react";
-import { Canvas } from "@react-three/fiber";
-import { Text } from "@react-three/drei";
-
-const ARPage5 = ({
-  data = [10, 20, 30, 40, 50],
-  spacing = 2.0,
-  deleteIndex = 2, // index to delete
-  loopDelay = 3000,
-}) => {
-  const [boxes, setBoxes] = useState(data);
-  const [status, setStatus] = useState("Idle");
-  const [highlightIndex, setHighlightIndex] = useState(null);
-  const [phase, setPhase] = useState(0);
+// ARPage5.jsx — Tree Traversals (based on VisualPage5 + AR structure of ARPage4)
+import React, { useState, useRef, useEffect, useMemo } from "react";
+import { Canvas, useFrame, useThree } from "@react-three/fiber";
+import { OrbitControls, Text } from "@react-three/drei";
+import * as THREE from "three";
+import {
+  useARSessionLog,
+  usePracticeMode,
+} from "../../services/useModulePage";
+import { traversalSteps } from "../../services/practiceExercises";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { buildBST } from "../../utils/algorithms";
+import { layoutTree } from "../../utils/layout";
+import { traversalTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer3D from "../common/TracePlayer3D";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
 
-  // positions update based on count
-  const positions = useMemo(() => {
-    const mid = (boxes.length - 1) / 2;
-    return boxes.map((_, i) => [(i - mid) * spacing, 0, 0]);
-  }, [boxes, spacing]);
+const DEFAULT_KEYS = EXAMPLE_INPUTS.tree.traversal;
 
-  useEffect(() => {
-    const runSequence = async () => {
-      setBoxes(data);
-      setStatus(
-        `Deleting value ${data[deleteIndex]} at index ${deleteIndex}...`
-      );
-      setHighlightIndex(deleteIndex);
+// Button name -> traversal order in utils/algorithms
+const ORDERS = {
+  Preorder: "preorder",
+  Inorder: "inorder",
+  Postorder: "postorder",
+  Breadth: "level-order",
+};
+
+const ARPage5 = ({ keys = DEFAULT_KEYS }) => {
+  const logARSession = useARSessionLog();
+  // the tree the keys build, kept above the prompt under it
+  const tree = useMemo(() => buildBST(keys), [keys]);
+  const { nodes, edges } = useMemo(
+    () => layoutTree(tree, { z: -8, maxHeight: 3 }),
+    [tree]
+  );
+  const practice = usePracticeMode("tree-traversal", (type) =>
+    traversalSteps(tree, ORDERS[type])
+  );
 
-      await delay(2000);
+  const [traversalType, setTraversalType] = useState(null);
+  const trace = useMemo(
+    () => traversalTrace(tree, ORDERS[traversalType || "Preorder"]),
+    [tree, traversalType]
+  );
+  const player = useTracePlayer(trace, { stepMs: 1000 });
+  const buttonRefs = useRef([]);
+  const nodeRefs = useRef([]);
 
-      setHighlightIndex(null);
-      setStatus(`Removing value ${data[deleteIndex]}...`);
-      await delay(1000);
+  // collect button and node refs
+  const addButtonRef = (r) => {
+    if (r && !buttonRefs.current.includes(r)) buttonRefs.current.push(r);
+  };
+  const addNodeRef = (r) => {
+    if (r && !nodeRefs.current.includes(r)) nodeRefs.current.push(r);
+  };
 
-      const newArr = data.filter((_, i) => i !== deleteIndex);
-      setBoxes(newArr);
+  const handleTraversal = (type) => {
+    setTraversalType(type);
 
-      setStatus("Shifting elements...");
-      await delay(2000);
+    // in practice mode the learner visits the nodes instead
+    if (practice.active) {
+      practice.start(type);
+      return;
+    }
+    player.restart();
+  };
 
-      setStatus("✅ Deletion complete!");
-      await delay(loopDelay);
+  const togglePractice = () => {
+    player.reset();
+    if (practice.active) {
+      practice.stop();
+      return;
+    }
+    const type = traversalType || "Preorder";
+    setTraversalType(type);
+    practice.start(type);
+  };
 
-      setPhase((p) => p + 1); // restart loop
-    };
+  const handleAction = (action) => {
+    if (action === "practice") togglePractice();
+    else handleTraversal(action);
+  };
 
-    runSequence();
-  }, [phase, data, deleteIndex, loopDelay]);
+  const handleNodeSelect = (id) => {
+    if (practice.active) practice.guess(id);
+  };
+
+  const visited = practice.active
+    ? practice.steps.slice(0, practice.index).map((step) => step.answer)
+    : player.step.visited;
+  const revealedNode = practice.revealed ? practice.step.answer : null;
+  const highlightNode = practice.active ? revealedNode : player.step.current;
+
+  // start AR automatically
+  const startAR = (gl) => {
+    if (navigator.xr) {
+      navigator.xr.isSessionSupported("immersive-ar").then((supported) => {
+        if (supported) {
+          navigator.xr
+            .requestSession("immersive-ar", {
+              requiredFeatures: ["hit-test", "local-floor"],
+            })
+            .then((session) => {
+              gl.xr.setSession(logARSession(session));
+            })
+            .catch((err) => console.error("AR session failed:", err));
+        } else {
+          console.warn("AR not supported on this device.");
+        }
+      });
+    }
+  };
 
   return (
-    <div className="w-full h-screen">
+    <div className="w-full h-[300px]">
       <Canvas
-        camera={{ position: [0, 2, 6], fov: 50 }}
-        gl={{ alpha: true }}
-        shadows
+        camera={{ position: [0, 4, 25], fov: 50 }}
         onCreated={({ gl }) => {
           gl.xr.enabled = true;
-          if (navigator.xr) {
-            navigator.xr
-              .requestSession("immersive-ar", {
-                requiredFeatures: ["local-floor"], // ✅ no hit-test
-              })
-              .then((session) => gl.xr.setSession(session))
-              .catch((err) => console.error("❌ AR session failed:", err));
-          }
+          startAR(gl);
         }}
       >
-        <ambientLight intensity={0.4} />
+        <ambientLight intensity={0.7} />
         <directionalLight position={[5, 10, 5]} intensity={0.8} />
 
-        {/* ✅ Fixed group in front of user */}
-        <group position={[0, 1, -2]} scale={[0.1, 0.1, 0.1]}>
-          {/* Status text floating above */}
-          <Text
-            position={[0, 3, 0]}
-            fontSize={0.5}
-            anchorX="center"
-            anchorY="middle"
-            color="white"
-          >
-            {status}
-          </Text>
-
-          {/* Boxes */}
-          {boxes.map((value, i) => (
-            <Box
-              key={i}
-              index={i}
-              value={value}
-              position={positions[i]}
-              highlight={highlightIndex === i}
+        {/* Title */}
+        <FadeInText
+          show={true}
+          text={"Tree Traversals"}
+          position={[0, 5.5, -8]}
+          fontSize={0.7}
+          color="white"
+        />
+        {practice.active ? (
+          <PracticeStatus
+            practice={practice}
+            prompt={`Tap the node ${traversalType} visits next`}
+            position={[0, -1.5, -8]}
+          />
+        ) : (
+          <FadeInText
+            show={true}
+            text={
+              "Tap a traversal to watch it, or Practice to visit the nodes yourself"
+            }
+            position={[0, -1.5, -8]}
+            fontSize={0.35}
+            color="#fde68a"
+          />
+        )}
+
+        {/* Tree Visualization */}
+        <group>
+          {edges.map(([a, b], i) => {
+            const start = nodes.find((n) => n.id === a).pos;
+            const end = nodes.find((n) => n.id === b).pos;
+            return <Connection key={i} start={start} end={end} />;
+          })}
+          {nodes.map((node) => (
+            <TreeNode
+              key={node.id}
+              ref={addNodeRef}
+              id={node.id}
+              position={node.pos}
+              isHighlighted={highlightNode === node.id}
+              isVisited={visited.includes(node.id)}
+              onSelect={handleNodeSelect}
             />
           ))}
-
-          {/* Ground plane */}
-          <mesh rotation-x={-Math.PI / 2} receiveShadow>
-            <planeGeometry args={[10, 10]} />
-            <shadowMaterial opacity={0.3} />
-          </mesh>
         </group>
+
+        {/* 3D Buttons Panel */}
+        <TraversalPanel
+          position={[-7, 1, -8]}
+          practicing={practice.active}
+          onAction={handleAction}
+          addButtonRef={addButtonRef}
+        />
+
+        {/* Info Panel */}
+        {traversalType && !practice.active && (
+          <TraversalInfo type={traversalType} position={[8, 2, -8]} />
+        )}
+        {traversalType && !practice.active && (
+          <CodeTracePanel
+            algorithm={ORDERS[traversalType]}
+            step={player.step}
+            position={[6, 0.8, -8]}
+          />
+        )}
+        {traversalType && !practice.active && (
+          <TracePlayer3D player={player} position={[0, -3, -8]} />
+        )}
+
+        <ARInteractionManager
+          buttonRefs={buttonRefs}
+          nodeRefs={nodeRefs}
+          onAction={handleAction}
+          onNodeSelect={handleNodeSelect}
+        />
+        <OrbitControls makeDefault />
       </Canvas>
     </div>
   );
 };
 
-const Box = ({ index, value, position, highlight }) => {
-  const size = [1.6, 1.2, 1];
-  return (
-    <group position={position}>
-      <mesh castShadow receiveShadow position={[0, size[1] / 2, 0]}>
-        <boxGeometry args={size} />
-        <meshStandardMaterial
-          color={highlight ? "#f87171" : "#60a5fa"}
-          emissive={highlight ? "#facc15" : "#000000"}
-          emissiveIntensity={highlight ? 0.9 : 0}
-        />
-      </mesh>
+// === AR INTERACTION MANAGER ===
+const ARInteractionManager = ({
+  buttonRefs,
+  nodeRefs,
+  onAction,
+  onNodeSelect,
+}) => {
+  const { gl } = useThree();
+  // the select listener lives for the whole session; it calls the latest
+  // handlers so taps see the current practice step
+  const handlers = useRef();
+  handlers.current = { onAction, onNodeSelect };
+
+  useEffect(() => {
+    const onSessionStart = () => {
+      const session = gl.xr.getSession();
+      if (!session) return;
+
+      const onSelect = () => {
+        const xrCamera = gl.xr.getCamera();
+        const raycaster = new THREE.Raycaster();
+        const cam = xrCamera.cameras ? xrCamera.cameras[0] : xrCamera;
+        const dir = new THREE.Vector3(0, 0, -1)
+          .applyQuaternion(cam.quaternion)
+          .normalize();
+        const origin = cam.getWorldPosition(new THREE.Vector3());
+        raycaster.set(origin, dir);
+
+        const candidates = [...buttonRefs.current, ...nodeRefs.current]
+          .map((group) => (group ? group.children : []))
+          .flat();
+
+        const intersects = raycaster.intersectObjects(candidates, true);
+        if (intersects.length > 0) {
+          let hit = intersects[0].object;
+          while (
+            hit &&
+            hit.userData?.action === undefined &&
+            hit.userData?.nodeId === undefined &&
+            hit.parent
+          ) {
+            hit = hit.parent;
+          }
+          const { action, nodeId } = hit?.userData ?? {};
+          if (action) handlers.current.onAction(action);
+          else if (nodeId) handlers.current.onNodeSelect(nodeId);
+        }
+      };
+
+      session.addEventListener("select", onSelect);
+      const onEnd = () => session.removeEventListener("select", onSelect);
+      session.addEventListener("end", onEnd);
+    };
+
+    gl.xr.addEventListener("sessionstart", onSessionStart);
+    return () => gl.xr.removeEventListener("sessionstart", onSessionStart);
+  }, [gl, buttonRefs, nodeRefs]);
 
+  return null;
+};
+
+// === TRAVERSAL PANEL ===
+const TraversalPanel = ({ position, practicing, onAction, addButtonRef }) => {
+  const renderButton = (label, action, y, color = "#38bdf8") => (
+    <group position={[0, y, 0]} ref={addButtonRef} userData={{ action }}>
+      <mesh onClick={() => onAction(action)} castShadow receiveShadow>
+        <boxGeometry args={[2.8, 0.6, 0.1]} />
+        <meshStandardMaterial color={color} />
+      </mesh>
       <Text
-        position={[0, size[1] / 2 + 0.15, size[2] / 2 + 0.01]}
         fontSize={0.35}
+        color="white"
         anchorX="center"
         anchorY="middle"
+        position={[0, 0, 0.06]}
       >
-        {String(value)}
+        {label}
       </Text>
+    </group>
+  );
 
-      <Text
-        position={[0, size[1] / 2 - 0.35, size[2] / 2 + 0.01]}
-        fontSize={0.2}
-        anchorX="center"
-        anchorY="middle"
-      >
-        {`[${index}]`}
-      </Text>
+  return (
+    <group position={position}>
+      {renderButton("Preorder", "Preorder", 2.4)}
+      {renderButton("Inorder", "Inorder", 1.6)}
+      {renderButton("Postorder", "Postorder", 0.8)}
+      {renderButton("Breadth-First", "Breadth", 0)}
+      {renderButton(
+        practicing ? "Stop Practice" : "Practice",
+        "practice",
+        -1,
+        practicing ? "#f97316" : "#22c55e"
+      )}
     </group>
   );
 };
 
-// small delay utility
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// === TREE NODE ===
+const TreeNode = React.forwardRef(
+  ({ id, position, isHighlighted, isVisited, onSelect }, ref) => {
+    const color = isHighlighted
+      ? "#f87171"
+      : isVisited
+      ? "#34d399"
+      : "#60a5fa";
+    return (
+      <group position={position} ref={ref} userData={{ nodeId: id }}>
+        <mesh onClick={() => onSelect(id)}>
+          <sphereGeometry args={[0.35, 32, 32]} />
+          <meshStandardMaterial color={color} />
+        </mesh>
+        <Text
+          position={[0, 0.8, 0]}
+          fontSize={0.35}
+          color="white"
+          anchorX="center"
+          anchorY="middle"
+        >
+          {id}
+        </Text>
+      </group>
+    );
+  }
+);
+
+const Connection = ({ start, end }) => {
+  const points = [new THREE.Vector3(...start), new THREE.Vector3(...end)];
+  const geometry = new THREE.BufferGeometry().setFromPoints(points);
+  return (
+    <line>
+      <primitive object={geometry} />
+      <lineBasicMaterial color="#94a3b8" linewidth={2} />
+    </line>
+  );
+};
+
+const TraversalInfo = ({ type, position }) => {
+  let details = "";
+  if (type === "Preorder")
+    details = "Visit Root first, then Left subtree, then Right subtree.";
+  else if (type === "Inorder")
+    details = "Visit Left subtree, then Root, then Right subtree.";
+  else if (type === "Postorder")
+    details = "Visit Left subtree, then Right subtree, then Root.";
+  else if (type === "Breadth")
+    details = "Visit nodes level by level from top to bottom.";
+
+  return (
+    <FadeInText
+      show={true}
+      text={`🔹 ${type} Traversal\n${details}`}
+      position={position}
+      fontSize={0.33}
+      color="#a5f3fc"
+    />
+  );
+};
+
+// === FADE IN TEXT ===
+const FadeInText = ({ show, text, position, fontSize, color }) => {
+  const ref = useRef();
+  const opacity = useRef(0);
+  const scale = useRef(0.6);
+  useFrame(() => {
+    if (show) {
+      opacity.current = Math.min(opacity.current + 0.05, 1);
+      scale.current = Math.min(scale.current + 0.05, 1);
+    } else {
+      opacity.current = Math.max(opacity.current - 0.05, 0);
+      scale.current = 0.6;
+    }
+    if (ref.current && ref.current.material) {
+      ref.current.material.opacity = opacity.current;
+      ref.current.scale.set(scale.current, scale.current, scale.current);
+    }
+  });
+  return (
+    <Text
+      ref={ref}
+      position={position}
+      fontSize={fontSize}
+      color={color}
+      anchorX="center"
+      anchorY="middle"
+      material-transparent
+      maxWidth={9}
+      textAlign="left"
+    >
+      {text}
+    </Text>
+  );
+};
 
 export default ARPage5;
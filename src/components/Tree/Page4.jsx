@@ -4,8 +4,13 @@ import VisualPage4 from "./VisualPage4";
 import ARPage4 from "./ARPage4";
 import ARButton4 from "./ARButton4";
 import TreePage04 from "./Contents/TreePage04";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_KEYS = EXAMPLE_INPUTS.tree.bst;
 
 const Page4 = () => {
+  const [keys, setKeys] = useState(DEFAULT_KEYS);
   const [showWarning, setShowWarning] = useState(false);
   const [showAR, setShowAR] = useState(false); // 👈 toggle view
 
@@ -31,17 +36,25 @@ const Page4 = () => {
   };
 
   if (showAR) {
-    return <ARPage4 />; // 👈 render ARPage1 instead of Page1
+    return <ARPage4 keys={keys} />; // 👈 render ARPage1 instead of Page1
   }
 
   return (
     <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
-      <ARButton4 />
+      <ARButton4 keys={keys} />
 
       <TreePage04 />
 
+      <InputDataPanel
+        kind="keys"
+        value={keys}
+        onChange={setKeys}
+        defaultValue={DEFAULT_KEYS}
+      />
+
       <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
-        <VisualPage4 />
+        {/* new keys clear the picked operation */}
+        <VisualPage4 key={keys.join()} keys={keys} />
 
         <button
           className={`absolute top-3 right-3 p-2 rounded-full shadow-md transition-all duration-300 ${
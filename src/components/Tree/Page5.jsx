@@ -1,11 +1,16 @@
 import React, { useState } from "react";
 import { Scan } from "lucide-react";
 import VisualPage5 from "./VisualPage5";
-import ARButton from "./ARButton";
+import ARButton5 from "./ARButton5";
 import ARPage5 from "./ARPage5";
 import TreePage05 from "./Contents/TreePage05";
+import InputDataPanel from "../common/InputDataPanel";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_KEYS = EXAMPLE_INPUTS.tree.traversal;
 
 const Page4 = () => {
+  const [keys, setKeys] = useState(DEFAULT_KEYS);
   const [showWarning, setShowWarning] = useState(false);
   const [showAR, setShowAR] = useState(false); // 👈 toggle view
 
@@ -31,17 +36,25 @@ const Page4 = () => {
   };
 
   if (showAR) {
-    return <ARPage5 />; // 👈 render ARPage1 instead of Page1
+    return <ARPage5 keys={keys} />; // 👈 render ARPage1 instead of Page1
   }
 
   return (
     <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
-      <ARButton />
+      <ARButton5 keys={keys} />
 
       <TreePage05 />
 
+      <InputDataPanel
+        kind="keys"
+        value={keys}
+        onChange={setKeys}
+        defaultValue={DEFAULT_KEYS}
+      />
+
       <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
-        <VisualPage5 />
+        {/* new keys start the traversal (and any practice) afresh */}
+        <VisualPage5 key={keys.join()} keys={keys} />
 
         <button
           className={`absolute top-3 right-3 p-2 rounded-full shadow-md transition-all duration-300 ${
@@ -2,8 +2,11 @@ import React, { useRef, useState } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useVisualizationRun } from "../../services/useModulePage";
 
 const VisualPage1 = () => {
+  const markRun = useVisualizationRun();
+
   const [selectedNode, setSelectedNode] = useState(null);
 
   // Node structure
@@ -27,6 +30,7 @@ const VisualPage1 = () => {
   ];
 
   const handleNodeClick = (node) => {
+    markRun("node-click");
     setSelectedNode(node);
   };
 
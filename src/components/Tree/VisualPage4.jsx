@@ -1,47 +1,46 @@
-import React, { useState, useRef, useEffect } from "react";
+import React, { useMemo, useState, useRef } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import { useVisualizationRun } from "../../services/useModulePage";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { buildBST } from "../../utils/algorithms";
+import { bstOperationKeys } from "../../utils/inputData";
+import { layoutTree } from "../../utils/layout";
+import { bstOperationTrace } from "../../utils/traces";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer from "../common/TracePlayer";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
 
-const VisualPage4 = () => {
-  const [selectedOp, setSelectedOp] = useState(null);
-  const [highlightNode, setHighlightNode] = useState(null);
-
-  const nodes = [
-    { id: 50, pos: [0, 3, 0] },
-    { id: 30, pos: [-2, 1.5, 0] },
-    { id: 70, pos: [2, 1.5, 0] },
-    { id: 20, pos: [-3, 0, 0] },
-    { id: 40, pos: [-1, 0, 0] },
-    { id: 60, pos: [1, 0, 0] },
-    { id: 80, pos: [3, 0, 0] },
-  ];
-
-  const edges = [
-    [50, 30],
-    [50, 70],
-    [30, 20],
-    [30, 40],
-    [70, 60],
-    [70, 80],
-  ];
+const DEFAULT_KEYS = EXAMPLE_INPUTS.tree.bst;
 
-  const handleOperation = (op) => {
-    setSelectedOp(op);
-    setHighlightNode(null);
+const VisualPage4 = ({ keys = DEFAULT_KEYS }) => {
+  const markRun = useVisualizationRun();
 
-    let sequence = [];
+  const [selectedOp, setSelectedOp] = useState(null);
+  // Key each operation button works on, picked to suit the tree
+  const operationKeys = useMemo(() => bstOperationKeys(keys), [keys]);
+  const trace = useMemo(
+    () =>
+      bstOperationTrace(
+        keys,
+        selectedOp || "Search",
+        operationKeys[selectedOp || "Search"]
+      ),
+    [keys, operationKeys, selectedOp]
+  );
+  const player = useTracePlayer(trace, { stepMs: 1000 });
 
-    if (op === "Search") sequence = [50, 30, 40];
-    else if (op === "Insert") sequence = [50, 70, 60, 65];
-    else if (op === "Delete") sequence = [50, 30, 40];
+  // the tree the keys build, laid out by inorder rank and depth
+  const { nodes, edges } = useMemo(
+    () => layoutTree(buildBST(keys)),
+    [keys]
+  );
 
-    let i = 0;
-    const interval = setInterval(() => {
-      setHighlightNode(sequence[i]);
-      i++;
-      if (i >= sequence.length) clearInterval(interval);
-    }, 1000);
+  const handleOperation = (op) => {
+    markRun(op);
+    setSelectedOp(op);
+    player.restart();
   };
 
   return (
@@ -72,7 +71,7 @@ const VisualPage4 = () => {
         <BSTVisualization
           nodes={nodes}
           edges={edges}
-          highlightNode={highlightNode}
+          step={selectedOp ? player.step : null}
         />
 
         {/* Operations Panel (3D buttons) */}
@@ -80,11 +79,22 @@ const VisualPage4 = () => {
 
         {/* Info Panel */}
         {selectedOp && (
-          <OperationInfo operation={selectedOp} position={[8, 2, 0]} />
+          <>
+            <OperationInfo operation={selectedOp} position={[8, 2, 0]} />
+            <CodeTracePanel
+              algorithm={`bst-${selectedOp.toLowerCase()}`}
+              step={player.step}
+              position={[6.8, 0.6, 0]}
+            />
+          </>
         )}
 
         <OrbitControls makeDefault />
       </Canvas>
+
+      {selectedOp && (
+        <TracePlayer player={player} onPlay={() => markRun(selectedOp)} />
+      )}
     </div>
   );
 };
@@ -145,34 +155,61 @@ const OperationsPanel = ({ position, onOperation }) => {
 };
 
 // === BST Visualization ===
-const BSTVisualization = ({ nodes, edges, highlightNode }) => (
-  <group>
-    {edges.map(([a, b], i) => {
-      const start = nodes.find((n) => n.id === a).pos;
-      const end = nodes.find((n) => n.id === b).pos;
-      return <Connection key={i} start={start} end={end} />;
-    })}
-
-    {nodes.map((node) => (
-      <TreeNode
-        key={node.id}
-        position={node.pos}
-        label={node.id}
-        isHighlighted={highlightNode === node.id}
-      />
-    ))}
-  </group>
-);
+// step: snapshot of bstOperationTrace, null before an operation is picked
+const BSTVisualization = ({ nodes, edges, step }) => {
+  const positionOf = (id) => nodes.find((n) => n.id === id).pos;
+  // a node being inserted hangs below its parent
+  let added = null;
+  if (step?.added) {
+    const [x, y, z] = positionOf(step.added.parent);
+    const offset = step.added.side === "left" ? -0.6 : 0.6;
+    added = { id: step.added.key, pos: [x + offset, y - 1.5, z] };
+  }
 
-// === Node Component ===
-const TreeNode = ({ position, label, isHighlighted }) => {
-  const color = isHighlighted ? "#f87171" : "#60a5fa";
+  const stateOf = (id) => {
+    if (!step) return "idle";
+    if (id === step.removed) return "removed";
+    if (id === step.successor) return "successor";
+    if (id === step.current) return "current";
+    return step.path.includes(id) ? "path" : "idle";
+  };
 
+  return (
+    <group>
+      {edges.map(([a, b], i) => (
+        <Connection key={i} start={positionOf(a)} end={positionOf(b)} />
+      ))}
+      {added && (
+        <Connection start={positionOf(step.added.parent)} end={added.pos} />
+      )}
+
+      {[...nodes, ...(added ? [added] : [])].map((node) => (
+        <TreeNode
+          key={node.id}
+          position={node.pos}
+          label={node.id}
+          state={stateOf(node.id)}
+        />
+      ))}
+    </group>
+  );
+};
+
+const NODE_COLORS = {
+  idle: "#60a5fa",
+  path: "#fbbf24",
+  current: "#f87171",
+  successor: "#34d399",
+  removed: "#475569",
+};
+
+// === Node Component ===
+const TreeNode = ({ position, label, state }) => {
   return (
     <group position={position}>
       <mesh>
         <sphereGeometry args={[0.35, 32, 32]} />
-        <meshStandardMaterial color={color} />
+        <meshStandardMaterial color={NODE_COLORS[state]} />
       </mesh>
       <Text
         position={[0, 0.8, 0]}
@@ -1,54 +1,77 @@
-import React, { useState, useRef } from "react";
+import React, { useMemo, useState, useRef } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
+import {
+  usePracticeMode,
+  useVisualizationRun,
+} from "../../services/useModulePage";
+import { traversalSteps } from "../../services/practiceExercises";
+import { useTracePlayer } from "../../services/useTracePlayer";
+import { buildBST } from "../../utils/algorithms";
+import { layoutTree } from "../../utils/layout";
+import { traversalTrace } from "../../utils/traces";
+import PracticeStatus from "../common/PracticeStatus";
+import CodeTracePanel from "../common/CodeTracePanel";
+import TracePlayer from "../common/TracePlayer";
+import { EXAMPLE_INPUTS } from "../../config/exampleInputs";
+
+const DEFAULT_KEYS = EXAMPLE_INPUTS.tree.traversal;
+
+// Button name -> traversal order in utils/algorithms
+const ORDERS = {
+  Preorder: "preorder", // Root-Left-Right
+  Inorder: "inorder", // Left-Root-Right
+  Postorder: "postorder", // Left-Right-Root
+  Breadth: "level-order",
+};
+
+const VisualPage5 = ({ keys = DEFAULT_KEYS }) => {
+  const markRun = useVisualizationRun();
+  // the tree the keys build, laid out by inorder rank and depth
+  const tree = useMemo(() => buildBST(keys), [keys]);
+  const { nodes, edges } = useMemo(() => layoutTree(tree), [tree]);
+  const practice = usePracticeMode("tree-traversal", (type) =>
+    traversalSteps(tree, ORDERS[type])
+  );
 
-const VisualPage5 = () => {
   const [traversalType, setTraversalType] = useState(null);
-  const [highlightNode, setHighlightNode] = useState(null);
-
-  // Simple binary tree nodes with positions
-  const nodes = [
-    { id: "A", pos: [0, 3, 0] },
-    { id: "B", pos: [-2, 1.5, 0] },
-    { id: "C", pos: [2, 1.5, 0] },
-    { id: "D", pos: [-3, 0, 0] },
-    { id: "E", pos: [-1, 0, 0] },
-    { id: "F", pos: [1, 0, 0] },
-    { id: "G", pos: [3, 0, 0] },
-  ];
-
-  const edges = [
-    ["A", "B"],
-    ["A", "C"],
-    ["B", "D"],
-    ["B", "E"],
-    ["C", "F"],
-    ["C", "G"],
-  ];
+  const trace = useMemo(
+    () => traversalTrace(tree, ORDERS[traversalType || "Preorder"]),
+    [tree, traversalType]
+  );
+  const player = useTracePlayer(trace, { stepMs: 800 });
 
   const handleTraversal = (type) => {
     setTraversalType(type);
-    setHighlightNode(null);
-
-    // Define traversal sequences
-    const traversals = {
-      Preorder: ["A", "B", "D", "E", "C", "F", "G"], // Root-Left-Right
-      Inorder: ["D", "B", "E", "A", "F", "C", "G"], // Left-Root-Right
-      Postorder: ["D", "E", "B", "F", "G", "C", "A"], // Left-Right-Root
-      Breadth: ["A", "B", "C", "D", "E", "F", "G"], // Level order
-    };
-
-    const sequence = traversals[type];
-    let i = 0;
-
-    const interval = setInterval(() => {
-      setHighlightNode(sequence[i]);
-      i++;
-      if (i >= sequence.length) clearInterval(interval);
-    }, 800);
+
+    // in practice mode the learner visits the nodes instead
+    if (practice.active) {
+      practice.start(type);
+      return;
+    }
+    markRun(type);
+    player.restart();
+  };
+
+  const togglePractice = () => {
+    player.reset();
+    if (practice.active) {
+      practice.stop();
+      return;
+    }
+    const type = traversalType || "Preorder";
+    markRun("practice");
+    setTraversalType(type);
+    practice.start(type);
   };
 
+  const visited = practice.active
+    ? practice.steps.slice(0, practice.index).map((step) => step.answer)
+    : player.step.visited;
+  const revealedNode = practice.revealed ? practice.step.answer : null;
+  const highlightNode = practice.active ? revealedNode : player.step.current;
+
   return (
     <div className="w-full h-[300px] relative">
       {/* Traversal Buttons */}
@@ -77,6 +100,9 @@ const VisualPage5 = () => {
         >
           🌐 Breadth-First
         </button>
+        <button className="btn btn-sm btn-primary" onClick={togglePractice}>
+          {practice.active ? "⏹ Stop" : "🎯 Practice"}
+        </button>
       </div>
 
       <Canvas camera={{ position: [0, 4, 10], fov: 50 }}>
@@ -91,36 +117,64 @@ const VisualPage5 = () => {
           fontSize={0.7}
           color="white"
         />
-        <FadeInText
-          show={true}
-          text={
-            "Preorder (Root→Left→Right) • Inorder (Left→Root→Right) • Postorder (Left→Right→Root) • Breadth-First (Level Order)"
-          }
-          position={[0, 4.3, 0]}
-          fontSize={0.33}
-          color="#fde68a"
-        />
+        {practice.active ? (
+          <PracticeStatus
+            practice={practice}
+            prompt={`Click the node ${traversalType} visits next`}
+            position={[0, 4.3, 0]}
+            fontSize={0.33}
+          />
+        ) : (
+          <FadeInText
+            show={true}
+            text={
+              "Preorder (Root→Left→Right) • Inorder (Left→Root→Right) • Postorder (Left→Right→Root) • Breadth-First (Level Order)"
+            }
+            position={[0, 4.3, 0]}
+            fontSize={0.33}
+            color="#fde68a"
+          />
+        )}
 
         {/* Tree */}
         <TreeTraversal
           nodes={nodes}
           edges={edges}
           highlightNode={highlightNode}
+          visited={visited}
+          onNodeClick={practice.active ? practice.guess : undefined}
         />
 
         {/* Info Panel */}
         {traversalType && (
           <TraversalInfo type={traversalType} position={[7, 2, 0]} />
         )}
+        {traversalType && !practice.active && (
+          <CodeTracePanel
+            algorithm={ORDERS[traversalType]}
+            step={player.step}
+            position={[4.5, 0.8, 0]}
+          />
+        )}
 
         <OrbitControls makeDefault />
       </Canvas>
+
+      {traversalType && !practice.active && (
+        <TracePlayer player={player} onPlay={() => markRun(traversalType)} />
+      )}
     </div>
   );
 };
 
 // === Tree Visualization ===
-const TreeTraversal = ({ nodes, edges, highlightNode }) => {
+const TreeTraversal = ({
+  nodes,
+  edges,
+  highlightNode,
+  visited = [],
+  onNodeClick,
+}) => {
   return (
     <group>
       {edges.map(([a, b], i) => {
@@ -135,6 +189,8 @@ const TreeTraversal = ({ nodes, edges, highlightNode }) => {
           position={node.pos}
           label={node.id}
           isHighlighted={highlightNode === node.id}
+          isVisited={visited.includes(node.id)}
+          onClick={onNodeClick && (() => onNodeClick(node.id))}
         />
       ))}
     </group>
@@ -142,12 +198,16 @@ const TreeTraversal = ({ nodes, edges, highlightNode }) => {
 };
 
 // === Node ===
-const TreeNode = ({ position, label, isHighlighted }) => {
-  const color = isHighlighted ? "#f87171" : "#60a5fa";
+const TreeNode = ({ position, label, isHighlighted, isVisited, onClick }) => {
+  const color = isHighlighted
+    ? "#f87171"
+    : isVisited
+    ? "#34d399"
+    : "#60a5fa";
 
   return (
     <group position={position}>
-      <mesh>
+      <mesh onClick={onClick}>
         <sphereGeometry args={[0.35, 32, 32]} />
         <meshStandardMaterial color={color} />
       </mesh>
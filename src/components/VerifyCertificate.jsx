@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+import { BadgeCheck, SearchCheck, XCircle } from "lucide-react";
+import { verifyCertificate } from "../services/certificateService";
+
+const formatDate = (at) =>
+  at
+    ? new Date(at).toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      })
+    : "-";
+
+// Lets a teacher check the verification code printed on a completion
+// certificate against the student records on this device
+const VerifyCertificate = () => {
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  // undefined before a check, null when no certificate matched
+  const [match, setMatch] = useState(undefined);
+
+  const close = () => {
+    setIsModalOpen(false);
+    setCode("");
+    setMatch(undefined);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setMatch(await verifyCertificate(code));
+    setBusy(false);
+  };
+
+  return (
+    <>
+      <div className="flex justify-end mb-4">
+        <button
+          className="btn btn-ghost btn-xs gap-1"
+          onClick={() => setIsModalOpen(true)}
+        >
+          <SearchCheck className="w-3 h-3" /> Verify certificate
+        </button>
+      </div>
+
+      {isModalOpen && (
+        <dialog id="verify_certificate_modal" className="modal modal-open">
+          <form className="modal-box space-y-3" onSubmit={handleSubmit}>
+            <h3 className="font-bold text-lg flex items-center gap-2">
+              <SearchCheck className="w-5 h-5" /> Verify Certificate
+            </h3>
+            <p className="text-sm">
+              Enter the verification code printed on the certificate. Only
+              certificates issued on this device can be checked here.
+            </p>
+            <input
+              type="text"
+              placeholder="XXXX-XXXX-XXXX"
+              className="input input-bordered w-full font-mono uppercase"
+              value={code}
+              onChange={(e) => {
+                setCode(e.target.value);
+                setMatch(undefined);
+              }}
+              required
+              disabled={busy}
+            />
+
+            {match === null && (
+              <p className="flex items-center gap-2 text-red-500 text-sm">
+                <XCircle className="w-4 h-4" /> No certificate on this device
+                has this code.
+              </p>
+            )}
+            {match && (
+              <div className="bg-base-200 rounded-lg p-3 text-sm space-y-2">
+                <p className="flex items-center gap-2 font-semibold text-green-600">
+                  <BadgeCheck className="w-4 h-4" /> Valid certificate
+                </p>
+                <div className="flex items-center gap-3">
+                  <img
+                    src={match.avatar || "/icons/icon1.png"}
+                    alt={match.username}
+                    className="w-10 h-10 rounded-full"
+                  />
+                  <div>
+                    <p className="font-semibold">{match.username}</p>
+                    <p className="text-xs text-gray-500">
+                      {match.email} · issued {formatDate(match.issuedAt)}
+                    </p>
+                  </div>
+                </div>
+                <ul className="text-xs space-y-1">
+                  {match.modules.map((m) => (
+                    <li key={m.moduleId} className="flex justify-between gap-2">
+                      <span>{m.title}</span>
+                      <span className="text-gray-500">
+                        {formatDate(m.completedAt)}
+                        {m.score !== null && ` · ${m.score}%`}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="modal-action">
+              <button type="button" className="btn btn-outline" onClick={close}>
+                Close
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={busy}>
+                Verify
+              </button>
+            </div>
+          </form>
+        </dialog>
+      )}
+    </>
+  );
+};
+
+export default VerifyCertificate;
@@ -0,0 +1,37 @@
+import React from "react";
+import { XCircle } from "lucide-react";
+import { describeAnswer } from "../../services/questionBankService";
+import ReviewLink from "./ReviewLink";
+
+/**
+ * Shown over an assessment scene after a wrong answer: the right answer,
+ * why it is right and where the concept is taught. The session waits for
+ * "Next" here instead of moving on by itself.
+ * - session: see useAssessmentSession
+ * - onNext: moves to the next question
+ */
+const AnswerFeedback = ({ session, onNext }) => {
+  const answer = session.answers[session.index];
+  if (!answer || answer.correct) return null;
+
+  const { question } = session;
+  const isLast = session.index + 1 === session.total;
+
+  return (
+    <div className="absolute inset-x-2 bottom-2 bg-base-100/95 rounded-lg shadow-lg p-3 text-xs text-left space-y-1">
+      <p className="flex items-center gap-1 font-semibold text-red-500">
+        <XCircle className="w-4 h-4" /> Correct answer:{" "}
+        {describeAnswer(question)}
+      </p>
+      {question.explanation && <p>{question.explanation}</p>}
+      <div className="flex items-center justify-between gap-2 pt-1">
+        <ReviewLink question={question} />
+        <button className="btn btn-primary btn-xs ml-auto" onClick={onNext}>
+          {isLast ? "See Results" : "Next Question"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AnswerFeedback;
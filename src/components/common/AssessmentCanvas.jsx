@@ -0,0 +1,41 @@
+import React from "react";
+import { Canvas } from "@react-three/fiber";
+import { OrbitControls } from "@react-three/drei";
+import { useAssessmentEngine } from "../../services/useAssessmentEngine";
+import AnswerFeedback from "./AnswerFeedback";
+import AssessmentQuestion from "./AssessmentQuestion";
+import AssessmentSessionPanel from "./AssessmentSessionPanel";
+
+const DEFAULT_CAMERA = { position: [0, 3, 8], fov: 50 };
+
+/**
+ * 3D version of an assessment: the questions in an orbit-controls canvas,
+ * with the start screen and results around them (see useAssessmentEngine).
+ * - assessmentId: the assessment (and question bank) to sit
+ * - camera / spacing: framing of the scene
+ */
+const AssessmentCanvas = ({
+  assessmentId,
+  camera = DEFAULT_CAMERA,
+  spacing,
+}) => {
+  const engine = useAssessmentEngine(assessmentId);
+
+  if (engine.status !== "running") {
+    return <AssessmentSessionPanel session={engine} />;
+  }
+
+  return (
+    <div className="w-full h-[300px] relative">
+      <Canvas camera={camera}>
+        <ambientLight intensity={0.5} />
+        <directionalLight position={[5, 10, 5]} intensity={0.8} />
+        <AssessmentQuestion engine={engine} spacing={spacing} />
+        <OrbitControls makeDefault />
+      </Canvas>
+      <AnswerFeedback session={engine} onNext={engine.next} />
+    </div>
+  );
+};
+
+export default AssessmentCanvas;
@@ -0,0 +1,138 @@
+import React, { useMemo, useState } from "react";
+import { Scan, Timer } from "lucide-react";
+import { countAttemptQuestions } from "../../services/useAssessmentEngine";
+import { ExamContext, useExam } from "../../services/useExam";
+
+const EXAM_END_LABELS = {
+  completed: "every question answered",
+  timeout: "time ran out",
+  "session-end": "AR session ended",
+};
+
+// Page that hosts a module assessment (see config/modules): the 3D version,
+// with a switch to the AR version on devices that support it. While a
+// teacher has exams open, the AR version can be sat once as a timed exam.
+const AssessmentPage = ({ assessment }) => {
+  const [showWarning, setShowWarning] = useState(false);
+  const [showAR, setShowAR] = useState(false);
+
+  const { component: Assessment3D, arComponent: AssessmentAR } = assessment;
+  // the questions an AR sitting asks, so an exam expects as many answers
+  const arTotal = useMemo(
+    () => countAttemptQuestions(assessment, { ar: true }),
+    [assessment]
+  );
+  const exam = useExam(assessment.id, arTotal);
+  const hasExam = Boolean(AssessmentAR) && arTotal > 0;
+
+  // Runs action when AR works here, otherwise flashes a warning
+  const withAR = async (action) => {
+    try {
+      if (
+        navigator.xr &&
+        (await navigator.xr.isSessionSupported("immersive-ar"))
+      ) {
+        setShowWarning(false);
+        action();
+      } else {
+        throw new Error("AR not supported");
+      }
+    } catch {
+      setShowWarning(true);
+      setTimeout(() => {
+        setShowWarning(false);
+      }, 2500);
+    }
+  };
+
+  const handleArClick = () => withAR(() => setShowAR(true));
+
+  if (exam.running) {
+    return (
+      <ExamContext.Provider value={exam.context}>
+        {exam.leaveBlocked && (
+          <div className="alert alert-warning text-sm mb-2">
+            The exam is running. Finish it or end the AR session to leave.
+          </div>
+        )}
+        <AssessmentAR />
+      </ExamContext.Provider>
+    );
+  }
+
+  if (showAR) {
+    return <AssessmentAR />;
+  }
+
+  const examAttempt = exam.attempt;
+
+  return (
+    <div className="bg-base-200 rounded-xl shadow-md h-[calc(82vh-6.5rem)] overflow-y-auto p-6 space-y-4 text-left">
+      <div>
+        <h2 className="text-xl font-bold">{assessment.title}</h2>
+        <p className="text-sm text-gray-500">
+          Score {assessment.passingScore}% or more to complete this module.
+        </p>
+      </div>
+
+      {exam.sessionError && (
+        <div className="alert alert-error text-sm">
+          The AR exam could not start ({exam.sessionError}). It was not counted,
+          and you can start it again.
+        </div>
+      )}
+
+      {hasExam && (exam.canStart || examAttempt) && (
+        <div className="bg-base-300 rounded-xl p-4 flex items-center gap-4">
+          <Timer className="w-8 h-8 text-warning shrink-0" />
+          {examAttempt ? (
+            <p className="text-sm flex-1">
+              AR exam submitted: {examAttempt.correct} / {examAttempt.total}{" "}
+              correct ({EXAM_END_LABELS[examAttempt.reason]}).
+            </p>
+          ) : (
+            <>
+              <p className="text-sm flex-1">
+                Timed AR exam: {arTotal} questions in {exam.minutes} minutes,
+                one attempt. The app is locked until you finish, and ending
+                the AR session submits your answers.
+              </p>
+              <button
+                className={`btn btn-sm ${
+                  showWarning ? "btn-error" : "btn-warning"
+                }`}
+                onClick={() => withAR(exam.start)}
+              >
+                {showWarning ? "AR not supported" : "Start AR Exam"}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="w-full h-[300px] bg-gray-900 rounded-xl flex items-center justify-center relative">
+        <Assessment3D />
+
+        {/* no AR free play while exams are open */}
+        {AssessmentAR && !(hasExam && exam.open) && (
+          <button
+            className={`absolute top-3 right-3 p-2 rounded-full shadow-md transition-all duration-300 ${
+              showWarning
+                ? "bg-red-500 text-white px-3"
+                : "bg-white text-gray-900 hover:bg-gray-100"
+            }`}
+            onClick={handleArClick}
+          >
+            {showWarning ? (
+              <span className="text-sm font-medium">AR not supported</span>
+            ) : (
+              <Scan size={20} />
+            )}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AssessmentPage;
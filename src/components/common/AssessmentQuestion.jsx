@@ -0,0 +1,149 @@
+import React, { useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { Text } from "@react-three/drei";
+import * as THREE from "three";
+import { QUESTION_TYPES } from "../../services/questionBankService";
+import ExamClock from "./ExamClock";
+import NumericAnswer from "./NumericAnswer";
+import OrderingQuestion from "./OrderingQuestion";
+import SceneButton from "./SceneButton";
+
+const CHOICE_EMISSIVE = {
+  idle: "black",
+  picked: "#b45309", // picked on a "multiple" question, not submitted yet
+  right: "green",
+  wrong: "red",
+};
+
+function choiceState(engine, choice, i) {
+  if (!engine.selected.includes(i)) return "idle";
+  if (!engine.answered) return "picked";
+  return choice.isCorrect ? "right" : "wrong";
+}
+
+/**
+ * The current question of an assessment as scene content, drawn the same
+ * way by both renderers (AssessmentCanvas and AssessmentXR): question text,
+ * the choices, a number input or the ordering row, and the exam clock
+ * during exams.
+ * - engine: see useAssessmentEngine
+ * - spacing: distance between the choices
+ */
+const AssessmentQuestion = ({ engine, spacing = 3 }) => {
+  const { question, index } = engine;
+  const choices = question.choices || [];
+  const mid = (choices.length - 1) / 2;
+
+  return (
+    <>
+      <ExamClock position={[0, 4, 0]} fontSize={0.4} />
+
+      {/* Question Indicator */}
+      <Text
+        position={[0, 3.3, 0]}
+        fontSize={0.25}
+        color="yellow"
+        anchorX="center"
+        anchorY="middle"
+      >
+        {`Question ${index + 1} of ${engine.total}`}
+      </Text>
+
+      {/* Question */}
+      <Text
+        position={[0, 2.5, 0]}
+        fontSize={0.35}
+        maxWidth={12}
+        textAlign="center"
+        color="white"
+        anchorX="center"
+        anchorY="middle"
+      >
+        {question.question}
+      </Text>
+
+      {/* Choices */}
+      {choices.map((choice, i) => (
+        <Choice
+          key={i}
+          geometry={choice.type}
+          position={[(i - mid) * spacing, 0, 0]}
+          label={choice.label}
+          state={choiceState(engine, choice, i)}
+          onSelect={() => engine.choose(i)}
+        />
+      ))}
+
+      {question.multiple && !engine.answered && (
+        <SceneButton
+          position={[0, -1.5, 0]}
+          label="Submit"
+          onPress={engine.submitChoices}
+        />
+      )}
+
+      {question.type === QUESTION_TYPES.NUMERIC && (
+        <NumericAnswer
+          key={index}
+          unit={question.unit}
+          result={engine.verdict}
+          onSubmit={engine.respond}
+        />
+      )}
+
+      {question.type === QUESTION_TYPES.ORDERING && (
+        <OrderingQuestion
+          key={index}
+          items={question.items}
+          result={engine.verdict}
+          onSubmit={engine.respond}
+        />
+      )}
+    </>
+  );
+};
+
+const Choice = ({ geometry, position, label, state, onSelect }) => {
+  const meshRef = useRef();
+
+  useFrame(() => {
+    if (meshRef.current) {
+      meshRef.current.material.emissive.set(CHOICE_EMISSIVE[state]);
+      const targetScale = state === "idle" ? 1 : 1.3;
+      meshRef.current.scale.lerp(
+        new THREE.Vector3(targetScale, targetScale, targetScale),
+        0.1
+      );
+    }
+  });
+
+  return (
+    <group position={position}>
+      <mesh
+        ref={meshRef}
+        onClick={onSelect}
+        userData={{ onTap: onSelect }}
+        castShadow
+        receiveShadow
+      >
+        {geometry === "cube" ? (
+          <boxGeometry args={[1, 1, 1]} />
+        ) : (
+          <sphereGeometry args={[0.7, 32, 32]} />
+        )}
+        <meshStandardMaterial color="#60a5fa" />
+      </mesh>
+      <Text
+        position={[0, 1, 0]}
+        fontSize={0.25}
+        color="white"
+        anchorX="center"
+        anchorY="middle"
+      >
+        {label}
+      </Text>
+    </group>
+  );
+};
+
+export default AssessmentQuestion;
@@ -0,0 +1,144 @@
+import React, { useContext } from "react";
+import { CheckCircle, Play, RotateCcw, XCircle } from "lucide-react";
+import { ModulePageContext } from "../../services/useModulePage";
+import { getAssessmentResult } from "../../services/completionService";
+import ReviewLink from "./ReviewLink";
+
+const formatAttempt = (at) =>
+  new Date(at).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+// Start screen and results of an assessment session (see
+// useAssessmentSession); the questions themselves are rendered in 3D
+const AssessmentSessionPanel = ({ session }) => {
+  const page = useContext(ModulePageContext);
+  const history = page?.assessmentId
+    ? getAssessmentResult(page.assessmentId)?.history ?? []
+    : [];
+  const recent = history.slice(-3).reverse();
+
+  if (session.status === "finished") {
+    const { result } = session;
+    return (
+      <div className="w-full h-[300px] overflow-y-auto p-4 text-white space-y-3">
+        <div className="flex items-center justify-between gap-2">
+          <div>
+            <p className="text-2xl font-bold">{result.percent}%</p>
+            <p className="text-xs text-gray-400">
+              {result.correct} of {result.total} correct · best{" "}
+              {result.bestScore}%
+            </p>
+          </div>
+          <span
+            className={`badge ${result.passed ? "badge-success" : "badge-warning"}`}
+          >
+            {result.passed ? "Passed" : `Need ${result.passingScore}%`}
+          </span>
+        </div>
+
+        <ul className="space-y-2">
+          {result.review.map((item, i) => (
+            <li key={i} className="bg-gray-800 rounded-lg p-2 text-xs">
+              <span className="flex items-start gap-2 font-medium">
+                {item.correct ? (
+                  <CheckCircle className="w-4 h-4 text-green-500 shrink-0" />
+                ) : (
+                  <XCircle className="w-4 h-4 text-red-500 shrink-0" />
+                )}
+                {i + 1}. {item.question}
+              </span>
+              <span className="block pl-6 text-gray-400">
+                Your answer: {item.response || "-"}
+              </span>
+              {!item.correct && (
+                <>
+                  <span className="block pl-6 text-green-400">
+                    Correct answer: {item.expected}
+                  </span>
+                  {item.explanation && (
+                    <span className="block pl-6 text-gray-300">
+                      {item.explanation}
+                    </span>
+                  )}
+                  <ReviewLink question={item} className="pl-6" />
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex gap-2">
+          <button
+            className="btn btn-sm btn-primary flex-1 flex items-center gap-2"
+            onClick={() => session.start()}
+          >
+            <RotateCcw className="w-4 h-4" /> Try Again
+          </button>
+          <button
+            className="btn btn-sm btn-ghost flex-1"
+            onClick={() => session.start(result)}
+          >
+            Same Questions
+          </button>
+        </div>
+        <p className="text-[10px] text-gray-500 text-center">
+          Question set #{result.seed}
+        </p>
+      </div>
+    );
+  }
+
+  if (!session.total) {
+    return (
+      <div className="w-full h-[300px] flex items-center justify-center p-4 text-gray-400 text-sm text-center">
+        No questions are available for this assessment yet.
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full h-[300px] flex flex-col items-center justify-center gap-3 p-4 text-white text-center">
+      <p className="text-lg font-semibold">
+        {session.total} questions, one answer each
+      </p>
+      <p className="text-xs text-gray-400">
+        Questions lean towards the topics you find hardest. Your score is
+        shown at the end, with a review of every question.
+      </p>
+      <button
+        className="btn btn-primary flex items-center gap-2"
+        onClick={() => session.start()}
+      >
+        <Play className="w-4 h-4" />
+        {history.length ? "Start New Attempt" : "Start Assessment"}
+      </button>
+      {recent.length > 0 && (
+        <div className="text-xs text-gray-400 space-y-1">
+          <p>
+            {history.length} previous attempt{history.length > 1 && "s"}:
+          </p>
+          {recent.map((attempt) => (
+            <p key={attempt.at}>
+              {formatAttempt(attempt.at)} · {attempt.score}%
+              {attempt.seed !== undefined && (
+                // the attempt's seed and question ids rebuild its questions
+                <button
+                  className="link link-primary ml-2"
+                  onClick={() => session.start(attempt)}
+                >
+                  Retake
+                </button>
+              )}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssessmentSessionPanel;
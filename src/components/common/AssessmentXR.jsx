@@ -0,0 +1,192 @@
+import React, { useContext, useEffect, useRef, useState } from "react";
+import { Canvas, useThree } from "@react-three/fiber";
+import { Text } from "@react-three/drei";
+import { useARSessionLog } from "../../services/useModulePage";
+import { useAssessmentEngine } from "../../services/useAssessmentEngine";
+import { describeAnswer } from "../../services/questionBankService";
+import { ExamContext } from "../../services/useExam";
+import { setupXRInput } from "../../utils/xrInput";
+import AssessmentQuestion from "./AssessmentQuestion";
+import SceneButton from "./SceneButton";
+
+// Where the questions stand in the room, and how large they are there
+const SCENE_POSITION = [0, 1, -12];
+const SCENE_SCALE = 1.5;
+
+/**
+ * AR version of an assessment: the same engine and question scene as the
+ * 3D version (see AssessmentCanvas), in a WebXR session. Answers are tapped
+ * with XR select; the feedback and the results are shown in the room, as
+ * the page is not visible during the session. If the session cannot start,
+ * an exam is handed back to the page (see useExam) and free play says why.
+ * - assessmentId: the assessment (and question bank) to sit
+ * - spacing: distance between the choices
+ */
+const AssessmentXR = ({ assessmentId, spacing }) => {
+  const logARSession = useARSessionLog();
+  const exam = useContext(ExamContext);
+  const engine = useAssessmentEngine(assessmentId, { ar: true });
+  const [sessionError, setSessionError] = useState(null);
+
+  const handleSessionError = (error) => {
+    if (exam) exam.fail(error);
+    else setSessionError(error.message || String(error));
+  };
+
+  // there is no start screen in the room: the sitting starts right away
+  const { status, start } = engine;
+  useEffect(() => {
+    if (status === "ready" && engine.total) start();
+  }, [status, start, engine.total]);
+
+  return (
+    <div className="w-full h-screen relative">
+      {sessionError && (
+        <div className="alert alert-error text-sm absolute top-2 inset-x-2 z-10">
+          The AR session could not start: {sessionError}
+        </div>
+      )}
+      <Canvas
+        camera={{ position: [0, 1.5, 12], fov: 60 }}
+        gl={{ alpha: true }}
+        shadows
+        onCreated={({ gl }) => {
+          gl.xr.enabled = true;
+          if (!navigator.xr) {
+            handleSessionError(new Error("WebXR is not available here."));
+            return;
+          }
+          navigator.xr
+            .requestSession("immersive-ar", {
+              requiredFeatures: ["local-floor"],
+            })
+            .then((session) => gl.xr.setSession(logARSession(session)))
+            .catch(handleSessionError);
+        }}
+      >
+        <ambientLight intensity={0.5} />
+        <directionalLight position={[5, 10, 5]} intensity={1} castShadow />
+        <XRScene engine={engine} spacing={spacing} />
+      </Canvas>
+    </div>
+  );
+};
+
+// Taps every mesh under the scene that has an userData.onTap handler
+const XRScene = ({ engine, spacing }) => {
+  const { gl } = useThree();
+  const rootRef = useRef();
+
+  useEffect(
+    () =>
+      setupXRInput(gl, {
+        getCandidates: () => {
+          const targets = [];
+          rootRef.current?.traverse((object) => {
+            if (object.userData.onTap) targets.push(object);
+          });
+          return targets;
+        },
+        onSelect: (hit) => hit.object.userData.onTap?.(),
+      }),
+    [gl]
+  );
+
+  return (
+    <group ref={rootRef} position={SCENE_POSITION} scale={SCENE_SCALE}>
+      {!engine.total && (
+        <Text fontSize={0.35} color="white" anchorX="center" anchorY="middle">
+          No AR questions for this assessment yet.
+        </Text>
+      )}
+      {engine.status === "running" && (
+        <>
+          <AssessmentQuestion engine={engine} spacing={spacing} />
+          <SceneFeedback engine={engine} />
+        </>
+      )}
+      {engine.status === "finished" && <SceneResults engine={engine} />}
+    </group>
+  );
+};
+
+// After a wrong answer: the right answer, why, and the way on
+const SceneFeedback = ({ engine }) => {
+  if (engine.verdict !== false) return null;
+  const { question } = engine;
+  const isLast = engine.index + 1 === engine.total;
+
+  return (
+    <group position={[0, -2.4, 0]}>
+      <Text
+        fontSize={0.3}
+        maxWidth={10}
+        textAlign="center"
+        color="#ef4444"
+        anchorX="center"
+        anchorY="middle"
+      >
+        {`Correct answer: ${describeAnswer(question)}`}
+      </Text>
+      {question.explanation && (
+        <Text
+          position={[0, -0.4, 0]}
+          fontSize={0.22}
+          maxWidth={10}
+          textAlign="center"
+          color="white"
+          anchorX="center"
+          anchorY="top"
+        >
+          {question.explanation}
+        </Text>
+      )}
+      <SceneButton
+        position={[0, -2, 0]}
+        width={3.2}
+        label={isLast ? "See Results" : "Next Question"}
+        onPress={engine.next}
+      />
+    </group>
+  );
+};
+
+const SceneResults = ({ engine }) => {
+  const exam = useContext(ExamContext);
+  const { result } = engine;
+
+  return (
+    <>
+      <Text
+        position={[0, 2, 0]}
+        fontSize={0.8}
+        color="white"
+        anchorX="center"
+        anchorY="middle"
+      >
+        {`${result.percent}%`}
+      </Text>
+      <Text
+        position={[0, 1, 0]}
+        fontSize={0.3}
+        color={result.passed ? "#22c55e" : "#fbbf24"}
+        anchorX="center"
+        anchorY="middle"
+      >
+        {`${result.correct} of ${result.total} correct · ${
+          result.passed ? "Passed" : `Need ${result.passingScore}%`
+        }`}
+      </Text>
+      {/* an exam is sat once */}
+      {!exam && (
+        <SceneButton
+          position={[0, 0, 0]}
+          label="Try Again"
+          onPress={() => engine.start()}
+        />
+      )}
+    </>
+  );
+};
+
+export default AssessmentXR;
@@ -0,0 +1,100 @@
+import React, { useRef, useState } from "react";
+import { Text } from "@react-three/drei";
+import { CODE_LANGUAGES, codeLines } from "../../utils/algorithmCode";
+import {
+  getCodeLanguage,
+  setCodeLanguage,
+} from "../../services/preferencesService";
+import { useSceneTaps } from "../../services/useSceneTaps";
+import SceneButton from "./SceneButton";
+
+const LINE_HEIGHT = 0.36;
+const BUTTON_WIDTH = 1.5;
+
+const formatValue = (value) =>
+  Array.isArray(value) ? `[${value.join(", ")}]` : String(value ?? "null");
+
+/**
+ * The code of a traced algorithm beside its visualization, kept in step
+ * with the player: the line the current step executes is highlighted and
+ * the algorithm's variables are listed under the code. Buttons on top
+ * switch between pseudocode and the languages in CODE_LANGUAGES; the choice
+ * is remembered for every page. Grows right and down from position.
+ * - algorithm: key of the code in utils/algorithmCode (e.g. "bubble-sort")
+ * - step: the player's current snapshot ({ line, vars })
+ */
+const CodeTracePanel = ({
+  algorithm,
+  step,
+  position = [0, 0, 0],
+  width = 9,
+  fontSize = 0.24,
+}) => {
+  const groupRef = useRef();
+  const [language, setLanguage] = useState(getCodeLanguage);
+  const lines = codeLines(algorithm, language);
+  const vars = Object.entries(step.vars || {})
+    .map(([name, value]) => `${name} = ${formatValue(value)}`)
+    .join("    ");
+
+  useSceneTaps(groupRef);
+
+  const pick = (id) => {
+    setLanguage(id);
+    setCodeLanguage(id);
+  };
+
+  return (
+    <group ref={groupRef} position={position}>
+      {CODE_LANGUAGES.map(({ id, label }, i) => (
+        <SceneButton
+          key={id}
+          label={label}
+          onPress={() => pick(id)}
+          position={[BUTTON_WIDTH / 2 + i * (BUTTON_WIDTH + 0.15), 0, 0]}
+          width={BUTTON_WIDTH}
+          color={id === language ? "#facc15" : "#94a3b8"}
+        />
+      ))}
+
+      {lines.map(({ text, tag }, i) => {
+        const active = tag !== null && tag === step.line;
+        return (
+          <group key={i} position={[0, -0.7 - i * LINE_HEIGHT, 0]}>
+            {active && (
+              <mesh position={[width / 2, 0, -0.01]} raycast={() => null}>
+                <planeGeometry args={[width, LINE_HEIGHT]} />
+                <meshBasicMaterial color="#facc15" transparent opacity={0.2} />
+              </mesh>
+            )}
+            <Text
+              position={[0.1, 0, 0]}
+              fontSize={fontSize}
+              color={active ? "#fde68a" : "#c7d2fe"}
+              anchorX="left"
+              anchorY="middle"
+            >
+              {text}
+            </Text>
+          </group>
+        );
+      })}
+
+      {/* Variables at this step */}
+      {vars && (
+        <Text
+          position={[0.1, -0.8 - lines.length * LINE_HEIGHT, 0]}
+          fontSize={fontSize}
+          color="#86efac"
+          anchorX="left"
+          anchorY="top"
+          maxWidth={width}
+        >
+          {vars}
+        </Text>
+      )}
+    </group>
+  );
+};
+
+export default CodeTracePanel;
@@ -0,0 +1,43 @@
+import React, { useContext, useEffect, useState } from "react";
+import { Text } from "@react-three/drei";
+import { ExamContext } from "../../services/useExam";
+
+// Under a minute left the clock turns red
+const WARN_MS = 60 * 1000;
+
+const formatRemaining = (ms) => {
+  const seconds = Math.ceil(Math.max(0, ms) / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Exam countdown for AR assessment scenes; renders nothing outside an exam.
+ * The exam submits itself when the time is up (see useExam).
+ */
+const ExamClock = ({ position, fontSize = 2.5 }) => {
+  const exam = useContext(ExamContext);
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    if (!exam) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [exam]);
+
+  if (!exam) return null;
+  const remaining = exam.deadline - now;
+
+  return (
+    <Text
+      position={position}
+      fontSize={fontSize}
+      color={remaining < WARN_MS ? "#ef4444" : "#fbbf24"}
+      anchorX="center"
+      anchorY="middle"
+    >
+      {`Time left ${formatRemaining(remaining)}`}
+    </Text>
+  );
+};
+
+export default ExamClock;
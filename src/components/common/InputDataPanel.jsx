@@ -0,0 +1,155 @@
+import React, { useState } from "react";
+import { Pencil, RotateCcw, Shuffle, XCircle } from "lucide-react";
+import {
+  INPUT_PRESETS,
+  PRESET_LABELS,
+  formatInput,
+  inputSize,
+  parseInput,
+  presetInput,
+  sizeLimits,
+} from "../../utils/inputData";
+
+const HINTS = {
+  numbers: "Numbers from 1 to 99 separated by commas, e.g. 35, 10, 25.",
+  race: "Up to 30 numbers from 1 to 99 separated by commas, e.g. 35, 10, 25.",
+  values:
+    "Short labels (up to 3 characters) separated by commas, e.g. 10, 20.",
+  items: "2 to 6 numbers from 1 to 99 separated by commas, e.g. 10, 20, 30.",
+  keys:
+    "Different keys from 1 to 99 in the order they are inserted, e.g. 50, 30, 70.",
+  graph: "Edges between nodes separated by commas, e.g. A-B, B-C.",
+  "weighted-graph":
+    "Edges with their weights separated by commas, e.g. A-B:4, B-C:2.",
+};
+
+/**
+ * The data a visualizer runs on, with an editor to type or generate new
+ * data. The text is checked with utils/inputData (parseInput) and only a
+ * valid value reaches onChange; presets fill the editor so the learner can
+ * look at them (or tweak them) before applying.
+ * - kind: numbers | race | values | items | keys | graph | weighted-graph
+ * - value / onChange: the current data, owned by the page
+ * - defaultValue: the lesson's own example, restored by Reset
+ */
+const InputDataPanel = ({ kind, value, onChange, defaultValue }) => {
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [text, setText] = useState("");
+  const [size, setSize] = useState(() => inputSize(kind, value));
+  const [error, setError] = useState(null);
+  const { min, max } = sizeLimits(kind);
+  const presets = INPUT_PRESETS[kind];
+
+  const open = () => {
+    setText(formatInput(kind, value));
+    setSize(inputSize(kind, value));
+    setError(null);
+    setIsModalOpen(true);
+  };
+
+  const fill = (preset) => {
+    setText(formatInput(kind, presetInput(kind, preset, size)));
+    setError(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const parsed = parseInput(kind, text);
+    if (parsed.error) {
+      setError(parsed.error);
+      return;
+    }
+    onChange(parsed.value);
+    setIsModalOpen(false);
+  };
+
+  const reset = () => {
+    onChange(defaultValue);
+    setIsModalOpen(false);
+  };
+
+  return (
+    <>
+      <div className="flex items-center gap-2 bg-base-100 rounded-lg px-3 py-2 text-sm">
+        <span className="font-semibold shrink-0">Input</span>
+        <code className="flex-1 truncate">{formatInput(kind, value)}</code>
+        <button className="btn btn-ghost btn-xs gap-1" onClick={open}>
+          <Pencil className="w-3 h-3" /> Edit
+        </button>
+      </div>
+
+      {isModalOpen && (
+        <dialog className="modal modal-open">
+          <form className="modal-box space-y-3" onSubmit={handleSubmit}>
+            <h3 className="font-bold text-lg flex items-center gap-2">
+              <Pencil className="w-5 h-5" /> Input Data
+            </h3>
+            <p className="text-sm">{HINTS[kind]}</p>
+            <textarea
+              className="textarea textarea-bordered w-full font-mono"
+              rows={3}
+              value={text}
+              onChange={(e) => {
+                setText(e.target.value);
+                setError(null);
+              }}
+            />
+            {error && (
+              <p className="flex items-center gap-2 text-red-500 text-sm">
+                <XCircle className="w-4 h-4" /> {error}
+              </p>
+            )}
+
+            {/* Generate data of the chosen size */}
+            <div className="bg-base-200 rounded-lg p-3 space-y-2 text-sm">
+              <label className="flex items-center gap-3">
+                <span className="shrink-0">
+                  {kind.endsWith("graph") ? "Nodes" : "Size"}: {size}
+                </span>
+                <input
+                  type="range"
+                  className="range range-xs"
+                  min={min}
+                  max={max}
+                  value={size}
+                  onChange={(e) => setSize(Number(e.target.value))}
+                />
+              </label>
+              <div className="flex flex-wrap gap-2">
+                {presets.map((preset) => (
+                  <button
+                    key={preset}
+                    type="button"
+                    className="btn btn-outline btn-xs gap-1"
+                    onClick={() => fill(preset)}
+                  >
+                    {preset === "random" && <Shuffle className="w-3 h-3" />}
+                    {PRESET_LABELS[preset]}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="modal-action">
+              <button type="button" className="btn btn-ghost" onClick={reset}>
+                <RotateCcw className="w-4 h-4" /> Example
+              </button>
+              <button
+                type="button"
+                className="btn btn-outline"
+                onClick={() => setIsModalOpen(false)}
+              >
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary">
+                Apply
+              </button>
+            </div>
+          </form>
+        </dialog>
+      )}
+    </>
+  );
+};
+
+export default InputDataPanel;
@@ -0,0 +1,42 @@
+import React, { useState } from "react";
+import { Html } from "@react-three/drei";
+
+// Number input for numeric questions, placed in the 3D scene where the
+// choices would be. result: null until answered, then true / false.
+const NumericAnswer = ({ unit, result, onSubmit }) => {
+  const [value, setValue] = useState("");
+  const answered = result !== null;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (value !== "") onSubmit(Number(value));
+  };
+
+  return (
+    <Html center position={[0, 0, 0]}>
+      <form className="flex items-center gap-2" onSubmit={handleSubmit}>
+        <input
+          type="number"
+          step="any"
+          className={`input input-sm input-bordered w-28 ${
+            answered ? (result ? "input-success" : "input-error") : ""
+          }`}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          disabled={answered}
+          autoFocus
+        />
+        {unit && <span className="text-white text-sm">{unit}</span>}
+        <button
+          type="submit"
+          className="btn btn-sm btn-primary"
+          disabled={answered || value === ""}
+        >
+          Check
+        </button>
+      </form>
+    </Html>
+  );
+};
+
+export default NumericAnswer;
@@ -0,0 +1,199 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useThree } from "@react-three/fiber";
+import { Text } from "@react-three/drei";
+import * as THREE from "three";
+import { setupXRInput } from "../../utils/xrInput";
+
+const SPACING = 3;
+const CARD_SIZE = [2.6, 1, 0.4];
+
+// Start from a shuffle that is never already the right order
+function shuffled(items) {
+  const order = [...items];
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order.every((item, i) => item === items[i]) ? order.reverse() : order;
+}
+
+const cardColor = (isDragged, answered, inPlace) => {
+  if (answered) return inPlace ? "#22c55e" : "#ef4444";
+  return isDragged ? "#fbbf24" : "#60a5fa";
+};
+
+/**
+ * Ordering question for any assessment scene: cards are dragged along a row
+ * with the mouse or touch (pointer events) or with XR select-and-drag
+ * (setupXRInput), then the order is submitted.
+ * - items: entries in the correct order (shown shuffled)
+ * - result: null until answered, then true / false (colours every card)
+ * - onSubmit: (order) => called with the entries in the learner's order
+ * - position / scale: where the row sits in the scene
+ */
+const OrderingQuestion = ({
+  items,
+  result,
+  onSubmit,
+  position = [0, 0, 0],
+  scale = 1,
+}) => {
+  const { gl, controls } = useThree();
+  const groupRef = useRef();
+  const cardRefs = useRef([]);
+  const submitRef = useRef();
+  const [order, setOrder] = useState(() => shuffled(items));
+  const [drag, setDrag] = useState(null); // { slot, x } in row units
+  const answered = result !== null;
+  const mid = (order.length - 1) / 2;
+  const slotX = (slot) => (slot - mid) * SPACING;
+
+  // Where a pointer ray crosses the row's plane, as an x along the row
+  const rowX = (ray) => {
+    const group = groupRef.current;
+    if (!group) return null;
+    const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(
+      group.getWorldQuaternion(new THREE.Quaternion())
+    );
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+      normal,
+      group.getWorldPosition(new THREE.Vector3())
+    );
+    const point = ray.intersectPlane(plane, new THREE.Vector3());
+    return point ? group.worldToLocal(point).x : null;
+  };
+
+  const startDrag = (slot) => {
+    if (answered || slot === undefined) return;
+    setDrag({ slot, x: slotX(slot) });
+    // the camera would orbit along with the drag otherwise
+    if (controls) controls.enabled = false;
+  };
+
+  const moveDrag = (x) => {
+    if (x === null) return;
+    const limit = slotX(order.length - 1) + SPACING / 2;
+    setDrag((d) => d && { ...d, x: Math.max(-limit, Math.min(limit, x)) });
+  };
+
+  const endDrag = () => {
+    if (controls) controls.enabled = true;
+    if (!drag) return;
+    const target = Math.max(
+      0,
+      Math.min(order.length - 1, Math.round(drag.x / SPACING + mid))
+    );
+    setOrder((current) => {
+      const next = [...current];
+      const [moved] = next.splice(drag.slot, 1);
+      next.splice(target, 0, moved);
+      return next;
+    });
+    setDrag(null);
+  };
+
+  const submit = () => {
+    if (!answered && !drag) onSubmit(order);
+  };
+
+  // XR handlers are set up once; they always call the latest functions
+  const latest = useRef();
+  latest.current = { startDrag, moveDrag, endDrag, submit, rowX };
+
+  useEffect(
+    () =>
+      setupXRInput(gl, {
+        getCandidates: () =>
+          [...cardRefs.current, submitRef.current].filter(Boolean),
+        onSelectStart: (evt, hit) => latest.current.startDrag(hit?.index),
+        onDragMove: (hit) =>
+          latest.current.moveDrag(
+            latest.current.rowX(new THREE.Ray(hit.ray.origin, hit.ray.dir))
+          ),
+        onSelectEnd: () => latest.current.endDrag(),
+        onSelect: (hit) => {
+          if (hit.object === submitRef.current) latest.current.submit();
+        },
+      }),
+    [gl]
+  );
+
+  return (
+    <group ref={groupRef} position={position} scale={scale}>
+      {order.map((item, slot) => {
+        const isDragged = drag?.slot === slot;
+        return (
+          <group
+            key={item}
+            position={[isDragged ? drag.x : slotX(slot), 0, isDragged ? 0.5 : 0]}
+          >
+            <mesh
+              ref={(mesh) => (cardRefs.current[slot] = mesh)}
+              userData={{ boxIndex: slot }}
+              onPointerDown={(e) => {
+                e.stopPropagation();
+                e.target.setPointerCapture(e.pointerId);
+                startDrag(slot);
+              }}
+              onPointerMove={(e) => {
+                if (isDragged) moveDrag(rowX(e.ray));
+              }}
+              onPointerUp={(e) => {
+                e.target.releasePointerCapture(e.pointerId);
+                endDrag();
+              }}
+            >
+              <boxGeometry args={CARD_SIZE} />
+              <meshStandardMaterial
+                color={cardColor(isDragged, answered, item === items[slot])}
+              />
+            </mesh>
+            <Text
+              position={[0, 0, CARD_SIZE[2] / 2 + 0.01]}
+              fontSize={0.28}
+              color="white"
+              anchorX="center"
+              anchorY="middle"
+            >
+              {item}
+            </Text>
+          </group>
+        );
+      })}
+
+      {/* Slot numbers */}
+      {order.map((_, slot) => (
+        <Text
+          key={slot}
+          position={[slotX(slot), -0.9, 0]}
+          fontSize={0.25}
+          color="gray"
+          anchorX="center"
+          anchorY="middle"
+        >
+          {slot + 1}
+        </Text>
+      ))}
+
+      {!answered && (
+        <group position={[0, -1.8, 0]}>
+          <mesh ref={submitRef} onClick={submit}>
+            <planeGeometry args={[2.4, 0.6]} />
+            <meshBasicMaterial color="orange" transparent opacity={0.25} />
+          </mesh>
+          <Text
+            position={[0, 0, 0.01]}
+            fontSize={0.3}
+            color="orange"
+            anchorX="center"
+            anchorY="middle"
+          >
+            Submit Order
+          </Text>
+        </group>
+      )}
+    </group>
+  );
+};
+
+export default OrderingQuestion;
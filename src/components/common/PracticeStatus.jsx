@@ -0,0 +1,41 @@
+import React from "react";
+import { Text } from "@react-three/drei";
+
+// Prompt, progress and feedback of a practice run (see usePracticeMode),
+// drawn as 3D text so it also shows inside AR sessions
+const PracticeStatus = ({ practice, prompt, position, fontSize = 0.35 }) => {
+  const { done, feedback, index, mistakes, total } = practice;
+  const heading = done
+    ? `Practice complete · ${mistakes} wrong tr${mistakes === 1 ? "y" : "ies"}`
+    : `${prompt} (step ${index + 1} of ${total})`;
+
+  return (
+    <group position={position}>
+      <Text
+        fontSize={fontSize}
+        color="#fde68a"
+        anchorX="center"
+        anchorY="middle"
+        maxWidth={14}
+        textAlign="center"
+      >
+        {heading}
+      </Text>
+      {feedback && (
+        <Text
+          position={[0, -fontSize * 1.8, 0]}
+          fontSize={fontSize * 0.85}
+          color={feedback.correct ? "#4ade80" : "#f87171"}
+          anchorX="center"
+          anchorY="middle"
+          maxWidth={14}
+          textAlign="center"
+        >
+          {feedback.text}
+        </Text>
+      )}
+    </group>
+  );
+};
+
+export default PracticeStatus;
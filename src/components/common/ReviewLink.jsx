@@ -0,0 +1,26 @@
+import React, { useContext } from "react";
+import { BookOpen, MousePointerClick } from "lucide-react";
+import { Link } from "react-router-dom";
+import { reviewLink } from "../../services/moduleService";
+import { ModulePageContext } from "../../services/useModulePage";
+
+// Deep link to the module page that teaches a question's concept (its
+// "review" in the question bank); nothing when the question has none
+const ReviewLink = ({ question, className = "" }) => {
+  const page = useContext(ModulePageContext);
+  const link = reviewLink(question.review, page?.moduleId);
+  if (!link) return null;
+
+  const Icon = link.visualization ? MousePointerClick : BookOpen;
+  return (
+    <Link
+      to={link.route}
+      className={`link link-primary inline-flex items-center gap-1 ${className}`}
+    >
+      <Icon className="w-3 h-3" />
+      {link.visualization ? "Try the visualization" : "Review"}: {link.title}
+    </Link>
+  );
+};
+
+export default ReviewLink;
@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from "react";
+import { Lightbulb } from "lucide-react";
+import { Link } from "react-router-dom";
+import { getReviewTopics } from "../../services/masteryService";
+
+/**
+ * "Review these topics": the learner's weakest concepts from assessment
+ * answers (see masteryService), each linking to the module that teaches it.
+ * Renders nothing until some concept is weak.
+ * - moduleId: only that module's concepts (all modules when missing)
+ * - limit: most topics shown
+ */
+const ReviewTopics = ({ moduleId, limit = 3, className = "" }) => {
+  const [topics, setTopics] = useState([]);
+
+  useEffect(() => {
+    setTopics(getReviewTopics({ moduleId, limit }));
+  }, [moduleId, limit]);
+
+  if (!topics.length) return null;
+
+  return (
+    <div className={`bg-base-300 rounded-xl p-3 text-sm ${className}`}>
+      <h3 className="flex items-center gap-2 font-semibold mb-2">
+        <Lightbulb className="w-4 h-4 text-warning" />
+        Review these topics
+      </h3>
+      <ul className="space-y-1">
+        {topics.map((topic) => (
+          <li
+            key={topic.concept}
+            className="flex items-center justify-between gap-2"
+          >
+            <span>
+              {topic.concept}
+              {!moduleId && (
+                <Link
+                  to={`/modules/${topic.moduleId}`}
+                  className="link link-primary text-xs ml-2"
+                >
+                  {topic.moduleTitle}
+                </Link>
+              )}
+            </span>
+            <span className="text-xs text-gray-500">
+              {Math.round(topic.score * 100)}% mastery
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ReviewTopics;
@@ -0,0 +1,33 @@
+import React from "react";
+import { Text } from "@react-three/drei";
+
+/**
+ * Button inside an assessment or AR scene. It is clicked with the mouse or
+ * touch and tapped with XR select: AssessmentXR and useSceneTaps tap any
+ * mesh that has an userData.onTap handler.
+ */
+const SceneButton = ({
+  label,
+  onPress,
+  position = [0, 0, 0],
+  width = 2.4,
+  color = "orange",
+}) => (
+  <group position={position}>
+    <mesh onClick={onPress} userData={{ onTap: onPress }}>
+      <planeGeometry args={[width, 0.6]} />
+      <meshBasicMaterial color={color} transparent opacity={0.25} />
+    </mesh>
+    <Text
+      position={[0, 0, 0.01]}
+      fontSize={0.3}
+      color={color}
+      anchorX="center"
+      anchorY="middle"
+    >
+      {label}
+    </Text>
+  </group>
+);
+
+export default SceneButton;
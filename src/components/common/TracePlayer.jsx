@@ -0,0 +1,90 @@
+import React from "react";
+import { Pause, Play, RotateCcw, StepBack, StepForward } from "lucide-react";
+import { TRACE_SPEEDS } from "../../services/useTracePlayer";
+
+/**
+ * Playback bar laid over a visual page's canvas (its container must be
+ * `relative`): step back, play/pause, step forward, back to the start, a
+ * timeline to scrub and the speed. Shows the current step's note.
+ * - player: from useTracePlayer
+ * - onPlay: called when the learner starts playback (e.g. to mark the run)
+ */
+const TracePlayer = ({ player, onPlay }) => {
+  const { step, index, count, playing, speed } = player;
+
+  const toggle = () => {
+    if (!playing) onPlay?.();
+    player.toggle();
+  };
+
+  return (
+    <div className="absolute bottom-2 inset-x-2 z-10 bg-base-100/80 rounded-lg px-2 py-1 text-xs">
+      <p className="truncate text-center" aria-live="polite">
+        {step.note}
+      </p>
+      <div className="flex items-center gap-1">
+        <button
+          className="btn btn-ghost btn-xs btn-square"
+          onClick={player.stepBack}
+          disabled={index === 0}
+          aria-label="Step back"
+        >
+          <StepBack className="w-4 h-4" />
+        </button>
+        <button
+          className="btn btn-primary btn-xs btn-square"
+          onClick={toggle}
+          aria-label={playing ? "Pause" : "Play"}
+        >
+          {playing ? (
+            <Pause className="w-4 h-4" />
+          ) : (
+            <Play className="w-4 h-4" />
+          )}
+        </button>
+        <button
+          className="btn btn-ghost btn-xs btn-square"
+          onClick={player.stepForward}
+          disabled={index === count - 1}
+          aria-label="Step forward"
+        >
+          <StepForward className="w-4 h-4" />
+        </button>
+        <button
+          className="btn btn-ghost btn-xs btn-square"
+          onClick={player.reset}
+          disabled={index === 0 && !playing}
+          aria-label="Back to the start"
+        >
+          <RotateCcw className="w-4 h-4" />
+        </button>
+        <input
+          type="range"
+          className="range range-primary range-xs flex-1"
+          min={0}
+          max={count - 1}
+          value={index}
+          onChange={(e) => player.seek(Number(e.target.value))}
+          aria-label="Timeline"
+        />
+        <span className="tabular-nums w-12 text-right">
+          {index + 1}/{count}
+        </span>
+        <select
+          className="select select-xs w-16"
+          value={speed}
+          onChange={(e) => player.setSpeed(Number(e.target.value))}
+          aria-label="Speed"
+        >
+          {TRACE_SPEEDS.map((s) => (
+            <option key={s} value={s}>
+              {s}x
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default TracePlayer;
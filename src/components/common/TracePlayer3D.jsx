@@ -0,0 +1,108 @@
+import React, { useRef } from "react";
+import { Text } from "@react-three/drei";
+import { TRACE_SPEEDS } from "../../services/useTracePlayer";
+import { useSceneTaps } from "../../services/useSceneTaps";
+import SceneButton from "./SceneButton";
+
+const TIMELINE_WIDTH = 8;
+
+/**
+ * Playback controls inside an AR scene, the 3D counterpart of TracePlayer:
+ * the current step's note, back / play / next / reset / speed buttons and a
+ * timeline bar that jumps to the tapped point. Works with the mouse and
+ * with XR select (useSceneTaps).
+ * - player: from useTracePlayer
+ * - onPlay: called when the learner starts playback
+ */
+const TracePlayer3D = ({ player, onPlay, position = [0, 0, 0] }) => {
+  const groupRef = useRef();
+  const timelineRef = useRef();
+  const { step, index, count, playing, speed } = player;
+  const progress = count > 1 ? index / (count - 1) : 1;
+
+  const toggle = () => {
+    if (!playing) onPlay?.();
+    player.toggle();
+  };
+
+  const nextSpeed = () =>
+    player.setSpeed(
+      TRACE_SPEEDS[(TRACE_SPEEDS.indexOf(speed) + 1) % TRACE_SPEEDS.length]
+    );
+
+  // Step under a point on the timeline (world space)
+  const seekAt = (point) => {
+    const local = timelineRef.current.worldToLocal(point.clone());
+    const fraction = local.x / TIMELINE_WIDTH + 0.5;
+    player.seek(Math.round(fraction * (count - 1)));
+  };
+
+  useSceneTaps(groupRef);
+
+  return (
+    <group ref={groupRef} position={position}>
+      <Text
+        position={[0, 0.9, 0]}
+        fontSize={0.3}
+        color="#fde68a"
+        anchorX="center"
+        anchorY="middle"
+        maxWidth={TIMELINE_WIDTH + 2}
+        textAlign="center"
+      >
+        {step.note}
+      </Text>
+
+      {[
+        ["Back", player.stepBack],
+        [playing ? "Pause" : "Play", toggle],
+        ["Next", player.stepForward],
+        ["Reset", player.reset],
+        [`${speed}x`, nextSpeed],
+      ].map(([label, onPress], i) => (
+        <SceneButton
+          key={i}
+          label={label}
+          onPress={onPress}
+          position={[(i - 2) * 1.95, 0, 0]}
+          width={1.8}
+          color={i === 1 ? "#22c55e" : "orange"}
+        />
+      ))}
+
+      {/* Timeline: tap anywhere on it to jump there */}
+      <group position={[0, -0.7, 0]}>
+        <mesh
+          ref={timelineRef}
+          onClick={(e) => {
+            e.stopPropagation();
+            seekAt(e.point);
+          }}
+          userData={{ onTap: (hit) => seekAt(hit.point) }}
+        >
+          <boxGeometry args={[TIMELINE_WIDTH, 0.3, 0.05]} />
+          <meshStandardMaterial color="#334155" />
+        </mesh>
+        <mesh
+          position={[(progress - 1) * (TIMELINE_WIDTH / 2), 0, 0.03]}
+          scale={[Math.max(progress, 0.001), 1, 1]}
+          raycast={() => null}
+        >
+          <boxGeometry args={[TIMELINE_WIDTH, 0.3, 0.05]} />
+          <meshStandardMaterial color="#38bdf8" />
+        </mesh>
+        <Text
+          position={[TIMELINE_WIDTH / 2 + 0.7, 0, 0]}
+          fontSize={0.25}
+          color="white"
+          anchorX="center"
+          anchorY="middle"
+        >
+          {`${index + 1}/${count}`}
+        </Text>
+      </group>
+    </group>
+  );
+};
+
+export default TracePlayer3D;
@@ -0,0 +1,63 @@
+// The data each lesson's visualizer starts with. Learners can swap it for
+// their own from the page (InputDataPanel, formats in utils/inputData) and
+// get these back with its Example button. Shared constants, so the traces
+// recorded from them are kept between renders.
+export const EXAMPLE_INPUTS = {
+  sorting: {
+    bubble: [35, 10, 25, 5, 15],
+    insertion: [30, 10, 20, 5, 15],
+    selection: [30, 10, 50, 20, 40],
+    merge: [38, 27, 43, 3, 9, 82, 10],
+    quick: [10, 80, 30, 90, 40, 50, 70],
+    heap: [12, 11, 13, 5, 6, 7],
+    // two-digit values, one repeated, so both sorts have work to show
+    bucket: [53, 89, 15, 7, 42, 15, 70],
+    race: [
+      42, 17, 93, 5, 68, 31, 76, 24, 59, 10, 85, 36, 2, 64, 50, 19, 97, 45, 28,
+      71,
+    ],
+  },
+  arrays: {
+    search: [5, 10, 15, 20, 25],
+  },
+  linkedList: {
+    singly: ["10", "20", "30", "40"],
+    doubly: ["10", "20", "30", "40"],
+    circular: ["A", "B", "C", "D", "E", "F"],
+  },
+  stackQueue: {
+    stack: [10, 20, 30],
+    queue: [10, 20, 30],
+    queueOperations: [15, 25, 35],
+    arrayDelete: [10, 20, 30, 40, 50],
+  },
+  tree: {
+    // inserted in this order they fill three levels
+    bst: [50, 30, 70, 20, 40, 60, 80],
+    traversal: [40, 20, 60, 10, 30, 50, 70],
+  },
+  graph: {
+    // its positions draw it as a diamond; graphs the learner enters have
+    // none and go round a circle
+    traversal: {
+      nodes: ["A", "B", "C", "D"],
+      edges: [
+        { from: "A", to: "B" },
+        { from: "A", to: "C" },
+        { from: "B", to: "C" },
+        { from: "B", to: "D" },
+        { from: "C", to: "D" },
+      ],
+      positions: { A: [0, 3, 0], B: [-2, 0, 0], C: [2, 0, 0], D: [0, -3, 0] },
+    },
+    shortestPath: {
+      nodes: ["A", "B", "C", "D"],
+      edges: [
+        { from: "A", to: "B", weight: 2 },
+        { from: "A", to: "C", weight: 5 },
+        { from: "B", to: "D", weight: 3 },
+        { from: "C", to: "D", weight: 1 },
+      ],
+    },
+  },
+};
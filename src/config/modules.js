@@ -1,14 +0,0 @@
-const modules = {
-  arrays: "Arrays",
-  sorting: "Sorting",
-  // "dynamic-and-multi-dimensional-arrays":
-  //   "Dynamic and Multi-dimensional arrays",
-  "linked-list": "Linked List Variation",
-  "stack-and-queue": "Stack and Queue",
-  "tree-data-structure-recursion": "Tree Data Structure",
-  // "set-data-structure": "Set Data Structure",
-  "graph-data-structure": "Graph Data Structure",
-  // "map-and-hash-table": "Map and Hash Table",
-};
-
-export default modules;
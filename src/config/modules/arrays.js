@@ -0,0 +1,61 @@
+import Page0 from "../../components/Arrays/Page0";
+import Page1 from "../../components/Arrays/Page1";
+import Page2 from "../../components/Arrays/Page2";
+import Page3 from "../../components/Arrays/Page3";
+import Page4 from "../../components/Arrays/Page4";
+import Page5 from "../../components/Arrays/Page5";
+import Assessment from "../../components/Arrays/Assessment";
+import AssessmentAR from "../../components/Arrays/AssessmentAR";
+
+const arrays = {
+  id: "arrays",
+  title: "Arrays & Time Complexity",
+  shortTitle: "Arrays",
+  image: "/images/Array_and_TimeComplexity.png",
+  prerequisites: [],
+  pages: [
+    { id: "overview", title: "Overview", component: Page0 },
+    {
+      id: "introduction",
+      title: "Introduction to Arrays",
+      component: Page1,
+      visualization: true,
+    },
+    {
+      id: "access",
+      title: "Access Operation",
+      component: Page2,
+      visualization: true,
+    },
+    {
+      id: "search",
+      title: "Search Operation",
+      component: Page3,
+      visualization: true,
+    },
+    {
+      id: "insertion",
+      title: "Insertion",
+      component: Page4,
+      visualization: true,
+    },
+    {
+      id: "deletion",
+      title: "Deletion",
+      component: Page5,
+      visualization: true,
+    },
+    { id: "assessment", title: "Assessment", assessment: "arrays" },
+  ],
+  assessments: [
+    {
+      id: "arrays",
+      title: "Arrays Assessment",
+      component: Assessment,
+      arComponent: AssessmentAR,
+      questionsPerAttempt: 5,
+    },
+  ],
+};
+
+export default arrays;
@@ -0,0 +1,27 @@
+import Page0 from "../../components/DynamicMultiDimensional/Page0";
+import Page1 from "../../components/DynamicMultiDimensional/Page1";
+import Page2 from "../../components/DynamicMultiDimensional/Page2";
+import Page3 from "../../components/DynamicMultiDimensional/Page3";
+import Page4 from "../../components/DynamicMultiDimensional/Page4";
+import Week4 from "../../components/Arrays/Week4";
+
+const dynamicMultiDimensionalArrays = {
+  id: "dynamic-and-multi-dimensional-arrays",
+  title: "Dynamic Arrays and Multi-Dimensional Arrays",
+  shortTitle: "Dynamic and Multi-dimensional arrays",
+  image: "/images/Dynamic_and_MultiDimensional.png",
+  // not in the catalogue yet; still reachable by URL
+  enabled: false,
+  prerequisites: ["arrays"],
+  pages: [
+    { id: "overview", title: "Overview", component: Page0 },
+    { id: "dynamic-arrays", title: "Dynamic Arrays", component: Page1 },
+    { id: "resizing", title: "Dynamic Array Resizing", component: Page2 },
+    { id: "2d-arrays", title: "2D Arrays", component: Page3 },
+    { id: "3d-arrays", title: "3D Arrays", component: Page4 },
+    { id: "visualization", title: "Visualization", component: Week4 },
+  ],
+  assessments: [],
+};
+
+export default dynamicMultiDimensionalArrays;
@@ -0,0 +1,63 @@
+import Page0 from "../../components/Graph/Page0";
+import Page1 from "../../components/Graph/Page1";
+import Page2 from "../../components/Graph/Page2";
+import Page3 from "../../components/Graph/Page3";
+import Page4 from "../../components/Graph/Page4";
+import Page5 from "../../components/Graph/Page5";
+import GraphAssessment from "../../components/Graph/GraphAssessment";
+import GraphAssessmentAR from "../../components/Graph/GraphAssessmentAR";
+
+const graphDataStructure = {
+  id: "graph-data-structure",
+  title: "Graph Data Structure and Operations",
+  shortTitle: "Graph Data Structure",
+  image: "/images/GraphDataStructure.png",
+  prerequisites: ["linked-list", "tree-data-structure-recursion"],
+  pages: [
+    { id: "overview", title: "Overview", component: Page0 },
+    {
+      id: "introduction",
+      title: "Introduction to Graphs",
+      component: Page1,
+      visualization: true,
+    },
+    {
+      id: "representation",
+      title: "Graph Representation",
+      component: Page2,
+      visualization: true,
+    },
+    {
+      id: "traversals",
+      title: "Graph Traversals",
+      component: Page3,
+      visualization: true,
+    },
+    {
+      id: "shortest-path",
+      title: "Shortest Path Algorithms",
+      component: Page4,
+      visualization: true,
+      enabled: false,
+    },
+    {
+      id: "advanced",
+      title: "Advanced Graph Operations",
+      component: Page5,
+      visualization: true,
+      enabled: false,
+    },
+    { id: "assessment", title: "Assessment", assessment: "graph-data-structure" },
+  ],
+  assessments: [
+    {
+      id: "graph-data-structure",
+      title: "Graph Assessment",
+      component: GraphAssessment,
+      arComponent: GraphAssessmentAR,
+      questionsPerAttempt: 5,
+    },
+  ],
+};
+
+export default graphDataStructure;
@@ -0,0 +1,118 @@
+/**
+ * Module Manifests
+ * Each module is described once, as data: id, titles, image, ordered pages,
+ * assessments and prerequisites. Routing, the module runner, the Modules
+ * catalogue and progress tracking are all driven from this list.
+ *
+ * Manifest shape:
+ * - id: route segment ("/modules/<id>") and progress key
+ * - title / shortTitle: card title / module header title
+ * - image: card image under public/
+ * - enabled: false keeps a module out of the catalogue (URL still works)
+ * - prerequisites: ids of modules that must be finished first; together they
+ *   form a graph (not a chain), e.g. Graph needs Linked List and Tree
+ * - pages: [{ id, title, component, enabled, visualization }] in reading
+ *   order; visualization: true marks a page whose interactive visual has to
+ *   be run before the module counts as complete. A page declared as
+ *   { id, title, assessment: "<assessment id>" } renders that assessment.
+ * - assessments: [{ id, title, component, arComponent, passingScore,
+ *   questionsPerAttempt }]; passingScore is a percentage (defaults to
+ *   DEFAULT_PASSING_SCORE); questionsPerAttempt is how many of the bank's
+ *   questions one sitting asks (all by default), picked to favour the
+ *   learner's weak concepts
+ *
+ * Completion (see services/completionService) = every page viewed, every
+ * visualization page run and a passing score on the assessment page.
+ */
+
+import arrays from "./arrays";
+import sorting from "./sorting";
+import linkedList from "./linkedList";
+import stackAndQueue from "./stackAndQueue";
+import treeRecursion from "./treeRecursion";
+import graphDataStructure from "./graphDataStructure";
+import dynamicMultiDimensionalArrays from "./dynamicMultiDimensionalArrays";
+import setDataStructure from "./setDataStructure";
+import mapHashTable from "./mapHashTable";
+
+export const DEFAULT_PASSING_SCORE = 70;
+
+const withDefaults = (manifest) => ({
+  ...manifest,
+  route: `/modules/${manifest.id}`,
+  enabled: manifest.enabled !== false,
+  prerequisites: manifest.prerequisites || [],
+  // disabled pages stay declared but are not shown
+  pages: manifest.pages.filter((page) => page.enabled !== false),
+  assessments: (manifest.assessments || []).map((assessment) => ({
+    passingScore: DEFAULT_PASSING_SCORE,
+    ...assessment,
+  })),
+});
+
+// Catalogue order
+export const moduleManifests = [
+  arrays,
+  sorting,
+  dynamicMultiDimensionalArrays,
+  linkedList,
+  stackAndQueue,
+  treeRecursion,
+  setDataStructure,
+  graphDataStructure,
+  mapHashTable,
+].map(withDefaults);
+
+export function getManifest(id) {
+  return moduleManifests.find((m) => m.id === id) || null;
+}
+
+// Fail fast on prerequisites that point nowhere or loop back on themselves
+function validatePrerequisites(manifests) {
+  const byId = new Map(manifests.map((m) => [m.id, m]));
+  const state = new Map(); // id -> "visiting" | "done"
+
+  const visit = (manifest, path) => {
+    if (state.get(manifest.id) === "done") return;
+    if (state.get(manifest.id) === "visiting") {
+      throw new Error(
+        `Module prerequisites form a cycle: ${[...path, manifest.id].join(" → ")}`
+      );
+    }
+    state.set(manifest.id, "visiting");
+    manifest.prerequisites.forEach((id) => {
+      const prereq = byId.get(id);
+      if (!prereq) {
+        throw new Error(`Module "${manifest.id}" requires unknown module "${id}"`);
+      }
+      visit(prereq, [...path, manifest.id]);
+    });
+    state.set(manifest.id, "done");
+  };
+
+  manifests.forEach((m) => visit(m, []));
+}
+
+// Assessment pages must point at an assessment of the same module
+function validateAssessmentPages(manifests) {
+  manifests.forEach((manifest) => {
+    manifest.pages.forEach((page) => {
+      if (
+        page.assessment &&
+        !manifest.assessments.some((a) => a.id === page.assessment)
+      ) {
+        throw new Error(
+          `Module "${manifest.id}" page "${page.id}" uses unknown assessment "${page.assessment}"`
+        );
+      }
+    });
+  });
+}
+
+validatePrerequisites(moduleManifests);
+validateAssessmentPages(moduleManifests);
+
+// Modules shown on the Modules page
+const modulesConfig = moduleManifests.filter((m) => m.enabled);
+
+export default modulesConfig;
@@ -0,0 +1,54 @@
+import Page0 from "../../components/Linked List/Page0";
+import Page1 from "../../components/Linked List/Page1";
+import Page2 from "../../components/Linked List/Page2";
+import Page3 from "../../components/Linked List/Page3";
+import Page4 from "../../components/Linked List/Page4";
+import LinkedListAssessment from "../../components/Linked List/LinkedListAssessment";
+import LinkedListAssessmentAR from "../../components/Linked List/LinkedListAssessmentAR";
+
+const linkedList = {
+  id: "linked-list",
+  title: "Linked List Varation",
+  shortTitle: "Linked List Variation",
+  image: "/images/LinkedList_Variation.png",
+  prerequisites: ["arrays"],
+  pages: [
+    { id: "overview", title: "Overview", component: Page0 },
+    {
+      id: "introduction",
+      title: "Introduction to Linked Lists",
+      component: Page1,
+      visualization: true,
+    },
+    {
+      id: "singly",
+      title: "Singly Linked List",
+      component: Page2,
+      visualization: true,
+    },
+    {
+      id: "doubly",
+      title: "Doubly Linked List",
+      component: Page3,
+      visualization: true,
+    },
+    {
+      id: "circular",
+      title: "Circular Linked List",
+      component: Page4,
+      visualization: true,
+    },
+    { id: "assessment", title: "Assessment", assessment: "linked-list" },
+  ],
+  assessments: [
+    {
+      id: "linked-list",
+      title: "Linked List Assessment",
+      component: LinkedListAssessment,
+      arComponent: LinkedListAssessmentAR,
+      questionsPerAttempt: 5,
+    },
+  ],
+};
+
+export default linkedList;
@@ -0,0 +1,15 @@
+import Empty from "../../components/Empty";
+
+const mapHashTable = {
+  id: "map-and-hash-table",
+  title: "Map & Hash Table",
+  shortTitle: "Map and Hash Table",
+  image: "/images/Map&HashTable.png",
+  // not in the catalogue yet; still reachable by URL
+  enabled: false,
+  prerequisites: [],
+  pages: [{ id: "coming-soon", title: "Coming Soon", component: Empty }],
+  assessments: [],
+};
+
+export default mapHashTable;
@@ -0,0 +1,15 @@
+import Empty from "../../components/Empty";
+
+const setDataStructure = {
+  id: "set-data-structure",
+  title: "Set Data Structure and Operations",
+  shortTitle: "Set Data Structure",
+  image: "/images/SetDataStructure.png",
+  // not in the catalogue yet; still reachable by URL
+  enabled: false,
+  prerequisites: [],
+  pages: [{ id: "coming-soon", title: "Coming Soon", component: Empty }],
+  assessments: [],
+};
+
+export default setDataStructure;
@@ -0,0 +1,89 @@
+import Page0 from "../../components/Sorting/Page0";
+import Page1 from "../../components/Sorting/Page1";
+import Page2 from "../../components/Sorting/Page2";
+import Page3 from "../../components/Sorting/Page3";
+import Page4 from "../../components/Sorting/Page4";
+import Page6 from "../../components/Sorting/Page6";
+import Page7 from "../../components/Sorting/Page7";
+import Page8 from "../../components/Sorting/Page8";
+import Page9 from "../../components/Sorting/Page9";
+import Page10 from "../../components/Sorting/Page10";
+import SortingAssessment from "../../components/Sorting/SortingAssessment";
+import SortingAssessmentAR from "../../components/Sorting/SortingAssessmentAR";
+
+const sorting = {
+  id: "sorting",
+  title: "Sorting Algorithms",
+  shortTitle: "Sorting",
+  image: "/images/Sorting_Algorithm.png",
+  prerequisites: ["arrays"],
+  pages: [
+    { id: "overview", title: "Overview", component: Page0 },
+    {
+      id: "introduction",
+      title: "Introduction to Sorting",
+      component: Page1,
+      visualization: true,
+    },
+    {
+      id: "bubble-sort",
+      title: "Bubble Sort",
+      component: Page2,
+      visualization: true,
+    },
+    {
+      id: "insertion-sort",
+      title: "Insertion Sort",
+      component: Page3,
+      visualization: true,
+    },
+    {
+      id: "selection-sort",
+      title: "Selection Sort",
+      component: Page4,
+      visualization: true,
+    },
+    {
+      id: "merge-sort",
+      title: "Merge Sort",
+      component: Page6,
+      visualization: true,
+    },
+    {
+      id: "quick-sort",
+      title: "Quick Sort",
+      component: Page7,
+      visualization: true,
+    },
+    {
+      id: "heap-sort",
+      title: "Heap Sort",
+      component: Page8,
+      visualization: true,
+    },
+    {
+      id: "counting-radix-sort",
+      title: "Counting and Radix Sort",
+      component: Page9,
+      visualization: true,
+    },
+    {
+      id: "sorting-race",
+      title: "Sorting Race",
+      component: Page10,
+      visualization: true,
+    },
+    { id: "assessment", title: "Assessment", assessment: "sorting" },
+  ],
+  assessments: [
+    {
+      id: "sorting",
+      title: "Sorting Assessment",
+      component: SortingAssessment,
+      arComponent: SortingAssessmentAR,
+      questionsPerAttempt: 5,
+    },
+  ],
+};
+
+export default sorting;
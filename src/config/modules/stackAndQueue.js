@@ -0,0 +1,61 @@
+import Page0 from "../../components/StackQueue/Page0";
+import Page1 from "../../components/StackQueue/Page1";
+import Page2 from "../../components/StackQueue/Page2";
+import Page3 from "../../components/StackQueue/Page3";
+import Page4 from "../../components/StackQueue/Page4";
+import Page5 from "../../components/StackQueue/Page5";
+import StackQueueAssessment from "../../components/StackQueue/StackQueueAssessment";
+import StackQueueAssessmentAR from "../../components/StackQueue/StackQueueAssessmentAR";
+
+const stackAndQueue = {
+  id: "stack-and-queue",
+  title: "Stack and Queue",
+  shortTitle: "Stack and Queue",
+  image: "/images/Stack&Queue.png",
+  prerequisites: ["linked-list"],
+  pages: [
+    { id: "overview", title: "Overview", component: Page0 },
+    {
+      id: "stacks",
+      title: "Introduction to Stacks",
+      component: Page1,
+      visualization: true,
+    },
+    {
+      id: "stack-operations",
+      title: "Stack Operations",
+      component: Page2,
+      visualization: true,
+    },
+    {
+      id: "queues",
+      title: "Introduction to Queues",
+      component: Page3,
+      visualization: true,
+    },
+    {
+      id: "queue-operations",
+      title: "Queue Operations",
+      component: Page4,
+      visualization: true,
+    },
+    {
+      id: "variants",
+      title: "Variants of Stacks & Queues",
+      component: Page5,
+      visualization: true,
+    },
+    { id: "assessment", title: "Assessment", assessment: "stack-and-queue" },
+  ],
+  assessments: [
+    {
+      id: "stack-and-queue",
+      title: "Stack and Queue Assessment",
+      component: StackQueueAssessment,
+      arComponent: StackQueueAssessmentAR,
+      questionsPerAttempt: 5,
+    },
+  ],
+};
+
+export default stackAndQueue;
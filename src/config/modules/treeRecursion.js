@@ -0,0 +1,62 @@
+import Page0 from "../../components/Tree/Page0";
+import Page1 from "../../components/Tree/Page1";
+import Page2 from "../../components/Tree/Page2";
+import Page3 from "../../components/Tree/Page3";
+import Page4 from "../../components/Tree/Page4";
+import Page5 from "../../components/Tree/Page5";
+import TreeAssessment from "../../components/Tree/TreeAssessment";
+import TreeAssessmentAR from "../../components/Tree/TreeAssessmentAR";
+
+const treeRecursion = {
+  id: "tree-data-structure-recursion",
+  title: "Tree Data Structure Recursion",
+  shortTitle: "Tree Data Structure",
+  image: "/images/TreeRecursion.png",
+  prerequisites: ["linked-list"],
+  pages: [
+    { id: "overview", title: "Overview", component: Page0 },
+    {
+      id: "introduction",
+      title: "Introduction to Trees",
+      component: Page1,
+      visualization: true,
+    },
+    {
+      id: "terminology",
+      title: "Basic Terminology",
+      component: Page2,
+      visualization: true,
+    },
+    {
+      id: "types",
+      title: "Types of Trees",
+      component: Page3,
+      visualization: true,
+    },
+    {
+      id: "bst",
+      title: "Binary Search Tree",
+      component: Page4,
+      visualization: true,
+    },
+    {
+      id: "traversals",
+      title: "Tree Traversals",
+      component: Page5,
+      visualization: true,
+      enabled: false,
+    },
+    { id: "assessment", title: "Assessment", assessment: "tree-data-structure-recursion" },
+  ],
+  assessments: [
+    {
+      id: "tree-data-structure-recursion",
+      title: "Tree Assessment",
+      component: TreeAssessment,
+      arComponent: TreeAssessmentAR,
+      questionsPerAttempt: 4,
+    },
+  ],
+};
+
+export default treeRecursion;
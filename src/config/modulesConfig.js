@@ -1,49 +0,0 @@
-const modulesConfig = [
-  {
-    title: "Arrays & Time Complexity",
-    route: "/modules/arrays",
-    image: "/images/Array_and_TimeComplexity.png",
-  },
-  {
-    title: "Sorting Algorithms",
-    route: "/modules/sorting",
-    image: "/images/Sorting_Algorithm.png",
-  },
-  // {
-  //   title: "Dynamic Arrays and Multi-Dimensional Arrays",
-  //   route: "/modules/dynamic-and-multi-dimensional-arrays",
-  //   image: "/images/Dynamic_and_MultiDimensional.png",
-  // },
-  {
-    title: "Linked List Varation",
-    route: "/modules/linked-list",
-    image: "/images/LinkedList_Variation.png",
-  },
-  {
-    title: "Stack and Queue",
-    route: "/modules/stack-and-queue",
-    image: "/images/Stack&Queue.png",
-  },
-  {
-    title: "Tree Data Structure Recursion",
-    route: "/modules/tree-data-structure-recursion",
-    image: "/images/TreeRecursion.png",
-  },
-  // {
-  //   title: "Set Data Structure and Operations",
-  //   route: "/modules/set-data-structure",
-  //   image: "/images/SetDataStructure.png",
-  // },
-  {
-    title: "Graph Data Structure and Operations",
-    route: "/modules/graph-data-structure",
-    image: "/images/GraphDataStructure.png",
-  },
-  // {
-  //   title: "Map & Hash Table",
-  //   route: "/modules/map-and-hash-table",
-  //   image: "/images/Map&HashTable.png",
-  // },
-];
-
-export default modulesConfig;
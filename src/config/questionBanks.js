@@ -0,0 +1,11 @@
+// Question bank files (src/question-banks/*.json, format documented in
+// src/question-banks/README.md). They are bundled as text so assessments
+// work offline and the loader can report malformed JSON itself; being
+// bundled, they live outside public/ and an edit needs a rebuild.
+const questionBankFiles = import.meta.glob("../question-banks/*.json", {
+  query: "?raw",
+  import: "default",
+  eager: true,
+});
+
+export default questionBankFiles;
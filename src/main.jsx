@@ -2,14 +2,21 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
 import { registerSW } from 'virtual:pwa-register'
+import { migrateLegacyAccounts } from './services/authService'
 import './index.css';
 
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-);
+// accounts are read synchronously everywhere, so their (async) password
+// migration has to finish before the first render
+migrateLegacyAccounts()
+  .catch((error) => console.warn('Legacy account migration failed:', error))
+  .then(() =>
+    createRoot(document.getElementById('root')).render(
+      <StrictMode>
+        <App />
+      </StrictMode>,
+    ),
+  );
 
 registerSW({
   immediate: true,
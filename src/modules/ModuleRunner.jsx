@@ -0,0 +1,179 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { CheckCircle, Circle } from "lucide-react";
+import { useNavigate, useParams } from "react-router-dom";
+import ModuleHeader from "../components/ModuleHeader";
+import AssessmentPage from "../components/common/AssessmentPage";
+import ReviewTopics from "../components/common/ReviewTopics";
+
+import { useModuleProgress } from "../services/useModuleProgress";
+import { ModulePageContext, useTimeOnPage } from "../services/useModulePage";
+import { markPageViewed } from "../services/completionService";
+import { EVENT_TYPES, logEvent } from "../services/eventLogService";
+
+// Renders any module manifest (see config/modules): page navigation,
+// progress tracking and event logging are shared by every module.
+const ModuleRunner = ({ manifest }) => {
+  const navigate = useNavigate();
+  const { page } = useParams();
+  const [showChecklist, setShowChecklist] = useState(false);
+
+  const { id, title, pages, assessments } = manifest;
+  const totalPages = pages.length;
+
+  //  Convert 1-based URL param to 0-based index
+  const pageIndex = Math.min((Number(page) || 1) - 1, totalPages - 1);
+
+  const { currentPage, setCurrentPage, completion, refreshCompletion } =
+    useModuleProgress(id);
+
+  // One module.open event per visit
+  useEffect(() => {
+    logEvent(EVENT_TYPES.MODULE_OPEN, { moduleId: id });
+  }, [id]);
+
+  // Sync URL param to state + count the page as viewed
+  useEffect(() => {
+    setCurrentPage(pageIndex);
+    if (pages[pageIndex]) markPageViewed(id, pages[pageIndex].id);
+    refreshCompletion();
+  }, [pageIndex, setCurrentPage, pages, id, refreshCompletion]);
+
+  // the URL is the page the learner is actually on
+  useTimeOnPage(id, pages[pageIndex]?.id);
+
+  const currentPageInfo = pages[currentPage];
+
+  // Visualizations and assessments on the page report back through this
+  const pageContext = useMemo(
+    () =>
+      currentPageInfo && {
+        moduleId: id,
+        pageId: currentPageInfo.id,
+        assessmentId: currentPageInfo.assessment || null,
+      },
+    [id, currentPageInfo]
+  );
+
+  // Finishing only counts once every completion criterion is met
+  const handleFinish = () => {
+    if (refreshCompletion().complete) {
+      navigate("/modules");
+    } else {
+      setShowChecklist(true);
+    }
+  };
+
+  const goNext = () => {
+    if (currentPage < totalPages - 1) {
+      navigate(`/modules/${id}/${currentPage + 2}`);
+    } else {
+      handleFinish();
+    }
+  };
+
+  const goPrev = () => {
+    if (currentPage > 0) {
+      navigate(`/modules/${id}/${currentPage}`); // back to 1-based
+    }
+  };
+
+  const renderPage = () => {
+    if (!currentPageInfo) return null;
+    if (currentPageInfo.assessment) {
+      const assessment = assessments.find(
+        (a) => a.id === currentPageInfo.assessment
+      );
+      return <AssessmentPage key={assessment.id} assessment={assessment} />;
+    }
+    const PageComponent = currentPageInfo.component;
+    return PageComponent ? <PageComponent /> : null;
+  };
+
+  return (
+    <div className="h-[calc(100vh)] overflow-y-auto p-4 bg-base-100 space-y-4">
+      <ModuleHeader />
+
+      <ModulePageContext.Provider value={pageContext}>
+        {renderPage()}
+      </ModulePageContext.Provider>
+
+      {/* weak concepts of this module, before starting and at the test */}
+      {(currentPage === 0 || currentPageInfo?.assessment) && (
+        <ReviewTopics key={currentPage} moduleId={id} />
+      )}
+
+      <div className="flex justify-between items-center">
+        <button
+          onClick={goPrev}
+          disabled={currentPage === 0}
+          className="btn btn-outline"
+        >
+          Previous
+        </button>
+
+        <span className="text-sm font-semibold">
+          Page {currentPage + 1} / {totalPages}
+        </span>
+
+        {currentPage < totalPages - 1 ? (
+          <button onClick={goNext} className="btn btn-primary">
+            Next
+          </button>
+        ) : (
+          <button
+            onClick={handleFinish}
+            className="btn btn-success flex items-center gap-2"
+          >
+            <CheckCircle className="w-5 h-5" />
+            Finish Module
+          </button>
+        )}
+      </div>
+
+      {showChecklist && (
+        <dialog id="module_completion_modal" className="modal modal-open">
+          <div className="modal-box space-y-3">
+            <h3 className="font-bold text-lg">Not finished yet</h3>
+            <p className="text-sm">
+              {title} is {completion.percent}% complete. To finish it:
+            </p>
+            <ul className="space-y-2">
+              {completion.criteria.map((c) => (
+                <li key={c.key} className="text-sm">
+                  <span className="flex items-center gap-2 font-medium">
+                    {c.met ? (
+                      <CheckCircle className="w-4 h-4 text-green-500" />
+                    ) : (
+                      <Circle className="w-4 h-4 text-gray-400" />
+                    )}
+                    {c.label}
+                    <span className="text-xs text-gray-500">
+                      {c.key === "assessment"
+                        ? `best: ${c.bestScore ?? "-"}%`
+                        : `${c.done} / ${c.total}`}
+                    </span>
+                  </span>
+                  {!c.met && c.key !== "assessment" && (
+                    <span className="block pl-6 text-xs text-gray-500">
+                      Still to do: {c.remaining.join(", ")}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+            <div className="modal-action">
+              <button
+                className="btn btn-primary"
+                onClick={() => setShowChecklist(false)}
+              >
+                Keep Learning
+              </button>
+            </div>
+          </div>
+        </dialog>
+      )}
+    </div>
+  );
+};
+
+export default ModuleRunner;
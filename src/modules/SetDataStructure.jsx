@@ -1,94 +0,0 @@
-import React, { useEffect } from "react";
-import { CheckCircle } from "lucide-react";
-import { useNavigate, useParams } from "react-router-dom";
-import ModuleHeader from "../components/ModuleHeader";
-import Empty from "../components/Empty";
-import ProgressBar from "../components/common/ProgressBar";
-
-import { useModuleProgress } from "../services/useModuleProgress";
-
-import { logActivity } from "../services/activityService";
-
-const SetDataStructure = () => {
-  const navigate = useNavigate();
-  const { page } = useParams();
-
-  const pages = [<Empty />];
-
-  const totalPages = pages.length;
-
-  const pageIndex = Math.min((Number(page) || 1) - 1, totalPages - 1);
-
-  const { currentPage, setCurrentPage, isFinished, finishModule, progress } =
-    useModuleProgress("set-data-structure", totalPages);
-
-  useEffect(() => {
-    setCurrentPage(pageIndex);
-
-    if (!isFinished) {
-      setCurrentPage((prev) => {
-        if (pageIndex > prev) return pageIndex;
-        return prev;
-      });
-
-      logActivity("Set Data Structure and Operations");
-    }
-  }, [pageIndex, setCurrentPage, isFinished]);
-
-  const goNext = () => {
-    if (currentPage < totalPages - 1) {
-      navigate(`/modules/set-data-structure/${currentPage + 2}`);
-    } else {
-      finishModule();
-      navigate("/modules", { state: { route: "set-data-structure" } });
-    }
-  };
-
-  const goPrev = () => {
-    if (currentPage > 0) {
-      navigate(`/modules/set-data-structure/${currentPage}`);
-    }
-  };
-
-  return (
-    <div className="h-[calc(100vh)] overflow-y-auto p-4 bg-base-100 space-y-4">
-      <ModuleHeader />
-      {/* <ProgressBar progress={progress} /> */}
-
-      {pages[currentPage]}
-
-      <div className="flex justify-between items-center">
-        <button
-          onClick={goPrev}
-          disabled={currentPage === 0}
-          className="btn btn-outline"
-        >
-          Previous
-        </button>
-
-        <span className="text-sm font-semibold">
-          Page {currentPage + 1} / {pages.length}
-        </span>
-
-        {currentPage < pages.length - 1 ? (
-          <button onClick={goNext} className="btn btn-primary">
-            Next
-          </button>
-        ) : (
-          <button
-            onClick={() => {
-              finishModule();
-              navigate("/modules", { state: { route: "set-data-structure" } });
-            }}
-            className="btn btn-success flex items-center gap-2"
-          >
-            <CheckCircle className="w-5 h-5" />
-            Finish Module
-          </button>
-        )}
-      </div>
-    </div>
-  );
-};
-
-export default SetDataStructure;
@@ -1,10 +1,13 @@
 import ProgressCard from "../components/ProgressCard";
+import CertificateCard from "../components/CertificateCard";
 import RecentActivity from "../components/RecentActivity";
+import AnalyticsDashboard from "../components/AnalyticsDashboard";
 import BottomNav from "../components/BottomNav";
 import { User } from "lucide-react";
+import { getCurrentAccount } from "../services/accountService";
 
 const Home = () => {
-  const user = JSON.parse(localStorage.getItem("user"));
+  const user = getCurrentAccount();
   const username = user?.username || "Guest";
   const profileImage = user?.avatar || null;
 
@@ -40,6 +43,8 @@ const Home = () => {
 
       {/* Cards */}
       <ProgressCard progress={progress} />
+      <CertificateCard />
+      <AnalyticsDashboard />
       <RecentActivity />
 
       {/* Bottom Nav */}
@@ -2,9 +2,10 @@ import PersonalContent from "../components/PersonalContent";
 import BottomNav from "../components/BottomNav";
 import { User } from "lucide-react";
 import React from "react";
+import { getCurrentAccount } from "../services/accountService";
 
 const Personal = () => {
-  const user = JSON.parse(localStorage.getItem("user")) || {};
+  const user = getCurrentAccount() || {};
   const username = user?.username || "Guest";
   const profileImage = user?.avatar || null;
 
@@ -2,6 +2,7 @@ import React from "react";
 import { Navigate } from "react-router-dom";
 import LogIn from "../auth/LogIn";
 import SignUp from "../auth/SignUp";
+import ProtectedRoute from "./ProtectedRoute";
 
 import ModuleWrapper from "../modules/ModuleWrapper";
 
@@ -17,16 +18,23 @@ const EduarRoutes = {
     { index: true, element: <Navigate to="/auth/login" replace /> },
     { path: "auth/login", element: <LogIn /> },
     { path: "auth/signup", element: <SignUp /> },
-    { path: "home", element: <Home /> },
-    { path: "modules", element: <Modules /> },
-    { path: "ar-assessment", element: <AR /> },
-    { path: "personal", element: <Personal /> },
-    { path: "settings", element: <Settings /> },
 
-    // Dynamic Modules
+    // Pages below require a logged-in session
     {
-      path: "modules/:module/:page?",
-      element: <ModuleWrapper />,
+      element: <ProtectedRoute />,
+      children: [
+        { path: "home", element: <Home /> },
+        { path: "modules", element: <Modules /> },
+        { path: "ar-assessment", element: <AR /> },
+        { path: "personal", element: <Personal /> },
+        { path: "settings", element: <Settings /> },
+
+        // Dynamic Modules
+        {
+          path: "modules/:module/:page?",
+          element: <ModuleWrapper />,
+        },
+      ],
     },
   ],
 };
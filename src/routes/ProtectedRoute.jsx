@@ -0,0 +1,17 @@
+import React from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { getSession } from "../services/accountService";
+
+// Renders child routes only with a live session; otherwise sends the user
+// to login and remembers where they were headed.
+const ProtectedRoute = () => {
+  const location = useLocation();
+
+  if (!getSession()) {
+    return <Navigate to="/auth/login" replace state={{ from: location }} />;
+  }
+
+  return <Outlet />;
+};
+
+export default ProtectedRoute;
@@ -0,0 +1,185 @@
+/**
+ * Account Service
+ * Registry of the accounts that have signed up on this device and the
+ * session of the one that is currently logged in. Progress data is
+ * namespaced by the account id. Password hashing lives in authService.
+ */
+
+const ACCOUNTS_KEY = "accounts";
+const SESSION_KEY = "session";
+
+// Sessions expire after 12 hours (shared lab tablets)
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+// Keys used before the registry and sessions existed
+const LEGACY_USER_KEY = "user";
+const LEGACY_CURRENT_ACCOUNT_KEY = "currentAccount";
+const LEGACY_LOGGED_IN_KEY = "isLoggedIn";
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Accounts are keyed by their normalized email
+export function accountIdFor(email) {
+  return String(email || "")
+    .trim()
+    .toLowerCase();
+}
+
+function readJSON(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+
+function writeAccounts(accounts) {
+  localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+}
+
+/**
+ * Pull the old single "user" entry into the registry as the first account.
+ * Its plaintext password is hashed on the way, so the registry never holds
+ * it; authService.migrateLegacyAccounts runs this before the app starts.
+ * @param {(password: string) => Promise<Object>} hashPassword - from
+ *   authService (which imports this module)
+ */
+export async function migrateLegacyUser(hashPassword) {
+  if (localStorage.getItem(ACCOUNTS_KEY) !== null) return;
+  const legacy = readJSON(LEGACY_USER_KEY);
+  const accounts = {};
+
+  if (isPlainObject(legacy) && legacy.email) {
+    const id = accountIdFor(legacy.email);
+    accounts[id] = {
+      id,
+      username: legacy.username || "",
+      email: legacy.email,
+      credential: await hashPassword(String(legacy.password || "")),
+      avatar: legacy.avatar || null,
+      createdAt: 0,
+    };
+    if (localStorage.getItem(LEGACY_LOGGED_IN_KEY)) {
+      localStorage.setItem(LEGACY_CURRENT_ACCOUNT_KEY, id);
+    }
+  }
+
+  writeAccounts(accounts);
+  localStorage.removeItem(LEGACY_USER_KEY);
+}
+
+function readAccounts() {
+  const accounts = readJSON(ACCOUNTS_KEY);
+  return isPlainObject(accounts) ? accounts : {};
+}
+
+// All accounts on this device, oldest first
+export function listAccounts() {
+  return Object.values(readAccounts()).sort(
+    (a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0)
+  );
+}
+
+export function getAccount(id) {
+  return readAccounts()[id] || null;
+}
+
+export function findAccountByEmail(email) {
+  return getAccount(accountIdFor(email));
+}
+
+// credential comes from authService.hashPassword
+export function registerAccount({ username, email, credential }) {
+  const accounts = readAccounts();
+  const id = accountIdFor(email);
+  if (accounts[id]) {
+    throw new Error("This Gmail is already registered.");
+  }
+
+  accounts[id] = {
+    id,
+    username,
+    email,
+    credential,
+    avatar: null,
+    createdAt: Date.now(),
+  };
+  writeAccounts(accounts);
+  return accounts[id];
+}
+
+export function updateAccount(id, changes) {
+  const accounts = readAccounts();
+  if (!accounts[id]) return null;
+  accounts[id] = { ...accounts[id], ...changes, id };
+  writeAccounts(accounts);
+  return accounts[id];
+}
+
+export function removeAccount(id) {
+  const accounts = readAccounts();
+  delete accounts[id];
+  writeAccounts(accounts);
+}
+
+// Session
+function createToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function startSession(accountId) {
+  const now = Date.now();
+  const session = {
+    token: createToken(),
+    accountId,
+    createdAt: now,
+    expiresAt: now + SESSION_TTL_MS,
+  };
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return session;
+}
+
+export function endSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+// Carry a login from the flag-based scheme over into a real session
+function migrateLegacyLogin() {
+  const legacyId = localStorage.getItem(LEGACY_CURRENT_ACCOUNT_KEY);
+  localStorage.removeItem(LEGACY_CURRENT_ACCOUNT_KEY);
+  localStorage.removeItem(LEGACY_LOGGED_IN_KEY);
+  return legacyId && getAccount(legacyId) ? startSession(legacyId) : null;
+}
+
+// The active session, or null when logged out or expired
+export function getSession() {
+  if (localStorage.getItem(LEGACY_CURRENT_ACCOUNT_KEY)) {
+    return migrateLegacyLogin();
+  }
+
+  const session = readJSON(SESSION_KEY);
+  if (
+    !isPlainObject(session) ||
+    typeof session.token !== "string" ||
+    !getAccount(session.accountId)
+  ) {
+    return null;
+  }
+  if (Date.now() >= session.expiresAt) {
+    endSession();
+    return null;
+  }
+  return session;
+}
+
+// Current Account
+export function getCurrentAccountId() {
+  return getSession()?.accountId ?? null;
+}
+
+export function getCurrentAccount() {
+  const id = getCurrentAccountId();
+  return id ? getAccount(id) : null;
+}
@@ -1,34 +1,124 @@
-const STORAGE_KEY = "recentActivities";
+import { getManifest } from "../config/modules";
+import { EVENT_TYPES, queryEvents } from "./eventLogService";
 
-export function logActivity(moduleTitle) {
-  const now = new Date();
-  const todayKey = now.toISOString().split("T")[0]; // YYYY-MM-DD
+// Events worth showing on the Recent Activity timeline
+const TIMELINE_TYPES = [
+  EVENT_TYPES.MODULE_OPEN,
+  EVENT_TYPES.PAGE_EXIT,
+  EVENT_TYPES.VISUALIZATION,
+  EVENT_TYPES.AR_SESSION_END,
+  EVENT_TYPES.ASSESSMENT_ANSWER,
+  EVENT_TYPES.PRACTICE_COMPLETE,
+  EVENT_TYPES.EXAM_SUBMIT,
+];
 
-  const newActivity = {
-    date: todayKey,
-    time: now.toLocaleTimeString("en-US", {
+// Local calendar day as YYYY-MM-DD
+export function toDateKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function describe(event) {
+  const manifest = getManifest(event.moduleId);
+  const page = manifest?.pages.find((p) => p.id === event.pageId);
+  const pageTitle = page?.title || event.pageId;
+
+  const base = {
+    at: event.at,
+    time: new Date(event.at).toLocaleTimeString("en-US", {
       hour: "numeric",
       minute: "numeric",
       hour12: true,
     }),
-    moduleTitle,
+    kind: event.type,
+    moduleTitle: manifest?.title || event.detail?.moduleTitle || "",
+    image: manifest?.image || null,
+    durationMs: event.durationMs ?? null,
+    count: 1,
   };
 
-  const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  switch (event.type) {
+    case EVENT_TYPES.MODULE_OPEN:
+      return { ...base, label: "Opened the module" };
+    case EVENT_TYPES.PAGE_EXIT:
+      return { ...base, label: `Read "${pageTitle}"` };
+    case EVENT_TYPES.VISUALIZATION:
+      return {
+        ...base,
+        label: `Ran the visualization on "${pageTitle}"`,
+        action: event.detail?.action ?? null,
+      };
+    case EVENT_TYPES.AR_SESSION_END:
+      return { ...base, label: `AR session on "${pageTitle || "assessment"}"` };
+    case EVENT_TYPES.ASSESSMENT_ANSWER:
+      return {
+        ...base,
+        label: `Answered question ${(event.detail?.question ?? 0) + 1}`,
+        correct: event.detail?.correct === true,
+      };
+    case EVENT_TYPES.PRACTICE_COMPLETE:
+      return {
+        ...base,
+        label: `Practiced every step on "${pageTitle}"`,
+        correct: event.detail?.mistakes === 0,
+      };
+    case EVENT_TYPES.EXAM_SUBMIT:
+      return {
+        ...base,
+        label: `Submitted the AR exam (${event.detail?.correct ?? 0} / ${
+          event.detail?.total ?? 0
+        } correct)`,
+      };
+    default:
+      return null;
+  }
+}
 
-  const alreadyLogged = stored.some(
-    (a) => a.date === todayKey && a.moduleTitle === moduleTitle
-  );
+// Repeated clicks on the same visualization collapse into one entry
+function collapse(items) {
+  const result = [];
+  items.forEach((item) => {
+    const last = result[result.length - 1];
+    if (
+      last &&
+      item.kind === EVENT_TYPES.VISUALIZATION &&
+      last.kind === item.kind &&
+      last.label === item.label &&
+      last.moduleTitle === item.moduleTitle &&
+      last.action === item.action
+    ) {
+      last.count += 1;
+      last.at = item.at;
+      last.time = item.time;
+    } else {
+      result.push({ ...item });
+    }
+  });
+  return result;
+}
 
-  let updated;
-  if (alreadyLogged) {
-    updated = stored.map((a) =>
-      a.date === todayKey && a.moduleTitle === moduleTitle ? newActivity : a
-    );
-  } else {
-    updated = [...stored, newActivity];
-  }
+// What the learner did on a given day (YYYY-MM-DD), newest first
+export function getTimeline(dateKey, limit = 30) {
+  const start = new Date(`${dateKey}T00:00:00`);
+  const end = new Date(start);
+  end.setDate(start.getDate() + 1);
 
-  // save ulit
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+  const events = queryEvents({
+    type: TIMELINE_TYPES,
+    since: start.getTime(),
+    until: end.getTime(),
+  });
+  return collapse(events.map(describe).filter(Boolean))
+    .reverse()
+    .slice(0, limit);
 }
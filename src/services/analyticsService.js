@@ -0,0 +1,192 @@
+/**
+ * Analytics Service
+ * Read-only summaries for the Home dashboard, computed from what is already
+ * stored: module completion, assessment results and the event log. Nothing
+ * here writes, so the dashboard works the same offline.
+ */
+
+import modulesConfig from "../config/modules";
+import { getAssessmentResult, getCompletion } from "./completionService";
+import { EVENT_TYPES, queryEvents } from "./eventLogService";
+import { toDateKey } from "./activityService";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const shortTitle = (manifest) => manifest.shortTitle || manifest.title;
+
+// Assessments the catalogue modules ask for (one per assessment page)
+function catalogueAssessments() {
+  return modulesConfig.flatMap((manifest) =>
+    manifest.pages
+      .filter((page) => page.assessment)
+      .map((page) => ({
+        manifest,
+        assessment: manifest.assessments.find((a) => a.id === page.assessment),
+      }))
+  );
+}
+
+// Module Progress
+export function getModuleBreakdown() {
+  return modulesConfig.map((manifest) => {
+    const { percent, complete } = getCompletion(manifest.id);
+    return { id: manifest.id, title: shortTitle(manifest), percent, complete };
+  });
+}
+
+// Assessments: how many are passed, and every recorded attempt
+export function getAssessmentSummary() {
+  const assessments = catalogueAssessments();
+  const passed = assessments.filter(
+    ({ assessment }) =>
+      (getAssessmentResult(assessment.id)?.bestScore ?? -1) >=
+      assessment.passingScore
+  ).length;
+  const attempts = assessments.flatMap(
+    ({ assessment }) => getAssessmentResult(assessment.id)?.history ?? []
+  );
+  return {
+    passed,
+    total: assessments.length,
+    attempts: attempts.length,
+    averageScore: attempts.length
+      ? Math.round(
+          attempts.reduce((sum, a) => sum + a.score, 0) / attempts.length
+        )
+      : null,
+  };
+}
+
+// Recorded attempts per assessment, oldest first (assessments never taken
+// are left out)
+export function getScoreHistory() {
+  return catalogueAssessments()
+    .map(({ manifest, assessment }) => ({
+      id: assessment.id,
+      title: shortTitle(manifest),
+      passingScore: assessment.passingScore,
+      history: getAssessmentResult(assessment.id)?.history ?? [],
+    }))
+    .filter((series) => series.history.length > 0);
+}
+
+// Streaks
+function countStreak(counts, fromDate) {
+  let streak = 0;
+  const day = new Date(fromDate);
+  while (counts.has(toDateKey(day))) {
+    streak += 1;
+    day.setDate(day.getDate() - 1);
+  }
+  return streak;
+}
+
+function longestStreak(counts) {
+  let longest = 0;
+  counts.forEach((_, key) => {
+    const next = new Date(`${key}T00:00:00`);
+    next.setDate(next.getDate() + 1);
+    // count back from the last day of each run
+    if (!counts.has(toDateKey(next))) {
+      longest = Math.max(longest, countStreak(counts, `${key}T00:00:00`));
+    }
+  });
+  return longest;
+}
+
+/**
+ * Daily activity for the streak calendar: one cell per day for the last
+ * `weeks` weeks (starting on a Sunday), with the number of events that day.
+ * Streaks are limited to what the event log still holds.
+ */
+export function getActivityCalendar(weeks = 12) {
+  const counts = new Map();
+  queryEvents().forEach((e) => {
+    const key = toDateKey(new Date(e.at));
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const start = new Date(today);
+  start.setDate(today.getDate() - today.getDay() - (weeks - 1) * 7);
+
+  const days = [];
+  const day = new Date(start);
+  while (day <= today) {
+    const key = toDateKey(day);
+    days.push({ date: key, count: counts.get(key) || 0 });
+    day.setDate(day.getDate() + 1);
+  }
+
+  // a streak is still alive until the end of the day after the last activity
+  const yesterday = new Date(today);
+  yesterday.setDate(today.getDate() - 1);
+  const currentStreak = counts.has(toDateKey(today))
+    ? countStreak(counts, today)
+    : countStreak(counts, yesterday);
+
+  return { days, currentStreak, longestStreak: longestStreak(counts) };
+}
+
+// Study Time (time on module pages)
+export function getStudyTime() {
+  const now = Date.now();
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+
+  const byModule = new Map();
+  let totalMs = 0;
+  let todayMs = 0;
+  let weekMs = 0;
+
+  queryEvents({ type: EVENT_TYPES.PAGE_EXIT }).forEach((e) => {
+    const ms = e.durationMs ?? 0;
+    totalMs += ms;
+    if (e.at >= startOfToday.getTime()) todayMs += ms;
+    if (e.at >= now - 7 * DAY_MS) weekMs += ms;
+    byModule.set(e.moduleId, (byModule.get(e.moduleId) || 0) + ms);
+  });
+
+  return {
+    totalMs,
+    todayMs,
+    weekMs,
+    byModule: modulesConfig
+      .map((manifest) => ({
+        id: manifest.id,
+        title: shortTitle(manifest),
+        ms: byModule.get(manifest.id) || 0,
+      }))
+      .filter((m) => m.ms > 0)
+      .sort((a, b) => b.ms - a.ms),
+  };
+}
+
+// Weakest Topics: assessments with the lowest share of correct answers
+export function getWeakestTopics(limit = 3) {
+  const tally = new Map();
+  queryEvents({ type: EVENT_TYPES.ASSESSMENT_ANSWER }).forEach((e) => {
+    const id = e.detail?.assessmentId;
+    if (!id) return;
+    const entry = tally.get(id) || { answered: 0, correct: 0 };
+    entry.answered += 1;
+    if (e.detail.correct) entry.correct += 1;
+    tally.set(id, entry);
+  });
+
+  return catalogueAssessments()
+    .filter(({ assessment }) => tally.has(assessment.id))
+    .map(({ manifest, assessment }) => {
+      const { answered, correct } = tally.get(assessment.id);
+      return {
+        id: assessment.id,
+        moduleId: manifest.id,
+        title: shortTitle(manifest),
+        answered,
+        accuracy: Math.round((correct / answered) * 100),
+      };
+    })
+    .sort((a, b) => a.accuracy - b.accuracy)
+    .slice(0, limit);
+}
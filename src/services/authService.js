@@ -0,0 +1,206 @@
+/**
+ * Auth Service
+ * Local, multi-account authentication. Passwords are salted and hashed with
+ * PBKDF2 (WebCrypto) and never stored in plaintext; a successful login
+ * starts an expiring session in accountService.
+ */
+
+import {
+  endSession,
+  findAccountByEmail,
+  getCurrentAccount,
+  listAccounts,
+  migrateLegacyUser,
+  registerAccount,
+  removeAccount,
+  startSession,
+  updateAccount,
+} from "./accountService";
+import { removeProfile } from "./progressStore";
+
+const PBKDF2_ITERATIONS = 310000;
+const PBKDF2_HASH = "SHA-256";
+const SALT_BYTES = 16;
+const KEY_BITS = 256;
+
+// Error carrying the form field it belongs to ("email" | "password")
+export class AuthError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = "AuthError";
+    this.field = field;
+  }
+}
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+
+const fromBase64 = (text) =>
+  Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+async function derive(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  return crypto.subtle.deriveBits(
+    { name: "PBKDF2", salt, iterations, hash: PBKDF2_HASH },
+    keyMaterial,
+    KEY_BITS
+  );
+}
+
+// Returns the credential record stored on the account
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await derive(password, salt, PBKDF2_ITERATIONS);
+  return {
+    algorithm: `PBKDF2-${PBKDF2_HASH}`,
+    iterations: PBKDF2_ITERATIONS,
+    salt: toBase64(salt),
+    hash: toBase64(hash),
+  };
+}
+
+export async function verifyPassword(password, credential) {
+  if (!credential?.salt || !credential?.hash) return false;
+  const hash = await derive(
+    password,
+    fromBase64(credential.salt),
+    credential.iterations
+  );
+  // compare every byte so timing doesn't reveal the matching prefix
+  const expected = fromBase64(credential.hash);
+  const actual = new Uint8Array(hash);
+  if (expected.length !== actual.length) return false;
+  let diff = 0;
+  expected.forEach((byte, i) => {
+    diff |= byte ^ actual[i];
+  });
+  return diff === 0;
+}
+
+// Run once before the app starts (main.jsx): hashes the passwords kept in
+// plaintext before accounts had credentials, both the old single "user"
+// entry and accounts an earlier version moved into the registry as they were
+export async function migrateLegacyAccounts() {
+  await migrateLegacyUser(hashPassword);
+  for (const account of listAccounts()) {
+    if (typeof account.password !== "string") continue;
+    const credential =
+      account.credential || (await hashPassword(account.password));
+    updateAccount(account.id, { credential, password: undefined });
+  }
+}
+
+function checkAccountPassword(account, password) {
+  return verifyPassword(password, account.credential);
+}
+
+export async function signUp({ username, email, password }) {
+  if (findAccountByEmail(email)) {
+    throw new AuthError("email", "This Gmail is already registered.");
+  }
+  const credential = await hashPassword(password);
+  return registerAccount({ username, email, credential });
+}
+
+export async function logIn(email, password) {
+  const account = findAccountByEmail(email);
+  if (!account) {
+    throw new AuthError("email", "This Gmail is not registered.");
+  }
+  if (!(await checkAccountPassword(account, password))) {
+    throw new AuthError("password", "Incorrect password.");
+  }
+  return startSession(account.id);
+}
+
+export function logOut() {
+  endSession();
+}
+
+// Changes the password of the logged-in account only
+export async function changePassword(currentPassword, newPassword) {
+  const account = getCurrentAccount();
+  if (!account) throw new AuthError("password", "You are not logged in.");
+  if (!(await checkAccountPassword(account, currentPassword))) {
+    throw new AuthError("password", "Current password is incorrect.");
+  }
+  const credential = await hashPassword(newPassword);
+  updateAccount(account.id, { credential, password: undefined });
+}
+
+// Removes the logged-in account and its progress; other accounts are kept
+export async function deleteAccount(password) {
+  const account = getCurrentAccount();
+  if (!account) throw new AuthError("password", "You are not logged in.");
+  if (!(await checkAccountPassword(account, password))) {
+    throw new AuthError("password", "Incorrect password.");
+  }
+  removeProfile(account.id);
+  removeAccount(account.id);
+  endSession();
+}
+
+// Re-checks the logged-in account's password before sensitive actions
+export async function confirmPassword(password) {
+  const account = getCurrentAccount();
+  if (!account) throw new AuthError("password", "You are not logged in.");
+  if (!(await checkAccountPassword(account, password))) {
+    throw new AuthError("password", "Incorrect password.");
+  }
+  return account;
+}
+
+// Signatures: HMAC keyed with a PBKDF2 derivation of the password, so only
+// someone who knows it can produce (or check) one
+async function hmacKey(password, salt, iterations) {
+  const secret = await derive(password, salt, iterations);
+  return crypto.subtle.importKey(
+    "raw",
+    secret,
+    { name: "HMAC", hash: PBKDF2_HASH },
+    false,
+    ["sign", "verify"]
+  );
+}
+
+export async function signWithPassword(password, text) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const key = await hmacKey(password, salt, PBKDF2_ITERATIONS);
+  const value = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(text)
+  );
+  return {
+    algorithm: `HMAC-${PBKDF2_HASH}`,
+    kdf: `PBKDF2-${PBKDF2_HASH}`,
+    iterations: PBKDF2_ITERATIONS,
+    salt: toBase64(salt),
+    value: toBase64(value),
+  };
+}
+
+export async function verifySignature(password, text, signature) {
+  if (!signature?.salt || !signature?.value) return false;
+  try {
+    const key = await hmacKey(
+      password,
+      fromBase64(signature.salt),
+      signature.iterations
+    );
+    return await crypto.subtle.verify(
+      "HMAC",
+      key,
+      fromBase64(signature.value),
+      new TextEncoder().encode(text)
+    );
+  } catch {
+    // malformed base64 or iteration count
+    return false;
+  }
+}
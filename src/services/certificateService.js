@@ -0,0 +1,156 @@
+/**
+ * Certificate Service
+ * Completion certificate for a student who has completed every module on
+ * the Modules page (which includes passing its assessment, see
+ * completionService). It is issued once, the first time everything is
+ * complete, and kept with the student's progress, so later attempts don't
+ * change it. It is only ever issued here, from completion this device
+ * recorded or re-checked itself; learning records never carry one.
+ * Its verification code is an HMAC of the issued record keyed with a secret
+ * that never leaves this device: a teacher types the code into the app on
+ * the device that issued it and sees whose certificate it is, and nobody
+ * can work out a valid code elsewhere.
+ */
+
+import modulesConfig from "../config/modules";
+import { getCurrentAccount, listAccounts } from "./accountService";
+import { getCompletion } from "./completionService";
+import { getProfileSection, getSection, setSection } from "./progressStore";
+
+const SECTION = "certificate";
+// Device-wide, like the teacher PIN: not part of any profile or export
+const SECRET_KEY = "certificateSecret";
+
+// Hex digits of the fingerprint shown as the code, in groups of four
+const CODE_LENGTH = 12;
+
+const isIssued = (certificate) => Boolean(certificate?.issuedAt);
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), (b) =>
+    b.toString(16).padStart(2, "0")
+  ).join("");
+
+/**
+ * How far the student is from the certificate.
+ * @returns {{ complete: number, total: number, remaining: string[] }}
+ *   remaining = titles of the modules still to complete
+ */
+export function getCertificateProgress() {
+  const remaining = modulesConfig.filter((m) => !getCompletion(m.id).complete);
+  return {
+    complete: modulesConfig.length - remaining.length,
+    total: modulesConfig.length,
+    remaining: remaining.map((m) => m.title),
+  };
+}
+
+function issueCertificate(account) {
+  const modules = modulesConfig.map((m) => {
+    const completion = getCompletion(m.id);
+    const assessment = completion.criteria.find((c) => c.key === "assessment");
+    return {
+      moduleId: m.id,
+      title: m.title,
+      completedAt: completion.completedAt,
+      score: assessment?.bestScore ?? null,
+    };
+  });
+  const stamps = modules.map((m) => m.completedAt).filter(Boolean);
+  return setSection(SECTION, {
+    // the moment the last module was completed
+    issuedAt: stamps.length ? Math.max(...stamps) : Date.now(),
+    username: account.username || account.email,
+    modules,
+  });
+}
+
+/**
+ * Certificate of the logged-in student, issued on the first call after
+ * every module is complete.
+ * @returns {Object|null} { issuedAt, username, modules: [{ moduleId, title,
+ *   completedAt, score }] }, null while modules remain
+ */
+export function getCertificate() {
+  const account = getCurrentAccount();
+  if (!account || !modulesConfig.length) return null;
+  const stored = getSection(SECTION);
+  if (isIssued(stored)) return stored;
+  return getCertificateProgress().remaining.length
+    ? null
+    : issueCertificate(account);
+}
+
+// The same text for the same issued record, whatever else changes later
+const fingerprintText = (certificate, email) =>
+  [
+    email,
+    certificate.username,
+    certificate.issuedAt,
+    ...certificate.modules.map(
+      (m) => `${m.moduleId}:${m.completedAt ?? ""}:${m.score ?? ""}`
+    ),
+  ].join("|");
+
+// The device's signing key, created the first time a code is needed
+async function deviceKey() {
+  let secret = localStorage.getItem(SECRET_KEY);
+  if (!secret) {
+    secret = toHex(crypto.getRandomValues(new Uint8Array(32)));
+    localStorage.setItem(SECRET_KEY, secret);
+  }
+  return crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+}
+
+/**
+ * Verification code of an issued certificate, e.g. "3F9A-1C2B-77D0". Only
+ * the device that issued the certificate can produce or check it.
+ * @param {Object} certificate - see getCertificate
+ * @param {string} email - of the student it was issued to
+ * @returns {Promise<string>}
+ */
+export async function certificateCode(certificate, email) {
+  const digest = await crypto.subtle.sign(
+    "HMAC",
+    await deviceKey(),
+    new TextEncoder().encode(fingerprintText(certificate, email))
+  );
+  const hex = toHex(digest).slice(0, CODE_LENGTH).toUpperCase();
+  return hex.match(/.{4}/g).join("-");
+}
+
+/**
+ * Looks a verification code up among the students on this device. A code
+ * from a certificate issued on another device never matches.
+ * @param {string} code - as printed; case, spaces and dashes don't matter
+ * @returns {Promise<Object|null>} the certificate with the student's
+ *   email and avatar, null when no certificate here has that code
+ */
+export async function verifyCertificate(code) {
+  const wanted = String(code)
+    .toUpperCase()
+    .replace(/[^0-9A-F]/g, "");
+  if (wanted.length !== CODE_LENGTH) return null;
+
+  for (const account of listAccounts()) {
+    const certificate = getProfileSection(account.id, SECTION);
+    if (!isIssued(certificate)) continue;
+    const issued = await certificateCode(certificate, account.email);
+    if (issued.replace(/-/g, "") === wanted) {
+      return { ...certificate, email: account.email, avatar: account.avatar };
+    }
+  }
+  return null;
+}
+
+export function certificateFileName(certificate, email, extension) {
+  const date = new Date(certificate.issuedAt).toISOString().slice(0, 10);
+  const name = email.split("@")[0].replace(/[^\w.-]/g, "_");
+  return `eduar-certificate-${name}-${date}.${extension}`;
+}
@@ -0,0 +1,246 @@
+/**
+ * Completion Service
+ * A module is complete only once the learner has shown mastery of it: every
+ * page viewed, every interactive visualization actually run and a passing
+ * score on the module's assessment. What counts is declared by the module
+ * manifest (see config/modules); the evidence lives in the progress store.
+ * Once a module has been completed it stays complete, even if its manifest
+ * later asks for more.
+ */
+
+import { getManifest, moduleManifests } from "../config/modules";
+import { getSection, updateSection, normalizeRouteKey } from "./progressStore";
+
+const SECTION_COMPLETION = "completion";
+const SECTION_RESULTS = "assessmentResults";
+
+const emptyEntry = () => ({
+  pagesViewed: [],
+  visualizationsRun: [],
+  completedAt: null,
+});
+
+// What a manifest asks for before the module counts as complete
+function requirementsFor(manifest) {
+  const assessmentPage = manifest.pages.find((page) => page.assessment);
+  return {
+    pages: manifest.pages,
+    visualizations: manifest.pages.filter((page) => page.visualization),
+    assessment: assessmentPage
+      ? manifest.assessments.find((a) => a.id === assessmentPage.assessment)
+      : null,
+  };
+}
+
+function criterion(key, label, required, isDone) {
+  const remaining = required.filter((item) => !isDone(item));
+  return {
+    key,
+    label,
+    done: required.length - remaining.length,
+    total: required.length,
+    met: remaining.length === 0,
+    remaining: remaining.map((item) => item.title),
+  };
+}
+
+// Assessment Results (scores are percentages)
+export function getAssessmentResult(assessmentId) {
+  return getSection(SECTION_RESULTS)[assessmentId] || null;
+}
+
+// An attempt whose score follows from its own answer counts
+const isConsistentAttempt = (h) =>
+  Number.isInteger(h.correct) &&
+  Number.isInteger(h.total) &&
+  h.total > 0 &&
+  h.correct <= h.total &&
+  h.score === Math.round((h.correct / h.total) * 100);
+
+/**
+ * Re-checks assessment results that come from outside this device (e.g. an
+ * imported learning record): only assessments some manifest declares and
+ * attempts whose score matches their answers are kept, and the best score,
+ * last score and attempt count are rebuilt from those attempts.
+ * @param {Object} results - a sanitized assessmentResults section
+ * @returns {Object} the results that hold up
+ */
+export function checkAssessmentResults(results) {
+  const known = new Set(
+    moduleManifests.flatMap((m) => m.assessments.map((a) => a.id))
+  );
+  const checked = {};
+  Object.entries(results).forEach(([id, entry]) => {
+    const history = entry.history.filter(isConsistentAttempt);
+    if (!known.has(id) || !history.length) return;
+    const last = history[history.length - 1];
+    checked[id] = {
+      bestScore: Math.max(...history.map((h) => h.score)),
+      lastScore: last.score,
+      attempts: history.length,
+      updatedAt: last.at,
+      history,
+    };
+  });
+  return checked;
+}
+
+// The criteria of a manifest against one completion entry
+function criteriaFor(manifest, entry, resultOf) {
+  const { pages, visualizations, assessment } = requirementsFor(manifest);
+  // a module without visualizations simply has no such criterion
+  const criteria = [
+    criterion("pages", "Pages viewed", pages, (page) =>
+      entry.pagesViewed.includes(page.id)
+    ),
+    criterion("visualizations", "Visualizations run", visualizations, (page) =>
+      entry.visualizationsRun.includes(page.id)
+    ),
+  ].filter((c) => c.total > 0);
+
+  if (assessment) {
+    const result = resultOf(assessment.id);
+    criteria.push({
+      ...criterion(
+        "assessment",
+        `Assessment score of ${assessment.passingScore}% or more`,
+        [assessment],
+        () => (result?.bestScore ?? 0) >= assessment.passingScore
+      ),
+      bestScore: result ? result.bestScore : null,
+      passingScore: assessment.passingScore,
+    });
+  }
+  return criteria;
+}
+
+/**
+ * Re-checks completion evidence that comes from outside this device:
+ * evidence for pages the module does not have is dropped, and completedAt
+ * is kept only if the evidence and the given assessment results meet every
+ * requirement of the manifest, or if the entry is a legacy completion
+ * carried over from the old rules (which never had such evidence).
+ * @param {string} moduleId
+ * @param {Object} entry - { pagesViewed, visualizationsRun, completedAt,
+ *   legacy? }
+ * @param {Object} results - assessmentResults to judge the assessment by
+ * @returns {Object|null} the checked entry, null for an unknown module
+ */
+export function checkCompletionEntry(moduleId, entry, results) {
+  const manifest = getManifest(moduleId);
+  if (!manifest) return null;
+
+  const { pages, visualizations } = requirementsFor(manifest);
+  const pageIds = pages.map((page) => page.id);
+  const visualizationIds = visualizations.map((page) => page.id);
+  const checked = {
+    pagesViewed: entry.pagesViewed.filter((id) => pageIds.includes(id)),
+    visualizationsRun: entry.visualizationsRun.filter((id) =>
+      visualizationIds.includes(id)
+    ),
+    completedAt: null,
+  };
+  const criteria = criteriaFor(manifest, checked, (id) => results[id]);
+  if (entry.completedAt && entry.legacy) {
+    return { ...checked, completedAt: entry.completedAt, legacy: true };
+  }
+  if (entry.completedAt && criteria.every((c) => c.met)) {
+    checked.completedAt = entry.completedAt;
+  }
+  return checked;
+}
+
+// Completion State
+export function getCompletion(moduleId) {
+  const id = normalizeRouteKey(moduleId);
+  const manifest = getManifest(id);
+  const entry = getSection(SECTION_COMPLETION)[id] || emptyEntry();
+  if (!manifest) {
+    return { moduleId: id, criteria: [], complete: false, percent: 0 };
+  }
+
+  const criteria = criteriaFor(manifest, entry, getAssessmentResult);
+
+  // every criterion weighs the same; 100% is reserved for a complete module
+  const complete = Boolean(entry.completedAt) || criteria.every((c) => c.met);
+  const fractions = criteria.map((c) => c.done / c.total);
+  const average = criteria.length
+    ? fractions.reduce((sum, f) => sum + f, 0) / criteria.length
+    : 0;
+
+  return {
+    moduleId: id,
+    criteria,
+    complete,
+    percent: complete ? 100 : Math.min(99, Math.round(average * 100)),
+    completedAt: entry.completedAt,
+  };
+}
+
+// Stamp the first moment a module became complete
+function settle(moduleId) {
+  if (!getCompletion(moduleId).complete) return;
+  updateSection(SECTION_COMPLETION, (stored) => {
+    const entry = stored[moduleId] || emptyEntry();
+    if (entry.completedAt) return stored;
+    return { ...stored, [moduleId]: { ...entry, completedAt: Date.now() } };
+  });
+}
+
+function addEvidence(moduleId, field, pageId) {
+  const id = normalizeRouteKey(moduleId);
+  const entry = getSection(SECTION_COMPLETION)[id] || emptyEntry();
+  if (!pageId || entry[field].includes(pageId)) return;
+
+  updateSection(SECTION_COMPLETION, (stored) => ({
+    ...stored,
+    [id]: { ...entry, [field]: [...entry[field], pageId] },
+  }));
+  settle(id);
+}
+
+// Evidence
+export function markPageViewed(moduleId, pageId) {
+  addEvidence(moduleId, "pagesViewed", pageId);
+}
+
+export function markVisualizationRun(moduleId, pageId) {
+  addEvidence(moduleId, "visualizationsRun", pageId);
+}
+
+// score = correct answers out of total; keeps the best score for completion.
+// attempt: extra details of a scored session ({ durationMs, seed,
+// questionIds })
+export function recordAssessmentResult(
+  assessmentId,
+  score,
+  total,
+  attempt = {}
+) {
+  if (!total) return null;
+  const percent = Math.round((score / total) * 100);
+
+  const results = updateSection(SECTION_RESULTS, (stored) => {
+    const previous = stored[assessmentId];
+    const now = Date.now();
+    return {
+      ...stored,
+      [assessmentId]: {
+        bestScore: Math.max(previous?.bestScore ?? 0, percent),
+        lastScore: percent,
+        attempts: (previous?.attempts ?? 0) + 1,
+        updatedAt: now,
+        history: [
+          ...(previous?.history ?? []),
+          { ...attempt, at: now, score: percent, correct: score, total },
+        ],
+      },
+    };
+  });
+
+  moduleManifests
+    .filter((m) => m.pages.some((page) => page.assessment === assessmentId))
+    .forEach((m) => settle(m.id));
+
+  return results[assessmentId];
+}
@@ -0,0 +1,110 @@
+/**
+ * Event Log
+ * Append-only record of what the learner does: pages entered and left (with
+ * time on page), visualization interactions, AR sessions and assessment
+ * answers. Events are only ever added; old ones are pruned by age and count
+ * so the log fits comfortably in localStorage.
+ */
+
+import { getSection, updateSection } from "./progressStore";
+
+const SECTION = "events";
+
+export const EVENT_TYPES = {
+  MODULE_OPEN: "module.open",
+  PAGE_ENTER: "page.enter",
+  PAGE_EXIT: "page.exit",
+  VISUALIZATION: "visualization.interaction",
+  AR_SESSION_START: "ar.start",
+  AR_SESSION_END: "ar.end",
+  ASSESSMENT_ANSWER: "assessment.answer",
+  PRACTICE_COMPLETE: "practice.complete",
+  EXAM_SUBMIT: "exam.submit",
+};
+
+// Retention limits
+export const MAX_EVENTS = 2000;
+export const MAX_EVENT_AGE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function prune(events, now) {
+  const cutoff = now - MAX_EVENT_AGE_DAYS * DAY_MS;
+  return events.filter((e) => e.at >= cutoff).slice(-MAX_EVENTS);
+}
+
+// fields: { moduleId, pageId, durationMs, detail } (all optional)
+export function logEvent(type, fields = {}) {
+  const event = { type, at: Date.now() };
+  ["moduleId", "pageId", "durationMs", "detail"].forEach((key) => {
+    if (fields[key] !== undefined && fields[key] !== null) {
+      event[key] = fields[key];
+    }
+  });
+
+  updateSection(SECTION, (events) => prune([...events, event], event.at));
+  return event;
+}
+
+// Adds events recorded elsewhere (e.g. on another device); events already in
+// the log are not duplicated. Returns how many were added.
+export function importEvents(incoming) {
+  const key = (e) => `${e.type}|${e.at}|${e.moduleId ?? ""}|${e.pageId ?? ""}`;
+  let added = [];
+  updateSection(SECTION, (events) => {
+    const seen = new Set(events.map(key));
+    added = incoming.filter((e) => {
+      if (seen.has(key(e))) return false;
+      seen.add(key(e));
+      return true;
+    });
+    const merged = [...events, ...added].sort((a, b) => a.at - b.at);
+    return prune(merged, Date.now());
+  });
+  return added.length;
+}
+
+/**
+ * Events in chronological order matching every given filter.
+ * @param {Object} [filters]
+ * @param {string|string[]} [filters.type] - one or more EVENT_TYPES
+ * @param {string} [filters.moduleId]
+ * @param {string} [filters.pageId]
+ * @param {number} [filters.since] - timestamp (inclusive)
+ * @param {number} [filters.until] - timestamp (exclusive)
+ * @param {number} [filters.limit] - keep only the most recent n
+ * @returns {Object[]}
+ */
+export function queryEvents({ type, moduleId, pageId, since, until, limit } = {}) {
+  const types = type === undefined ? null : [].concat(type);
+  const matches = getSection(SECTION).filter(
+    (e) =>
+      (!types || types.includes(e.type)) &&
+      (moduleId === undefined || e.moduleId === moduleId) &&
+      (pageId === undefined || e.pageId === pageId) &&
+      (since === undefined || e.at >= since) &&
+      (until === undefined || e.at < until)
+  );
+  return limit === undefined ? matches : matches.slice(-limit);
+}
+
+/**
+ * Where the time went: page visits summed per module page, longest first.
+ * @returns {{ moduleId: string, pageId: string, durationMs: number, visits: number }[]}
+ */
+export function timeOnPages(filters = {}) {
+  const totals = new Map();
+  queryEvents({ ...filters, type: EVENT_TYPES.PAGE_EXIT }).forEach((e) => {
+    const key = `${e.moduleId}/${e.pageId}`;
+    const total = totals.get(key) || {
+      moduleId: e.moduleId,
+      pageId: e.pageId,
+      durationMs: 0,
+      visits: 0,
+    };
+    total.durationMs += e.durationMs ?? 0;
+    total.visits += 1;
+    totals.set(key, total);
+  });
+  return [...totals.values()].sort((a, b) => b.durationMs - a.durationMs);
+}
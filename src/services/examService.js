@@ -0,0 +1,215 @@
+/**
+ * Exam Service
+ * Timed AR exams. A teacher opens an exam window (with the teacher PIN) for
+ * the logged-in student; while it is open, each AR assessment can be sat
+ * once as an exam: a countdown runs, the rest of the app is locked, and the
+ * attempt is submitted when every question is answered, when the time runs
+ * out or when the XR session ends. Submitted exams are recorded like any
+ * other assessment attempt; one whose XR session never started is taken
+ * back instead.
+ */
+
+import { moduleManifests } from "../config/modules";
+import { getSection, setSection, updateSection } from "./progressStore";
+import { recordAssessmentResult } from "./completionService";
+import { EVENT_TYPES, logEvent } from "./eventLogService";
+
+const SECTION_WINDOW = "examWindow";
+const SECTION_ATTEMPTS = "examAttempts";
+
+export const DEFAULT_EXAM_MINUTES = 10;
+export const DEFAULT_WINDOW_HOURS = 1;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Attempts started since the app was loaded; any other unsubmitted attempt
+// lost its XR session when the app was closed or reloaded
+const liveAttempts = new Set();
+
+// Exam Window
+export function getExamWindow() {
+  return getSection(SECTION_WINDOW);
+}
+
+export function isExamWindowOpen(now = Date.now()) {
+  const examWindow = getExamWindow();
+  return (
+    examWindow.enabled &&
+    now >= examWindow.opensAt &&
+    now < examWindow.closesAt
+  );
+}
+
+export function openExamWindow({
+  minutes = DEFAULT_EXAM_MINUTES,
+  hours = DEFAULT_WINDOW_HOURS,
+} = {}) {
+  const now = Date.now();
+  setSection(SECTION_WINDOW, {
+    enabled: true,
+    opensAt: now,
+    closesAt: now + hours * HOUR_MS,
+    minutes,
+  });
+}
+
+export function closeExamWindow() {
+  setSection(SECTION_WINDOW, { enabled: false });
+}
+
+// Module and page an assessment is sat on, for the event log
+function assessmentPage(assessmentId) {
+  for (const m of moduleManifests) {
+    const page = m.pages.find((p) => p.assessment === assessmentId);
+    if (page) return { moduleId: m.id, pageId: page.id };
+  }
+  return {};
+}
+
+// Attempts
+const isRunning = (attempt) => Boolean(attempt && !attempt.submittedAt);
+
+function getAttempt(assessmentId) {
+  return getSection(SECTION_ATTEMPTS)[assessmentId] ?? null;
+}
+
+function saveAttempt(assessmentId, attempt) {
+  updateSection(SECTION_ATTEMPTS, (stored) => ({
+    ...stored,
+    [assessmentId]: attempt,
+  }));
+  return getAttempt(assessmentId);
+}
+
+/**
+ * Exam state of an assessment for the current student.
+ * @returns {{ open: boolean, minutes: number, attempt: Object|null,
+ *   canStart: boolean }} attempt is the one of the current window, if any
+ */
+export function getExamStatus(assessmentId) {
+  const examWindow = getExamWindow();
+  const open = isExamWindowOpen();
+  const attempt = getAttempt(assessmentId);
+  // a running exam outlives its window being closed
+  const current =
+    attempt &&
+    (isRunning(attempt) ||
+      (examWindow.enabled && attempt.windowOpensAt === examWindow.opensAt))
+      ? attempt
+      : null;
+  return {
+    open,
+    minutes: examWindow.minutes ?? DEFAULT_EXAM_MINUTES,
+    attempt: current,
+    // one attempt per window
+    canStart: open && !current,
+  };
+}
+
+/**
+ * Starts the exam attempt of this window.
+ * @returns {Object|null} the attempt, null when no attempt is allowed
+ */
+export function startExam(assessmentId, total) {
+  const examWindow = getExamWindow();
+  if (!total || !getExamStatus(assessmentId).canStart) return null;
+  const now = Date.now();
+  liveAttempts.add(assessmentId);
+  return saveAttempt(assessmentId, {
+    windowOpensAt: examWindow.opensAt,
+    startedAt: now,
+    // the time runs out with the window at the latest
+    deadline: Math.min(
+      now + examWindow.minutes * MINUTE_MS,
+      examWindow.closesAt
+    ),
+    total,
+    answers: [],
+  });
+}
+
+// The questions the exam asks (seed and question ids, as stored with any
+// attempt); they can change until the first answer
+export function recordExamQuestions(assessmentId, { seed, questionIds }) {
+  const attempt = getAttempt(assessmentId);
+  if (!isRunning(attempt) || attempt.answers.length) return attempt;
+  return saveAttempt(assessmentId, { ...attempt, seed, questionIds });
+}
+
+// The first answer to each question counts
+export function recordExamAnswer(assessmentId, index, isCorrect) {
+  const attempt = getAttempt(assessmentId);
+  if (!isRunning(attempt) || index >= attempt.total) return attempt;
+  if (typeof attempt.answers[index] === "boolean") return attempt;
+  const answers = [...attempt.answers];
+  answers[index] = Boolean(isCorrect);
+  return saveAttempt(assessmentId, { ...attempt, answers });
+}
+
+export const examComplete = (attempt) =>
+  attempt.answers.filter((a) => typeof a === "boolean").length >=
+  attempt.total;
+
+/**
+ * Ends a running exam and records its score; unanswered questions count as
+ * wrong. Calling it again returns the submitted attempt unchanged.
+ * @param {"completed"|"timeout"|"session-end"} reason
+ */
+export function submitExam(assessmentId, reason) {
+  const attempt = getAttempt(assessmentId);
+  if (!isRunning(attempt)) return attempt;
+  liveAttempts.delete(assessmentId);
+
+  const now = Date.now();
+  const submittedAt = Math.min(now, attempt.deadline);
+  const correct = attempt.answers.filter(Boolean).length;
+  const submitted = saveAttempt(assessmentId, {
+    ...attempt,
+    submittedAt,
+    reason,
+  });
+  recordAssessmentResult(assessmentId, correct, attempt.total, {
+    durationMs: submittedAt - attempt.startedAt,
+    seed: attempt.seed,
+    questionIds: attempt.questionIds,
+  });
+  logEvent(EVENT_TYPES.EXAM_SUBMIT, {
+    ...assessmentPage(assessmentId),
+    durationMs: submittedAt - attempt.startedAt,
+    detail: { assessmentId, correct, total: attempt.total, reason },
+  });
+  return submitted;
+}
+
+/**
+ * Takes back a running exam whose XR session could not start (AR refused
+ * or unavailable): no question was shown, so nothing is recorded and the
+ * exam can be started again. One with answers is submitted instead.
+ * @returns {Object|null} the submitted attempt, null when taken back
+ */
+export function cancelExam(assessmentId) {
+  const attempt = getAttempt(assessmentId);
+  if (!isRunning(attempt)) return attempt;
+  if (attempt.answers.some((a) => typeof a === "boolean")) {
+    return submitExam(assessmentId, "session-end");
+  }
+  liveAttempts.delete(assessmentId);
+  updateSection(SECTION_ATTEMPTS, (stored) => {
+    const rest = { ...stored };
+    delete rest[assessmentId];
+    return rest;
+  });
+  return null;
+}
+
+// Submits exams whose XR session is gone (app closed or reloaded
+// mid-exam) or whose time ran out meanwhile
+export function settleAbandonedExams() {
+  const now = Date.now();
+  Object.entries(getSection(SECTION_ATTEMPTS)).forEach(([id, attempt]) => {
+    if (!isRunning(attempt)) return;
+    if (now >= attempt.deadline) submitExam(id, "timeout");
+    else if (!liveAttempts.has(id)) submitExam(id, "session-end");
+  });
+}
@@ -0,0 +1,367 @@
+/**
+ * Learning Record
+ * Moves a student's full record between devices as one JSON bundle: the
+ * account profile (never the password), module completion, assessment
+ * results, page positions and the event log. Bundles are versioned and
+ * signed with the account password. The signature only shows the file was
+ * made, or re-signed, by someone who knows the password it is imported
+ * with; it cannot stop the student editing their own record. So nothing in
+ * it is taken on trust: assessment results and module completion are
+ * re-checked against the module manifests before they are merged into what
+ * the device already holds.
+ */
+
+import { getCurrentAccount, updateAccount } from "./accountService";
+import {
+  confirmPassword,
+  signWithPassword,
+  verifySignature,
+} from "./authService";
+import {
+  checkAssessmentResults,
+  checkCompletionEntry,
+} from "./completionService";
+import { importEvents } from "./eventLogService";
+import {
+  getSection,
+  sanitizeSection,
+  SCHEMA_VERSION,
+  setSection,
+} from "./progressStore";
+
+export const RECORD_FORMAT = "eduar-learning-record";
+export const RECORD_VERSION = 1;
+
+// Sections that travel with the student (the unlock override is a
+// classroom setting of this device, so it stays behind, and a certificate
+// is only ever issued by the device itself, see certificateService)
+const RECORD_SECTIONS = [
+  "completion",
+  "assessmentResults",
+  "modulePagePositions",
+  "events",
+  "mastery",
+];
+
+const PROFILE_FIELDS = ["username", "avatar"];
+
+const profileValue = (bundle, field) =>
+  typeof bundle.account[field] === "string" ? bundle.account[field] : "";
+
+// Error shown to the user as is
+export class LearningRecordError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LearningRecordError";
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Same JSON whatever order the keys were written in, so the signature
+// survives a round trip through other tools
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+  if (isPlainObject(value)) {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Everything except the signature itself is signed
+function signedText(bundle) {
+  const signed = { ...bundle };
+  delete signed.signature;
+  return canonicalJSON(signed);
+}
+
+// Export
+export async function exportLearningRecord(password) {
+  const account = await confirmPassword(password);
+  const data = {};
+  RECORD_SECTIONS.forEach((name) => {
+    data[name] = getSection(name);
+  });
+
+  const bundle = {
+    format: RECORD_FORMAT,
+    version: RECORD_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: Date.now(),
+    account: {
+      username: account.username || "",
+      email: account.email,
+      avatar: account.avatar || null,
+      createdAt: account.createdAt ?? 0,
+    },
+    data,
+  };
+  const signature = await signWithPassword(password, signedText(bundle));
+  return { ...bundle, signature };
+}
+
+export function learningRecordFileName(bundle) {
+  const date = new Date(bundle.exportedAt).toISOString().slice(0, 10);
+  const name = bundle.account.email.split("@")[0].replace(/[^\w.-]/g, "_");
+  return `eduar-record-${name}-${date}.json`;
+}
+
+/**
+ * Parses and validates an exported file. The data sections are cleaned the
+ * same way the progress store cleans its own data; the signature is only
+ * checked on import because it needs the password.
+ * @param {string} text - file contents
+ * @returns {Object} bundle
+ * @throws {LearningRecordError}
+ */
+export function readLearningRecord(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    throw new LearningRecordError("This file is not valid JSON.");
+  }
+
+  if (!isPlainObject(bundle) || bundle.format !== RECORD_FORMAT) {
+    throw new LearningRecordError("This file is not an EduAR learning record.");
+  }
+  if (bundle.version !== RECORD_VERSION) {
+    throw new LearningRecordError(
+      `Unsupported learning record version ${bundle.version}.`
+    );
+  }
+  if (
+    !Number.isInteger(bundle.schemaVersion) ||
+    bundle.schemaVersion > SCHEMA_VERSION
+  ) {
+    throw new LearningRecordError(
+      "This record was made by a newer version of the app. Update and try again."
+    );
+  }
+  if (
+    !isPlainObject(bundle.account) ||
+    typeof bundle.account.email !== "string" ||
+    !isPlainObject(bundle.data) ||
+    !isPlainObject(bundle.signature)
+  ) {
+    throw new LearningRecordError("This learning record is incomplete.");
+  }
+  return bundle;
+}
+
+// Sections cleaned like the store's own, with the results re-checked
+function cleanData(bundle) {
+  const data = Object.fromEntries(
+    RECORD_SECTIONS.map((name) => [
+      name,
+      sanitizeSection(name, bundle.data[name]),
+    ])
+  );
+  data.assessmentResults = checkAssessmentResults(data.assessmentResults);
+  return data;
+}
+
+/**
+ * Where the record and this device disagree, and how the merge settles it.
+ * @returns {{ section: string, key: string, label: string, resolution: string }[]}
+ */
+export function findConflicts(bundle) {
+  const account = getCurrentAccount();
+  const incoming = cleanData(bundle);
+  const conflicts = [];
+
+  const sameEmail = (a, b) => a.toLowerCase() === b.toLowerCase();
+  if (account && !sameEmail(account.email, bundle.account.email)) {
+    conflicts.push({
+      section: "account",
+      key: "email",
+      label: `Exported from another account (${bundle.account.email})`,
+      resolution: `Progress is added to ${account.email}`,
+    });
+  }
+
+  PROFILE_FIELDS.forEach((field) => {
+    const theirs = profileValue(bundle, field);
+    if (account?.[field] && theirs && account[field] !== theirs) {
+      conflicts.push({
+        section: "profile",
+        key: field,
+        label: `Different ${field === "avatar" ? "profile picture" : field}`,
+        resolution: "This device's profile is kept",
+      });
+    }
+  });
+
+  const results = getSection("assessmentResults");
+  Object.entries(incoming.assessmentResults).forEach(([id, theirs]) => {
+    const ours = results[id];
+    if (!ours) return;
+    if (
+      ours.bestScore !== theirs.bestScore ||
+      ours.attempts !== theirs.attempts
+    ) {
+      conflicts.push({
+        section: "assessmentResults",
+        key: id,
+        label: `${id} assessment: best ${ours.bestScore}% here, ${theirs.bestScore}% in the record`,
+        resolution: "Best score is kept and attempt histories are combined",
+      });
+    }
+  });
+
+  const positions = getSection("modulePagePositions");
+  Object.entries(incoming.modulePagePositions).forEach(([id, page]) => {
+    if (positions[id] !== undefined && positions[id] !== page) {
+      conflicts.push({
+        section: "modulePagePositions",
+        key: id,
+        label: `${id}: page ${positions[id] + 1} here, page ${page + 1} in the record`,
+        resolution: "The furthest page is kept",
+      });
+    }
+  });
+
+  return conflicts;
+}
+
+// Merging: nothing the student earned on either device is lost. An
+// imported completion only counts if the combined evidence and results
+// (the merged assessment results) meet the module's requirements, or if it
+// is a legacy one carried over from the old rules.
+function mergeCompletion(ours, theirs, results) {
+  const merged = { ...ours };
+  Object.entries(theirs).forEach(([id, entry]) => {
+    const mine = ours[id] || {
+      pagesViewed: [],
+      visualizationsRun: [],
+      completedAt: null,
+    };
+    const checked = checkCompletionEntry(
+      id,
+      {
+        pagesViewed: [...new Set([...mine.pagesViewed, ...entry.pagesViewed])],
+        visualizationsRun: [
+          ...new Set([...mine.visualizationsRun, ...entry.visualizationsRun]),
+        ],
+        completedAt: entry.completedAt,
+        legacy: entry.legacy,
+      },
+      results
+    );
+    if (!checked) return;
+    const stamps = [mine.completedAt, checked.completedAt].filter(Boolean);
+    merged[id] = {
+      ...checked,
+      completedAt: stamps.length ? Math.min(...stamps) : null,
+      ...(mine.legacy && { legacy: true }),
+    };
+  });
+  return merged;
+}
+
+function mergeResults(ours, theirs) {
+  const merged = { ...ours };
+  Object.entries(theirs).forEach(([id, entry]) => {
+    const mine = ours[id];
+    if (!mine) {
+      merged[id] = entry;
+      return;
+    }
+    const history = [...mine.history];
+    entry.history.forEach((h) => {
+      if (!history.some((m) => m.at === h.at)) history.push(h);
+    });
+    history.sort((a, b) => a.at - b.at);
+    const latest = entry.updatedAt > mine.updatedAt ? entry : mine;
+    merged[id] = {
+      bestScore: Math.max(mine.bestScore, entry.bestScore),
+      lastScore: latest.lastScore,
+      attempts: Math.max(mine.attempts, entry.attempts, history.length),
+      updatedAt: latest.updatedAt,
+      history,
+    };
+  });
+  return merged;
+}
+
+// Each concept keeps the estimate built from more answers
+function mergeMastery(ours, theirs) {
+  const merged = { ...ours };
+  Object.entries(theirs).forEach(([concept, entry]) => {
+    const mine = ours[concept];
+    if (
+      !mine ||
+      entry.attempts > mine.attempts ||
+      (entry.attempts === mine.attempts && entry.updatedAt > mine.updatedAt)
+    ) {
+      merged[concept] = entry;
+    }
+  });
+  return merged;
+}
+
+function mergePositions(ours, theirs) {
+  const merged = { ...ours };
+  Object.entries(theirs).forEach(([id, page]) => {
+    merged[id] = Math.max(ours[id] ?? 0, page);
+  });
+  return merged;
+}
+
+/**
+ * Checks the signature with the password the record was exported with, then
+ * merges it into the logged-in account.
+ * @returns {Promise<{ modules: number, assessments: number, events: number }>}
+ * @throws {LearningRecordError}
+ */
+export async function importLearningRecord(bundle, password) {
+  const account = getCurrentAccount();
+  if (!account) throw new LearningRecordError("You are not logged in.");
+  if (!(await verifySignature(password, signedText(bundle), bundle.signature))) {
+    throw new LearningRecordError(
+      "The password does not match this record, or the file has been changed."
+    );
+  }
+
+  const incoming = cleanData(bundle);
+  const results = setSection(
+    "assessmentResults",
+    mergeResults(getSection("assessmentResults"), incoming.assessmentResults)
+  );
+  const completion = mergeCompletion(
+    getSection("completion"),
+    incoming.completion,
+    results
+  );
+  setSection("completion", completion);
+  setSection(
+    "modulePagePositions",
+    mergePositions(
+      getSection("modulePagePositions"),
+      incoming.modulePagePositions
+    )
+  );
+  setSection("mastery", mergeMastery(getSection("mastery"), incoming.mastery));
+  const events = importEvents(incoming.events);
+
+  // profile details only fill in what this device is missing
+  const profile = {};
+  PROFILE_FIELDS.forEach((field) => {
+    if (!account[field] && profileValue(bundle, field)) {
+      profile[field] = profileValue(bundle, field);
+    }
+  });
+  if (Object.keys(profile).length) updateAccount(account.id, profile);
+
+  return {
+    modules: Object.keys(incoming.completion).filter((id) => completion[id])
+      .length,
+    assessments: Object.keys(incoming.assessmentResults).length,
+    events,
+  };
+}
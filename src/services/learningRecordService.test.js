@@ -0,0 +1,180 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { logIn, signUp } from "./authService";
+import {
+  exportLearningRecord,
+  importLearningRecord,
+  readLearningRecord,
+} from "./learningRecordService";
+import { getSection, setSection } from "./progressStore";
+
+vi.mock("../config/modules", () => {
+  const moduleManifests = [
+    {
+      id: "arrays",
+      pages: [
+        { id: "overview", title: "Overview" },
+        { id: "intro", title: "Intro", visualization: true },
+        { id: "assessment", title: "Assessment", assessment: "arrays" },
+      ],
+      assessments: [{ id: "arrays", passingScore: 70 }],
+    },
+    {
+      id: "sorting",
+      pages: [{ id: "overview", title: "Overview" }],
+      assessments: [],
+    },
+    {
+      id: "linked-list",
+      pages: [{ id: "overview", title: "Overview" }],
+      assessments: [],
+    },
+  ];
+  return {
+    moduleManifests,
+    getManifest: (id) => moduleManifests.find((m) => m.id === id) || null,
+  };
+});
+
+const EMAIL = "ada@gmail.com";
+const PASSWORD = "correct horse";
+
+// A new device: empty storage and the same account, logged in
+async function newDevice() {
+  const items = new Map();
+  vi.stubGlobal("localStorage", {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  });
+  await signUp({ username: "ada", email: EMAIL, password: PASSWORD });
+  await logIn(EMAIL, PASSWORD);
+}
+
+// Exports the record on this device and imports it on a fresh one
+async function carryOver(prepareTarget = () => {}) {
+  const text = JSON.stringify(await exportLearningRecord(PASSWORD));
+  await newDevice();
+  prepareTarget();
+  return importLearningRecord(readLearningRecord(text), PASSWORD);
+}
+
+const attempt = { at: 900, score: 80, correct: 4, total: 5 };
+
+beforeEach(async () => {
+  await newDevice();
+});
+
+describe("completion round trip", () => {
+  it("keeps a completion the evidence backs up", async () => {
+    setSection("assessmentResults", {
+      arrays: {
+        bestScore: 80,
+        attempts: 1,
+        updatedAt: 900,
+        history: [attempt],
+      },
+    });
+    setSection("completion", {
+      arrays: {
+        pagesViewed: ["overview", "intro", "assessment"],
+        visualizationsRun: ["intro"],
+        completedAt: 1000,
+      },
+    });
+
+    const summary = await carryOver();
+
+    expect(summary.modules).toBe(1);
+    expect(getSection("completion").arrays).toEqual({
+      pagesViewed: ["overview", "intro", "assessment"],
+      visualizationsRun: ["intro"],
+      completedAt: 1000,
+    });
+    expect(getSection("assessmentResults").arrays.bestScore).toBe(80);
+  });
+
+  it("drops a completion without the evidence, but keeps its progress", async () => {
+    setSection("completion", {
+      arrays: {
+        pagesViewed: ["overview", "unknown-page"],
+        visualizationsRun: [],
+        completedAt: 1000,
+      },
+    });
+
+    await carryOver();
+
+    expect(getSection("completion").arrays).toEqual({
+      pagesViewed: ["overview"],
+      visualizationsRun: [],
+      completedAt: null,
+    });
+  });
+
+  it("keeps a legacy completion and when it happened", async () => {
+    setSection("completion", {
+      sorting: {
+        pagesViewed: [],
+        visualizationsRun: [],
+        completedAt: 500,
+        legacy: true,
+      },
+    });
+
+    await carryOver();
+
+    expect(getSection("completion").sorting).toEqual({
+      pagesViewed: [],
+      visualizationsRun: [],
+      completedAt: 500,
+      legacy: true,
+    });
+  });
+
+  it("merges with the device's own evidence and keeps the earlier date", async () => {
+    setSection("assessmentResults", {
+      arrays: {
+        bestScore: 80,
+        attempts: 1,
+        updatedAt: 900,
+        history: [attempt],
+      },
+    });
+    setSection("completion", {
+      arrays: {
+        pagesViewed: ["overview", "assessment"],
+        visualizationsRun: [],
+        completedAt: 3000,
+      },
+      "linked-list": {
+        pagesViewed: ["overview"],
+        visualizationsRun: [],
+        completedAt: 1500,
+      },
+    });
+
+    await carryOver(() =>
+      setSection("completion", {
+        arrays: {
+          pagesViewed: ["intro"],
+          visualizationsRun: ["intro"],
+          completedAt: null,
+        },
+        "linked-list": {
+          pagesViewed: ["overview"],
+          visualizationsRun: [],
+          completedAt: 1200,
+        },
+      })
+    );
+
+    const completion = getSection("completion");
+    expect(completion.arrays.completedAt).toBe(3000);
+    expect(completion.arrays.pagesViewed.sort()).toEqual([
+      "assessment",
+      "intro",
+      "overview",
+    ]);
+    expect(completion["linked-list"].completedAt).toBe(1200);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Concept Mastery
+ * Per-learner estimate of how well each concept (e.g. "queue FIFO") is
+ * known, updated from every assessment answer to a question tagged with it
+ * (see "concepts" in the question banks). A score moves towards 1 on right
+ * answers and towards 0 on wrong ones, recent answers weighing most.
+ * Assessments use the scores to ask more about weak concepts, and the
+ * progress card and module pages suggest those concepts for review.
+ */
+
+import moduleManifests from "../config/modules";
+import { getSection, updateSection } from "./progressStore";
+import { getConcepts } from "./questionBankService";
+import { createRandom } from "./questionTemplates";
+
+const SECTION = "mastery";
+
+// How far one answer moves a score
+export const MASTERY_RATE = 0.3;
+// Score of a concept that has never been asked
+export const UNKNOWN_MASTERY = 0.5;
+// Concepts scoring below this are suggested for review
+export const WEAK_MASTERY = 0.6;
+
+// { [concept]: { score, attempts, correct, updatedAt } }
+export function getMastery() {
+  return getSection(SECTION);
+}
+
+// Updates every concept of an answered question
+export function recordConceptAnswer(concepts, isCorrect) {
+  if (!concepts?.length) return;
+  const now = Date.now();
+  updateSection(SECTION, (mastery) => {
+    const next = { ...mastery };
+    concepts.forEach((concept) => {
+      const entry = next[concept];
+      const score = entry?.score ?? UNKNOWN_MASTERY;
+      next[concept] = {
+        score: score + MASTERY_RATE * ((isCorrect ? 1 : 0) - score),
+        attempts: (entry?.attempts ?? 0) + 1,
+        correct: (entry?.correct ?? 0) + (isCorrect ? 1 : 0),
+        updatedAt: now,
+      };
+    });
+    return next;
+  });
+}
+
+// A question counts as weak as its weakest concept; untagged questions are
+// treated as unknown. Well known concepts still come up now and then.
+const MIN_WEIGHT = 0.1;
+
+function questionWeight(question, mastery) {
+  const scores = (question.concepts ?? []).map(
+    (c) => mastery[c]?.score ?? UNKNOWN_MASTERY
+  );
+  const weakest = scores.length ? Math.min(...scores) : UNKNOWN_MASTERY;
+  return MIN_WEIGHT + (1 - weakest);
+}
+
+/**
+ * Picks count questions, favouring the learner's weak concepts (weighted
+ * sampling, seeded so the pick is reproducible for the same scores). The
+ * picked questions keep their bank order.
+ * @param {Object[]} questions
+ * @param {number} [count] - all questions when missing or larger
+ * @param {number} seed
+ */
+export function selectQuestions(questions, count, seed) {
+  if (!count || count >= questions.length) return questions;
+  const mastery = getMastery();
+  const random = createRandom(seed);
+  const pool = questions.map((q) => ({
+    q,
+    weight: questionWeight(q, mastery),
+  }));
+  const picked = new Set();
+
+  while (picked.size < count) {
+    const total = pool.reduce((sum, item) => sum + item.weight, 0);
+    let r = random.next() * total;
+    const index = pool.findIndex((item) => (r -= item.weight) < 0);
+    const [{ q }] = pool.splice(index === -1 ? pool.length - 1 : index, 1);
+    picked.add(q);
+  }
+  return questions.filter((q) => picked.has(q));
+}
+
+/**
+ * Weak concepts to review, weakest first.
+ * @param {{ moduleId?: string, limit?: number }} [options] - all modules
+ *   when moduleId is missing
+ * @returns {{ concept: string, score: number, moduleId: string, moduleTitle: string }[]}
+ */
+export function getReviewTopics({ moduleId, limit = 3 } = {}) {
+  const mastery = getMastery();
+  const topics = new Map();
+  moduleManifests
+    .filter((m) => !moduleId || m.id === moduleId)
+    .forEach((m) => {
+      m.assessments.forEach((a) => {
+        getConcepts(a.id).forEach((concept) => {
+          const entry = mastery[concept];
+          if (!entry || entry.score >= WEAK_MASTERY || topics.has(concept)) {
+            return;
+          }
+          topics.set(concept, {
+            concept,
+            score: entry.score,
+            moduleId: m.id,
+            moduleTitle: m.shortTitle || m.title,
+          });
+        });
+      });
+    });
+  return [...topics.values()]
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit);
+}
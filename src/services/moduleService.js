@@ -1,59 +1,100 @@
-import modulesConfig from "../config/modulesConfig";
+import modulesConfig, { getManifest } from "../config/modules";
+import {
+  getSection,
+  setSection,
+  updateSection,
+  normalizeRouteKey,
+} from "./progressStore";
+import { getCompletion } from "./completionService";
 
-const STORAGE_KEY_PROGRESS = "moduleProgress";
-const STORAGE_KEY_POSITION = "modulePagePositions";
+const SECTION_POSITION = "modulePagePositions";
+const SECTION_OVERRIDE = "unlockOverride";
 
-// Load / Save All Progress
+// Load All Progress (derived from completion, 100 only when complete)
 export function loadProgress() {
-  const saved = JSON.parse(localStorage.getItem(STORAGE_KEY_PROGRESS)) || {};
-  return modulesConfig.map((m) => ({
-    ...m,
-    progress: saved[m.route] ?? 0,
-  }));
-}
-
-export function saveProgress(modules) {
-  const progressObj = {};
-  modules.forEach((m) => {
-    progressObj[m.route] = m.progress;
+  return modulesConfig.map((m) => {
+    const { percent, complete } = getCompletion(m.id);
+    return { ...m, progress: percent, complete };
   });
-  localStorage.setItem(STORAGE_KEY_PROGRESS, JSON.stringify(progressObj));
 }
 
 // Per-Module Progress
 export function getModuleProgress(route) {
-  const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_PROGRESS)) || {};
-  return stored[route] ?? 0;
-}
-
-export function setModuleProgress(route, value) {
-  const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_PROGRESS)) || {};
-  stored[route] = Math.min(100, value); // clamp to 100
-  localStorage.setItem(STORAGE_KEY_PROGRESS, JSON.stringify(stored));
+  return getCompletion(route).percent;
 }
 
 // Module Page Position
 export function getModulePosition(route) {
-  const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_POSITION)) || {};
-  return stored[route] ?? 0;
+  return getSection(SECTION_POSITION)[normalizeRouteKey(route)] ?? 0;
 }
 
 export function setModulePosition(route, page) {
-  const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_POSITION)) || {};
-  stored[route] = page;
-  localStorage.setItem(STORAGE_KEY_POSITION, JSON.stringify(stored));
+  updateSection(SECTION_POSITION, (stored) => ({
+    ...stored,
+    [normalizeRouteKey(route)]: page,
+  }));
+}
+
+// Prerequisites (from the module manifest) that are not complete yet
+function missingFor(manifest, isComplete) {
+  return manifest.prerequisites
+    .map(getManifest)
+    .filter((prereq) => prereq && !isComplete(prereq.id));
+}
+
+export function missingPrerequisites(modules, index) {
+  const isComplete = (id) =>
+    modules.find((m) => m.id === id)?.complete ?? getCompletion(id).complete;
+  return missingFor(modules[index], isComplete);
+}
+
+// Teacher Override (unlocks every module for the current account)
+export function isUnlockOverrideEnabled() {
+  return getSection(SECTION_OVERRIDE).enabled;
 }
 
-// Finish Module
-export function finishModule(modules, index) {
-  const updated = [...modules];
-  updated[index] = { ...updated[index], progress: 100 };
-  setModuleProgress(updated[index].route, 100); // ✅ persist finished state
-  return updated;
+export function setUnlockOverride(enabled) {
+  setSection(SECTION_OVERRIDE, { enabled, updatedAt: Date.now() });
 }
 
 // Unlock Condition
 export function isUnlocked(modules, index) {
-  if (index === 0) return true;
-  return modules[index - 1].progress === 100;
+  if (isUnlockOverrideEnabled()) return true;
+  return missingPrerequisites(modules, index).length === 0;
+}
+
+// Route-level check for any manifest, listed in the catalogue or not
+export function isModuleUnlocked(route) {
+  const manifest = getManifest(normalizeRouteKey(route));
+  if (!manifest || isUnlockOverrideEnabled()) return true;
+  return missingFor(manifest, (id) => getCompletion(id).complete).length === 0;
+}
+
+/**
+ * Page a question sends the learner back to after a wrong answer.
+ * @param {{ page: string, module?: string }|null} review - from the question
+ *   bank; module defaults to the one the assessment belongs to
+ * @returns {{ route: string, title: string, visualization: boolean }|null}
+ *   null when there is no such page
+ */
+export function reviewLink(review, moduleId) {
+  const manifest = review && getManifest(review.module ?? moduleId);
+  const index = manifest
+    ? manifest.pages.findIndex((p) => p.id === review.page)
+    : -1;
+  if (index === -1) return null;
+  const page = manifest.pages[index];
+  return {
+    route: `${manifest.route}/${index + 1}`,
+    title: page.title,
+    visualization: page.visualization === true,
+  };
+}
+
+// Message shown when a locked module is opened
+export function lockedMessage(modules, index) {
+  const titles = missingPrerequisites(modules, index).map(
+    (m) => `"${m.title}"`
+  );
+  return `⚠️ You need to finish ${titles.join(" and ")} first.`;
 }
@@ -0,0 +1,114 @@
+/**
+ * Practice Exercises
+ * Step lists for the "predict the next step" practice mode of the
+ * visualizers (see usePracticeMode). Each step is what the algorithm does
+ * next, worked out by the implementations in utils/algorithms and
+ * utils/traces (or by the order a stack, queue or array gives up its
+ * elements), plus a hint for learners who guess wrong.
+ */
+
+import { bubbleSort, traverse } from "../utils/algorithms";
+import { graphTraversalTrace } from "../utils/traces";
+
+// Every pair Bubble Sort swaps, in order: answer is [left, right] index
+export const bubbleSwapSteps = (values) =>
+  bubbleSort(values).swaps.map(({ index, pass }, i, swaps) => {
+    const sameScan = i > 0 && swaps[i - 1].pass === pass;
+    return {
+      answer: [index, index + 1],
+      hint: `Pass ${pass}: compare neighbours ${
+        sameScan ? "right after the last swap" : "from the left end"
+      } and swap the first pair whose left value is bigger.`,
+    };
+  });
+
+const TRAVERSAL_RULES = {
+  preorder: "Preorder visits a node, then its left subtree, then its right.",
+  inorder: "Inorder visits the left subtree, then the node, then the right.",
+  postorder: "Postorder visits both subtrees before the node itself.",
+  "level-order": "Level order visits each level from left to right.",
+};
+
+/**
+ * Every node a traversal visits, in order: answer is the node's key.
+ * @param {{ key, left, right }} root - e.g. from buildBST
+ * @param {string} order - one of TRAVERSALS
+ */
+export const traversalSteps = (root, order) => {
+  const keys = traverse(root, order);
+  return keys.map((key, i) => ({
+    answer: key,
+    hint: `${TRAVERSAL_RULES[order]} Visited so far: ${
+      keys.slice(0, i).join(", ") || "none"
+    }.`,
+  }));
+};
+
+const FRONTIER_RULES = {
+  DFS: "DFS visits the node on top of its stack, the one pushed last.",
+  BFS: "BFS visits the node at the front of its queue, the one added first.",
+};
+
+/**
+ * Every node a graph traversal visits, in order: answer is the node id.
+ * @param {Array<string|number>} nodeIds
+ * @param {Array<Array>} edges - [a, b] pairs
+ * @param {"DFS"|"BFS"} mode
+ */
+export const graphTraversalSteps = (nodeIds, edges, start, mode) => {
+  const trace = graphTraversalTrace(nodeIds, edges, start, mode);
+  // each visit, with the frontier it was taken from
+  return trace.slice(1).flatMap((step, i) => {
+    if (step.current === null) return [];
+    const { visited, frontier } = trace[i];
+    return [
+      {
+        answer: step.current,
+        hint: `${FRONTIER_RULES[mode]} Visited so far: ${
+          visited.join(", ") || "none"
+        }. ${mode === "BFS" ? "Queue (front first)" : "Stack (top last)"}: ${
+          frontier.join(", ") || "empty"
+        }.`,
+      },
+    ];
+  });
+};
+
+// "Still in the stack (bottom to top): 10, 20."
+const remaining = (values, label) =>
+  `Still in the ${label}: ${values.join(", ") || "nothing"}.`;
+
+// Every element popped until the stack is empty: answer is its index
+// (bottom = 0), which is always the top of what is left
+export const popSteps = (values) =>
+  values.map((_, i) => {
+    const left = values.slice(0, values.length - i);
+    return {
+      answer: left.length - 1,
+      hint: `A stack is last in, first out: pop takes the element pushed last, the one on top. ${remaining(
+        left,
+        "stack (bottom to top)"
+      )}`,
+    };
+  });
+
+// Every element dequeued until the queue is empty: answer is its index in
+// what is left (front = 0), which is always 0
+export const dequeueSteps = (values) =>
+  values.map((_, i) => ({
+    answer: 0,
+    hint: `A queue is first in, first out: dequeue takes the element enqueued first, the one at the front. ${remaining(
+      values.slice(i),
+      "queue (front to rear)"
+    )}`,
+  }));
+
+// Deleting values[index] from an array: the elements after it move one
+// place left, nearest first; answer is the original index of each
+export const shiftSteps = (values, index) =>
+  values.slice(index + 1).map((_, i) => ({
+    answer: index + 1 + i,
+    hint: `Once index ${index} is gone, each element to its right moves one place left, starting with the nearest. Moved so far: ${
+      values.slice(index + 1, index + 1 + i).join(", ") || "none"
+    }.`,
+  }));
@@ -0,0 +1,22 @@
+/**
+ * Preferences Service
+ * Choices a learner makes once and expects every page to remember, kept in
+ * their profile.
+ */
+
+import { CODE_LANGUAGES, DEFAULT_CODE_LANGUAGE } from "../utils/algorithmCode";
+import { getSection, updateSection } from "./progressStore";
+
+const SECTION = "preferences";
+
+// Language the code panels show (an id from CODE_LANGUAGES)
+export function getCodeLanguage() {
+  const { codeLanguage } = getSection(SECTION);
+  return CODE_LANGUAGES.some((l) => l.id === codeLanguage)
+    ? codeLanguage
+    : DEFAULT_CODE_LANGUAGE;
+}
+
+export function setCodeLanguage(codeLanguage) {
+  updateSection(SECTION, (prefs) => ({ ...prefs, codeLanguage }));
+}
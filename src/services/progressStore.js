@@ -0,0 +1,567 @@
+/**
+ * Progress Store
+ * Single, versioned home for everything the app persists about learning
+ * progress. Consumers read and write named sections through this module
+ * instead of touching localStorage directly. Every section lives inside the
+ * profile of the account that is currently logged in.
+ */
+
+import { getCurrentAccountId, listAccounts } from "./accountService";
+
+const STORE_KEY = "eduarStore";
+const CORRUPT_BACKUP_KEY = "eduarStore.corrupt";
+
+export const SCHEMA_VERSION = 4;
+
+// Profile used while nobody is logged in
+const GUEST_PROFILE = "guest";
+// Pre-account data waiting for the first account on this device
+const UNCLAIMED_PROFILE = "_unclaimed";
+
+// Raw keys used before the store existed (schema version 0)
+const LEGACY_KEYS = {
+  moduleProgress: "moduleProgress",
+  modulePagePositions: "modulePagePositions",
+  recentActivities: "recentActivities",
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+// "/modules/arrays" and "arrays" both refer to the same module
+export function normalizeRouteKey(route) {
+  if (!route) return "";
+  return String(route)
+    .replace(/^\/modules\//, "")
+    .replace(/^\//, "");
+}
+
+// Keeps numeric entries inside [min, max]; anything else is dropped
+function sanitizeNumberMap(value, min, max) {
+  if (!isPlainObject(value)) return {};
+  const clean = {};
+  Object.entries(value).forEach(([key, n]) => {
+    if (!isFiniteNumber(n)) return;
+    const normalized = normalizeRouteKey(key);
+    if (!normalized) return;
+    const clamped = Math.min(max, Math.max(min, n));
+    // legacy data may hold both "/modules/x" and "x"; keep the furthest one
+    clean[normalized] = Math.max(clean[normalized] ?? min, clamped);
+  });
+  return clean;
+}
+
+const isPrimitive = (value) =>
+  ["string", "number", "boolean"].includes(typeof value);
+
+// Event log entries: { type, at, moduleId?, pageId?, durationMs?, detail? }
+function sanitizeEvents(value) {
+  if (!Array.isArray(value)) return [];
+  const clean = [];
+  value.forEach((e) => {
+    if (!isPlainObject(e) || typeof e.type !== "string") return;
+    if (!isFiniteNumber(e.at)) return;
+
+    const event = { type: e.type, at: e.at };
+    if (typeof e.moduleId === "string") event.moduleId = e.moduleId;
+    if (typeof e.pageId === "string") event.pageId = e.pageId;
+    if (isFiniteNumber(e.durationMs) && e.durationMs >= 0) {
+      event.durationMs = e.durationMs;
+    }
+    if (isPlainObject(e.detail)) {
+      event.detail = Object.fromEntries(
+        Object.entries(e.detail).filter(([, v]) => isPrimitive(v))
+      );
+    }
+    clean.push(event);
+  });
+  return clean;
+}
+
+const sanitizeIdList = (value) =>
+  Array.isArray(value)
+    ? [...new Set(value.filter((id) => typeof id === "string" && id))]
+    : [];
+
+// { [moduleId]: { pagesViewed, visualizationsRun, completedAt, legacy? } }
+// legacy marks a module finished under the old page-percentage rules (see
+// MIGRATIONS[2]), which has no evidence to back its completedAt
+function sanitizeCompletion(value) {
+  if (!isPlainObject(value)) return {};
+  const clean = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    const id = normalizeRouteKey(key);
+    if (!id || !isPlainObject(entry)) return;
+    clean[id] = {
+      pagesViewed: sanitizeIdList(entry.pagesViewed),
+      visualizationsRun: sanitizeIdList(entry.visualizationsRun),
+      completedAt: isFiniteNumber(entry.completedAt) ? entry.completedAt : null,
+      ...(entry.legacy === true && { legacy: true }),
+    };
+  });
+  return clean;
+}
+
+// Most recent attempts kept per assessment for score trends
+const MAX_SCORE_HISTORY = 50;
+
+const ATTEMPT_NUMBERS = ["correct", "total", "durationMs", "seed"];
+
+function sanitizeAttempt(h) {
+  const attempt = {
+    at: h.at,
+    score: Math.min(100, Math.max(0, isFiniteNumber(h.score) ? h.score : 0)),
+  };
+  ATTEMPT_NUMBERS.forEach((key) => {
+    if (isFiniteNumber(h[key]) && h[key] >= 0) attempt[key] = h[key];
+  });
+  if (Array.isArray(h.questionIds)) {
+    attempt.questionIds = sanitizeIdList(h.questionIds);
+  }
+  return attempt;
+}
+
+// { [assessmentId]: { bestScore, lastScore, attempts, updatedAt, history } }
+// (scores in %, history = [{ at, score, correct?, total?, durationMs?,
+// seed?, questionIds? }] oldest first)
+function sanitizeAssessmentResults(value) {
+  if (!isPlainObject(value)) return {};
+  const clean = {};
+  Object.entries(value).forEach(([id, entry]) => {
+    if (!isPlainObject(entry) || !isFiniteNumber(entry.bestScore)) return;
+    const score = (n) => Math.min(100, Math.max(0, isFiniteNumber(n) ? n : 0));
+    clean[id] = {
+      bestScore: score(entry.bestScore),
+      lastScore: score(entry.lastScore ?? entry.bestScore),
+      attempts: Number.isInteger(entry.attempts) ? Math.max(1, entry.attempts) : 1,
+      updatedAt: isFiniteNumber(entry.updatedAt) ? entry.updatedAt : 0,
+      history: (Array.isArray(entry.history) ? entry.history : [])
+        .filter((h) => isPlainObject(h) && isFiniteNumber(h.at))
+        .map(sanitizeAttempt)
+        .slice(-MAX_SCORE_HISTORY),
+    };
+  });
+  return clean;
+}
+
+// { [concept]: { score, attempts, correct, updatedAt } }, score in 0..1
+function sanitizeMastery(value) {
+  if (!isPlainObject(value)) return {};
+  const clean = {};
+  Object.entries(value).forEach(([concept, entry]) => {
+    if (!concept || !isPlainObject(entry) || !isFiniteNumber(entry.score)) {
+      return;
+    }
+    const count = (n) => (Number.isInteger(n) && n > 0 ? n : 0);
+    const attempts = count(entry.attempts);
+    clean[concept] = {
+      score: Math.min(1, Math.max(0, entry.score)),
+      attempts,
+      correct: Math.min(attempts, count(entry.correct)),
+      updatedAt: isFiniteNumber(entry.updatedAt) ? entry.updatedAt : 0,
+    };
+  });
+  return clean;
+}
+
+// { enabled, opensAt, closesAt, minutes } while a teacher has an exam open
+function sanitizeExamWindow(value) {
+  if (
+    !isPlainObject(value) ||
+    value.enabled !== true ||
+    !isFiniteNumber(value.opensAt) ||
+    !isFiniteNumber(value.closesAt) ||
+    !(isFiniteNumber(value.minutes) && value.minutes > 0)
+  ) {
+    return { enabled: false };
+  }
+  return {
+    enabled: true,
+    opensAt: value.opensAt,
+    closesAt: Math.max(value.opensAt, value.closesAt),
+    minutes: value.minutes,
+  };
+}
+
+const EXAM_END_REASONS = ["completed", "timeout", "session-end"];
+
+// { [assessmentId]: { windowOpensAt, startedAt, deadline, total, answers,
+// seed?, questionIds?, submittedAt?, reason?, correct? } }: the latest exam
+// attempt per assessment, answers = [correct?] by question index
+function sanitizeExamAttempts(value) {
+  if (!isPlainObject(value)) return {};
+  const clean = {};
+  Object.entries(value).forEach(([id, a]) => {
+    if (
+      !isPlainObject(a) ||
+      !["windowOpensAt", "startedAt", "deadline"].every((key) =>
+        isFiniteNumber(a[key])
+      ) ||
+      !(Number.isInteger(a.total) && a.total > 0)
+    ) {
+      return;
+    }
+    const attempt = {
+      windowOpensAt: a.windowOpensAt,
+      startedAt: a.startedAt,
+      deadline: a.deadline,
+      total: a.total,
+      answers: (Array.isArray(a.answers) ? a.answers : [])
+        .slice(0, a.total)
+        .map((answer) => (typeof answer === "boolean" ? answer : null)),
+    };
+    if (isFiniteNumber(a.seed) && a.seed >= 0) attempt.seed = a.seed;
+    if (Array.isArray(a.questionIds)) {
+      attempt.questionIds = sanitizeIdList(a.questionIds);
+    }
+    if (isFiniteNumber(a.submittedAt)) {
+      attempt.submittedAt = a.submittedAt;
+      attempt.reason = EXAM_END_REASONS.includes(a.reason)
+        ? a.reason
+        : "completed";
+      attempt.correct = attempt.answers.filter(Boolean).length;
+    }
+    clean[id] = attempt;
+  });
+  return clean;
+}
+
+// { issuedAt, username, modules: [{ moduleId, title, completedAt, score }] }
+// once a completion certificate has been issued (see certificateService),
+// {} before; score is the best assessment score in %, null without one
+function sanitizeCertificate(value) {
+  if (
+    !isPlainObject(value) ||
+    !isFiniteNumber(value.issuedAt) ||
+    !Array.isArray(value.modules)
+  ) {
+    return {};
+  }
+  return {
+    issuedAt: value.issuedAt,
+    username: typeof value.username === "string" ? value.username : "",
+    modules: value.modules
+      .filter((m) => isPlainObject(m) && typeof m.moduleId === "string")
+      .map((m) => ({
+        moduleId: m.moduleId,
+        title: typeof m.title === "string" ? m.title : m.moduleId,
+        completedAt: isFiniteNumber(m.completedAt) ? m.completedAt : null,
+        score: isFiniteNumber(m.score)
+          ? Math.min(100, Math.max(0, m.score))
+          : null,
+      })),
+  };
+}
+
+// Learner choices that follow them across pages, e.g. { codeLanguage }
+function sanitizePreferences(value) {
+  if (!isPlainObject(value)) return {};
+  return Object.fromEntries(
+    Object.entries(value).filter(([, v]) => typeof v === "string")
+  );
+}
+
+function sanitizeOverride(value) {
+  if (!isPlainObject(value) || value.enabled !== true) return { enabled: false };
+  return {
+    enabled: true,
+    updatedAt: isFiniteNumber(value.updatedAt) ? value.updatedAt : Date.now(),
+  };
+}
+
+// Section schemas: default value + sanitizer that recovers what it can
+const SECTIONS = {
+  // Evidence of mastery per module; progress is derived from it
+  completion: {
+    defaultValue: () => ({}),
+    sanitize: sanitizeCompletion,
+  },
+  assessmentResults: {
+    defaultValue: () => ({}),
+    sanitize: sanitizeAssessmentResults,
+  },
+  // Per-concept answer record (see masteryService)
+  mastery: {
+    defaultValue: () => ({}),
+    sanitize: sanitizeMastery,
+  },
+  modulePagePositions: {
+    defaultValue: () => ({}),
+    sanitize: (value) => sanitizeNumberMap(value, 0, Number.MAX_SAFE_INTEGER),
+  },
+  // Append-only learning event log (see eventLogService)
+  events: {
+    defaultValue: () => [],
+    sanitize: sanitizeEvents,
+  },
+  // Teacher override: every module unlocked regardless of prerequisites
+  unlockOverride: {
+    defaultValue: () => ({ enabled: false }),
+    sanitize: sanitizeOverride,
+  },
+  // Timed AR exams opened by a teacher, and this student's attempts (see
+  // examService)
+  examWindow: {
+    defaultValue: () => ({ enabled: false }),
+    sanitize: sanitizeExamWindow,
+  },
+  examAttempts: {
+    defaultValue: () => ({}),
+    sanitize: sanitizeExamAttempts,
+  },
+  // Completion certificate, issued once every module is complete
+  certificate: {
+    defaultValue: () => ({}),
+    sanitize: sanitizeCertificate,
+  },
+  preferences: {
+    defaultValue: () => ({}),
+    sanitize: sanitizePreferences,
+  },
+};
+
+function emptyData() {
+  const data = {};
+  Object.entries(SECTIONS).forEach(([name, schema]) => {
+    data[name] = schema.defaultValue();
+  });
+  return data;
+}
+
+function readLegacyKey(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+
+// Migrations: MIGRATIONS[n] upgrades a version n document to version n + 1
+const MIGRATIONS = {
+  0: () => {
+    const data = {};
+    Object.entries(LEGACY_KEYS).forEach(([section, key]) => {
+      data[section] = readLegacyKey(key);
+    });
+    return { version: 1, data };
+  },
+  // Un-namespaced data belongs to the first account created on this device
+  1: (doc) => {
+    const [firstAccount] = listAccounts();
+    const owner = firstAccount ? firstAccount.id : UNCLAIMED_PROFILE;
+    return { version: 2, profiles: { [owner]: doc.data } };
+  },
+  // Page-based percentages say nothing about mastery: partial ones are
+  // re-earned from pages, visualizations and assessments, but a module
+  // finished under the old rules keeps its completion (and what it unlocks)
+  2: (doc) => {
+    const profiles = {};
+    const now = Date.now();
+    Object.entries(doc.profiles || {}).forEach(([id, data]) => {
+      if (!isPlainObject(data)) return;
+      const finished = Object.entries(
+        sanitizeNumberMap(data.moduleProgress, 0, 100)
+      ).filter(([, percent]) => percent >= 100);
+      profiles[id] = {
+        ...data,
+        completion: Object.fromEntries(
+          finished.map(([moduleId]) => [
+            moduleId,
+            {
+              pagesViewed: [],
+              visualizationsRun: [],
+              completedAt: now,
+              legacy: true,
+            },
+          ])
+        ),
+      };
+      delete profiles[id].moduleProgress;
+    });
+    return { version: 3, profiles };
+  },
+  // The one-entry-per-module-per-day activity list becomes module.open events
+  3: (doc) => {
+    const profiles = {};
+    Object.entries(doc.profiles || {}).forEach(([id, data]) => {
+      if (!isPlainObject(data)) return;
+      const activities = Array.isArray(data.recentActivities)
+        ? data.recentActivities
+        : [];
+      profiles[id] = { ...data, events: activities.map(activityToEvent) };
+      delete profiles[id].recentActivities;
+    });
+    return { version: 4, profiles };
+  },
+};
+
+// { date: "2025-01-31", time: "3:05 PM", moduleTitle } -> module.open event
+function activityToEvent(activity) {
+  const [, hours = "12", minutes = "00", meridiem = ""] =
+    /^(\d{1,2}):(\d{2})\s*([AP]M)?$/i.exec(activity?.time || "") || [];
+  const hour24 =
+    (Number(hours) % 12) + (meridiem.toUpperCase() === "PM" ? 12 : 0);
+  const at = new Date(`${activity?.date}T00:00:00`);
+  at.setHours(meridiem ? hour24 : Number(hours), Number(minutes));
+
+  return {
+    type: "module.open",
+    at: at.getTime(),
+    detail: { moduleTitle: String(activity?.moduleTitle ?? "") },
+  };
+}
+
+function validateProfile(data) {
+  const source = isPlainObject(data) ? data : {};
+  const clean = {};
+  Object.entries(SECTIONS).forEach(([name, schema]) => {
+    clean[name] =
+      source[name] === undefined || source[name] === null
+        ? schema.defaultValue()
+        : schema.sanitize(source[name]);
+  });
+  return clean;
+}
+
+function validate(doc) {
+  const profiles = isPlainObject(doc?.profiles) ? doc.profiles : {};
+  const clean = {};
+  Object.entries(profiles).forEach(([id, data]) => {
+    clean[id] = validateProfile(data);
+  });
+  return { version: SCHEMA_VERSION, profiles: clean };
+}
+
+// Hand unclaimed legacy data to the first account once one exists
+function claimUnclaimed(doc) {
+  const unclaimed = doc.profiles[UNCLAIMED_PROFILE];
+  const [firstAccount] = listAccounts();
+  if (!unclaimed || !firstAccount || doc.profiles[firstAccount.id]) {
+    return false;
+  }
+  doc.profiles[firstAccount.id] = unclaimed;
+  delete doc.profiles[UNCLAIMED_PROFILE];
+  return true;
+}
+
+function activeProfileId() {
+  return getCurrentAccountId() ?? GUEST_PROFILE;
+}
+
+function migrate(doc) {
+  let current = doc;
+  while (current.version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[current.version];
+    if (!step) {
+      throw new Error(`No migration from schema version ${current.version}`);
+    }
+    current = step(current);
+  }
+  return current;
+}
+
+let warnedReadOnly = false;
+
+function write(doc) {
+  // Saving a store from a newer app version would lose what this one
+  // doesn't understand (see load)
+  if (doc.readOnly) {
+    if (!warnedReadOnly) {
+      console.warn("Progress store is from a newer version; not saving");
+      warnedReadOnly = true;
+    }
+    return;
+  }
+  localStorage.setItem(STORE_KEY, JSON.stringify(doc));
+}
+
+function load() {
+  const raw = localStorage.getItem(STORE_KEY);
+
+  if (raw === null) {
+    // First run on this schema: pull in whatever the old raw keys held
+    const doc = validate(migrate({ version: 0 }));
+    claimUnclaimed(doc);
+    write(doc);
+    Object.values(LEGACY_KEYS).forEach((key) => localStorage.removeItem(key));
+    return doc;
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!isPlainObject(parsed) || !Number.isInteger(parsed.version)) {
+      throw new Error("Malformed progress store");
+    }
+    if (parsed.version > SCHEMA_VERSION) {
+      // Written by a newer version of the app: show what this version can
+      // read, and leave the stored data as it is
+      const doc = validate(parsed);
+      claimUnclaimed(doc);
+      return { ...doc, readOnly: true };
+    }
+    const doc = validate(migrate(parsed));
+    const claimed = claimUnclaimed(doc);
+    if (claimed || parsed.version !== SCHEMA_VERSION) write(doc);
+    return doc;
+  } catch (error) {
+    // Keep the unreadable value around for debugging, then start fresh
+    console.warn("Progress store was corrupt and has been reset:", error);
+    localStorage.setItem(CORRUPT_BACKUP_KEY, raw);
+    const doc = { version: SCHEMA_VERSION, profiles: {} };
+    write(doc);
+    return doc;
+  }
+}
+
+function assertSection(name) {
+  if (!SECTIONS[name]) throw new Error(`Unknown progress section "${name}"`);
+}
+
+// Read a section of the active profile (always returns a valid value)
+export function getSection(name) {
+  return getProfileSection(activeProfileId(), name);
+}
+
+// Read a section of any profile on this device, e.g. to check the
+// certificate of another student
+export function getProfileSection(profileId, name) {
+  assertSection(name);
+  const profile = load().profiles[profileId];
+  return profile ? profile[name] : SECTIONS[name].defaultValue();
+}
+
+// Replace a section; invalid entries are dropped before saving
+export function setSection(name, value) {
+  assertSection(name);
+  const doc = load();
+  const id = activeProfileId();
+  if (!doc.profiles[id]) doc.profiles[id] = emptyData();
+  doc.profiles[id][name] = SECTIONS[name].sanitize(value);
+  write(doc);
+  return doc.profiles[id][name];
+}
+
+// Clean a value from outside the store (e.g. an imported learning record)
+// the same way stored data is cleaned
+export function sanitizeSection(name, value) {
+  assertSection(name);
+  return value === undefined || value === null
+    ? SECTIONS[name].defaultValue()
+    : SECTIONS[name].sanitize(value);
+}
+
+// Read-modify-write helper: updater receives the current value
+export function updateSection(name, updater) {
+  return setSection(name, updater(getSection(name)));
+}
+
+// Drop everything stored for one account (used when it is deleted)
+export function removeProfile(accountId) {
+  const doc = load();
+  if (!doc.profiles[accountId]) return;
+  delete doc.profiles[accountId];
+  write(doc);
+}
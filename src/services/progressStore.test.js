@@ -0,0 +1,153 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { listAccounts, getCurrentAccountId } from "./accountService";
+import { getSection, SCHEMA_VERSION, setSection } from "./progressStore";
+
+vi.mock("./accountService", () => ({
+  listAccounts: vi.fn(() => []),
+  getCurrentAccountId: vi.fn(() => null),
+}));
+
+const STORE_KEY = "eduarStore";
+
+// In-memory localStorage, fresh for every test
+function stubStorage(entries = {}) {
+  const items = new Map(Object.entries(entries));
+  vi.stubGlobal("localStorage", {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  });
+  return items;
+}
+
+const storedDoc = (items) => JSON.parse(items.get(STORE_KEY));
+
+const logIn = (id) => {
+  listAccounts.mockReturnValue([{ id }]);
+  getCurrentAccountId.mockReturnValue(id);
+};
+
+beforeEach(() => {
+  listAccounts.mockReturnValue([]);
+  getCurrentAccountId.mockReturnValue(null);
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+describe("migrations", () => {
+  it("moves the pre-store keys into the first account's profile", () => {
+    const items = stubStorage({
+      moduleProgress: JSON.stringify({ "/modules/arrays": 100, sorting: 40 }),
+      modulePagePositions: JSON.stringify({ "/modules/arrays": 3 }),
+      recentActivities: JSON.stringify([
+        { date: "2025-01-31", time: "3:05 PM", moduleTitle: "Arrays" },
+      ]),
+    });
+    logIn("ada");
+
+    const completion = getSection("completion");
+    // only the finished module keeps its completion, marked as legacy
+    expect(Object.keys(completion)).toEqual(["arrays"]);
+    expect(completion.arrays).toMatchObject({
+      pagesViewed: [],
+      visualizationsRun: [],
+      legacy: true,
+    });
+    expect(completion.arrays.completedAt).toEqual(expect.any(Number));
+    expect(getSection("modulePagePositions")).toEqual({ arrays: 3 });
+
+    const [event] = getSection("events");
+    expect(event).toMatchObject({
+      type: "module.open",
+      detail: { moduleTitle: "Arrays" },
+    });
+    expect(new Date(event.at).getHours()).toBe(15);
+
+    expect(storedDoc(items).version).toBe(SCHEMA_VERSION);
+    expect(items.has("moduleProgress")).toBe(false);
+    expect(items.has("recentActivities")).toBe(false);
+  });
+
+  it("keeps pre-account data until the first account exists", () => {
+    stubStorage({
+      modulePagePositions: JSON.stringify({ arrays: 2 }),
+    });
+    expect(getSection("modulePagePositions")).toEqual({});
+
+    logIn("ada");
+    expect(getSection("modulePagePositions")).toEqual({ arrays: 2 });
+  });
+
+  it("upgrades an older document step by step", () => {
+    const items = stubStorage({
+      [STORE_KEY]: JSON.stringify({
+        version: 2,
+        profiles: {
+          ada: {
+            moduleProgress: { arrays: 100, sorting: 99 },
+            recentActivities: [],
+            mastery: { "queue FIFO": { score: 0.5, attempts: 2, correct: 1 } },
+          },
+        },
+      }),
+    });
+    logIn("ada");
+
+    expect(Object.keys(getSection("completion"))).toEqual(["arrays"]);
+    expect(getSection("events")).toEqual([]);
+    expect(getSection("mastery")["queue FIFO"]).toMatchObject({
+      score: 0.5,
+      attempts: 2,
+      correct: 1,
+    });
+
+    const doc = storedDoc(items);
+    expect(doc.version).toBe(SCHEMA_VERSION);
+    expect(doc.profiles.ada.moduleProgress).toBeUndefined();
+    expect(doc.profiles.ada.recentActivities).toBeUndefined();
+  });
+
+  it("backs up and resets a store it cannot read", () => {
+    const items = stubStorage({ [STORE_KEY]: "{not json" });
+    logIn("ada");
+
+    expect(getSection("completion")).toEqual({});
+    expect(items.get("eduarStore.corrupt")).toBe("{not json");
+    expect(storedDoc(items)).toEqual({
+      version: SCHEMA_VERSION,
+      profiles: {},
+    });
+  });
+
+  it("reads a store from a newer version without saving over it", () => {
+    const raw = JSON.stringify({
+      version: SCHEMA_VERSION + 1,
+      profiles: {
+        ada: {
+          modulePagePositions: { arrays: 4 },
+          somethingNew: { kept: true },
+        },
+      },
+    });
+    const items = stubStorage({ [STORE_KEY]: raw });
+    logIn("ada");
+
+    expect(getSection("modulePagePositions")).toEqual({ arrays: 4 });
+    setSection("modulePagePositions", { arrays: 5 });
+
+    expect(items.get(STORE_KEY)).toBe(raw);
+    expect(items.has("eduarStore.corrupt")).toBe(false);
+    expect(getSection("modulePagePositions")).toEqual({ arrays: 4 });
+  });
+});
+
+describe("sections", () => {
+  it("saves each account's sections in its own profile", () => {
+    stubStorage();
+    logIn("ada");
+    setSection("modulePagePositions", { "/modules/arrays": 2, bad: "x" });
+    expect(getSection("modulePagePositions")).toEqual({ arrays: 2 });
+
+    logIn("grace");
+    expect(getSection("modulePagePositions")).toEqual({});
+  });
+});
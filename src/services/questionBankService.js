@@ -0,0 +1,365 @@
+/**
+ * Question Banks
+ * Assessment questions live in data files under src/question-banks (the
+ * format is documented in the README there), so instructors can add or edit
+ * questions without touching React code. Every file is validated when the
+ * banks are first used; a file with problems is left out and all of its
+ * problems are reported together.
+ */
+
+import questionBankFiles from "../config/questionBanks";
+import {
+  generateItem,
+  newSeed,
+  questionSeed,
+  templateProblems,
+} from "./questionTemplates";
+
+export const QUESTION_TYPES = {
+  MULTIPLE_CHOICE: "multiple-choice",
+  ORDERING: "ordering",
+  NUMERIC: "numeric",
+  PREDICT_NEXT_STATE: "predict-next-state",
+};
+
+// What each scene can ask: a number can't be typed inside an AR session
+const SCENE_TYPES = {
+  scene3d: Object.values(QUESTION_TYPES),
+  ar: [
+    QUESTION_TYPES.MULTIPLE_CHOICE,
+    QUESTION_TYPES.PREDICT_NEXT_STATE,
+    QUESTION_TYPES.ORDERING,
+  ],
+};
+
+const SHAPES = ["cube", "sphere"];
+
+// Error listing every problem found in one file
+export class QuestionBankError extends Error {
+  constructor(source, problems) {
+    super(`${source}: ${problems.join("; ")}`);
+    this.name = "QuestionBankError";
+    this.source = source;
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+const isPrimitive = (value) =>
+  ["string", "number", "boolean"].includes(typeof value);
+
+const isIndexOf = (list, value) =>
+  Number.isInteger(value) && value >= 0 && value < list.length;
+
+export const formatState = (state) => `[${state.join(", ")}]`;
+
+// Validators: each returns the problems of one question of its type
+function choiceProblems(item, isChoice) {
+  const problems = [];
+  if (!Array.isArray(item.choices) || item.choices.length < 2) {
+    return ["needs at least two choices"];
+  }
+  if (!item.choices.every(isChoice)) problems.push("has an invalid choice");
+
+  if (item.multiple === true) {
+    const answers = Array.isArray(item.answer) ? item.answer : [];
+    if (
+      !answers.length ||
+      !answers.every((a) => isIndexOf(item.choices, a)) ||
+      new Set(answers).size !== answers.length
+    ) {
+      problems.push("answer must list the indexes of the correct choices");
+    }
+  } else if (!isIndexOf(item.choices, item.answer)) {
+    problems.push("answer must be the index of the correct choice");
+  }
+  if (item.shape !== undefined && !SHAPES.includes(item.shape)) {
+    problems.push(`shape must be one of ${SHAPES.join(", ")}`);
+  }
+  return problems;
+}
+
+const isState = (state) => Array.isArray(state) && state.every(isPrimitive);
+
+const VALIDATORS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: (item) => choiceProblems(item, isText),
+  [QUESTION_TYPES.PREDICT_NEXT_STATE]: (item) => {
+    const problems = choiceProblems(item, isState);
+    if (!isState(item.state)) problems.push("state must be a list of values");
+    if (!isText(item.operation)) problems.push("operation is missing");
+    return problems;
+  },
+  [QUESTION_TYPES.ORDERING]: (item) =>
+    Array.isArray(item.items) &&
+    item.items.length >= 2 &&
+    item.items.every(isText) &&
+    new Set(item.items).size === item.items.length
+      ? []
+      : ["items must list at least two different entries in the right order"],
+  [QUESTION_TYPES.NUMERIC]: (item) => {
+    const problems = [];
+    if (!Number.isFinite(item.answer)) problems.push("answer must be a number");
+    if (
+      item.tolerance !== undefined &&
+      !(Number.isFinite(item.tolerance) && item.tolerance >= 0)
+    ) {
+      problems.push("tolerance must be a number of 0 or more");
+    }
+    if (item.ar === true) problems.push("numeric questions can't be used in AR");
+    return problems;
+  },
+};
+
+// Problems of a written (or generated) question
+function itemProblems(item) {
+  const problems = isText(item.prompt) ? [] : ["prompt is missing"];
+  const validate = VALIDATORS[item.type];
+  if (!validate) {
+    return [
+      ...problems,
+      `type must be one of ${Object.values(QUESTION_TYPES).join(", ")}`,
+    ];
+  }
+  return [...problems, ...validate(item)];
+}
+
+// Bank item -> the question shape the assessment scenes render
+function toQuestion(item) {
+  const base = {
+    id: item.id,
+    type: item.type,
+    question: item.prompt,
+    ar: item.ar === true,
+    concepts: item.concepts ?? [],
+    explanation: isText(item.explanation) ? item.explanation : "",
+    // page that teaches the question's concept (see reviewLink)
+    review: item.review ?? null,
+  };
+  const correct = [].concat(item.answer);
+  const choices = (labels) =>
+    labels.map((label, i) => ({
+      label,
+      type: item.shape || "sphere",
+      isCorrect: correct.includes(i),
+    }));
+
+  switch (item.type) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE:
+      return {
+        ...base,
+        multiple: item.multiple === true,
+        choices: choices(item.choices),
+      };
+    case QUESTION_TYPES.PREDICT_NEXT_STATE:
+      return {
+        ...base,
+        question: `${item.prompt}\n${formatState(item.state)} → ${item.operation}`,
+        state: item.state,
+        operation: item.operation,
+        multiple: false,
+        choices: choices(item.choices.map(formatState)),
+      };
+    case QUESTION_TYPES.ORDERING:
+      return { ...base, items: item.items };
+    default:
+      return {
+        ...base,
+        answer: item.answer,
+        tolerance: item.tolerance ?? 0,
+        unit: isText(item.unit) ? item.unit : "",
+      };
+  }
+}
+
+// Template entries are kept as they are and generated for each attempt
+const toEntry = (item) =>
+  item.template === undefined
+    ? toQuestion(item)
+    : {
+        id: item.id,
+        type: generateItem(item, 0).type,
+        ar: item.ar === true,
+        concepts: item.concepts ?? [],
+        template: item,
+      };
+
+/**
+ * Parses and validates one question bank file.
+ * @param {string} text - file contents (JSON)
+ * @param {string} source - file name used in error messages
+ * @returns {{ assessment: string, title: string, questions: Object[] }}
+ * @throws {QuestionBankError}
+ */
+export function parseQuestionBank(text, source) {
+  let bank;
+  try {
+    bank = JSON.parse(text);
+  } catch (error) {
+    throw new QuestionBankError(source, [`not valid JSON (${error.message})`]);
+  }
+  if (!isPlainObject(bank)) {
+    throw new QuestionBankError(source, ["must contain a JSON object"]);
+  }
+
+  const problems = [];
+  if (!isText(bank.assessment)) problems.push("assessment id is missing");
+  if (!Array.isArray(bank.questions) || !bank.questions.length) {
+    problems.push("questions must be a non-empty list");
+  }
+
+  const ids = new Set();
+  (Array.isArray(bank.questions) ? bank.questions : []).forEach((item, i) => {
+    const label = `question ${i + 1}${isText(item?.id) ? ` (${item.id})` : ""}`;
+    const report = (problem) => problems.push(`${label}: ${problem}`);
+
+    if (!isPlainObject(item)) return report("must be an object");
+    if (!isText(item.id)) report("id is missing");
+    else if (ids.has(item.id)) report("id is used twice");
+    ids.add(item.id);
+    if (
+      item.concepts !== undefined &&
+      !(Array.isArray(item.concepts) && item.concepts.every(isText))
+    ) {
+      report("concepts must be a list of concept names");
+    }
+    if (item.explanation !== undefined && !isText(item.explanation)) {
+      report("explanation must be text");
+    }
+    if (
+      item.review !== undefined &&
+      !(
+        isPlainObject(item.review) &&
+        isText(item.review.page) &&
+        (item.review.module === undefined || isText(item.review.module))
+      )
+    ) {
+      report('review must look like { "page": "<page id>" }');
+    }
+
+    if (item.template === undefined) return itemProblems(item).forEach(report);
+    const templateIssues = templateProblems(item);
+    if (templateIssues.length) return templateIssues.forEach(report);
+    // a sample instance also checks what the template generates
+    itemProblems(generateItem(item, 0)).forEach(report);
+  });
+
+  if (problems.length) throw new QuestionBankError(source, problems);
+  return {
+    assessment: bank.assessment,
+    title: isText(bank.title) ? bank.title : bank.assessment,
+    questions: bank.questions.map(toEntry),
+  };
+}
+
+let banks = null;
+
+function loadBanks() {
+  if (banks) return banks;
+  banks = new Map();
+  Object.entries(questionBankFiles).forEach(([path, text]) => {
+    const source = path.split("/").pop();
+    try {
+      const bank = parseQuestionBank(text, source);
+      if (banks.has(bank.assessment)) {
+        throw new QuestionBankError(source, [
+          `assessment "${bank.assessment}" already has a question bank`,
+        ]);
+      }
+      banks.set(bank.assessment, bank);
+    } catch (error) {
+      if (!(error instanceof QuestionBankError)) throw error;
+      console.error("Question bank skipped:", error.message);
+    }
+  });
+  return banks;
+}
+
+/**
+ * Questions of an assessment that the given scene can ask, in file order.
+ * AR sessions only get the questions marked "ar": true. Template entries
+ * are generated from the seed, so the same seed gives the same questions.
+ * @param {string} assessmentId
+ * @param {{ ar?: boolean, seed?: number }} [options] - a new seed by default
+ * @returns {Object[]} empty when the bank is missing or invalid
+ */
+export function getQuestions(
+  assessmentId,
+  { ar = false, seed = newSeed() } = {}
+) {
+  const bank = loadBanks().get(assessmentId);
+  if (!bank) return [];
+  const types = ar ? SCENE_TYPES.ar : SCENE_TYPES.scene3d;
+  return bank.questions
+    .filter((q) => types.includes(q.type) && (!ar || q.ar))
+    .map((q) =>
+      q.template
+        ? toQuestion(generateItem(q.template, questionSeed(seed, q.id)))
+        : q
+    );
+}
+
+// Every concept the questions of an assessment are tagged with
+export function getConcepts(assessmentId) {
+  const bank = loadBanks().get(assessmentId);
+  return [...new Set((bank?.questions ?? []).flatMap((q) => q.concepts))];
+}
+
+/**
+ * Whether a response is right. Choice questions take the chosen index (or
+ * indexes), ordering takes the entries in order, numeric takes a number.
+ */
+export function checkAnswer(question, response) {
+  switch (question.type) {
+    case QUESTION_TYPES.ORDERING:
+      return (
+        Array.isArray(response) &&
+        response.length === question.items.length &&
+        response.every((entry, i) => entry === question.items[i])
+      );
+    case QUESTION_TYPES.NUMERIC:
+      return (
+        response !== "" &&
+        Math.abs(Number(response) - question.answer) <= question.tolerance
+      );
+    default: {
+      const chosen = [].concat(response);
+      return question.choices.every(
+        (choice, i) => choice.isCorrect === chosen.includes(i)
+      );
+    }
+  }
+}
+
+// A learner's response as text, for result reviews
+export function describeResponse(question, response) {
+  switch (question.type) {
+    case QUESTION_TYPES.ORDERING:
+      return [].concat(response).join(" → ");
+    case QUESTION_TYPES.NUMERIC:
+      return `${response}${question.unit ? ` ${question.unit}` : ""}`;
+    default:
+      return []
+        .concat(response)
+        .map((i) => question.choices[i]?.label)
+        .join(", ");
+  }
+}
+
+// The right answer as text, for result reviews
+export function describeAnswer(question) {
+  switch (question.type) {
+    case QUESTION_TYPES.ORDERING:
+      return question.items.join(" → ");
+    case QUESTION_TYPES.NUMERIC:
+      return `${question.answer}${question.unit ? ` ${question.unit}` : ""}`;
+    default:
+      return question.choices
+        .filter((c) => c.isCorrect)
+        .map((c) => c.label)
+        .join(", ");
+  }
+}
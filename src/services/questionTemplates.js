@@ -0,0 +1,298 @@
+/**
+ * Question Templates
+ * A question bank entry can name a template instead of spelling out a fixed
+ * question; every attempt then gets a fresh instance built from seeded
+ * random data (an array to sort, a tree, a weighted graph). Answers are
+ * computed with the algorithm implementations in utils/algorithms, and the
+ * same seed always rebuilds the same questions, so an attempt can be
+ * reproduced from the seed stored with it.
+ */
+
+import {
+  bubbleSort,
+  bubbleSortPasses,
+  buildBST,
+  dijkstra,
+  selectionSortPasses,
+  shortestPath,
+  TRAVERSALS,
+  traverse,
+} from "../utils/algorithms";
+
+// Random 32-bit seed for a new attempt
+export function newSeed() {
+  return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+// Seed of one question within an attempt, so each template gets its own
+// numbers and reordering a bank doesn't change the other questions
+export function questionSeed(seed, id) {
+  let hash = 0x811c9dc5 ^ seed;
+  for (const char of String(id)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Small deterministic generator (mulberry32)
+export function createRandom(seed) {
+  let t = seed >>> 0;
+  const next = () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const shuffle = (list) => {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = int(0, i);
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  };
+  // count different values from min..max, in random order
+  const distinct = (count, min, max) => {
+    const all = Array.from({ length: max - min + 1 }, (_, i) => min + i);
+    return shuffle(all).slice(0, count);
+  };
+  const pick = (list) => list[int(0, list.length - 1)];
+  return { next, int, shuffle, distinct, pick };
+}
+
+const MAX_TRIES = 50;
+const LETTERS = "ABCDEFGH";
+
+const isSorted = (values) =>
+  values.every((v, i) => i === 0 || values[i - 1] <= v);
+const sameList = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// An unsorted list of different values
+function unsortedValues(random, size) {
+  let values;
+  do values = random.distinct(size, 1, size * 4);
+  while (isSorted(values));
+  return values;
+}
+
+// The correct choice plus up to count - 1 different wrong ones, shuffled;
+// missing wrong ones are made by shuffling the correct one
+function withDistractors(random, correct, wrong, count) {
+  const choices = [correct];
+  const add = (choice) => {
+    if (choices.length < count && !choices.some((c) => sameList(c, choice))) {
+      choices.push(choice);
+    }
+  };
+  random.shuffle(wrong).forEach(add);
+  for (let i = 0; i < MAX_TRIES && choices.length < count; i++) {
+    add(Array.isArray(correct) ? random.shuffle(correct) : correct);
+  }
+  const shuffled = random.shuffle(choices);
+  return { choices: shuffled, answer: shuffled.indexOf(correct) };
+}
+
+// Sort pass questions: the state after `passes` passes of one algorithm;
+// rule says what one pass does
+const sortPassTemplate = (name, run, other, rule) => ({
+  params: {
+    size: { min: 4, max: 7, default: 5 },
+    passes: { min: 1, max: 3, default: 1 },
+  },
+  generate: (random, { size, passes }) => {
+    let values, correct;
+    for (let i = 0; i < MAX_TRIES; i++) {
+      values = unsortedValues(random, size);
+      correct = run(values, passes);
+      if (!isSorted(correct)) break;
+    }
+    const { choices, answer } = withDistractors(
+      random,
+      correct,
+      [
+        run(values, passes + 1),
+        other(values, passes),
+        passes > 1 ? run(values, passes - 1) : values,
+      ],
+      3
+    );
+    return {
+      type: "predict-next-state",
+      prompt: `What does the array look like after ${passes} ${name} pass${
+        passes > 1 ? "es" : ""
+      }?`,
+      state: values,
+      operation: `${name} × ${passes}`,
+      shape: "cube",
+      choices,
+      answer,
+      explanation: `${rule} After ${passes} pass${
+        passes > 1 ? "es" : ""
+      } the array is [${correct.join(", ")}].`,
+    };
+  },
+});
+
+const TRAVERSAL_RULES = {
+  preorder: "each node before its left and then its right subtree",
+  inorder: "the left subtree, then the node, then the right subtree",
+  postorder: "the left and right subtrees before the node itself",
+  "level-order": "the tree level by level from the root, left to right",
+};
+
+const TEMPLATES = {
+  "bubble-sort-first-swap": {
+    params: { size: { min: 3, max: 7, default: 5 } },
+    generate: (random, { size }) => {
+      const values = unsortedValues(random, size);
+      const label = ([a, b]) => `(${a},${b})`;
+      const first = label(bubbleSort(values).swaps[0].pair);
+      const pairs = values
+        .slice(1)
+        .map((v, i) => label([values[i], v]))
+        .filter((pair) => pair !== first);
+      const { choices, answer } = withDistractors(random, first, pairs, 3);
+      return {
+        type: "multiple-choice",
+        prompt: `If Bubble Sort is used on [${values.join(", ")}], which pair will be swapped first?`,
+        shape: "cube",
+        choices,
+        answer,
+        explanation: `Bubble Sort compares neighbours from the left and swaps the first pair that is out of order, which is ${first}.`,
+      };
+    },
+  },
+
+  "bubble-sort-pass": sortPassTemplate(
+    "Bubble Sort",
+    bubbleSortPasses,
+    selectionSortPasses,
+    "Each Bubble Sort pass swaps out-of-order neighbours from left to right, carrying the largest remaining value to the end."
+  ),
+
+  "selection-sort-pass": sortPassTemplate(
+    "Selection Sort",
+    selectionSortPasses,
+    bubbleSortPasses,
+    "Each Selection Sort pass swaps the smallest remaining value into the next position from the left."
+  ),
+
+  "bst-traversal": {
+    params: {
+      size: { min: 3, max: 7, default: 5 },
+      order: { values: ["random", ...TRAVERSALS], default: "random" },
+    },
+    generate: (random, { size, order }) => {
+      const traversal = order === "random" ? random.pick(TRAVERSALS) : order;
+      // the insertion order alone shouldn't already be the answer
+      let keys, items;
+      for (let i = 0; i < MAX_TRIES; i++) {
+        keys = random.distinct(size, 1, 99);
+        items = traverse(buildBST(keys), traversal);
+        if (!sameList(keys, items)) break;
+      }
+      return {
+        type: "ordering",
+        prompt: `Insert ${keys.join(", ")} into an empty BST. Arrange the keys in the order a ${traversal} traversal visits them.`,
+        items: items.map(String),
+        explanation: `A ${traversal} traversal visits ${
+          TRAVERSAL_RULES[traversal]
+        }, so the order is ${items.join(", ")}.`,
+      };
+    },
+  },
+
+  "dijkstra-distance": {
+    params: { nodes: { min: 4, max: 6, default: 5 } },
+    generate: (random, { nodes }) => {
+      const ids = LETTERS.slice(0, nodes).split("");
+      // a random spanning tree keeps the graph connected; extra edges
+      // give Dijkstra a choice of routes
+      const edges = ids.slice(1).map((id, i) => ({
+        from: ids[random.int(0, i)],
+        to: id,
+        weight: random.int(1, 9),
+      }));
+      const linked = (a, b) =>
+        edges.some(
+          (e) => (e.from === a && e.to === b) || (e.from === b && e.to === a)
+        );
+      for (let i = 0; i < nodes - 1; i++) {
+        const [a, b] = random.shuffle(ids);
+        if (!linked(a, b)) {
+          edges.push({ from: a, to: b, weight: random.int(1, 9) });
+        }
+      }
+
+      const target = random.pick(ids.slice(1));
+      const { dist, prev } = dijkstra(ids, edges, ids[0]);
+      const list = edges.map((e) => `${e.from}-${e.to} ${e.weight}`).join(", ");
+      return {
+        type: "numeric",
+        prompt: `Edges (weight): ${list}. Using Dijkstra from ${ids[0]}, what is the shortest distance to ${target}?`,
+        answer: dist[target],
+        tolerance: 0,
+        explanation: `The shortest route is ${shortestPath(
+          prev,
+          ids[0],
+          target
+        ).join(" → ")}, with a total weight of ${dist[target]}.`,
+      };
+    },
+  },
+};
+
+export const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+// Problems with a bank entry's template name and params
+export function templateProblems(item) {
+  const template = TEMPLATES[item.template];
+  if (!template) {
+    return [`template must be one of ${TEMPLATE_NAMES.join(", ")}`];
+  }
+  const params = item.params ?? {};
+  if (typeof params !== "object" || Array.isArray(params)) {
+    return ["params must be an object"];
+  }
+  const problems = [];
+  Object.entries(params).forEach(([name, value]) => {
+    const spec = template.params[name];
+    if (!spec) {
+      problems.push(`${item.template} has no "${name}" param`);
+    } else if (spec.values && !spec.values.includes(value)) {
+      problems.push(`${name} must be one of ${spec.values.join(", ")}`);
+    } else if (
+      !spec.values &&
+      !(Number.isInteger(value) && value >= spec.min && value <= spec.max)
+    ) {
+      problems.push(
+        `${name} must be a whole number from ${spec.min} to ${spec.max}`
+      );
+    }
+  });
+  return problems;
+}
+
+/**
+ * One instance of a template entry, as a plain bank item (checked and
+ * converted like any written question).
+ * @param {{ id: string, template: string, params?: Object, ar?: boolean }} item
+ * @param {number} seed - seed of this question (see questionSeed)
+ */
+export function generateItem(item, seed) {
+  const template = TEMPLATES[item.template];
+  const params = {};
+  Object.entries(template.params).forEach(([name, spec]) => {
+    params[name] = item.params?.[name] ?? spec.default;
+  });
+  return {
+    ...template.generate(createRandom(seed), params),
+    id: item.id,
+    ar: item.ar,
+    concepts: item.concepts,
+    review: item.review,
+    // a written explanation replaces the generated one
+    ...(item.explanation !== undefined && { explanation: item.explanation }),
+  };
+}
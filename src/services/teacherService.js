@@ -0,0 +1,39 @@
+/**
+ * Teacher Service
+ * Device-wide teacher PIN that gates classroom overrides such as unlocking
+ * every module for a student. The PIN is hashed like account passwords.
+ * It is only ever set from the teacher setup in Settings; the prompts that
+ * guard the overrides just check it.
+ */
+
+import { hashPassword, verifyPassword } from "./authService";
+
+const TEACHER_PIN_KEY = "teacherPin";
+
+function readCredential() {
+  try {
+    return JSON.parse(localStorage.getItem(TEACHER_PIN_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function hasTeacherPin() {
+  return Boolean(readCredential()?.hash);
+}
+
+// Sets up the PIN, or changes it when the current one is given
+export async function setTeacherPin(pin, currentPin = "") {
+  if (hasTeacherPin() && !(await verifyTeacherPin(currentPin))) {
+    throw new Error("Current teacher PIN is incorrect.");
+  }
+  if (pin.length < 4) {
+    throw new Error("Use at least 4 characters for the teacher PIN.");
+  }
+  const credential = await hashPassword(pin);
+  localStorage.setItem(TEACHER_PIN_KEY, JSON.stringify(credential));
+}
+
+export async function verifyTeacherPin(pin) {
+  return verifyPassword(pin, readCredential());
+}
@@ -0,0 +1,97 @@
+import { useCallback, useState } from "react";
+import useSound from "use-sound";
+import correctSfx from "/sounds/correct.mp3";
+import wrongSfx from "/sounds/wrong.mp3";
+import { useAssessmentSession } from "./useModulePage";
+import {
+  checkAnswer,
+  describeResponse,
+  getQuestions,
+} from "./questionBankService";
+
+// A right answer moves on by itself after this; a wrong one waits for
+// "Next" so its explanation can be read
+const NEXT_QUESTION_DELAY_MS = 2000;
+
+/**
+ * Questions a sitting of the assessment asks: questionsPerAttempt of the
+ * pool, or all of it when the pool is smaller.
+ * @param {{ id: string, questionsPerAttempt?: number }} assessment - from
+ *   the module manifest
+ * @param {{ ar?: boolean }} [options]
+ */
+export function countAttemptQuestions(assessment, { ar = false } = {}) {
+  const pool = getQuestions(assessment.id, { ar }).length;
+  return Math.min(pool, assessment.questionsPerAttempt || pool);
+}
+
+/**
+ * The assessment engine behind both versions of an assessment: the session
+ * (state, scoring and the stored attempt, see useAssessmentSession) plus
+ * picking choices, checking responses, sounds and moving on. Renderers only
+ * draw engine.question and report what the learner picked, so the orbit
+ * canvas and the AR scene score and store attempts the same way.
+ * @param {string} assessmentId - also the question bank to ask from
+ * @param {{ ar?: boolean }} [options] - AR asks the questions marked "ar"
+ */
+export function useAssessmentEngine(assessmentId, { ar = false } = {}) {
+  const loadQuestions = useCallback(
+    (seed) => getQuestions(assessmentId, { ar, seed }),
+    [assessmentId, ar]
+  );
+  const session = useAssessmentSession(loadQuestions);
+  // choice indexes picked on the current question
+  const [selected, setSelected] = useState([]);
+  const [playCorrect] = useSound(correctSfx, { volume: 0.5 });
+  const [playWrong] = useSound(wrongSfx, { volume: 0.5 });
+
+  const next = () => {
+    setSelected([]);
+    session.next();
+  };
+
+  // response: choice index(es), ordered entries or a number (see
+  // checkAnswer); each question can only be answered once
+  const respond = (response) => {
+    const { question } = session;
+    const isCorrect = checkAnswer(question, response);
+    if (!session.answer(isCorrect, describeResponse(question, response))) {
+      return;
+    }
+    if (isCorrect) {
+      playCorrect();
+      setTimeout(next, NEXT_QUESTION_DELAY_MS);
+    } else {
+      playWrong();
+    }
+  };
+
+  // Single-answer questions are answered by the pick; on "multiple" ones
+  // picks toggle until submitChoices
+  const choose = (index) => {
+    if (session.answered) return;
+    if (!session.question.multiple) {
+      setSelected([index]);
+      respond(index);
+      return;
+    }
+    setSelected((prev) =>
+      prev.includes(index) ? prev.filter((i) => i !== index) : [...prev, index]
+    );
+  };
+
+  const submitChoices = () => {
+    if (selected.length) respond(selected);
+  };
+
+  return {
+    ...session,
+    // true / false once the current question is answered
+    verdict: session.answered ? session.answers[session.index].correct : null,
+    selected,
+    choose,
+    submitChoices,
+    respond,
+    next,
+  };
+}
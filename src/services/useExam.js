@@ -0,0 +1,141 @@
+import {
+  createContext,
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { useBlocker } from "react-router-dom";
+import {
+  cancelExam,
+  examComplete,
+  getExamStatus,
+  recordExamAnswer,
+  recordExamQuestions,
+  settleAbandonedExams,
+  startExam,
+  submitExam,
+} from "./examService";
+
+// Provided by AssessmentPage around the AR assessment while an exam runs:
+// { deadline, sit({ seed, questionIds }), answer(index, isCorrect),
+// watchSession(xrSession), fail(error) }
+export const ExamContext = createContext(null);
+
+/**
+ * Exam mode of an assessment page (see examService): starting the attempt,
+ * the countdown, submission on the last answer, on timeout or when the XR
+ * session ends, and the navigation lock while the exam runs. If the XR
+ * session cannot start, the attempt is taken back and sessionError says
+ * why.
+ * @param {string} assessmentId
+ * @param {number} total - questions the AR assessment asks
+ */
+export function useExam(assessmentId, total) {
+  const [status, setStatus] = useState(() => {
+    settleAbandonedExams();
+    return getExamStatus(assessmentId);
+  });
+  const [leaveBlocked, setLeaveBlocked] = useState(false);
+  const [sessionError, setSessionError] = useState(null);
+  const xrSession = useRef(null);
+
+  const attempt = status.attempt;
+  const running = Boolean(attempt && !attempt.submittedAt);
+  const deadline = running ? attempt.deadline : null;
+
+  const submit = useCallback(
+    (reason) => {
+      submitExam(assessmentId, reason);
+      // ending the session fires "end" again; the exam is already submitted
+      xrSession.current?.end().catch(() => {});
+      xrSession.current = null;
+      setStatus(getExamStatus(assessmentId));
+    },
+    [assessmentId]
+  );
+
+  // the questions are only shown in the XR session: without one the exam
+  // cannot be sat, so it is taken back and the lock released
+  const fail = useCallback(
+    (error) => {
+      cancelExam(assessmentId);
+      xrSession.current = null;
+      setSessionError(error.message || String(error));
+      setStatus(getExamStatus(assessmentId));
+    },
+    [assessmentId]
+  );
+
+  const start = () => {
+    setLeaveBlocked(false);
+    setSessionError(null);
+    if (startExam(assessmentId, total)) setStatus(getExamStatus(assessmentId));
+  };
+
+  const sit = useCallback(
+    (questions) => recordExamQuestions(assessmentId, questions),
+    [assessmentId]
+  );
+
+  const answer = useCallback(
+    (index, isCorrect) => {
+      const next = recordExamAnswer(assessmentId, index, isCorrect);
+      if (next && examComplete(next)) submit("completed");
+    },
+    [assessmentId, submit]
+  );
+
+  const watchSession = useCallback(
+    (session) => {
+      xrSession.current = session;
+      session.addEventListener("end", () => submit("session-end"), {
+        once: true,
+      });
+    },
+    [submit]
+  );
+
+  // Time limit
+  useEffect(() => {
+    if (!deadline) return;
+    const timer = setTimeout(
+      () => submit("timeout"),
+      Math.max(0, deadline - Date.now())
+    );
+    return () => clearTimeout(timer);
+  }, [deadline, submit]);
+
+  // Leaving the page (logging out, closing the module) ends the exam
+  useEffect(
+    () => () => {
+      const current = getExamStatus(assessmentId).attempt;
+      if (current && !current.submittedAt) submit("session-end");
+    },
+    [assessmentId, submit]
+  );
+
+  // Lockdown: no navigation inside the app, and a warning before the tab is
+  // closed or reloaded
+  const blocker = useBlocker(running);
+  useEffect(() => {
+    if (blocker.state !== "blocked") return;
+    blocker.reset();
+    setLeaveBlocked(true);
+  }, [blocker]);
+
+  useEffect(() => {
+    if (!running) return;
+    const warn = (e) => e.preventDefault();
+    window.addEventListener("beforeunload", warn);
+    return () => window.removeEventListener("beforeunload", warn);
+  }, [running]);
+
+  const context = useMemo(
+    () => running && { deadline, sit, answer, watchSession, fail },
+    [running, deadline, sit, answer, watchSession, fail]
+  );
+
+  return { ...status, running, leaveBlocked, sessionError, context, start };
+}
@@ -0,0 +1,346 @@
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+import { DEFAULT_PASSING_SCORE, getManifest } from "../config/modules";
+import {
+  markVisualizationRun,
+  recordAssessmentResult,
+} from "./completionService";
+import { EVENT_TYPES, logEvent } from "./eventLogService";
+import { ExamContext } from "./useExam";
+import { recordConceptAnswer, selectQuestions } from "./masteryService";
+import { describeAnswer } from "./questionBankService";
+import { newSeed } from "./questionTemplates";
+
+// Provided by ModuleRunner around the page on screen:
+// { moduleId, pageId, assessmentId }
+export const ModulePageContext = createContext(null);
+
+// A visit longer than this was most likely an idle tab
+const MAX_PAGE_VISIT_MS = 30 * 60 * 1000;
+
+const pageFields = (page) =>
+  page ? { moduleId: page.moduleId, pageId: page.pageId } : {};
+
+// Logs page.enter now and page.exit (with time on page) when the learner
+// moves on or closes the tab
+export function useTimeOnPage(moduleId, pageId) {
+  useEffect(() => {
+    if (!moduleId || !pageId) return;
+
+    const enteredAt = Date.now();
+    let exited = false;
+    logEvent(EVENT_TYPES.PAGE_ENTER, { moduleId, pageId });
+
+    const exit = () => {
+      if (exited) return;
+      exited = true;
+      logEvent(EVENT_TYPES.PAGE_EXIT, {
+        moduleId,
+        pageId,
+        durationMs: Math.min(Date.now() - enteredAt, MAX_PAGE_VISIT_MS),
+      });
+    };
+
+    window.addEventListener("pagehide", exit);
+    return () => {
+      window.removeEventListener("pagehide", exit);
+      exit();
+    };
+  }, [moduleId, pageId]);
+}
+
+// Visualizations call the returned function when the learner actually runs
+// them, naming what they did ("sort", "node-click", ...)
+export function useVisualizationRun() {
+  const page = useContext(ModulePageContext);
+  return useCallback(
+    (action) => {
+      if (page) markVisualizationRun(page.moduleId, page.pageId);
+      logEvent(EVENT_TYPES.VISUALIZATION, {
+        ...pageFields(page),
+        detail: action ? { action } : undefined,
+      });
+    },
+    [page]
+  );
+}
+
+// AR pages pass their XR session through this before handing it to three.js
+// so the start and end of the session are logged (and, during an exam, so
+// ending the session submits it)
+export function useARSessionLog() {
+  const page = useContext(ModulePageContext);
+  const exam = useContext(ExamContext);
+  return useCallback(
+    (session) => {
+      exam?.watchSession(session);
+      const startedAt = Date.now();
+      logEvent(EVENT_TYPES.AR_SESSION_START, pageFields(page));
+      session.addEventListener(
+        "end",
+        () =>
+          logEvent(EVENT_TYPES.AR_SESSION_END, {
+            ...pageFields(page),
+            durationMs: Date.now() - startedAt,
+          }),
+        { once: true }
+      );
+      return session;
+    },
+    [page, exam]
+  );
+}
+
+// Wrong tries on one practice step before its hint is shown, and before the
+// answer is pointed out
+export const PRACTICE_HINT_AFTER = 1;
+export const PRACTICE_REVEAL_AFTER = 3;
+
+const idlePractice = () => ({
+  active: false,
+  steps: [], // [{ answer, hint }] from the algorithm
+  index: 0,
+  tries: 0, // wrong tries on the current step
+  mistakes: 0,
+  feedback: null, // { correct, text } for the last guess
+});
+
+const sameStep = (answer, guess) =>
+  [].concat(answer).join("|") === [].concat(guess).join("|");
+
+/**
+ * "Predict the next step" practice on a visualizer: the animation stays
+ * paused and the learner performs each step (the next pair to swap, the next
+ * node to visit). start(...args) asks buildSteps(...args) for the steps the
+ * algorithm takes; every guess is checked against the current one, and the
+ * visualizer applies a step once it has been guessed.
+ * @param {string} exercise - name logged when a run is completed
+ * @param {(...args) => Array<{ answer: *, hint: string }>} buildSteps
+ */
+export function usePracticeMode(exercise, buildSteps) {
+  const page = useContext(ModulePageContext);
+  const [practice, setPractice] = useState(idlePractice);
+  // mirrors the state so quick taps are checked against the latest step
+  const current = useRef(practice);
+
+  const update = (next) => {
+    current.current = next;
+    setPractice(next);
+  };
+
+  const start = (...args) =>
+    update({ ...idlePractice(), active: true, steps: buildSteps(...args) });
+
+  const stop = () => update(idlePractice());
+
+  // true when the guess was the next step
+  const guess = (value) => {
+    const s = current.current;
+    const step = s.steps[s.index];
+    if (!s.active || !step) return false;
+
+    if (!sameStep(step.answer, value)) {
+      const tries = s.tries + 1;
+      update({
+        ...s,
+        tries,
+        mistakes: s.mistakes + 1,
+        feedback: {
+          correct: false,
+          text:
+            tries >= PRACTICE_HINT_AFTER
+              ? `Not quite. Hint: ${step.hint}`
+              : "Not quite, try again.",
+        },
+      });
+      return false;
+    }
+
+    const index = s.index + 1;
+    const done = index === s.steps.length;
+    if (done) {
+      logEvent(EVENT_TYPES.PRACTICE_COMPLETE, {
+        ...pageFields(page),
+        detail: { exercise, steps: s.steps.length, mistakes: s.mistakes },
+      });
+    }
+    update({
+      ...s,
+      index,
+      tries: 0,
+      feedback: { correct: true, text: done ? "All steps done!" : "Correct!" },
+    });
+    return true;
+  };
+
+  return {
+    ...practice,
+    total: practice.steps.length,
+    step: practice.steps[practice.index] ?? null,
+    done: practice.active && practice.index >= practice.steps.length,
+    // the visualizer highlights step.answer after too many wrong tries
+    revealed: practice.tries >= PRACTICE_REVEAL_AFTER,
+    start,
+    stop,
+    guess,
+  };
+}
+
+// The questions of a sitting: the ones of a previous attempt when replaying
+// it, otherwise count of them picked with the weak concepts favoured
+function pickQuestions(all, count, seed, questionIds) {
+  if (questionIds) {
+    const replayed = questionIds
+      .map((id) => all.find((q) => q.id === id))
+      .filter(Boolean);
+    if (replayed.length) return replayed;
+  }
+  return selectQuestions(all, count, seed);
+}
+
+const readySession = (
+  loadQuestions,
+  count,
+  { seed = newSeed(), questionIds } = {}
+) => ({
+  status: "ready", // "ready" | "running" | "finished"
+  seed, // generated questions are rebuilt from it
+  questions: pickQuestions(loadQuestions(seed), count, seed, questionIds),
+  index: 0,
+  answers: [], // [{ correct, response }] per question
+  startedAt: null,
+  result: null,
+});
+
+const assessmentFor = (page) =>
+  getManifest(page?.moduleId)?.assessments.find(
+    (a) => a.id === page.assessmentId
+  );
+
+function passingScoreFor(page) {
+  return assessmentFor(page)?.passingScore ?? DEFAULT_PASSING_SCORE;
+}
+
+/**
+ * A scored sitting of an assessment: start, answer every question exactly
+ * once, then a final score with a per-question review. The attempt is
+ * recorded (with its timestamp) when the last question is left.
+ * loadQuestions(seed) returns the question pool (see getQuestions); a
+ * sitting asks questionsPerAttempt of them (see the module manifests),
+ * favouring weak concepts. The seed and the question ids are stored with
+ * the attempt, and start({ seed, questionIds }) sits the same questions
+ * again. During an exam the answers go to the exam, which records the
+ * attempt when it is submitted.
+ */
+export function useAssessmentSession(loadQuestions) {
+  const page = useContext(ModulePageContext);
+  const exam = useContext(ExamContext);
+  const count = assessmentFor(page)?.questionsPerAttempt;
+  const [session, setSession] = useState(() =>
+    readySession(loadQuestions, count)
+  );
+  // mirrors the state so a quick double tap can't answer twice
+  const current = useRef(session);
+
+  const update = (next) => {
+    current.current = next;
+    setSession(next);
+  };
+
+  const start = (replay) => {
+    const next = readySession(loadQuestions, count, replay);
+    exam?.sit({
+      seed: next.seed,
+      questionIds: next.questions.map((q) => q.id),
+    });
+    update({ ...next, status: "running", startedAt: Date.now() });
+  };
+
+  // response: label(s) the learner picked; false if already answered
+  const answer = (isCorrect, response) => {
+    const s = current.current;
+    if (s.status !== "running" || s.answers[s.index]) return false;
+
+    logEvent(EVENT_TYPES.ASSESSMENT_ANSWER, {
+      ...pageFields(page),
+      detail: {
+        assessmentId: page?.assessmentId ?? "",
+        question: s.index,
+        correct: Boolean(isCorrect),
+      },
+    });
+    recordConceptAnswer(s.questions[s.index].concepts, Boolean(isCorrect));
+    exam?.answer(s.index, isCorrect);
+    const answers = [...s.answers];
+    answers[s.index] = {
+      correct: Boolean(isCorrect),
+      response: [].concat(response ?? []).join(", "),
+    };
+    update({ ...s, answers });
+    return true;
+  };
+
+  const finish = (s) => {
+    const { questions, seed } = s;
+    const questionIds = questions.map((q) => q.id);
+    const total = questions.length;
+    const correct = s.answers.filter((a) => a?.correct).length;
+    const percent = Math.round((correct / total) * 100);
+    const passingScore = passingScoreFor(page);
+    // an exam records the attempt itself when it is submitted
+    const stored =
+      page?.assessmentId && !exam
+        ? recordAssessmentResult(page.assessmentId, correct, total, {
+            durationMs: Date.now() - s.startedAt,
+            seed,
+            questionIds,
+          })
+        : null;
+
+    return {
+      correct,
+      total,
+      percent,
+      passingScore,
+      passed: percent >= passingScore,
+      bestScore: stored ? stored.bestScore : percent,
+      seed,
+      questionIds,
+      review: questions.map((q, i) => ({
+        question: q.question,
+        response: s.answers[i]?.response ?? "",
+        expected: describeAnswer(q),
+        explanation: q.explanation,
+        review: q.review,
+        correct: Boolean(s.answers[i]?.correct),
+      })),
+    };
+  };
+
+  // Moves past an answered question; leaving the last one ends the session
+  const next = () => {
+    const s = current.current;
+    if (s.status !== "running" || !s.answers[s.index]) return;
+    if (s.index + 1 < s.questions.length) {
+      update({ ...s, index: s.index + 1 });
+    } else {
+      update({ ...s, status: "finished", result: finish(s) });
+    }
+  };
+
+  return {
+    ...session,
+    total: session.questions.length,
+    question: session.questions[session.index],
+    answered: Boolean(session.answers[session.index]),
+    start,
+    answer,
+    next,
+  };
+}
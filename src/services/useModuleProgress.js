@@ -1,71 +1,37 @@
-import { useEffect, useState } from "react";
-import {
-  getModuleProgress,
-  setModuleProgress,
-  getModulePosition,
-  setModulePosition,
-} from "./moduleService";
+import { useCallback, useEffect, useState } from "react";
+import { getModulePosition, setModulePosition } from "./moduleService";
+import { getCompletion } from "./completionService";
+import { normalizeRouteKey } from "./progressStore";
 
-function normalizeRouteKey(route) {
-  if (!route) return "";
-  // remove leading slash at "/modules/"
-  return route.replace(/^\/modules\//, "").replace(/^\//, "");
-}
-
-export function useModuleProgress(route, totalPages) {
+export function useModuleProgress(route) {
   const key = normalizeRouteKey(route);
 
   const [currentPage, setCurrentPage] = useState(0);
-  const [isFinished, setIsFinished] = useState(false);
-  const [progress, setProgress] = useState(0);
+  const [completion, setCompletion] = useState(() => getCompletion(key));
 
-  // Load saved state (progress + page)
+  // Load saved state (page + completion)
   useEffect(() => {
-    const savedProgress = getModuleProgress(key);
-    const savedPage = getModulePosition(key);
-
-    setCurrentPage(savedPage || 0);
-    setProgress(savedProgress || 0);
-
-    if (savedProgress === 100) {
-      setIsFinished(true);
-    }
+    setCurrentPage(getModulePosition(key) || 0);
+    setCompletion(getCompletion(key));
   }, [key]);
 
-  // Save state whenever page changes
+  // Save position whenever page changes
   useEffect(() => {
-    if (totalPages <= 0) return;
-
-    // compute % base sa page (0-based to percentage)
-    const newProgress =
-      totalPages <= 1
-        ? 100
-        : Math.round((currentPage / (totalPages - 1)) * 100);
-
     setModulePosition(key, currentPage);
+  }, [currentPage, key]);
 
-    if (!isFinished) {
-      // never decrease progress, only increase
-      const savedProgress = getModuleProgress(key);
-      const updatedProgress = Math.max(savedProgress, newProgress);
-
-      setModuleProgress(key, updatedProgress);
-      setProgress(updatedProgress);
-    }
-  }, [currentPage, totalPages, key, isFinished]);
-
-  const finishModule = () => {
-    setModuleProgress(key, 100);
-    setModulePosition(key, totalPages - 1); // jump to last page
-    setIsFinished(true);
-    setProgress(100);
-  };
+  // Re-read after new evidence (page viewed, visualization run, assessment)
+  const refreshCompletion = useCallback(() => {
+    const latest = getCompletion(key);
+    setCompletion(latest);
+    return latest;
+  }, [key]);
 
   return {
     currentPage,
     setCurrentPage,
-    progress,
-    isFinished,
-    finishModule,
+    progress: completion.percent,
+    completion,
+    refreshCompletion,
   };
 }
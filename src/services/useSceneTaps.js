@@ -0,0 +1,25 @@
+import { useEffect } from "react";
+import { useThree } from "@react-three/fiber";
+import { setupXRInput } from "../utils/xrInput";
+
+// XR select on the meshes under groupRef that have an userData.onTap handler
+// (SceneButton sets one), so scene controls work in AR as well as with the
+// mouse
+export function useSceneTaps(groupRef) {
+  const { gl } = useThree();
+
+  useEffect(
+    () =>
+      setupXRInput(gl, {
+        getCandidates: () => {
+          const meshes = [];
+          groupRef.current?.traverse((o) => {
+            if (o.userData.onTap) meshes.push(o);
+          });
+          return meshes;
+        },
+        onSelect: (hit) => hit.object.userData.onTap?.(hit),
+      }),
+    [gl, groupRef]
+  );
+}
@@ -0,0 +1,86 @@
+import { useEffect, useState } from "react";
+
+// Speeds offered by the players, as multiples of the page's step time
+export const TRACE_SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * Plays back a list of snapshots recorded by a trace builder (see
+ * utils/traces). Nothing runs the algorithm while it plays: every step is
+ * already in the list, so the player can pause, step back or jump to any
+ * point. A new list (e.g. another traversal picked) starts from its first
+ * step and keeps playing if the old one was.
+ * @param {Object[]} steps - snapshots, at least one
+ * @param {{ stepMs?: number }} options - time per step at 1x
+ * @returns {{ step: Object, index: number, count: number, playing: boolean,
+ *   speed: number, atEnd: boolean, play, pause, toggle, restart,
+ *   stepForward, stepBack, seek, setSpeed, reset }}
+ */
+export function useTracePlayer(steps, { stepMs = 700 } = {}) {
+  const [loaded, setLoaded] = useState(steps);
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  // back to the start whenever the page hands over another trace
+  if (loaded !== steps) {
+    setLoaded(steps);
+    setIndex(0);
+  }
+
+  const count = steps.length;
+  const last = count - 1;
+  const current = Math.min(index, last);
+  const atEnd = current === last;
+
+  useEffect(() => {
+    if (!playing || current >= last) return;
+    const timer = setTimeout(() => {
+      setIndex(current + 1);
+      if (current + 1 >= last) setPlaying(false);
+    }, stepMs / speed);
+    return () => clearTimeout(timer);
+  }, [playing, current, last, stepMs, speed]);
+
+  const seek = (to) => setIndex(Math.max(0, Math.min(last, to)));
+
+  // playing a finished trace starts it over
+  const play = () => {
+    if (atEnd) setIndex(0);
+    setPlaying(true);
+  };
+  const pause = () => setPlaying(false);
+
+  return {
+    step: steps[current],
+    index: current,
+    count,
+    playing: playing && !atEnd,
+    speed,
+    atEnd,
+    play,
+    pause,
+    toggle: () => (playing && !atEnd ? pause() : play()),
+    // plays from the first step, wherever the player was
+    restart: () => {
+      setIndex(0);
+      setPlaying(true);
+    },
+    stepForward: () => {
+      pause();
+      seek(current + 1);
+    },
+    stepBack: () => {
+      pause();
+      seek(current - 1);
+    },
+    seek: (to) => {
+      pause();
+      seek(to);
+    },
+    setSpeed,
+    reset: () => {
+      pause();
+      setIndex(0);
+    },
+  };
+}
@@ -0,0 +1,1298 @@
+/**
+ * Algorithm Code
+ * The code of every algorithm the pages trace (see utils/traces), in
+ * pseudocode and four languages. A line is either plain text or a
+ * [tag, text] pair; a trace step's `line` names the tag of the line it is
+ * executing, so the code panel can highlight it in whichever language the
+ * learner reads. Every language of an algorithm uses the same tags.
+ */
+
+export const CODE_LANGUAGES = [
+  { id: "pseudo", label: "Pseudo" },
+  { id: "js", label: "JS" },
+  { id: "python", label: "Python" },
+  { id: "java", label: "Java" },
+  { id: "cpp", label: "C++" },
+];
+
+export const DEFAULT_CODE_LANGUAGE = "pseudo";
+
+const BUBBLE_SORT = {
+  pseudo: [
+    "procedure bubbleSort(a):",
+    ["start", "  n = length(a)"],
+    "  for i = 0 to n - 2:",
+    "    swapped = false",
+    "    for j = 0 to n - i - 2:",
+    ["compare", "      if a[j] > a[j + 1]:"],
+    ["swap", "        swap a[j] and a[j + 1]"],
+    "        swapped = true",
+    "    if not swapped: stop",
+    ["done", "  return a"],
+  ],
+  js: [
+    "function bubbleSort(a) {",
+    ["start", "  const n = a.length;"],
+    "  for (let i = 0; i < n - 1; i++) {",
+    "    let swapped = false;",
+    "    for (let j = 0; j < n - i - 1; j++) {",
+    ["compare", "      if (a[j] > a[j + 1]) {"],
+    ["swap", "        [a[j], a[j + 1]] = [a[j + 1], a[j]];"],
+    "        swapped = true;",
+    "      }",
+    "    }",
+    "    if (!swapped) break;",
+    "  }",
+    ["done", "  return a;"],
+    "}",
+  ],
+  python: [
+    "def bubble_sort(a):",
+    ["start", "    n = len(a)"],
+    "    for i in range(n - 1):",
+    "        swapped = False",
+    "        for j in range(n - i - 1):",
+    ["compare", "            if a[j] > a[j + 1]:"],
+    ["swap", "                a[j], a[j + 1] = a[j + 1], a[j]"],
+    "                swapped = True",
+    "        if not swapped:",
+    "            break",
+    ["done", "    return a"],
+  ],
+  java: [
+    "static void bubbleSort(int[] a) {",
+    ["start", "  int n = a.length;"],
+    "  for (int i = 0; i < n - 1; i++) {",
+    "    boolean swapped = false;",
+    "    for (int j = 0; j < n - i - 1; j++) {",
+    ["compare", "      if (a[j] > a[j + 1]) {"],
+    ["swap", "        int t = a[j]; a[j] = a[j + 1]; a[j + 1] = t;"],
+    "        swapped = true;",
+    "      }",
+    "    }",
+    "    if (!swapped) break;",
+    "  }",
+    ["done", "}"],
+  ],
+  cpp: [
+    "void bubbleSort(vector<int>& a) {",
+    ["start", "  int n = a.size();"],
+    "  for (int i = 0; i < n - 1; i++) {",
+    "    bool swapped = false;",
+    "    for (int j = 0; j < n - i - 1; j++) {",
+    ["compare", "      if (a[j] > a[j + 1]) {"],
+    ["swap", "        swap(a[j], a[j + 1]);"],
+    "        swapped = true;",
+    "      }",
+    "    }",
+    "    if (!swapped) break;",
+    "  }",
+    ["done", "}"],
+  ],
+};
+
+const INSERTION_SORT = {
+  pseudo: [
+    "procedure insertionSort(a):",
+    ["start", "  n = length(a)"],
+    "  for i = 1 to n - 1:",
+    ["key", "    key = a[i]; j = i - 1"],
+    "    while j >= 0 and a[j] > key:",
+    ["shift", "      a[j + 1] = a[j]"],
+    "      j = j - 1",
+    ["insert", "    a[j + 1] = key"],
+    ["done", "  return a"],
+  ],
+  js: [
+    "function insertionSort(a) {",
+    ["start", "  const n = a.length;"],
+    "  for (let i = 1; i < n; i++) {",
+    ["key", "    const key = a[i];"],
+    "    let j = i - 1;",
+    "    while (j >= 0 && a[j] > key) {",
+    ["shift", "      a[j + 1] = a[j];"],
+    "      j--;",
+    "    }",
+    ["insert", "    a[j + 1] = key;"],
+    "  }",
+    ["done", "  return a;"],
+    "}",
+  ],
+  python: [
+    "def insertion_sort(a):",
+    ["start", "    n = len(a)"],
+    "    for i in range(1, n):",
+    ["key", "        key = a[i]"],
+    "        j = i - 1",
+    "        while j >= 0 and a[j] > key:",
+    ["shift", "            a[j + 1] = a[j]"],
+    "            j -= 1",
+    ["insert", "        a[j + 1] = key"],
+    ["done", "    return a"],
+  ],
+  java: [
+    "static void insertionSort(int[] a) {",
+    ["start", "  int n = a.length;"],
+    "  for (int i = 1; i < n; i++) {",
+    ["key", "    int key = a[i];"],
+    "    int j = i - 1;",
+    "    while (j >= 0 && a[j] > key) {",
+    ["shift", "      a[j + 1] = a[j];"],
+    "      j--;",
+    "    }",
+    ["insert", "    a[j + 1] = key;"],
+    "  }",
+    ["done", "}"],
+  ],
+  cpp: [
+    "void insertionSort(vector<int>& a) {",
+    ["start", "  int n = a.size();"],
+    "  for (int i = 1; i < n; i++) {",
+    ["key", "    int key = a[i];"],
+    "    int j = i - 1;",
+    "    while (j >= 0 && a[j] > key) {",
+    ["shift", "      a[j + 1] = a[j];"],
+    "      j--;",
+    "    }",
+    ["insert", "    a[j + 1] = key;"],
+    "  }",
+    ["done", "}"],
+  ],
+};
+
+const SELECTION_SORT = {
+  pseudo: [
+    "procedure selectionSort(a):",
+    ["start", "  n = length(a)"],
+    "  for i = 0 to n - 2:",
+    ["pass", "    min = i"],
+    "    for j = i + 1 to n - 1:",
+    ["compare", "      if a[j] < a[min]:"],
+    ["newMin", "        min = j"],
+    "    if min != i:",
+    ["swap", "      swap a[i] and a[min]"],
+    ["done", "  return a"],
+  ],
+  js: [
+    "function selectionSort(a) {",
+    ["start", "  const n = a.length;"],
+    "  for (let i = 0; i < n - 1; i++) {",
+    ["pass", "    let min = i;"],
+    "    for (let j = i + 1; j < n; j++) {",
+    ["compare", "      if (a[j] < a[min]) {"],
+    ["newMin", "        min = j;"],
+    "      }",
+    "    }",
+    "    if (min !== i) {",
+    ["swap", "      [a[i], a[min]] = [a[min], a[i]];"],
+    "    }",
+    "  }",
+    ["done", "  return a;"],
+    "}",
+  ],
+  python: [
+    "def selection_sort(a):",
+    ["start", "    n = len(a)"],
+    "    for i in range(n - 1):",
+    ["pass", "        min_ = i"],
+    "        for j in range(i + 1, n):",
+    ["compare", "            if a[j] < a[min_]:"],
+    ["newMin", "                min_ = j"],
+    "        if min_ != i:",
+    ["swap", "            a[i], a[min_] = a[min_], a[i]"],
+    ["done", "    return a"],
+  ],
+  java: [
+    "static void selectionSort(int[] a) {",
+    ["start", "  int n = a.length;"],
+    "  for (int i = 0; i < n - 1; i++) {",
+    ["pass", "    int min = i;"],
+    "    for (int j = i + 1; j < n; j++) {",
+    ["compare", "      if (a[j] < a[min]) {"],
+    ["newMin", "        min = j;"],
+    "      }",
+    "    }",
+    "    if (min != i) {",
+    ["swap", "      int t = a[i]; a[i] = a[min]; a[min] = t;"],
+    "    }",
+    "  }",
+    ["done", "}"],
+  ],
+  cpp: [
+    "void selectionSort(vector<int>& a) {",
+    ["start", "  int n = a.size();"],
+    "  for (int i = 0; i < n - 1; i++) {",
+    ["pass", "    int min = i;"],
+    "    for (int j = i + 1; j < n; j++) {",
+    ["compare", "      if (a[j] < a[min]) {"],
+    ["newMin", "        min = j;"],
+    "      }",
+    "    }",
+    "    if (min != i) {",
+    ["swap", "      swap(a[i], a[min]);"],
+    "    }",
+    "  }",
+    ["done", "}"],
+  ],
+};
+
+const MERGE_SORT = {
+  pseudo: [
+    "procedure mergeSortRange(a, lo, hi):",
+    "  if lo >= hi: return",
+    ["split", "  mid = (lo + hi) / 2"],
+    "  mergeSortRange(a, lo, mid)",
+    "  mergeSortRange(a, mid + 1, hi)",
+    "  left = a[lo..mid]; right = a[mid + 1..hi]",
+    "  i = 0; j = 0; k = lo",
+    "  while i < length(left) and j < length(right):",
+    ["compare", "    if left[i] <= right[j]:"],
+    ["takeLeft", "      a[k] = left[i]; i = i + 1"],
+    "    else:",
+    ["takeRight", "      a[k] = right[j]; j = j + 1"],
+    "    k = k + 1",
+    ["rest", "  copy the rest of left, then of right, to a[k..hi]"],
+    "procedure mergeSort(a):",
+    ["start", "  mergeSortRange(a, 0, length(a) - 1)"],
+    ["done", "  return a"],
+  ],
+  js: [
+    "function mergeSortRange(a, lo, hi) {",
+    "  if (lo >= hi) return;",
+    ["split", "  const mid = Math.floor((lo + hi) / 2);"],
+    "  mergeSortRange(a, lo, mid);",
+    "  mergeSortRange(a, mid + 1, hi);",
+    "  const left = a.slice(lo, mid + 1);",
+    "  const right = a.slice(mid + 1, hi + 1);",
+    "  let i = 0, j = 0, k = lo;",
+    "  while (i < left.length && j < right.length) {",
+    ["compare", "    if (left[i] <= right[j]) {"],
+    ["takeLeft", "      a[k++] = left[i++];"],
+    "    } else {",
+    ["takeRight", "      a[k++] = right[j++];"],
+    "    }",
+    "  }",
+    ["rest", "  while (i < left.length) a[k++] = left[i++];"],
+    "  while (j < right.length) a[k++] = right[j++];",
+    "}",
+    "function mergeSort(a) {",
+    ["start", "  mergeSortRange(a, 0, a.length - 1);"],
+    ["done", "  return a;"],
+    "}",
+  ],
+  python: [
+    "def merge_sort_range(a, lo, hi):",
+    "    if lo >= hi:",
+    "        return",
+    ["split", "    mid = (lo + hi) // 2"],
+    "    merge_sort_range(a, lo, mid)",
+    "    merge_sort_range(a, mid + 1, hi)",
+    "    left, right = a[lo:mid + 1], a[mid + 1:hi + 1]",
+    "    i = j = 0",
+    "    k = lo",
+    "    while i < len(left) and j < len(right):",
+    ["compare", "        if left[i] <= right[j]:"],
+    ["takeLeft", "            a[k] = left[i]; i += 1"],
+    "        else:",
+    ["takeRight", "            a[k] = right[j]; j += 1"],
+    "        k += 1",
+    ["rest", "    a[k:hi + 1] = left[i:] + right[j:]"],
+    "def merge_sort(a):",
+    ["start", "    merge_sort_range(a, 0, len(a) - 1)"],
+    ["done", "    return a"],
+  ],
+  java: [
+    "static void mergeSortRange(int[] a, int lo, int hi) {",
+    "  if (lo >= hi) return;",
+    ["split", "  int mid = (lo + hi) / 2;"],
+    "  mergeSortRange(a, lo, mid);",
+    "  mergeSortRange(a, mid + 1, hi);",
+    "  int[] left = Arrays.copyOfRange(a, lo, mid + 1);",
+    "  int[] right = Arrays.copyOfRange(a, mid + 1, hi + 1);",
+    "  int i = 0, j = 0, k = lo;",
+    "  while (i < left.length && j < right.length) {",
+    ["compare", "    if (left[i] <= right[j]) {"],
+    ["takeLeft", "      a[k++] = left[i++];"],
+    "    } else {",
+    ["takeRight", "      a[k++] = right[j++];"],
+    "    }",
+    "  }",
+    ["rest", "  while (i < left.length) a[k++] = left[i++];"],
+    "  while (j < right.length) a[k++] = right[j++];",
+    "}",
+    "static void mergeSort(int[] a) {",
+    ["start", "  mergeSortRange(a, 0, a.length - 1);"],
+    ["done", "}"],
+  ],
+  cpp: [
+    "void mergeSortRange(vector<int>& a, int lo, int hi) {",
+    "  if (lo >= hi) return;",
+    ["split", "  int mid = (lo + hi) / 2;"],
+    "  mergeSortRange(a, lo, mid);",
+    "  mergeSortRange(a, mid + 1, hi);",
+    "  vector<int> left(a.begin() + lo, a.begin() + mid + 1);",
+    "  vector<int> right(a.begin() + mid + 1, a.begin() + hi + 1);",
+    "  size_t i = 0, j = 0; int k = lo;",
+    "  while (i < left.size() && j < right.size()) {",
+    ["compare", "    if (left[i] <= right[j]) {"],
+    ["takeLeft", "      a[k++] = left[i++];"],
+    "    } else {",
+    ["takeRight", "      a[k++] = right[j++];"],
+    "    }",
+    "  }",
+    ["rest", "  while (i < left.size()) a[k++] = left[i++];"],
+    "  while (j < right.size()) a[k++] = right[j++];",
+    "}",
+    "void mergeSort(vector<int>& a) {",
+    ["start", "  mergeSortRange(a, 0, a.size() - 1);"],
+    ["done", "}"],
+  ],
+};
+
+const QUICK_SORT = {
+  pseudo: [
+    "procedure partition(a, lo, hi):",
+    ["pivot", "  pivot = a[hi]; i = lo"],
+    "  for j = lo to hi - 1:",
+    ["compare", "    if a[j] < pivot:"],
+    ["swap", "      swap a[i] and a[j]"],
+    "      i = i + 1",
+    ["place", "  swap a[i] and a[hi]"],
+    "  return i",
+    "procedure quickSortRange(a, lo, hi):",
+    "  if lo >= hi: return",
+    "  p = partition(a, lo, hi)",
+    "  quickSortRange(a, lo, p - 1)",
+    "  quickSortRange(a, p + 1, hi)",
+    "procedure quickSort(a):",
+    ["start", "  quickSortRange(a, 0, length(a) - 1)"],
+    ["done", "  return a"],
+  ],
+  js: [
+    "function partition(a, lo, hi) {",
+    ["pivot", "  const pivot = a[hi];"],
+    "  let i = lo;",
+    "  for (let j = lo; j < hi; j++) {",
+    ["compare", "    if (a[j] < pivot) {"],
+    ["swap", "      [a[i], a[j]] = [a[j], a[i]];"],
+    "      i++;",
+    "    }",
+    "  }",
+    ["place", "  [a[i], a[hi]] = [a[hi], a[i]];"],
+    "  return i;",
+    "}",
+    "function quickSortRange(a, lo, hi) {",
+    "  if (lo >= hi) return;",
+    "  const p = partition(a, lo, hi);",
+    "  quickSortRange(a, lo, p - 1);",
+    "  quickSortRange(a, p + 1, hi);",
+    "}",
+    "function quickSort(a) {",
+    ["start", "  quickSortRange(a, 0, a.length - 1);"],
+    ["done", "  return a;"],
+    "}",
+  ],
+  python: [
+    "def partition(a, lo, hi):",
+    ["pivot", "    pivot = a[hi]"],
+    "    i = lo",
+    "    for j in range(lo, hi):",
+    ["compare", "        if a[j] < pivot:"],
+    ["swap", "            a[i], a[j] = a[j], a[i]"],
+    "            i += 1",
+    ["place", "    a[i], a[hi] = a[hi], a[i]"],
+    "    return i",
+    "def quick_sort_range(a, lo, hi):",
+    "    if lo >= hi:",
+    "        return",
+    "    p = partition(a, lo, hi)",
+    "    quick_sort_range(a, lo, p - 1)",
+    "    quick_sort_range(a, p + 1, hi)",
+    "def quick_sort(a):",
+    ["start", "    quick_sort_range(a, 0, len(a) - 1)"],
+    ["done", "    return a"],
+  ],
+  java: [
+    "static int partition(int[] a, int lo, int hi) {",
+    ["pivot", "  int pivot = a[hi];"],
+    "  int i = lo;",
+    "  for (int j = lo; j < hi; j++) {",
+    ["compare", "    if (a[j] < pivot) {"],
+    ["swap", "      int t = a[i]; a[i] = a[j]; a[j] = t;"],
+    "      i++;",
+    "    }",
+    "  }",
+    ["place", "  int t = a[i]; a[i] = a[hi]; a[hi] = t;"],
+    "  return i;",
+    "}",
+    "static void quickSortRange(int[] a, int lo, int hi) {",
+    "  if (lo >= hi) return;",
+    "  int p = partition(a, lo, hi);",
+    "  quickSortRange(a, lo, p - 1);",
+    "  quickSortRange(a, p + 1, hi);",
+    "}",
+    "static void quickSort(int[] a) {",
+    ["start", "  quickSortRange(a, 0, a.length - 1);"],
+    ["done", "}"],
+  ],
+  cpp: [
+    "int partition(vector<int>& a, int lo, int hi) {",
+    ["pivot", "  int pivot = a[hi];"],
+    "  int i = lo;",
+    "  for (int j = lo; j < hi; j++) {",
+    ["compare", "    if (a[j] < pivot) {"],
+    ["swap", "      swap(a[i], a[j]);"],
+    "      i++;",
+    "    }",
+    "  }",
+    ["place", "  swap(a[i], a[hi]);"],
+    "  return i;",
+    "}",
+    "void quickSortRange(vector<int>& a, int lo, int hi) {",
+    "  if (lo >= hi) return;",
+    "  int p = partition(a, lo, hi);",
+    "  quickSortRange(a, lo, p - 1);",
+    "  quickSortRange(a, p + 1, hi);",
+    "}",
+    "void quickSort(vector<int>& a) {",
+    ["start", "  quickSortRange(a, 0, a.size() - 1);"],
+    ["done", "}"],
+  ],
+};
+
+const HEAP_SORT = {
+  pseudo: [
+    "procedure siftDown(a, root, end):",
+    "  while 2 * root + 1 < end:",
+    "    child = 2 * root + 1",
+    ["compare", "    if child + 1 < end and a[child + 1] > a[child]:"],
+    "      child = child + 1",
+    ["check", "    if a[root] >= a[child]: return"],
+    ["swap", "    swap a[root] and a[child]"],
+    "    root = child",
+    "procedure heapSort(a):",
+    ["start", "  n = length(a)"],
+    "  for i = n / 2 - 1 down to 0:",
+    ["heapify", "    siftDown(a, i, n)"],
+    "  for end = n - 1 down to 1:",
+    ["extract", "    swap a[0] and a[end]"],
+    "    siftDown(a, 0, end)",
+    ["done", "  return a"],
+  ],
+  js: [
+    "function siftDown(a, root, end) {",
+    "  while (2 * root + 1 < end) {",
+    "    let child = 2 * root + 1;",
+    ["compare", "    if (child + 1 < end && a[child + 1] > a[child]) {"],
+    "      child++;",
+    "    }",
+    ["check", "    if (a[root] >= a[child]) return;"],
+    ["swap", "    [a[root], a[child]] = [a[child], a[root]];"],
+    "    root = child;",
+    "  }",
+    "}",
+    "function heapSort(a) {",
+    ["start", "  const n = a.length;"],
+    "  for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {",
+    ["heapify", "    siftDown(a, i, n);"],
+    "  }",
+    "  for (let end = n - 1; end > 0; end--) {",
+    ["extract", "    [a[0], a[end]] = [a[end], a[0]];"],
+    "    siftDown(a, 0, end);",
+    "  }",
+    ["done", "  return a;"],
+    "}",
+  ],
+  python: [
+    "def sift_down(a, root, end):",
+    "    while 2 * root + 1 < end:",
+    "        child = 2 * root + 1",
+    ["compare", "        if child + 1 < end and a[child + 1] > a[child]:"],
+    "            child += 1",
+    ["check", "        if a[root] >= a[child]:"],
+    "            return",
+    ["swap", "        a[root], a[child] = a[child], a[root]"],
+    "        root = child",
+    "def heap_sort(a):",
+    ["start", "    n = len(a)"],
+    "    for i in range(n // 2 - 1, -1, -1):",
+    ["heapify", "        sift_down(a, i, n)"],
+    "    for end in range(n - 1, 0, -1):",
+    ["extract", "        a[0], a[end] = a[end], a[0]"],
+    "        sift_down(a, 0, end)",
+    ["done", "    return a"],
+  ],
+  java: [
+    "static void siftDown(int[] a, int root, int end) {",
+    "  while (2 * root + 1 < end) {",
+    "    int child = 2 * root + 1;",
+    ["compare", "    if (child + 1 < end && a[child + 1] > a[child]) {"],
+    "      child++;",
+    "    }",
+    ["check", "    if (a[root] >= a[child]) return;"],
+    ["swap", "    int t = a[root]; a[root] = a[child]; a[child] = t;"],
+    "    root = child;",
+    "  }",
+    "}",
+    "static void heapSort(int[] a) {",
+    ["start", "  int n = a.length;"],
+    "  for (int i = n / 2 - 1; i >= 0; i--) {",
+    ["heapify", "    siftDown(a, i, n);"],
+    "  }",
+    "  for (int end = n - 1; end > 0; end--) {",
+    ["extract", "    int t = a[0]; a[0] = a[end]; a[end] = t;"],
+    "    siftDown(a, 0, end);",
+    "  }",
+    ["done", "}"],
+  ],
+  cpp: [
+    "void siftDown(vector<int>& a, int root, int end) {",
+    "  while (2 * root + 1 < end) {",
+    "    int child = 2 * root + 1;",
+    ["compare", "    if (child + 1 < end && a[child + 1] > a[child]) {"],
+    "      child++;",
+    "    }",
+    ["check", "    if (a[root] >= a[child]) return;"],
+    ["swap", "    swap(a[root], a[child]);"],
+    "    root = child;",
+    "  }",
+    "}",
+    "void heapSort(vector<int>& a) {",
+    ["start", "  int n = a.size();"],
+    "  for (int i = n / 2 - 1; i >= 0; i--) {",
+    ["heapify", "    siftDown(a, i, n);"],
+    "  }",
+    "  for (int end = n - 1; end > 0; end--) {",
+    ["extract", "    swap(a[0], a[end]);"],
+    "    siftDown(a, 0, end);",
+    "  }",
+    ["done", "}"],
+  ],
+};
+
+const COUNTING_SORT = {
+  pseudo: [
+    "procedure countingSort(a):",
+    ["start", "  count = max(a) + 1 zeros"],
+    "  for v in a:",
+    ["count", "    count[v] = count[v] + 1"],
+    "  k = 0",
+    "  for v = 0 to max(a):",
+    "    repeat count[v] times:",
+    ["output", "      a[k] = v; k = k + 1"],
+    ["done", "  return a"],
+  ],
+  js: [
+    "function countingSort(a) {",
+    ["start", "  const count = Array(Math.max(...a) + 1).fill(0);"],
+    "  for (const v of a) {",
+    ["count", "    count[v]++;"],
+    "  }",
+    "  let k = 0;",
+    "  for (let v = 0; v < count.length; v++) {",
+    "    for (let c = 0; c < count[v]; c++) {",
+    ["output", "      a[k++] = v;"],
+    "    }",
+    "  }",
+    ["done", "  return a;"],
+    "}",
+  ],
+  python: [
+    "def counting_sort(a):",
+    ["start", "    count = [0] * (max(a) + 1)"],
+    "    for v in a:",
+    ["count", "        count[v] += 1"],
+    "    k = 0",
+    "    for v, c in enumerate(count):",
+    "        for _ in range(c):",
+    ["output", "            a[k] = v; k += 1"],
+    ["done", "    return a"],
+  ],
+  java: [
+    "static void countingSort(int[] a) {",
+    ["start", "  int max = Arrays.stream(a).max().getAsInt();"],
+    "  int[] count = new int[max + 1];",
+    "  for (int v : a) {",
+    ["count", "    count[v]++;"],
+    "  }",
+    "  int k = 0;",
+    "  for (int v = 0; v < count.length; v++) {",
+    "    for (int c = 0; c < count[v]; c++) {",
+    ["output", "      a[k++] = v;"],
+    "    }",
+    "  }",
+    ["done", "}"],
+  ],
+  cpp: [
+    "void countingSort(vector<int>& a) {",
+    ["start", "  vector<int> count(*max_element(a.begin(), a.end()) + 1);"],
+    "  for (int v : a) {",
+    ["count", "    count[v]++;"],
+    "  }",
+    "  int k = 0;",
+    "  for (int v = 0; v < (int)count.size(); v++) {",
+    "    for (int c = 0; c < count[v]; c++) {",
+    ["output", "      a[k++] = v;"],
+    "    }",
+    "  }",
+    ["done", "}"],
+  ],
+};
+
+const RADIX_SORT = {
+  pseudo: [
+    "procedure radixSort(a):",
+    ["start", "  exp = 1"],
+    "  while max(a) / exp >= 1:",
+    ["pass", "    buckets = 10 empty lists"],
+    "    for v in a:",
+    ["distribute", "      add v to buckets[(v / exp) mod 10]"],
+    ["collect", "    a = buckets 0 to 9, one after another"],
+    "    exp = exp * 10",
+    ["done", "  return a"],
+  ],
+  js: [
+    "function radixSort(a) {",
+    ["start", "  const max = Math.max(...a);"],
+    "  for (let exp = 1; Math.floor(max / exp) > 0; exp *= 10) {",
+    ["pass", "    const buckets = Array.from({ length: 10 }, () => []);"],
+    "    for (const v of a) {",
+    ["distribute", "      buckets[Math.floor(v / exp) % 10].push(v);"],
+    "    }",
+    ["collect", "    a = buckets.flat();"],
+    "  }",
+    ["done", "  return a;"],
+    "}",
+  ],
+  python: [
+    "def radix_sort(a):",
+    ["start", "    exp = 1"],
+    "    while max(a) // exp > 0:",
+    ["pass", "        buckets = [[] for _ in range(10)]"],
+    "        for v in a:",
+    ["distribute", "            buckets[v // exp % 10].append(v)"],
+    ["collect", "        a = [v for bucket in buckets for v in bucket]"],
+    "        exp *= 10",
+    ["done", "    return a"],
+  ],
+  java: [
+    "static List<Integer> radixSort(List<Integer> a) {",
+    ["start", "  int max = Collections.max(a);"],
+    "  for (int exp = 1; max / exp > 0; exp *= 10) {",
+    ["pass", "    List<List<Integer>> buckets = new ArrayList<>();"],
+    "    for (int d = 0; d < 10; d++) buckets.add(new ArrayList<>());",
+    "    for (int v : a) {",
+    ["distribute", "      buckets.get(v / exp % 10).add(v);"],
+    "    }",
+    "    a = new ArrayList<>();",
+    ["collect", "    for (List<Integer> bucket : buckets) a.addAll(bucket);"],
+    "  }",
+    ["done", "  return a;"],
+    "}",
+  ],
+  cpp: [
+    "vector<int> radixSort(vector<int> a) {",
+    ["start", "  int max = *max_element(a.begin(), a.end());"],
+    "  for (int exp = 1; max / exp > 0; exp *= 10) {",
+    ["pass", "    vector<vector<int>> buckets(10);"],
+    "    for (int v : a) {",
+    ["distribute", "      buckets[v / exp % 10].push_back(v);"],
+    "    }",
+    "    a.clear();",
+    ["collect", "    for (auto& bucket : buckets)"],
+    "      a.insert(a.end(), bucket.begin(), bucket.end());",
+    "  }",
+    ["done", "  return a;"],
+    "}",
+  ],
+};
+
+const LINEAR_SEARCH = {
+  pseudo: [
+    ["start", "procedure linearSearch(a, target):"],
+    "  for i = 0 to length(a) - 1:",
+    ["check", "    if a[i] == target:"],
+    ["found", "      return i"],
+    ["missing", "  return -1"],
+  ],
+  js: [
+    ["start", "function linearSearch(a, target) {"],
+    "  for (let i = 0; i < a.length; i++) {",
+    ["check", "    if (a[i] === target) {"],
+    ["found", "      return i;"],
+    "    }",
+    "  }",
+    ["missing", "  return -1;"],
+    "}",
+  ],
+  python: [
+    ["start", "def linear_search(a, target):"],
+    "    for i in range(len(a)):",
+    ["check", "        if a[i] == target:"],
+    ["found", "            return i"],
+    ["missing", "    return -1"],
+  ],
+  java: [
+    ["start", "static int linearSearch(int[] a, int target) {"],
+    "  for (int i = 0; i < a.length; i++) {",
+    ["check", "    if (a[i] == target) {"],
+    ["found", "      return i;"],
+    "    }",
+    "  }",
+    ["missing", "  return -1;"],
+    "}",
+  ],
+  cpp: [
+    ["start", "int linearSearch(const vector<int>& a, int target) {"],
+    "  for (int i = 0; i < a.size(); i++) {",
+    ["check", "    if (a[i] == target) {"],
+    ["found", "      return i;"],
+    "    }",
+    "  }",
+    ["missing", "  return -1;"],
+    "}",
+  ],
+};
+
+const LIST_WALK = {
+  pseudo: [
+    "procedure getNode(head, target):",
+    ["start", "  current = head"],
+    "  for i = 0 to target - 1:",
+    ["move", "    current = current.next"],
+    ["reached", "  return current"],
+  ],
+  js: [
+    "function getNode(head, target) {",
+    ["start", "  let current = head;"],
+    "  for (let i = 0; i < target; i++) {",
+    ["move", "    current = current.next;"],
+    "  }",
+    ["reached", "  return current;"],
+    "}",
+  ],
+  python: [
+    "def get_node(head, target):",
+    ["start", "    current = head"],
+    "    for i in range(target):",
+    ["move", "        current = current.next"],
+    ["reached", "    return current"],
+  ],
+  java: [
+    "static Node getNode(Node head, int target) {",
+    ["start", "  Node current = head;"],
+    "  for (int i = 0; i < target; i++) {",
+    ["move", "    current = current.next;"],
+    "  }",
+    ["reached", "  return current;"],
+    "}",
+  ],
+  cpp: [
+    "Node* getNode(Node* head, int target) {",
+    ["start", "  Node* current = head;"],
+    "  for (int i = 0; i < target; i++) {",
+    ["move", "    current = current->next;"],
+    "  }",
+    ["reached", "  return current;"],
+    "}",
+  ],
+};
+
+// Pre-, in- and postorder only differ in where the node is visited: before
+// the two recursive calls (visitAt 0), between them (1) or after them (2)
+function recursiveTraversal(name, visitAt) {
+  const body = (visit, left, right) => {
+    const lines = [left, right];
+    lines.splice(visitAt, 0, ["visit", visit]);
+    return lines;
+  };
+  return {
+    pseudo: [
+      ["start", `procedure ${name}(node):`],
+      "  if node is null: return",
+      ...body(
+        "  visit(node)",
+        `  ${name}(node.left)`,
+        `  ${name}(node.right)`
+      ),
+      ["done", "  return"],
+    ],
+    js: [
+      ["start", `function ${name}(node) {`],
+      "  if (node === null) return;",
+      ...body(
+        "  visit(node.key);",
+        `  ${name}(node.left);`,
+        `  ${name}(node.right);`
+      ),
+      ["done", "}"],
+    ],
+    python: [
+      ["start", `def ${name}(node):`],
+      "    if node is None:",
+      "        return",
+      ...body(
+        "    visit(node.key)",
+        `    ${name}(node.left)`,
+        `    ${name}(node.right)`
+      ),
+      ["done", "    return"],
+    ],
+    java: [
+      ["start", `static void ${name}(Node node) {`],
+      "  if (node == null) return;",
+      ...body(
+        "  visit(node.key);",
+        `  ${name}(node.left);`,
+        `  ${name}(node.right);`
+      ),
+      ["done", "}"],
+    ],
+    cpp: [
+      ["start", `void ${name}(Node* node) {`],
+      "  if (node == nullptr) return;",
+      ...body(
+        "  visit(node->key);",
+        `  ${name}(node->left);`,
+        `  ${name}(node->right);`
+      ),
+      ["done", "}"],
+    ],
+  };
+}
+
+const LEVEL_ORDER = {
+  pseudo: [
+    "procedure levelOrder(root):",
+    ["start", "  queue = [root]"],
+    "  while queue is not empty:",
+    "    node = dequeue(queue)",
+    ["visit", "    visit(node)"],
+    "    if node.left: enqueue(queue, node.left)",
+    "    if node.right: enqueue(queue, node.right)",
+    ["done", "  return"],
+  ],
+  js: [
+    "function levelOrder(root) {",
+    ["start", "  const queue = [root];"],
+    "  while (queue.length > 0) {",
+    "    const node = queue.shift();",
+    ["visit", "    visit(node.key);"],
+    "    if (node.left) queue.push(node.left);",
+    "    if (node.right) queue.push(node.right);",
+    "  }",
+    ["done", "}"],
+  ],
+  python: [
+    "def level_order(root):",
+    ["start", "    queue = deque([root])"],
+    "    while queue:",
+    "        node = queue.popleft()",
+    ["visit", "        visit(node.key)"],
+    "        if node.left:",
+    "            queue.append(node.left)",
+    "        if node.right:",
+    "            queue.append(node.right)",
+    ["done", "    return"],
+  ],
+  java: [
+    "static void levelOrder(Node root) {",
+    ["start", "  Queue<Node> queue = new ArrayDeque<>(List.of(root));"],
+    "  while (!queue.isEmpty()) {",
+    "    Node node = queue.poll();",
+    ["visit", "    visit(node.key);"],
+    "    if (node.left != null) queue.add(node.left);",
+    "    if (node.right != null) queue.add(node.right);",
+    "  }",
+    ["done", "}"],
+  ],
+  cpp: [
+    "void levelOrder(Node* root) {",
+    ["start", "  queue<Node*> q({root});"],
+    "  while (!q.empty()) {",
+    "    Node* node = q.front(); q.pop();",
+    ["visit", "    visit(node->key);"],
+    "    if (node->left) q.push(node->left);",
+    "    if (node->right) q.push(node->right);",
+    "  }",
+    ["done", "}"],
+  ],
+};
+
+const BST_SEARCH = {
+  pseudo: [
+    ["start", "procedure search(node, key):"],
+    ["missing", "  if node is null: return null"],
+    ["found", "  if key == node.key: return node"],
+    ["left", "  if key < node.key: return search(node.left, key)"],
+    ["right", "  return search(node.right, key)"],
+  ],
+  js: [
+    ["start", "function search(node, key) {"],
+    ["missing", "  if (node === null) return null;"],
+    ["found", "  if (key === node.key) return node;"],
+    ["left", "  if (key < node.key) return search(node.left, key);"],
+    ["right", "  return search(node.right, key);"],
+    "}",
+  ],
+  python: [
+    ["start", "def search(node, key):"],
+    ["missing", "    if node is None:"],
+    "        return None",
+    ["found", "    if key == node.key:"],
+    "        return node",
+    ["left", "    if key < node.key:"],
+    "        return search(node.left, key)",
+    ["right", "    return search(node.right, key)"],
+  ],
+  java: [
+    ["start", "static Node search(Node node, int key) {"],
+    ["missing", "  if (node == null) return null;"],
+    ["found", "  if (key == node.key) return node;"],
+    ["left", "  if (key < node.key) return search(node.left, key);"],
+    ["right", "  return search(node.right, key);"],
+    "}",
+  ],
+  cpp: [
+    ["start", "Node* search(Node* node, int key) {"],
+    ["missing", "  if (node == nullptr) return nullptr;"],
+    ["found", "  if (key == node->key) return node;"],
+    ["left", "  if (key < node->key) return search(node->left, key);"],
+    ["right", "  return search(node->right, key);"],
+    "}",
+  ],
+};
+
+const BST_INSERT = {
+  pseudo: [
+    ["start", "procedure insert(node, key):"],
+    ["insert", "  if node is null: return new Node(key)"],
+    "  if key < node.key:",
+    ["left", "    node.left = insert(node.left, key)"],
+    "  else if key > node.key:",
+    ["right", "    node.right = insert(node.right, key)"],
+    ["found", "  return node"],
+  ],
+  js: [
+    ["start", "function insert(node, key) {"],
+    ["insert", "  if (node === null) return new Node(key);"],
+    "  if (key < node.key) {",
+    ["left", "    node.left = insert(node.left, key);"],
+    "  } else if (key > node.key) {",
+    ["right", "    node.right = insert(node.right, key);"],
+    "  }",
+    ["found", "  return node;"],
+    "}",
+  ],
+  python: [
+    ["start", "def insert(node, key):"],
+    ["insert", "    if node is None:"],
+    "        return Node(key)",
+    "    if key < node.key:",
+    ["left", "        node.left = insert(node.left, key)"],
+    "    elif key > node.key:",
+    ["right", "        node.right = insert(node.right, key)"],
+    ["found", "    return node"],
+  ],
+  java: [
+    ["start", "static Node insert(Node node, int key) {"],
+    ["insert", "  if (node == null) return new Node(key);"],
+    "  if (key < node.key) {",
+    ["left", "    node.left = insert(node.left, key);"],
+    "  } else if (key > node.key) {",
+    ["right", "    node.right = insert(node.right, key);"],
+    "  }",
+    ["found", "  return node;"],
+    "}",
+  ],
+  cpp: [
+    ["start", "Node* insert(Node* node, int key) {"],
+    ["insert", "  if (node == nullptr) return new Node(key);"],
+    "  if (key < node->key) {",
+    ["left", "    node->left = insert(node->left, key);"],
+    "  } else if (key > node->key) {",
+    ["right", "    node->right = insert(node->right, key);"],
+    "  }",
+    ["found", "  return node;"],
+    "}",
+  ],
+};
+
+const BST_DELETE = {
+  pseudo: [
+    ["start", "procedure remove(node, key):"],
+    ["missing", "  if node is null: return null"],
+    ["left", "  if key < node.key: node.left = remove(node.left, key)"],
+    ["right", "  else if key > node.key: node.right = remove(node.right, key)"],
+    ["found", "  else:"],
+    ["noLeft", "    if node.left is null: return node.right"],
+    ["noRight", "    if node.right is null: return node.left"],
+    ["successor", "    next = node.right"],
+    ["successorLeft", "    while next.left: next = next.left"],
+    ["replace", "    node.key = next.key"],
+    "    node.right = remove(node.right, next.key)",
+    "  return node",
+  ],
+  js: [
+    ["start", "function remove(node, key) {"],
+    ["missing", "  if (node === null) return null;"],
+    ["left", "  if (key < node.key) node.left = remove(node.left, key);"],
+    [
+      "right",
+      "  else if (key > node.key) node.right = remove(node.right, key);",
+    ],
+    ["found", "  else {"],
+    ["noLeft", "    if (node.left === null) return node.right;"],
+    ["noRight", "    if (node.right === null) return node.left;"],
+    ["successor", "    let next = node.right;"],
+    ["successorLeft", "    while (next.left) next = next.left;"],
+    ["replace", "    node.key = next.key;"],
+    "    node.right = remove(node.right, next.key);",
+    "  }",
+    "  return node;",
+    "}",
+  ],
+  python: [
+    ["start", "def remove(node, key):"],
+    ["missing", "    if node is None:"],
+    "        return None",
+    "    if key < node.key:",
+    ["left", "        node.left = remove(node.left, key)"],
+    "    elif key > node.key:",
+    ["right", "        node.right = remove(node.right, key)"],
+    ["found", "    else:"],
+    ["noLeft", "        if node.left is None:"],
+    "            return node.right",
+    ["noRight", "        if node.right is None:"],
+    "            return node.left",
+    ["successor", "        nxt = node.right"],
+    ["successorLeft", "        while nxt.left: nxt = nxt.left"],
+    ["replace", "        node.key = nxt.key"],
+    "        node.right = remove(node.right, nxt.key)",
+    "    return node",
+  ],
+  java: [
+    ["start", "static Node remove(Node node, int key) {"],
+    ["missing", "  if (node == null) return null;"],
+    ["left", "  if (key < node.key) node.left = remove(node.left, key);"],
+    [
+      "right",
+      "  else if (key > node.key) node.right = remove(node.right, key);",
+    ],
+    ["found", "  else {"],
+    ["noLeft", "    if (node.left == null) return node.right;"],
+    ["noRight", "    if (node.right == null) return node.left;"],
+    ["successor", "    Node next = node.right;"],
+    ["successorLeft", "    while (next.left != null) next = next.left;"],
+    ["replace", "    node.key = next.key;"],
+    "    node.right = remove(node.right, next.key);",
+    "  }",
+    "  return node;",
+    "}",
+  ],
+  cpp: [
+    ["start", "Node* remove(Node* node, int key) {"],
+    ["missing", "  if (node == nullptr) return nullptr;"],
+    ["left", "  if (key < node->key) node->left = remove(node->left, key);"],
+    [
+      "right",
+      "  else if (key > node->key) node->right = remove(node->right, key);",
+    ],
+    ["found", "  else {"],
+    ["noLeft", "    if (!node->left) return node->right;"],
+    ["noRight", "    if (!node->right) return node->left;"],
+    ["successor", "    Node* next = node->right;"],
+    ["successorLeft", "    while (next->left) next = next->left;"],
+    ["replace", "    node->key = next->key;"],
+    "    node->right = remove(node->right, next->key);",
+    "  }",
+    "  return node;",
+    "}",
+  ],
+};
+
+// The stack takes the neighbours in reverse so they come out in list order,
+// the way the trace visits them
+const DFS = {
+  pseudo: [
+    "procedure dfs(graph, start):",
+    ["start", "  stack = [start]; visited = []"],
+    "  while stack is not empty:",
+    "    u = pop(stack)",
+    "    if u in visited: continue",
+    ["visit", "    add u to visited"],
+    "    for v in reversed(graph[u]):",
+    "      if v not in visited: push(stack, v)",
+    ["done", "  return visited"],
+  ],
+  js: [
+    "function dfs(graph, start) {",
+    ["start", "  const stack = [start];"],
+    "  const visited = [];",
+    "  while (stack.length > 0) {",
+    "    const u = stack.pop();",
+    "    if (visited.includes(u)) continue;",
+    ["visit", "    visited.push(u);"],
+    "    for (const v of [...graph[u]].reverse()) {",
+    "      if (!visited.includes(v)) stack.push(v);",
+    "    }",
+    "  }",
+    ["done", "  return visited;"],
+    "}",
+  ],
+  python: [
+    "def dfs(graph, start):",
+    ["start", "    stack = [start]"],
+    "    visited = []",
+    "    while stack:",
+    "        u = stack.pop()",
+    "        if u in visited:",
+    "            continue",
+    ["visit", "        visited.append(u)"],
+    "        for v in reversed(graph[u]):",
+    "            if v not in visited:",
+    "                stack.append(v)",
+    ["done", "    return visited"],
+  ],
+  java: [
+    "static List<String> dfs(Map<String, List<String>> graph, String start) {",
+    ["start", "  Deque<String> stack = new ArrayDeque<>(List.of(start));"],
+    "  List<String> visited = new ArrayList<>();",
+    "  while (!stack.isEmpty()) {",
+    "    String u = stack.pop();",
+    "    if (visited.contains(u)) continue;",
+    ["visit", "    visited.add(u);"],
+    "    for (String v : graph.get(u).reversed()) {",
+    "      if (!visited.contains(v)) stack.push(v);",
+    "    }",
+    "  }",
+    ["done", "  return visited;"],
+    "}",
+  ],
+  cpp: [
+    "vector<char> dfs(map<char, vector<char>>& graph, char start) {",
+    ["start", "  stack<char> s({start});"],
+    "  vector<char> visited;",
+    "  while (!s.empty()) {",
+    "    char u = s.top(); s.pop();",
+    "    if (ranges::count(visited, u)) continue;",
+    ["visit", "    visited.push_back(u);"],
+    "    for (char v : views::reverse(graph[u])) {",
+    "      if (!ranges::count(visited, v)) s.push(v);",
+    "    }",
+    "  }",
+    ["done", "  return visited;"],
+    "}",
+  ],
+};
+
+const BFS = {
+  pseudo: [
+    "procedure bfs(graph, start):",
+    ["start", "  queue = [start]; visited = []"],
+    "  while queue is not empty:",
+    "    u = dequeue(queue)",
+    "    if u in visited: continue",
+    ["visit", "    add u to visited"],
+    "    for v in graph[u]:",
+    "      if v not in visited: enqueue(queue, v)",
+    ["done", "  return visited"],
+  ],
+  js: [
+    "function bfs(graph, start) {",
+    ["start", "  const queue = [start];"],
+    "  const visited = [];",
+    "  while (queue.length > 0) {",
+    "    const u = queue.shift();",
+    "    if (visited.includes(u)) continue;",
+    ["visit", "    visited.push(u);"],
+    "    for (const v of graph[u]) {",
+    "      if (!visited.includes(v)) queue.push(v);",
+    "    }",
+    "  }",
+    ["done", "  return visited;"],
+    "}",
+  ],
+  python: [
+    "def bfs(graph, start):",
+    ["start", "    queue = deque([start])"],
+    "    visited = []",
+    "    while queue:",
+    "        u = queue.popleft()",
+    "        if u in visited:",
+    "            continue",
+    ["visit", "        visited.append(u)"],
+    "        for v in graph[u]:",
+    "            if v not in visited:",
+    "                queue.append(v)",
+    ["done", "    return visited"],
+  ],
+  java: [
+    "static List<String> bfs(Map<String, List<String>> graph, String start) {",
+    ["start", "  Queue<String> queue = new ArrayDeque<>(List.of(start));"],
+    "  List<String> visited = new ArrayList<>();",
+    "  while (!queue.isEmpty()) {",
+    "    String u = queue.poll();",
+    "    if (visited.contains(u)) continue;",
+    ["visit", "    visited.add(u);"],
+    "    for (String v : graph.get(u)) {",
+    "      if (!visited.contains(v)) queue.add(v);",
+    "    }",
+    "  }",
+    ["done", "  return visited;"],
+    "}",
+  ],
+  cpp: [
+    "vector<char> bfs(map<char, vector<char>>& graph, char start) {",
+    ["start", "  queue<char> q({start});"],
+    "  vector<char> visited;",
+    "  while (!q.empty()) {",
+    "    char u = q.front(); q.pop();",
+    "    if (ranges::count(visited, u)) continue;",
+    ["visit", "    visited.push_back(u);"],
+    "    for (char v : graph[u]) {",
+    "      if (!ranges::count(visited, v)) q.push(v);",
+    "    }",
+    "  }",
+    ["done", "  return visited;"],
+    "}",
+  ],
+};
+
+const ALGORITHM_CODE = {
+  "bubble-sort": BUBBLE_SORT,
+  "insertion-sort": INSERTION_SORT,
+  "selection-sort": SELECTION_SORT,
+  "merge-sort": MERGE_SORT,
+  "quick-sort": QUICK_SORT,
+  "heap-sort": HEAP_SORT,
+  "counting-sort": COUNTING_SORT,
+  "radix-sort": RADIX_SORT,
+  "linear-search": LINEAR_SEARCH,
+  "list-walk": LIST_WALK,
+  preorder: recursiveTraversal("preorder", 0),
+  inorder: recursiveTraversal("inorder", 1),
+  postorder: recursiveTraversal("postorder", 2),
+  "level-order": LEVEL_ORDER,
+  "bst-search": BST_SEARCH,
+  "bst-insert": BST_INSERT,
+  "bst-delete": BST_DELETE,
+  dfs: DFS,
+  bfs: BFS,
+};
+
+/**
+ * The code of an algorithm in one language, one entry per line.
+ * @param {string} algorithm - key of ALGORITHM_CODE (e.g. "bubble-sort")
+ * @param {string} language - id from CODE_LANGUAGES
+ * @returns {Array<{ text: string, tag: string | null }>}
+ */
+export function codeLines(algorithm, language) {
+  const listing = ALGORITHM_CODE[algorithm];
+  if (!listing) throw new Error(`No code for algorithm "${algorithm}"`);
+  return (listing[language] || listing[DEFAULT_CODE_LANGUAGE]).map((line) =>
+    Array.isArray(line)
+      ? { tag: line[0], text: line[1] }
+      : { tag: null, text: line }
+  );
+}
@@ -0,0 +1,211 @@
+/**
+ * Algorithm Implementations
+ * Plain versions of the algorithms the modules teach, shared by the
+ * visualizations and the generated assessment questions so both always
+ * agree on the answer. None of them change their input.
+ */
+
+/**
+ * Bubble Sort, recording every swap.
+ * @param {number[]} values
+ * @returns {{ sorted: number[], swaps: Array<{ index: number, pair: number[], pass: number }> }}
+ *   index is the position of the left element of the swapped pair
+ */
+export function bubbleSort(values) {
+  const a = [...values];
+  const swaps = [];
+  for (let pass = 1; pass < a.length; pass++) {
+    let swapped = false;
+    for (let i = 0; i < a.length - pass; i++) {
+      if (a[i] > a[i + 1]) {
+        swaps.push({ index: i, pair: [a[i], a[i + 1]], pass });
+        [a[i], a[i + 1]] = [a[i + 1], a[i]];
+        swapped = true;
+      }
+    }
+    if (!swapped) break;
+  }
+  return { sorted: a, swaps };
+}
+
+// The array after the given number of Bubble Sort passes
+export function bubbleSortPasses(values, passes) {
+  const a = [...values];
+  for (let pass = 1; pass <= passes && pass < a.length; pass++) {
+    for (let i = 0; i < a.length - pass; i++) {
+      if (a[i] > a[i + 1]) [a[i], a[i + 1]] = [a[i + 1], a[i]];
+    }
+  }
+  return a;
+}
+
+// The array after the given number of Selection Sort passes
+export function selectionSortPasses(values, passes) {
+  const a = [...values];
+  for (let i = 0; i < passes && i < a.length - 1; i++) {
+    let min = i;
+    for (let j = i + 1; j < a.length; j++) {
+      if (a[j] < a[min]) min = j;
+    }
+    [a[i], a[min]] = [a[min], a[i]];
+  }
+  return a;
+}
+
+/**
+ * Builds a binary search tree by inserting keys in order (duplicates are
+ * ignored).
+ * @returns {{ key: number, left: Object|null, right: Object|null }|null}
+ */
+export function buildBST(keys) {
+  let root = null;
+  const insert = (node, key) => {
+    if (!node) return { key, left: null, right: null };
+    if (key < node.key) node.left = insert(node.left, key);
+    else if (key > node.key) node.right = insert(node.right, key);
+    return node;
+  };
+  keys.forEach((key) => (root = insert(root, key)));
+  return root;
+}
+
+export const TRAVERSALS = ["preorder", "inorder", "postorder", "level-order"];
+
+// Keys of a tree in the given traversal order
+export function traverse(root, order) {
+  const keys = [];
+  if (order === "level-order") {
+    const queue = root ? [root] : [];
+    while (queue.length) {
+      const node = queue.shift();
+      keys.push(node.key);
+      if (node.left) queue.push(node.left);
+      if (node.right) queue.push(node.right);
+    }
+    return keys;
+  }
+  const visit = (node) => {
+    if (!node) return;
+    if (order === "preorder") keys.push(node.key);
+    visit(node.left);
+    if (order === "inorder") keys.push(node.key);
+    visit(node.right);
+    if (order === "postorder") keys.push(node.key);
+  };
+  visit(root);
+  return keys;
+}
+
+/**
+ * Dijkstra's shortest paths on an undirected weighted graph.
+ * @param {Array<string|number>} nodeIds
+ * @param {Array<{ from, to, weight: number }>} edges
+ * @param {string|number} start
+ * @returns {{ dist: Object, prev: Object }} keyed by node id
+ */
+export function dijkstra(nodeIds, edges, start) {
+  const dist = {};
+  const prev = {};
+  const visited = new Set();
+  const q = [...nodeIds];
+
+  nodeIds.forEach((id) => (dist[id] = Infinity));
+  dist[start] = 0;
+
+  while (q.length) {
+    q.sort((a, b) => dist[a] - dist[b]);
+    const u = q.shift();
+    visited.add(u);
+
+    edges
+      .filter((e) => e.from === u || e.to === u)
+      .forEach((e) => {
+        const v = e.from === u ? e.to : e.from;
+        if (!visited.has(v)) {
+          const alt = dist[u] + e.weight;
+          if (alt < dist[v]) {
+            dist[v] = alt;
+            prev[v] = u;
+          }
+        }
+      });
+  }
+  return { dist, prev };
+}
+
+// Node ids from start to end along a Dijkstra prev map ([] if unreachable)
+export function shortestPath(prev, start, end) {
+  const path = [];
+  let u = end;
+  while (u !== start && u !== undefined) {
+    path.unshift(u);
+    u = prev[u];
+  }
+  if (u === start) path.unshift(start);
+  return path;
+}
+
+/**
+ * Bellman-Ford shortest paths on an undirected weighted graph: every edge is
+ * relaxed (both ways) once per node until nothing improves.
+ * @returns {{ dist: Object, prev: Object }} as dijkstra
+ */
+export function bellmanFord(nodeIds, edges, start) {
+  const dist = {};
+  const prev = {};
+  nodeIds.forEach((id) => (dist[id] = Infinity));
+  dist[start] = 0;
+
+  const relax = (u, v, weight) => {
+    if (dist[u] + weight < dist[v]) {
+      dist[v] = dist[u] + weight;
+      prev[v] = u;
+      return true;
+    }
+    return false;
+  };
+  for (let round = 1; round < nodeIds.length; round++) {
+    let changed = false;
+    edges.forEach(({ from, to, weight }) => {
+      if (relax(from, to, weight)) changed = true;
+      if (relax(to, from, weight)) changed = true;
+    });
+    if (!changed) break;
+  }
+  return { dist, prev };
+}
+
+/**
+ * Floyd-Warshall shortest paths between every pair of nodes of an
+ * undirected weighted graph.
+ * @returns {{ dist: Object, prev: Object }} dist[a][b] is the length of the
+ *   shortest a-b path; prev[a] is a prev map from a (see shortestPath)
+ */
+export function floydWarshall(nodeIds, edges) {
+  const dist = {};
+  const prev = {};
+  nodeIds.forEach((a) => {
+    dist[a] = {};
+    prev[a] = {};
+    nodeIds.forEach((b) => (dist[a][b] = a === b ? 0 : Infinity));
+  });
+  edges.forEach(({ from, to, weight }) => {
+    if (weight < dist[from][to]) {
+      dist[from][to] = dist[to][from] = weight;
+      prev[from][to] = from;
+      prev[to][from] = to;
+    }
+  });
+
+  nodeIds.forEach((k) =>
+    nodeIds.forEach((a) =>
+      nodeIds.forEach((b) => {
+        if (dist[a][k] + dist[k][b] < dist[a][b]) {
+          dist[a][b] = dist[a][k] + dist[k][b];
+          prev[a][b] = prev[k][b];
+        }
+      })
+    )
+  );
+  return { dist, prev };
+}
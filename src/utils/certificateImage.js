@@ -0,0 +1,154 @@
+import { imagePdf } from "./imagePdf";
+
+// A4 landscape: canvas pixels and PDF points
+const WIDTH = 1600;
+const HEIGHT = 1131;
+const PDF_PAGE = { width: 842, height: 595 };
+
+const PRIMARY = "#2563eb";
+const INK = "#111827";
+const MUTED = "#6b7280";
+
+const formatDate = (at) =>
+  at
+    ? new Date(at).toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+      })
+    : "-";
+
+// Resolves to null when the image can't be loaded
+const loadImage = (src) =>
+  new Promise((resolve) => {
+    if (!src) {
+      resolve(null);
+      return;
+    }
+    const image = new Image();
+    // keeps the canvas exportable
+    image.crossOrigin = "anonymous";
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = src;
+  });
+
+function drawAvatar(ctx, image, x, y, radius) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.closePath();
+  ctx.clip();
+  ctx.drawImage(image, x - radius, y - radius, radius * 2, radius * 2);
+  ctx.restore();
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = PRIMARY;
+  ctx.stroke();
+}
+
+function text(ctx, value, x, y, { font, color = INK, align = "center" }) {
+  ctx.font = font;
+  ctx.fillStyle = color;
+  ctx.textAlign = align;
+  ctx.fillText(value, x, y);
+}
+
+/**
+ * Draws a completion certificate (see certificateService) on a new canvas.
+ * @param {Object} certificate - see getCertificate
+ * @param {{ code: string, avatar?: string }} details - verification code
+ *   and the student's avatar
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function drawCertificate(certificate, { code, avatar }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext("2d");
+  const center = WIDTH / 2;
+
+  // Paper and frame
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  ctx.strokeStyle = PRIMARY;
+  ctx.lineWidth = 12;
+  ctx.strokeRect(40, 40, WIDTH - 80, HEIGHT - 80);
+  ctx.lineWidth = 2;
+  ctx.strokeRect(64, 64, WIDTH - 128, HEIGHT - 128);
+
+  text(ctx, "EDUAR", center, 140, {
+    font: "600 28px sans-serif",
+    color: PRIMARY,
+  });
+  text(ctx, "Certificate of Completion", center, 220, {
+    font: "bold 64px serif",
+  });
+  text(ctx, "This certifies that", center, 280, {
+    font: "28px sans-serif",
+    color: MUTED,
+  });
+
+  const image = await loadImage(avatar || "/icons/icon1.png");
+  if (image) drawAvatar(ctx, image, center, 370, 60);
+
+  text(ctx, certificate.username, center, 500, { font: "bold 56px serif" });
+  text(ctx, "has completed every module of EduAR", center, 550, {
+    font: "28px sans-serif",
+    color: MUTED,
+  });
+
+  // Modules, with completion dates and best assessment scores
+  const left = 260;
+  const right = WIDTH - 260;
+  const rowHeight = Math.min(44, 320 / (certificate.modules.length + 1));
+  const header = { font: "bold 22px sans-serif", color: MUTED };
+  let y = 620;
+  text(ctx, "Module", left, y, { ...header, align: "left" });
+  text(ctx, "Completed", 1000, y, { ...header, align: "left" });
+  text(ctx, "Score", right, y, { ...header, align: "right" });
+  certificate.modules.forEach((m) => {
+    y += rowHeight;
+    const row = { font: "24px sans-serif" };
+    text(ctx, m.title, left, y, { ...row, align: "left" });
+    text(ctx, formatDate(m.completedAt), 1000, y, { ...row, align: "left" });
+    text(ctx, m.score === null ? "-" : `${m.score}%`, right, y, {
+      ...row,
+      align: "right",
+    });
+  });
+
+  // Issue date and verification code
+  const footer = HEIGHT - 140;
+  text(ctx, `Issued ${formatDate(certificate.issuedAt)}`, 160, footer, {
+    font: "24px sans-serif",
+    align: "left",
+  });
+  text(ctx, `Verification code ${code}`, WIDTH - 160, footer, {
+    font: "bold 24px monospace",
+    align: "right",
+  });
+  text(
+    ctx,
+    "Teachers can check this code in EduAR: Modules › Verify certificate",
+    center,
+    HEIGHT - 96,
+    { font: "20px sans-serif", color: MUTED }
+  );
+
+  return canvas;
+}
+
+const canvasBlob = (canvas, type, quality) =>
+  new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+
+export function certificatePng(canvas) {
+  return canvasBlob(canvas, "image/png");
+}
+
+// Printable A4 PDF of the drawn certificate
+export async function certificatePdf(canvas) {
+  const jpeg = await canvasBlob(canvas, "image/jpeg", 0.92);
+  return imagePdf(new Uint8Array(await jpeg.arrayBuffer()), canvas, PDF_PAGE);
+}
@@ -0,0 +1,66 @@
+/**
+ * imagePdf
+ * Builds a one-page PDF that shows a JPEG image over the whole page, so a
+ * canvas can be saved as a PDF without a PDF library. JPEG data can be
+ * embedded as it is (DCTDecode), so the file is just the few PDF objects
+ * around it.
+ * - jpeg: JPEG file bytes (e.g. from canvas.toBlob(..., "image/jpeg"))
+ * - pixels: { width, height } of the image
+ * - page: { width, height } of the page in points (1/72 inch)
+ *
+ * Returns a Blob of type application/pdf.
+ */
+export function imagePdf(jpeg, pixels, page) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+
+  const add = (part) => {
+    const bytes = typeof part === "string" ? encoder.encode(part) : part;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  // objects are numbered from 1 in the order they are added
+  const object = (body) => {
+    offsets.push(length);
+    add(`${offsets.length} 0 obj\n`);
+    body();
+    add("\nendobj\n");
+  };
+
+  const draw = `q ${page.width} 0 0 ${page.height} 0 0 cm /Im0 Do Q`;
+
+  add("%PDF-1.4\n");
+  object(() => add("<< /Type /Catalog /Pages 2 0 R >>"));
+  object(() => add("<< /Type /Pages /Kids [3 0 R] /Count 1 >>"));
+  object(() =>
+    add(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}]` +
+        " /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>"
+    )
+  );
+  object(() => {
+    add(
+      `<< /Type /XObject /Subtype /Image /Width ${pixels.width}` +
+        ` /Height ${pixels.height} /ColorSpace /DeviceRGB` +
+        ` /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\n` +
+        "stream\n"
+    );
+    add(jpeg);
+    add("\nendstream");
+  });
+  object(() => add(`<< /Length ${draw.length} >>\nstream\n${draw}\nendstream`));
+
+  const xref = length;
+  add(`xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach((offset) =>
+    add(`${String(offset).padStart(10, "0")} 00000 n \n`)
+  );
+  add(
+    `trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R >>\n` +
+      `startxref\n${xref}\n%%EOF\n`
+  );
+
+  return new Blob(parts, { type: "application/pdf" });
+}
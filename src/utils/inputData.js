@@ -0,0 +1,314 @@
+/**
+ * Visualizer Input
+ * Parsing, validation and presets for the data learners give the
+ * visualizers. Every kind of input is typed as text (see formatInput) and
+ * parsed back with parseInput, which returns { value } or { error } with a
+ * message for the learner. The limits keep the 3D scenes readable.
+ * Kinds:
+ * - numbers: an array to sort or search, e.g. "35, 10, 25"
+ * - race: the same, longer, for the sorting race (sorts only pull apart on
+ *   more than a handful of values)
+ * - values: linked list nodes, short labels such as "10, 20" or "A, B"
+ * - items: the few numbers of a stack, queue or array drawn box by box
+ * - keys: distinct keys inserted into a binary search tree in order
+ * - graph / weighted-graph: an edge list such as "A-B, B-C" or "A-B:4"
+ *   ({ nodes, edges: [{ from, to, weight? }] }, nodes in order of appearance)
+ */
+
+import { buildBST, traverse } from "./algorithms";
+
+export const INPUT_LIMITS = {
+  numbers: { minLength: 2, maxLength: 10, min: 1, max: 99 },
+  race: { minLength: 2, maxLength: 30, min: 1, max: 99 },
+  values: { minLength: 2, maxLength: 6, maxChars: 3 },
+  items: { minLength: 2, maxLength: 6, min: 1, max: 99 },
+  keys: { minLength: 1, maxLength: 10, min: 1, max: 99 },
+  graph: { minNodes: 2, maxNodes: 8, maxEdges: 12, maxWeight: 99 },
+};
+
+// Presets each kind offers; best and worst case are those of the sorts
+// (and of BST height for keys)
+export const INPUT_PRESETS = {
+  numbers: ["random", "best", "worst", "nearly"],
+  race: ["random", "best", "worst", "nearly"],
+  values: ["random"],
+  items: ["random"],
+  keys: ["random", "best", "worst", "nearly"],
+  graph: ["random"],
+  "weighted-graph": ["random"],
+};
+
+export const PRESET_LABELS = {
+  random: "Random",
+  best: "Best case",
+  worst: "Worst case",
+  nearly: "Nearly sorted",
+};
+
+const limitsOf = (kind) => INPUT_LIMITS[kind] || INPUT_LIMITS.graph;
+
+const randomInt = (min, max) =>
+  min + Math.floor(Math.random() * (max - min + 1));
+
+const splitList = (text) =>
+  String(text)
+    .split(/[\s,;]+/)
+    .filter(Boolean);
+
+function parseNumbers(text, { minLength, maxLength, min, max }, distinct) {
+  const items = splitList(text);
+  if (items.length < minLength || items.length > maxLength) {
+    return { error: `Enter ${minLength} to ${maxLength} numbers.` };
+  }
+  const bad = items.find((item) => !/^-?\d+$/.test(item));
+  if (bad) return { error: `"${bad}" is not a whole number.` };
+
+  const value = items.map(Number);
+  const outside = value.find((n) => n < min || n > max);
+  if (outside !== undefined) {
+    return { error: `${outside} is outside ${min}–${max}.` };
+  }
+  const repeated = value.find((n, i) => value.indexOf(n) !== i);
+  if (distinct && repeated !== undefined) {
+    return { error: `${repeated} appears twice; keys must be different.` };
+  }
+  return { value };
+}
+
+function parseValues(text, { minLength, maxLength, maxChars }) {
+  const value = splitList(text);
+  if (value.length < minLength || value.length > maxLength) {
+    return { error: `Enter ${minLength} to ${maxLength} values.` };
+  }
+  const long = value.find((v) => v.length > maxChars);
+  if (long) {
+    return { error: `"${long}" is longer than ${maxChars} characters.` };
+  }
+  return { value };
+}
+
+const EDGE = /^([a-z0-9]{1,2})\s*-\s*([a-z0-9]{1,2})(?:\s*:\s*(\d+))?$/i;
+
+function parseGraph(text, weighted) {
+  const { minNodes, maxNodes, maxEdges, maxWeight } = INPUT_LIMITS.graph;
+  const items = String(text)
+    .split(/[,;\n]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+  if (!items.length) return { error: "Enter at least one edge, e.g. A-B." };
+  if (items.length > maxEdges) {
+    return { error: `Use at most ${maxEdges} edges.` };
+  }
+
+  const nodes = [];
+  const edges = [];
+  for (const item of items) {
+    const match = EDGE.exec(item);
+    if (!match) {
+      return {
+        error: `"${item}" is not an edge; write it as ${
+          weighted ? "A-B:4" : "A-B"
+        }.`,
+      };
+    }
+    const [, a, b, weight] = match;
+    const from = a.toUpperCase();
+    const to = b.toUpperCase();
+    if (from === to) return { error: `${item} connects a node to itself.` };
+    if (weighted && weight === undefined) {
+      return { error: `Give ${item} a weight, e.g. ${from}-${to}:4.` };
+    }
+    if (!weighted && weight !== undefined) {
+      return { error: `This graph has no weights; write ${from}-${to}.` };
+    }
+    if (weighted && (Number(weight) < 1 || Number(weight) > maxWeight)) {
+      return { error: `Weights must be between 1 and ${maxWeight}.` };
+    }
+    const same = (e) =>
+      (e.from === from && e.to === to) || (e.from === to && e.to === from);
+    if (edges.some(same)) return { error: `${from}-${to} is listed twice.` };
+
+    [from, to].forEach((id) => !nodes.includes(id) && nodes.push(id));
+    edges.push(weighted ? { from, to, weight: Number(weight) } : { from, to });
+  }
+
+  if (nodes.length < minNodes || nodes.length > maxNodes) {
+    return { error: `Use ${minNodes} to ${maxNodes} nodes.` };
+  }
+  return { value: { nodes, edges } };
+}
+
+// Parses what the learner typed: { value } or { error }
+export function parseInput(kind, text) {
+  switch (kind) {
+    case "numbers":
+      return parseNumbers(text, INPUT_LIMITS.numbers, false);
+    case "race":
+      return parseNumbers(text, INPUT_LIMITS.race, false);
+    case "items":
+      return parseNumbers(text, INPUT_LIMITS.items, false);
+    case "keys":
+      return parseNumbers(text, INPUT_LIMITS.keys, true);
+    case "values":
+      return parseValues(text, INPUT_LIMITS.values);
+    case "graph":
+      return parseGraph(text, false);
+    case "weighted-graph":
+      return parseGraph(text, true);
+    default:
+      throw new Error(`Unknown input kind "${kind}"`);
+  }
+}
+
+// The text parseInput reads back as the same value
+export function formatInput(kind, value) {
+  if (kind === "graph" || kind === "weighted-graph") {
+    return value.edges
+      .map(({ from, to, weight }) =>
+        weight === undefined ? `${from}-${to}` : `${from}-${to}:${weight}`
+      )
+      .join(", ");
+  }
+  return value.join(", ");
+}
+
+// Bounds of the preset size control
+export function sizeLimits(kind) {
+  const limits = limitsOf(kind);
+  return limits.minLength !== undefined
+    ? { min: limits.minLength, max: limits.maxLength }
+    : { min: limits.minNodes, max: limits.maxNodes };
+}
+
+// How many items (or graph nodes) a value has
+export function inputSize(kind, value) {
+  return Array.isArray(value) ? value.length : value.nodes.length;
+}
+
+function distinctNumbers(count, min, max) {
+  const picked = new Set();
+  while (picked.size < count) picked.add(randomInt(min, max));
+  return [...picked];
+}
+
+// Ascending keys reordered so inserting them gives a balanced tree
+function balancedOrder(sorted) {
+  if (!sorted.length) return [];
+  const mid = Math.floor((sorted.length - 1) / 2);
+  return [
+    sorted[mid],
+    ...balancedOrder(sorted.slice(0, mid)),
+    ...balancedOrder(sorted.slice(mid + 1)),
+  ];
+}
+
+// Sorted, then a few neighbours swapped
+function nearlySorted(sorted) {
+  const a = [...sorted];
+  const swaps = Math.max(1, Math.floor(a.length / 4));
+  for (let k = 0; k < swaps; k++) {
+    const i = randomInt(0, a.length - 2);
+    [a[i], a[i + 1]] = [a[i + 1], a[i]];
+  }
+  return a;
+}
+
+// A connected random graph: a random spanning tree plus a few extra edges
+function randomGraph(size, weighted) {
+  const { maxEdges } = INPUT_LIMITS.graph;
+  const nodes = Array.from({ length: size }, (_, i) =>
+    String.fromCharCode(65 + i)
+  );
+  const edges = [];
+  const has = (a, b) =>
+    edges.some(
+      (e) => (e.from === a && e.to === b) || (e.from === b && e.to === a)
+    );
+  const add = (from, to) =>
+    edges.push(
+      weighted ? { from, to, weight: randomInt(1, 9) } : { from, to }
+    );
+
+  nodes.slice(1).forEach((to, i) => add(nodes[randomInt(0, i)], to));
+  const target = Math.min(size - 1 + randomInt(1, size - 1), maxEdges);
+  for (let tries = 0; tries < 20 && edges.length < target; tries++) {
+    const a = nodes[randomInt(0, size - 1)];
+    const b = nodes[randomInt(0, size - 1)];
+    if (a !== b && !has(a, b)) add(a, b);
+  }
+  return { nodes, edges };
+}
+
+/**
+ * A generated value of the given size.
+ * @param {string} kind
+ * @param {"random"|"best"|"worst"|"nearly"} preset - see INPUT_PRESETS
+ * @param {number} size - items, or nodes of a graph (see sizeLimits)
+ */
+export function presetInput(kind, preset, size) {
+  if (kind === "graph" || kind === "weighted-graph") {
+    return randomGraph(size, kind === "weighted-graph");
+  }
+  if (kind === "values") {
+    return distinctNumbers(size, 1, 99).map(String);
+  }
+
+  const { min, max } = limitsOf(kind);
+  const values =
+    kind === "keys"
+      ? distinctNumbers(size, min, max)
+      : Array.from({ length: size }, () => randomInt(min, max));
+  const sorted = [...values].sort((a, b) => a - b);
+
+  switch (preset) {
+    case "best":
+      return kind === "keys" ? balancedOrder(sorted) : sorted;
+    case "worst":
+      // a reversed array for the sorts; sorted keys make a one-sided tree
+      return kind === "keys" ? sorted : sorted.reverse();
+    case "nearly":
+      return nearlySorted(sorted);
+    default:
+      return values;
+  }
+}
+
+/**
+ * Keys the BST operation buttons work on for a tree built from keys (the
+ * lesson's example gives Search 40, Insert 65, Delete 30):
+ * - Search: the root's inorder predecessor, a few levels down
+ * - Insert: a missing key between the root's successor and the next key
+ * - Delete: the first key inserted after the root that has two children
+ */
+export function bstOperationKeys(keys) {
+  const root = buildBST(keys);
+  const sorted = traverse(root, "inorder");
+  const rank = sorted.indexOf(root.key);
+
+  const search = sorted[rank - 1] ?? sorted[rank + 1] ?? root.key;
+
+  // walk the gaps from the root's successor outwards for a free key
+  const { min, max } = INPUT_LIMITS.keys;
+  const bounds = [min - 1, ...sorted, max + 1];
+  const gaps = bounds.slice(1).map((to, i) => [bounds[i], to]);
+  const start = Math.min(rank + 2, gaps.length - 1);
+  const [low, high] = [
+    ...gaps.slice(start),
+    ...gaps.slice(0, start).reverse(),
+  ].find(([a, b]) => b - a > 1);
+  const insert = Math.floor((low + high) / 2);
+
+  const find = (node, key) =>
+    node.key === key
+      ? node
+      : find(key < node.key ? node.left : node.right, key);
+  const full = (key) => {
+    const node = find(root, key);
+    return node.left && node.right;
+  };
+  const remove =
+    keys.slice(1).find(full) ??
+    (full(root.key) ? root.key : keys[keys.length - 1]);
+
+  return { Search: search, Insert: insert, Delete: remove };
+}
@@ -0,0 +1,55 @@
+/**
+ * Scene Layouts
+ * Positions for drawing structures built from learner input (see
+ * utils/inputData), where the lesson's hand-placed coordinates no longer
+ * apply. Positions are [x, y, z] arrays as the scenes use them.
+ */
+
+/**
+ * A binary tree laid out top-down: x follows the inorder rank, so a BST
+ * reads left to right in key order, and y the depth. Levels are squeezed
+ * together when the tree is deeper than maxHeight allows.
+ * @param {{ key, left, right }|null} root - e.g. from buildBST
+ * @returns {{ nodes: Array<{ id, pos: number[] }>, edges: Array<Array> }}
+ *   edges are [parent, child] key pairs
+ */
+export function layoutTree(
+  root,
+  { top = 3, levelGap = 1.5, maxHeight = 4.5, z = 0 } = {}
+) {
+  const ranked = [];
+  const edges = [];
+  const walk = (node, depth) => {
+    if (!node) return;
+    [node.left, node.right].forEach(
+      (child) => child && edges.push([node.key, child.key])
+    );
+    walk(node.left, depth + 1);
+    ranked.push({ id: node.key, depth });
+    walk(node.right, depth + 1);
+  };
+  walk(root, 0);
+
+  const depth = Math.max(0, ...ranked.map((n) => n.depth));
+  const gap = depth ? Math.min(levelGap, maxHeight / depth) : levelGap;
+  const mid = (ranked.length - 1) / 2;
+  const nodes = ranked.map((n, i) => ({
+    id: n.id,
+    pos: [i - mid, top - n.depth * gap, z],
+  }));
+  return { nodes, edges };
+}
+
+// Ids spread evenly on a circle, the first at the top, keyed by id
+export function layoutCircle(ids, radius, center = [0, 0, 0]) {
+  const [cx, cy, cz] = center;
+  return Object.fromEntries(
+    ids.map((id, i) => {
+      const angle = Math.PI / 2 + (2 * Math.PI * i) / ids.length;
+      return [
+        id,
+        [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle), cz],
+      ];
+    })
+  );
+}
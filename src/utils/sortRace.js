@@ -0,0 +1,172 @@
+/**
+ * Sorting Race
+ * Several sorts run on the same input side by side. The race is played as
+ * one trace (see raceTrace) so useTracePlayer and its controls work as for
+ * a single sort. Its clock is the work the counters show: every tick each
+ * sort makes one more operation, a comparison or an array write (a swap is
+ * two writes, a count or bucket update one), so the sort that needs fewest
+ * finishes first. Steps that cost nothing, such as merge sort's splits, pass
+ * within a tick.
+ * countsBySize gives the same counts for growing inputs.
+ */
+
+import {
+  bubbleSortTrace,
+  countingSortTrace,
+  heapSortTrace,
+  insertionSortTrace,
+  mergeSortTrace,
+  quickSortTrace,
+  radixSortTrace,
+  selectionSortTrace,
+} from "./traces";
+import { presetInput } from "./inputData";
+
+// The sorts that can race, in the order the lessons teach them
+export const RACE_SORTS = [
+  {
+    algorithm: "bubble-sort",
+    title: "Bubble Sort",
+    complexity: "O(n²)",
+    trace: bubbleSortTrace,
+  },
+  {
+    algorithm: "insertion-sort",
+    title: "Insertion Sort",
+    complexity: "O(n²)",
+    trace: insertionSortTrace,
+  },
+  {
+    algorithm: "selection-sort",
+    title: "Selection Sort",
+    complexity: "O(n²)",
+    trace: selectionSortTrace,
+  },
+  {
+    algorithm: "merge-sort",
+    title: "Merge Sort",
+    complexity: "O(n log n)",
+    trace: mergeSortTrace,
+  },
+  {
+    algorithm: "quick-sort",
+    title: "Quick Sort",
+    complexity: "O(n log n)",
+    trace: quickSortTrace,
+  },
+  {
+    algorithm: "heap-sort",
+    title: "Heap Sort",
+    complexity: "O(n log n)",
+    trace: heapSortTrace,
+  },
+  {
+    algorithm: "counting-sort",
+    title: "Counting Sort",
+    complexity: "O(n + k)",
+    trace: countingSortTrace,
+  },
+  {
+    algorithm: "radix-sort",
+    title: "Radix Sort",
+    complexity: "O(d · n)",
+    trace: radixSortTrace,
+  },
+];
+
+export const RACE_LIMITS = { minSorts: 2, maxSorts: 4 };
+
+// Input sizes of the chart; larger than the race itself so the curves of
+// O(n²) and O(n log n) come apart
+export const RACE_SIZES = [5, 10, 20, 40, 80];
+
+export const RACE_METRICS = [
+  { id: "comparisons", label: "Comparisons" },
+  { id: "swaps", label: "Swaps" },
+  { id: "writes", label: "Array writes" },
+];
+
+const operationsOf = ({ counts }) => counts.comparisons + counts.writes;
+
+const sortOf = (algorithm) => {
+  const sort = RACE_SORTS.find((s) => s.algorithm === algorithm);
+  if (!sort) throw new Error(`Unknown sort "${algorithm}"`);
+  return sort;
+};
+
+// 1st, 2nd, 3rd, 4th...
+export const ordinal = (place) =>
+  `${place}${["st", "nd", "rd"][place - 1] || "th"}`;
+
+/**
+ * The race of the given sorts on values, as a list of snapshots, one per
+ * tick: { lanes: [{ algorithm, title, complexity, step, place }], note,
+ * done }. step is the lane's own sort snapshot at this tick, place its
+ * finishing place (1 for the first, equal for a tie) once it is done, else
+ * null.
+ * @param {string[]} algorithms - keys of RACE_SORTS
+ * @param {number[]} values
+ */
+export function raceTrace(algorithms, values) {
+  const runs = algorithms.map((algorithm) => {
+    const { trace, ...sort } = sortOf(algorithm);
+    return { ...sort, steps: trace(values) };
+  });
+  // the tick each sort is done at, its operation count
+  const ends = runs.map(({ steps }) => operationsOf(steps[steps.length - 1]));
+  const places = ends.map((end) => 1 + ends.filter((e) => e < end).length);
+  const last = Math.max(...ends);
+  const names = (list) => list.map((run) => run.title).join(" and ");
+  const at = runs.map(() => 0); // each lane's snapshot
+
+  const snapshots = [];
+  for (let tick = 0; tick <= last; tick++) {
+    runs.forEach(({ steps }, k) => {
+      while (
+        at[k] + 1 < steps.length &&
+        operationsOf(steps[at[k] + 1]) <= tick
+      ) {
+        at[k]++;
+      }
+    });
+    const lanes = runs.map(({ steps, ...sort }, k) => ({
+      ...sort,
+      step: steps[at[k]],
+      place: tick >= ends[k] ? places[k] : null,
+    }));
+    const finishing = runs.filter((_, k) => ends[k] === tick);
+
+    let note = `Operation ${tick}: every sort still running makes one more`;
+    if (tick === 0) {
+      note = "Ready: the same input for every sort";
+    } else if (tick === last) {
+      note = `Race over! ${names(runs.filter((_, k) => places[k] === 1))} won`;
+    } else if (finishing.length) {
+      const place = places[ends.indexOf(tick)];
+      note = `${names(finishing)} finished ${ordinal(place)}`;
+    }
+    snapshots.push({ lanes, note, done: tick === last });
+  }
+  return snapshots;
+}
+
+/**
+ * Operation counts of each sort for every size in RACE_SIZES, all sorts
+ * sorting the same generated input of a size.
+ * @param {string[]} algorithms - keys of RACE_SORTS
+ * @param {"random"|"best"|"worst"|"nearly"} preset - see utils/inputData
+ * @returns {{ sizes: number[], series: Array<{ algorithm, title,
+ *   counts: Array<{ comparisons, swaps, writes }> }> }} counts per size
+ */
+export function countsBySize(algorithms, preset = "random") {
+  const inputs = RACE_SIZES.map((size) => presetInput("numbers", preset, size));
+  const series = algorithms.map((algorithm) => {
+    const { title, trace } = sortOf(algorithm);
+    const counts = inputs.map((values) => {
+      const steps = trace(values);
+      return steps[steps.length - 1].counts;
+    });
+    return { algorithm, title, counts };
+  });
+  return { sizes: RACE_SIZES, series };
+}
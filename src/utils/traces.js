@@ -0,0 +1,981 @@
+/**
+ * Algorithm Traces
+ * Each builder runs an algorithm to the end and returns every state it went
+ * through as a list of snapshots, so the visual and AR pages can play,
+ * pause, step back or scrub through it with useTracePlayer. A snapshot is a
+ * plain object the page draws (its own copies of arrays, never shared with
+ * later steps) plus a note for the player's caption. Algorithms with code in
+ * utils/algorithmCode also record the tag of the code line being executed
+ * (`line`) and the values of their variables at that point (`vars`). The
+ * first snapshot is always the input before the algorithm starts, the last
+ * one has done: true.
+ */
+
+import { buildBST } from "./algorithms";
+
+const range = (from, to) =>
+  Array.from({ length: Math.max(0, to - from) }, (_, i) => from + i);
+
+// Sorting snapshots: { array, active: indices in focus, sorted: indices in
+// their final place, counts, line, vars, note }. counts holds the
+// comparisons, swaps and array writes made so far: a swap is two writes,
+// and bumping a count or dropping a value into a bucket is one. The
+// builders add to it as they go. finish takes the extra fields a builder's
+// snapshots carry, so the last one has them too.
+function sortRecorder(values) {
+  const a = [...values];
+  const steps = [];
+  const counts = { comparisons: 0, swaps: 0, writes: 0 };
+  const record = (note, { active = [], sorted = [], ...rest } = {}) =>
+    steps.push({
+      array: [...a],
+      active,
+      sorted,
+      ...rest,
+      counts: { ...counts },
+      note,
+      done: false,
+    });
+  const finish = (note, more = {}) => {
+    record(note, {
+      ...more,
+      sorted: range(0, a.length),
+      line: "done",
+      vars: { n: a.length },
+    });
+    steps[steps.length - 1].done = true;
+    return steps;
+  };
+  const swap = (i, j) => {
+    [a[i], a[j]] = [a[j], a[i]];
+    counts.swaps++;
+    counts.writes += 2;
+  };
+  return { a, counts, record, finish, swap };
+}
+
+// Bubble Sort: every comparison and swap of neighbouring elements
+export function bubbleSortTrace(values) {
+  const { a, counts, record, finish, swap } = sortRecorder(values);
+  const n = a.length;
+  const sortedFrom = (i) => range(n - i, n);
+  record("Start Bubble Sort", { line: "start", vars: { n } });
+
+  for (let i = 0; i < n - 1; i++) {
+    let swapped = false;
+    for (let j = 0; j < n - i - 1; j++) {
+      const pair = [j, j + 1];
+      counts.comparisons++;
+      record(`Compare ${a[j]} and ${a[j + 1]}`, {
+        active: pair,
+        sorted: sortedFrom(i),
+        line: "compare",
+        vars: { n, i, j },
+      });
+      if (a[j] > a[j + 1]) {
+        swap(j, j + 1);
+        swapped = true;
+        record(`Swap: ${a[j + 1]} > ${a[j]}`, {
+          active: pair,
+          sorted: sortedFrom(i),
+          line: "swap",
+          vars: { n, i, j },
+        });
+      }
+    }
+    // no swaps in a pass means the rest is already in order
+    if (!swapped) break;
+  }
+  return finish("Sorted!");
+}
+
+// Insertion Sort: every key taken, shifted element and insertion
+export function insertionSortTrace(values) {
+  const { a, counts, record, finish } = sortRecorder(values);
+  const n = a.length;
+  record("Start Insertion Sort", { line: "start", vars: { n } });
+
+  for (let i = 1; i < n; i++) {
+    const key = a[i];
+    let j = i - 1;
+    record(`Take key ${key}`, {
+      active: [i],
+      sorted: range(0, i),
+      key,
+      line: "key",
+      vars: { n, i, j, key },
+    });
+
+    while (j >= 0) {
+      // the check that stops the shifting is a comparison too
+      counts.comparisons++;
+      if (a[j] <= key) break;
+      a[j + 1] = a[j];
+      counts.writes++;
+      record(`${a[j]} > ${key}: shift it right`, {
+        active: [j, j + 1],
+        sorted: range(0, i + 1),
+        key,
+        line: "shift",
+        vars: { n, i, j, key },
+      });
+      j--;
+    }
+
+    a[j + 1] = key;
+    counts.writes++;
+    record(`Insert ${key} at index ${j + 1}`, {
+      active: [j + 1],
+      sorted: range(0, i + 1),
+      key,
+      line: "insert",
+      vars: { n, i, j, key },
+    });
+  }
+  return finish("Sorted!");
+}
+
+// Selection Sort: every comparison with the current minimum and every swap;
+// min is the index of the smallest element found so far
+export function selectionSortTrace(values) {
+  const { a, counts, record, finish, swap } = sortRecorder(values);
+  const n = a.length;
+  record("Start Selection Sort", { min: null, line: "start", vars: { n } });
+
+  for (let i = 0; i < n - 1; i++) {
+    let min = i;
+    const sorted = range(0, i);
+    record(`Pass ${i + 1}: assume ${a[i]} is the smallest`, {
+      sorted,
+      min,
+      line: "pass",
+      vars: { n, i, min },
+    });
+
+    for (let j = i + 1; j < n; j++) {
+      counts.comparisons++;
+      record(`Compare ${a[j]} with the minimum ${a[min]}`, {
+        active: [min, j],
+        sorted,
+        min,
+        line: "compare",
+        vars: { n, i, j, min },
+      });
+      if (a[j] < a[min]) {
+        min = j;
+        record(`New minimum ${a[min]}`, {
+          active: [min],
+          sorted,
+          min,
+          line: "newMin",
+          vars: { n, i, j, min },
+        });
+      }
+    }
+
+    if (min !== i) {
+      swap(i, min);
+      record(`Swap ${a[i]} into index ${i}`, {
+        active: [i, min],
+        sorted: range(0, i + 1),
+        min: i,
+        line: "swap",
+        vars: { n, i, min },
+      });
+    }
+  }
+  return finish("Sorted!");
+}
+
+/**
+ * Merge Sort, top-down. The recursion is kept as rows, one per depth:
+ * rows[0] is the array and rows[d + 1] holds the halves split off at depth
+ * d (null where nothing is), so the splits stack up below the array and
+ * merging writes them back up a row.
+ * Extra snapshot fields: { rows, depth, range: [lo, hi] being worked on,
+ *   written: index just written in rows[depth] }; active indices are in
+ *   the row below depth.
+ */
+export function mergeSortTrace(values) {
+  const { a, counts, record: recordSort, finish } = sortRecorder(values);
+  const n = a.length;
+  const rows = [a];
+  const record = (note, { depth = 0, range: span = null, ...rest }) =>
+    recordSort(note, {
+      rows: rows.map((row) => [...row]),
+      depth,
+      range: span,
+      written: null,
+      ...rest,
+    });
+  const rowAt = (d) => {
+    if (!rows[d]) rows[d] = Array(n).fill(null);
+    return rows[d];
+  };
+  record("Start Merge Sort", { line: "start", vars: { n } });
+
+  const sortRange = (lo, hi, depth) => {
+    if (lo >= hi) return;
+    const mid = Math.floor((lo + hi) / 2);
+    const row = rows[depth];
+    const below = rowAt(depth + 1);
+    range(lo, hi + 1).forEach((k) => {
+      below[k] = row[k];
+      row[k] = null;
+    });
+    record(`Split [${below.slice(lo, hi + 1).join(", ")}] at the middle`, {
+      depth,
+      range: [lo, hi],
+      line: "split",
+      vars: { lo, mid, hi },
+    });
+
+    sortRange(lo, mid, depth + 1);
+    sortRange(mid + 1, hi, depth + 1);
+
+    // merge the sorted halves back up into this row
+    let i = lo;
+    let j = mid + 1;
+    const take = (from, k, line, note) => {
+      row[k] = below[from];
+      below[from] = null;
+      counts.writes++;
+      record(note, {
+        depth,
+        range: [lo, hi],
+        active: [from],
+        written: k,
+        line,
+        vars: { lo, mid, hi, k },
+      });
+    };
+    for (let k = lo; k <= hi; k++) {
+      if (i <= mid && j <= hi) {
+        counts.comparisons++;
+        record(`Compare ${below[i]} and ${below[j]}`, {
+          depth,
+          range: [lo, hi],
+          active: [i, j],
+          line: "compare",
+          vars: { lo, mid, hi, k },
+        });
+        if (below[i] <= below[j]) {
+          take(i, k, "takeLeft", `${below[i]} is smaller: take it`);
+          i++;
+        } else {
+          take(j, k, "takeRight", `${below[j]} is smaller: take it`);
+          j++;
+        }
+      } else {
+        const from = i <= mid ? i++ : j++;
+        take(from, k, "rest", `Copy the rest: ${below[from]}`);
+      }
+    }
+  };
+  sortRange(0, n - 1, 0);
+  return finish("Sorted!", { rows: [[...a]], depth: 0, range: null });
+}
+
+/**
+ * Quick Sort with the last element of each range as the pivot (Lomuto
+ * partition).
+ * Extra snapshot fields: { range: [lo, hi] being partitioned, pivot: its
+ *   index, i: where the next smaller element goes, j: element compared }
+ */
+export function quickSortTrace(values) {
+  const { a, counts, record, finish, swap } = sortRecorder(values);
+  const n = a.length;
+  const placed = [];
+  const none = { range: null, pivot: null, i: null, j: null };
+  record("Start Quick Sort", { ...none, line: "start", vars: { n } });
+
+  const sortRange = (lo, hi) => {
+    if (lo > hi) return;
+    if (lo === hi) {
+      placed.push(lo);
+      return;
+    }
+    const pivot = a[hi];
+    let i = lo;
+    const at = (j, more) => ({
+      range: [lo, hi],
+      pivot: hi,
+      i,
+      j,
+      sorted: [...placed],
+      vars: { lo, hi, pivot, i, j },
+      ...more,
+    });
+    record(`Partition around the pivot ${pivot}`, at(null, { line: "pivot" }));
+
+    for (let j = lo; j < hi; j++) {
+      counts.comparisons++;
+      record(
+        `Compare ${a[j]} with the pivot ${pivot}`,
+        at(j, { active: [j], line: "compare" })
+      );
+      if (a[j] < pivot) {
+        if (i !== j) {
+          swap(i, j);
+          record(
+            `${a[i]} < ${pivot}: swap it to the left side`,
+            at(j, { active: [i, j], line: "swap" })
+          );
+        }
+        i++;
+      }
+    }
+
+    if (i !== hi) swap(i, hi);
+    placed.push(i);
+    record(
+      `Pivot ${pivot} goes to index ${i}`,
+      at(null, { active: [i], line: "place" })
+    );
+
+    sortRange(lo, i - 1);
+    sortRange(i + 1, hi);
+  };
+  sortRange(0, n - 1);
+  return finish("Sorted!", none);
+}
+
+/**
+ * Heap Sort: builds a max-heap in the array, then moves the root to the
+ * end of the array again and again. Index i of the array is node i of the
+ * heap (children 2i + 1 and 2i + 2).
+ * Extra snapshot fields: { heapSize: how many elements are still in the
+ *   heap (the rest is sorted), phase: "build" or "sort" }
+ */
+export function heapSortTrace(values) {
+  const { a, counts, record, finish, swap } = sortRecorder(values);
+  const n = a.length;
+  let heapSize = n;
+  let phase = "build";
+  const state = (more) => ({
+    heapSize,
+    phase,
+    sorted: range(heapSize, n),
+    ...more,
+  });
+  record("Start Heap Sort", state({ line: "start", vars: { n } }));
+
+  const siftDown = (root, end) => {
+    while (2 * root + 1 < end) {
+      let child = 2 * root + 1;
+      if (child + 1 < end) {
+        counts.comparisons++;
+        record(
+          `Pick the larger child: ${a[child]} or ${a[child + 1]}`,
+          state({
+            active: [child, child + 1],
+            line: "compare",
+            vars: { root, child, end },
+          })
+        );
+        if (a[child + 1] > a[child]) child++;
+      }
+      counts.comparisons++;
+      record(
+        `Compare ${a[root]} with its child ${a[child]}`,
+        state({
+          active: [root, child],
+          line: "check",
+          vars: { root, child, end },
+        })
+      );
+      if (a[root] >= a[child]) return;
+      swap(root, child);
+      record(
+        `Swap ${a[child]} down, ${a[root]} up`,
+        state({
+          active: [root, child],
+          line: "swap",
+          vars: { root, child, end },
+        })
+      );
+      root = child;
+    }
+  };
+
+  for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+    record(
+      `Heapify the subtree at ${a[i]}`,
+      state({ active: [i], line: "heapify", vars: { i, n } })
+    );
+    siftDown(i, n);
+  }
+
+  phase = "sort";
+  for (let end = n - 1; end > 0; end--) {
+    swap(0, end);
+    heapSize = end;
+    record(
+      `Move the largest, ${a[end]}, to index ${end}`,
+      state({ active: [0, end], line: "extract", vars: { end } })
+    );
+    siftDown(0, end);
+  }
+  heapSize = 0;
+  return finish("Sorted!", { heapSize, phase });
+}
+
+// Buckets as the pages draw them: [{ label, items }]
+const bucketsOf = (labels, items) =>
+  labels.map((label, i) => ({ label, items: [...items[i]] }));
+
+/**
+ * Counting Sort: counts how often each value appears, then writes the
+ * values back in order. Only the values present get a bucket (the count
+ * array has a slot for every value up to the largest).
+ * Extra snapshot fields: { buckets, phase: "count" or "output" }; array
+ *   holds null in slots not written back yet.
+ */
+export function countingSortTrace(values) {
+  const { a, counts, record, finish } = sortRecorder(values);
+  const n = a.length;
+  const labels = [...new Set(values)].sort((x, y) => x - y);
+  const items = labels.map(() => []);
+  const state = (phase, more) => ({
+    buckets: bucketsOf(labels, items),
+    phase,
+    ...more,
+  });
+  record("Start Counting Sort", state("count", { line: "start", vars: { n } }));
+
+  values.forEach((v, i) => {
+    items[labels.indexOf(v)].push(v);
+    counts.writes++;
+    record(
+      `Count ${v}: count[${v}] = ${items[labels.indexOf(v)].length}`,
+      state("count", { active: [i], line: "count", vars: { i, v } })
+    );
+  });
+
+  a.fill(null);
+  let k = 0;
+  labels.forEach((v, b) => {
+    while (items[b].length) {
+      items[b].pop();
+      a[k] = v;
+      counts.writes++;
+      record(
+        `Write ${v} to index ${k}`,
+        state("output", {
+          active: [k],
+          sorted: range(0, k + 1),
+          line: "output",
+          vars: { v, k },
+        })
+      );
+      k++;
+    }
+  });
+  return finish("Sorted!", state("output"));
+}
+
+/**
+ * Radix Sort (least significant digit first): each pass deals the values
+ * into ten buckets by one digit and collects them back in bucket order.
+ * Extra snapshot fields: { buckets, exp: place value of the digit (1, 10) }
+ */
+export function radixSortTrace(values) {
+  const { a, counts, record, finish } = sortRecorder(values);
+  const n = a.length;
+  const max = Math.max(...values);
+  const labels = range(0, 10);
+  let items = labels.map(() => []);
+  let exp = 1;
+  const state = (more) => ({ buckets: bucketsOf(labels, items), exp, ...more });
+  record("Start Radix Sort", state({ line: "start", vars: { n, exp } }));
+
+  for (; Math.floor(max / exp) > 0; exp *= 10) {
+    const place = exp === 1 ? "ones" : exp === 10 ? "tens" : `${exp}s`;
+    items = labels.map(() => []);
+    record(
+      `Sort by the ${place} digit`,
+      state({ line: "pass", vars: { exp } })
+    );
+
+    a.forEach((v, i) => {
+      const digit = Math.floor(v / exp) % 10;
+      items[digit].push(v);
+      counts.writes++;
+      record(
+        `${v} has ${digit} in the ${place}: bucket ${digit}`,
+        state({ active: [i], line: "distribute", vars: { exp, v, digit } })
+      );
+    });
+
+    a.fill(null);
+    let k = 0;
+    items.forEach((bucket, digit) => {
+      while (bucket.length) {
+        a[k] = bucket.shift();
+        counts.writes++;
+        record(
+          `Collect ${a[k]} from bucket ${digit}`,
+          state({ active: [k], line: "collect", vars: { exp, digit, k } })
+        );
+        k++;
+      }
+    });
+  }
+  return finish("Sorted!", state());
+}
+
+/**
+ * Linear search for a value.
+ * Snapshots: { current: index being checked, found: index or null, line,
+ *   vars, note }
+ */
+export function linearSearchTrace(values, target) {
+  const steps = [
+    {
+      current: null,
+      found: null,
+      line: "start",
+      vars: { target },
+      note: "Start linear search",
+    },
+  ];
+  for (let i = 0; i < values.length; i++) {
+    steps.push({
+      current: i,
+      found: null,
+      line: "check",
+      vars: { target, i, "a[i]": values[i] },
+      note: `Check index ${i}: ${values[i]}`,
+    });
+    if (values[i] === target) {
+      steps.push({
+        current: i,
+        found: i,
+        line: "found",
+        vars: { target, i },
+        note: `Found ${target} at index ${i} after ${i + 1} comparisons`,
+        done: true,
+      });
+      return steps;
+    }
+  }
+  steps.push({
+    current: null,
+    found: null,
+    line: "missing",
+    vars: { target },
+    note: `${target} is not in the array`,
+    done: true,
+  });
+  return steps;
+}
+
+/**
+ * Delete the element at an index: it is taken out, then every element after
+ * it moves one place left to close the gap.
+ * Snapshots: { array: slot by slot, null where the gap is, removing: index
+ *   being taken out or null, moved: slot just filled or null, note }; the
+ *   last one has the shorter array.
+ */
+export function deleteShiftTrace(values, index) {
+  const a = [...values];
+  const value = a[index];
+  const steps = [];
+  const record = (note, { removing = null, moved = null } = {}) =>
+    steps.push({ array: [...a], removing, moved, note });
+
+  record(`Delete index ${index} (${value})`);
+  record(`Take ${value} out of index ${index}`, { removing: index });
+  a[index] = null;
+  record(`Index ${index} is empty now`);
+  for (let i = index + 1; i < a.length; i++) {
+    [a[i - 1], a[i]] = [a[i], null];
+    record(`Shift ${a[i - 1]} from index ${i} to ${i - 1}`, { moved: i - 1 });
+  }
+  a.pop();
+  record(`Deleted ${value}: ${a.length} elements left`);
+  steps[steps.length - 1].done = true;
+  return steps;
+}
+
+/**
+ * Append values to a dynamic array: each goes into the first free slot,
+ * and a full array first moves into one twice the size.
+ * Snapshots: { array: the used slots, capacity, added: index just written
+ *   or null, note }
+ */
+export function dynamicAppendTrace(values, added, capacity) {
+  const a = [...values];
+  const steps = [];
+  const record = (note, at = null) =>
+    steps.push({ array: [...a], capacity, added: at, note });
+
+  record(`${a.length} of ${capacity} slots used`);
+  added.forEach((value) => {
+    if (a.length === capacity) {
+      capacity *= 2;
+      record(`Full: copy the elements into ${capacity} slots`);
+    }
+    a.push(value);
+    record(`Append ${value} at index ${a.length - 1}`, a.length - 1);
+  });
+  steps[steps.length - 1].done = true;
+  return steps;
+}
+
+/**
+ * Read one element of a 2D array: pick the row, then the column in it.
+ * Snapshots: { row, col: index picked so far or null, note }
+ */
+export function matrixAccessTrace(matrix, row, col) {
+  return [
+    { row: null, col: null, note: `Read matrix[${row}][${col}]` },
+    { row, col: null, note: `matrix[${row}] is row ${row}` },
+    {
+      row,
+      col,
+      note: `matrix[${row}][${col}] = ${matrix[row][col]}`,
+      done: true,
+    },
+  ];
+}
+
+/**
+ * Visit every element of a 2D array in row-major order: along each row,
+ * one row after the other.
+ * Snapshots: { row, col: element being visited or null, note }
+ */
+export function matrixTraversalTrace(matrix) {
+  const steps = [{ row: null, col: null, note: "Start at row 0" }];
+  matrix.forEach((cells, row) =>
+    cells.forEach((value, col) =>
+      steps.push({ row, col, note: `matrix[${row}][${col}] = ${value}` })
+    )
+  );
+  steps.push({
+    row: null,
+    col: null,
+    note: "Every element visited, row by row",
+    done: true,
+  });
+  return steps;
+}
+
+/**
+ * Walk along a linked list from the head to the node at the given index.
+ * Snapshots: { current: node index, visited: indices passed so far, line,
+ *   vars, note }
+ */
+export function listWalkTrace(values, target) {
+  const steps = [
+    {
+      current: null,
+      visited: [],
+      line: "start",
+      vars: { target, current: values[0] ?? null },
+      note: "current = head",
+    },
+  ];
+  for (let i = 0; i <= target && i < values.length; i++) {
+    const reached = i === target;
+    steps.push({
+      current: i,
+      visited: range(0, i + 1),
+      line: reached ? "reached" : "move",
+      vars: { target, i, current: values[i] },
+      note: reached
+        ? `Reached node ${i}: ${values[i]}`
+        : `At ${values[i]}, move to current.next`,
+    });
+  }
+  steps[steps.length - 1].done = true;
+  return steps;
+}
+
+// push/enqueue adds at the end of items; pop and dequeue take the element
+// at `end` (the top or the front), peek only looks at it
+function accessTrace(values, op, value, { name, end, side }) {
+  const items = [...values];
+  const at = end(items);
+  const call = value === undefined ? `${op}()` : `${op}(${value})`;
+  const steps = [{ items: [...items], highlight: null, note: call }];
+  const record = (note, highlight = null) =>
+    steps.push({ items: [...items], highlight, note });
+
+  if (value !== undefined) {
+    items.push(value);
+    record(`${call}: ${value} is the new ${side}`, items.length - 1);
+  } else if (!items.length) {
+    steps[0].note = `The ${name} is empty: nothing to ${op}`;
+  } else if (op === "peek") {
+    record(`${call} returns ${items[at]}, the ${side}`, at);
+    record(`The ${name} is unchanged`);
+  } else {
+    const taken = items[at];
+    record(`The ${side} is ${taken}`, at);
+    items.splice(at, 1);
+    record(`${call} removed ${taken}`);
+  }
+  steps[steps.length - 1].done = true;
+  return steps;
+}
+
+/**
+ * One stack operation: "push" (value), "pop" or "peek".
+ * Snapshots: { items: bottom first, highlight: index in focus or null,
+ *   note }
+ */
+export const stackOperationTrace = (values, op, value) =>
+  accessTrace(values, op, value, {
+    name: "stack",
+    end: (items) => items.length - 1,
+    side: "top",
+  });
+
+/**
+ * One queue operation: "enqueue" (value), "dequeue" or "peek".
+ * Snapshots: { items: front first, highlight: index in focus or null,
+ *   note }
+ */
+export const queueOperationTrace = (values, op, value) =>
+  accessTrace(values, op, value, {
+    name: "queue",
+    end: () => 0,
+    side: op === "enqueue" ? "rear" : "front",
+  });
+
+/**
+ * Tree traversal in one of TRAVERSALS (see utils/algorithms).
+ * Snapshots: { current: key being visited, visited: keys so far, line,
+ *   vars, note }
+ */
+export function traversalTrace(root, order) {
+  const steps = [
+    {
+      current: null,
+      visited: [],
+      line: "start",
+      vars: { node: root ? root.key : null },
+      note: `Start ${order}`,
+    },
+  ];
+  const visit = (key, vars) =>
+    steps.push({
+      current: key,
+      visited: [...steps[steps.length - 1].visited, key],
+      line: "visit",
+      vars: { node: key, ...vars },
+      note: `Visit ${key}`,
+    });
+
+  if (order === "level-order") {
+    const queue = root ? [root] : [];
+    while (queue.length) {
+      const node = queue.shift();
+      visit(node.key, { queue: queue.map((n) => n.key) });
+      if (node.left) queue.push(node.left);
+      if (node.right) queue.push(node.right);
+    }
+  } else {
+    const walk = (node) => {
+      if (!node) return;
+      if (order === "preorder") visit(node.key);
+      walk(node.left);
+      if (order === "inorder") visit(node.key);
+      walk(node.right);
+      if (order === "postorder") visit(node.key);
+    };
+    walk(root);
+  }
+  const { visited } = steps[steps.length - 1];
+  steps.push({
+    current: null,
+    visited,
+    line: "done",
+    vars: {},
+    note: `${order}: ${visited.join(", ")}`,
+    done: true,
+  });
+  return steps;
+}
+
+/**
+ * Search, insert or delete a key in a binary search tree.
+ * Snapshots: { current: key being compared, path: keys on the way down,
+ *   added: { key, parent, side } | null, removed: key | null,
+ *   successor: key | null, line, vars, note }
+ * @param {number[]} keys - the tree, as keys inserted in order (buildBST)
+ * @param {"Search"|"Insert"|"Delete"} operation
+ */
+export function bstOperationTrace(keys, operation, key) {
+  const steps = [];
+  const record = (note, line, vars, state) => {
+    const last = steps[steps.length - 1] || {
+      current: null,
+      path: [],
+      added: null,
+      removed: null,
+      successor: null,
+    };
+    steps.push({ ...last, ...state, line, vars: { key, ...vars }, note });
+  };
+
+  let node = buildBST(keys);
+  let parent = null;
+  let path = [];
+  record(`${operation} ${key}: start at the root`, "start", {
+    node: node ? node.key : null,
+  });
+
+  while (node && node.key !== key) {
+    path = [...path, node.key];
+    const side = key < node.key ? "left" : "right";
+    record(
+      `${key} ${side === "left" ? "<" : ">"} ${node.key}: go ${side}`,
+      side,
+      { node: node.key },
+      { current: node.key, path }
+    );
+    parent = node;
+    node = node[side];
+  }
+
+  if (!node) {
+    if (operation === "Insert" && parent) {
+      const side = key < parent.key ? "left" : "right";
+      record(
+        `Insert ${key} as the ${side} child of ${parent.key}`,
+        "insert",
+        { node: null },
+        { current: key, added: { key, parent: parent.key, side } }
+      );
+    } else {
+      record(`${key} is not in the tree`, "missing", { node: null }, {
+        current: null,
+      });
+    }
+  } else {
+    path = [...path, node.key];
+    record(`Found ${key}`, "found", { node: key }, { current: key, path });
+
+    if (operation === "Insert") {
+      record(`${key} is already in the tree`, "found", { node: key }, {});
+    } else if (operation === "Delete") {
+      if (node.left && node.right) {
+        // replace with the smallest key of the right subtree
+        let next = node.right;
+        record(
+          `Two children: look right of ${key}`,
+          "successor",
+          { node: key, next: next.key },
+          { current: next.key, path: [...path, next.key] }
+        );
+        while (next.left) {
+          next = next.left;
+          record(
+            `Go left to ${next.key}`,
+            "successorLeft",
+            { node: key, next: next.key },
+            {
+              current: next.key,
+              path: [...steps[steps.length - 1].path, next.key],
+            }
+          );
+        }
+        record(
+          `Replace ${key} with its inorder successor ${next.key}`,
+          "replace",
+          { node: key, next: next.key },
+          { removed: key, successor: next.key }
+        );
+      } else if (node.left || node.right) {
+        const child = (node.left || node.right).key;
+        record(
+          `One child: replace ${key} with ${child}`,
+          node.left ? "noRight" : "noLeft",
+          { node: key },
+          { removed: key, successor: child }
+        );
+      } else {
+        record(`Leaf: remove ${key}`, "noLeft", { node: key }, {
+          current: null,
+          removed: key,
+        });
+      }
+    }
+  }
+
+  steps[steps.length - 1].done = true;
+  return steps;
+}
+
+/**
+ * Depth- or breadth-first traversal of an undirected graph; neighbours are
+ * taken in the order of the edge list.
+ * Snapshots: { current, visited: node ids in visiting order, edges: [from,
+ *   to] pairs each node was reached by, frontier: the stack or queue, line,
+ *   vars, note }
+ * @param {Array<string|number>} nodeIds
+ * @param {Array<Array>} edges - [a, b] pairs
+ * @param {"DFS"|"BFS"} mode
+ */
+export function graphTraversalTrace(nodeIds, edges, start, mode) {
+  const neighbours = (u) =>
+    edges
+      .filter(([a, b]) => a === u || b === u)
+      .map(([a, b]) => (a === u ? b : a))
+      .filter((v) => nodeIds.includes(v));
+
+  // the code calls the frontier by what it is
+  const frontierName = mode === "BFS" ? "queue" : "stack";
+  const steps = [
+    {
+      current: null,
+      visited: [],
+      edges: [],
+      frontier: [start],
+      line: "start",
+      vars: { start, [frontierName]: [start] },
+      note: `Start ${mode} at ${start}`,
+    },
+  ];
+  const visited = [];
+  const treeEdges = [];
+  // [node, the node it was reached from]
+  const frontier = [[start, null]];
+
+  while (frontier.length) {
+    const [u, from] = mode === "BFS" ? frontier.shift() : frontier.pop();
+    if (visited.includes(u)) continue;
+    visited.push(u);
+    if (from !== null) treeEdges.push([from, u]);
+
+    const next = neighbours(u).filter((v) => !visited.includes(v));
+    // a stack pops the last pushed, so push in reverse to keep list order
+    (mode === "BFS" ? next : [...next].reverse()).forEach((v) =>
+      frontier.push([v, u])
+    );
+    const waiting = frontier
+      .map(([v]) => v)
+      .filter((v) => !visited.includes(v));
+    steps.push({
+      current: u,
+      visited: [...visited],
+      edges: [...treeEdges],
+      frontier: waiting,
+      line: "visit",
+      vars: { u, [frontierName]: waiting, visited: [...visited] },
+      note: from === null ? `Visit ${u}` : `Visit ${u} (from ${from})`,
+    });
+  }
+
+  steps.push({
+    ...steps[steps.length - 1],
+    current: null,
+    line: "done",
+    vars: { visited: [...visited] },
+    note: `${mode} order: ${visited.join(" → ")}`,
+    done: true,
+  });
+  return steps;
+}
@@ -6,11 +6,15 @@ import * as THREE from "three";
  * Options:
  * - gl: three renderer (required)
  * - getCandidates: () => Array of candidate meshes to raycast against
- * - onSelect: (hit) => called when select (tap) happens; hit is {object, point, index}
- * - onSelectStart: () => called on selectstart
- * - onSelectEnd: () => called on selectend
+ * - onSelect: (hit) => called when select (tap) happens; hit is {object, point, index, ray}
+ * - onSelectStart: (evt, hit) => called on selectstart; hit is null when nothing was under the ray
+ * - onSelectEnd: (evt) => called on selectend
  * - onDragMove: (hitOrPoint) => called every XR frame while input active
  *
+ * ray is { origin, dir } in world space, so callers can intersect their own
+ * planes (e.g. to drag along a row). Works whether the session is already
+ * running or starts later.
+ *
  * Returns a cleanup function to remove listeners.
  */
 export function setupXRInput(gl, options) {
@@ -23,6 +27,10 @@ export function setupXRInput(gl, options) {
     useReferenceSpace = "local-floor",
   } = options || {};
 
+  // stops the listeners of the running session (set once it started)
+  let stopSession = null;
+  let disposed = false;
+
   const sessionStartHandler = async () => {
     const session = gl.xr.getSession();
     if (!session) return;
@@ -33,6 +41,7 @@ export function setupXRInput(gl, options) {
     } catch (e) {
       refSpace = null;
     }
+    if (disposed) return;
 
     let activeInput = null;
     let rafHandle = null;
@@ -61,14 +70,29 @@ export function setupXRInput(gl, options) {
           obj = obj.parent;
         }
         const idx = obj?.userData?.nodeIndex ?? obj?.userData?.boxIndex;
-        return { object: obj || hit.object, point: hit.point, index: idx };
+        // without index metadata the mesh that was hit is the target
+        const target = idx === undefined ? hit.object : obj;
+        return { object: target, point: hit.point, index: idx, ray: { origin, dir } };
       }
       return null;
     };
 
+    // Ray of an input source in a given frame (null when not tracked)
+    const inputRay = (frame, inputSource) => {
+      try {
+        const pose = frame.getPose(inputSource.targetRaySpace, refSpace || frame.session.referenceSpace);
+        return pose ? poseToRay(pose) : null;
+      } catch (e) {
+        // ignore pose errors
+        return null;
+      }
+    };
+
     const onSelectStartInternal = (evt) => {
       activeInput = evt.inputSource;
-      if (typeof onSelectStart === "function") onSelectStart(evt);
+      const ray = evt.frame ? inputRay(evt.frame, evt.inputSource) : null;
+      const hit = ray ? doRaycast(ray.origin, ray.dir) : null;
+      if (typeof onSelectStart === "function") onSelectStart(evt, hit);
     };
 
     const onSelectEndInternal = (evt) => {
@@ -88,45 +112,23 @@ export function setupXRInput(gl, options) {
       if (!frame) return;
 
       // If there's an active input (press/drag), try to get its pose
-      const inputSources = session.inputSources;
       if (activeInput) {
-        try {
-          const pose = frame.getPose(activeInput.targetRaySpace, refSpace || frame.session.referenceSpace);
-          if (pose) {
-            const { origin, dir } = poseToRay(pose);
-            const hit = doRaycast(origin, dir);
-            if (hit) {
-              if (typeof onDragMove === "function") onDragMove(hit, frame);
-            } else {
-              // no hit, but still report point in front
-              const point = origin.clone().add(dir.clone().multiplyScalar(8));
-              if (typeof onDragMove === "function") onDragMove({ object: null, point }, frame);
-            }
-          }
-        } catch (e) {
+        const ray = inputRay(frame, activeInput);
+        if (ray && typeof onDragMove === "function") {
+          const hit = doRaycast(ray.origin, ray.dir);
+          // no hit, but still report point in front
+          const point = ray.origin.clone().add(ray.dir.clone().multiplyScalar(8));
+          onDragMove(hit || { object: null, point, ray }, frame);
+        }
+      }
 
       // Handle selectend that was deferred to this frame
-      if (triggerSelectOnNextFrame && frame) {
-        try {
-          const pose = frame.getPose(triggerSelectOnNextFrame.targetRaySpace, refSpace || frame.session.referenceSpace);
-          if (pose) {
-            const { origin, dir } = poseToRay(pose);
-            const hit = doRaycast(origin, dir);
-            if (hit && typeof onSelect === "function") onSelect(hit, frame);
-          }
-        } catch (e) {
-          // ignore pose errors
-        }
+      if (triggerSelectOnNextFrame) {
+        const ray = inputRay(frame, triggerSelectOnNextFrame);
+        const hit = ray ? doRaycast(ray.origin, ray.dir) : null;
+        if (hit && typeof onSelect === "function") onSelect(hit, frame);
         triggerSelectOnNextFrame = null;
       }
-          // ignore pose errors
-        }
-      } else {
-        // no active input - we can still detect "select" style taps by checking each inputSource for a transient press
-        // some platforms emit 'select' events; we rely on session events for final selection
-      }
-
-      // Also update hover/visual feedback using camera-centered ray if desired (not implemented here)
     };
 
     // start loop
@@ -136,19 +138,26 @@ export function setupXRInput(gl, options) {
       try {
         session.removeEventListener("selectstart", onSelectStartInternal);
         session.removeEventListener("selectend", onSelectEndInternal);
+        session.removeEventListener("end", onSessionEnd);
       } catch (e) {}
       if (rafHandle) session.cancelAnimationFrame(rafHandle);
+      stopSession = null;
     };
 
     session.addEventListener("end", onSessionEnd);
+    stopSession = onSessionEnd;
   };
 
   gl.xr.addEventListener("sessionstart", sessionStartHandler);
+  // the session may already be running (e.g. set up after the AR scene started)
+  if (gl.xr.isPresenting) sessionStartHandler();
 
   // return cleanup
   return () => {
+    disposed = true;
     try {
       gl.xr.removeEventListener("sessionstart", sessionStartHandler);
     } catch (e) {}
+    if (stopSession) stopSession();
   };
 }